@@ -18,6 +18,7 @@ BACKUP_FILE="$BACKUP_DIR/onyx_backup_$TIMESTAMP.tar.gz"
 
 # Files to backup
 BACKUP_FILES=(
+    "$DATA_DIR/onyx.db"
     "$DATA_DIR/requests.json"
     "$DATA_DIR/history.json"
     "$DATA_DIR/import_log.json"
@@ -5,6 +5,10 @@ import HomePage from './components/HomePage';
 import AdminDashboard from './components/AdminDashboard';
 import ImportLog from './components/ImportLog';
 import CacheManagement from './components/CacheManagement';
+import MyRequests from './components/MyRequests';
+import RequestHistory from './components/RequestHistory';
+import ReleaseBlocklist from './components/ReleaseBlocklist';
+import LibraryImport from './components/LibraryImport';
 import FloatingAdminButton from './components/FloatingAdminButton';
 import './App.css';
 
@@ -14,7 +18,11 @@ function App() {
       <div className="app">
         <Routes>
           <Route path="/" element={<HomePage />} />
+          <Route path="/requests" element={<MyRequests />} />
+          <Route path="/import" element={<LibraryImport />} />
           <Route path="/admin" element={<AdminDashboard />} />
+          <Route path="/admin/history" element={<RequestHistory />} />
+          <Route path="/admin/blocklist" element={<ReleaseBlocklist />} />
           <Route path="/admin/imports" element={<ImportLog />} />
           <Route path="/admin/cache" element={<CacheManagement />} />
         </Routes>
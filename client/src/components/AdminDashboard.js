@@ -1,11 +1,18 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { Shield, Search, Download, Clock, X, MessageCircle, Database, Users, Check, Ban } from 'lucide-react';
+import { Shield, Search, Download, Clock, X, MessageCircle, Database, Users, Check, Ban, ThumbsUp, History, MessageSquare, ListChecks, ShieldOff } from 'lucide-react';
 import toast from 'react-hot-toast';
 import Header from './Header';
+import RequestComments from './RequestComments';
 import { useAuth } from '../context/AuthContext';
 import './AdminPanel.css';
 
+const ATTEMPT_LABELS = {
+  stalled: 'Stalled',
+  failed: 'Failed',
+  no_alternative: 'No replacement',
+};
+
 const AdminDashboard = () => {
   const { user, logout } = useAuth();
   const [requests, setRequests] = useState([]);
@@ -13,6 +20,7 @@ const AdminDashboard = () => {
   const [loading, setLoading] = useState(false);
   const [activeRequest, setActiveRequest] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchProfile, setSearchProfile] = useState(null);
   const [activeTab, setActiveTab] = useState('requests');
   const [downloadJobs, setDownloadJobs] = useState([]);
   const [pipelineStatus, setPipelineStatus] = useState(null);
@@ -22,6 +30,12 @@ const AdminDashboard = () => {
   const [userActionLoading, setUserActionLoading] = useState({});
   const [userWarnings, setUserWarnings] = useState({});
 
+  const [rejectionReasons, setRejectionReasons] = useState([]);
+  const [rejectingId, setRejectingId] = useState(null);
+  const [rejectDraft, setRejectDraft] = useState({ reasonCode: '', reason: '' });
+  const [rejectSubmitting, setRejectSubmitting] = useState(false);
+  const [openCommentsId, setOpenCommentsId] = useState(null);
+
   // Telegram auth state
   const [telegramStatus, setTelegramStatus] = useState(null);
   const [showTelegramAuth, setShowTelegramAuth] = useState(false);
@@ -31,6 +45,7 @@ const AdminDashboard = () => {
 
   useEffect(() => {
     fetchRequests();
+    fetchRejectionReasons();
     fetchTelegramStatus();
     fetchUsers();
     fetchDownloadJobs();
@@ -51,7 +66,7 @@ const AdminDashboard = () => {
         if (payload.type === 'update' && payload.job) {
           setDownloadJobs((prev) => {
             const next = [...prev];
-            const idx = next.findIndex(j => j.requestId === payload.job.requestId);
+            const idx = next.findIndex(j => j.id === payload.job.id);
             if (idx >= 0) {
               next[idx] = payload.job;
             } else {
@@ -101,8 +116,9 @@ const AdminDashboard = () => {
 
   const jobsByRequestId = useMemo(() => {
     const map = new Map();
+    // Jobs are newest first and there is one per format; show the newest.
     downloadJobs.forEach(job => {
-      if (job?.requestId) map.set(job.requestId, job);
+      if (job?.requestId && !map.has(job.requestId)) map.set(job.requestId, job);
     });
     return map;
   }, [downloadJobs]);
@@ -188,6 +204,55 @@ const AdminDashboard = () => {
     }
   };
 
+  const fetchRejectionReasons = async () => {
+    try {
+      const response = await fetch('/api/admin/requests/rejection-reasons');
+      const result = await response.json();
+      if (result?.success && Array.isArray(result.reasons)) {
+        setRejectionReasons(result.reasons);
+      }
+    } catch (error) {
+      console.error('Error fetching rejection reasons:', error);
+    }
+  };
+
+  const openRejectPanel = (request) => {
+    setRejectingId(rejectingId === request.id ? null : request.id);
+    setRejectDraft({ reasonCode: '', reason: '' });
+  };
+
+  const handleRejectRequest = async (request, kind) => {
+    if (!rejectDraft.reasonCode && !rejectDraft.reason.trim()) {
+      toast.error('Pick a reason or write one');
+      return;
+    }
+
+    setRejectSubmitting(true);
+    try {
+      const response = await fetch(`/api/admin/requests/${request.id}/${kind}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          reasonCode: rejectDraft.reasonCode || null,
+          reason: rejectDraft.reason.trim() || null
+        })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || `Failed to ${kind} request`);
+      }
+
+      setRequests(prev => prev.filter(r => r.id !== request.id));
+      setRejectingId(null);
+      toast.success(kind === 'decline' ? 'Request declined' : 'Request rejected');
+    } catch (error) {
+      console.error('Reject request error:', error);
+      toast.error(error.message || `Failed to ${kind} request`);
+    } finally {
+      setRejectSubmitting(false);
+    }
+  };
+
   const handleSearch = async (request) => {
     const effectiveQuery = (activeRequest?.id === request.id && searchQuery.trim())
       ? searchQuery
@@ -215,6 +280,7 @@ const AdminDashboard = () => {
 
       if (result.success) {
         setSearchResults(result.results);
+        setSearchProfile(result.qualityProfile || null);
       } else {
         toast.error('Search failed: ' + result.message);
       }
@@ -226,6 +292,19 @@ const AdminDashboard = () => {
     }
   };
 
+  // Load the candidates the auto-grab worker attached into the results list.
+  const showAutoSearchCandidates = (request) => {
+    const candidates = Object.values(request.autoSearch?.formats || {})
+      .flatMap((entry) => entry.candidates || []);
+    if (candidates.length === 0) {
+      toast.error('No candidates were found for this request');
+      return;
+    }
+    setActiveRequest(request);
+    setSearchQuery(request.autoSearch.query || request.title);
+    setSearchResults(candidates.sort((a, b) => (b.score || 0) - (a.score || 0)));
+  };
+
   const handleDownload = async (result) => {
     if (!activeRequest) return;
 
@@ -257,7 +336,11 @@ const AdminDashboard = () => {
           magnetUrl: result.magnetUrl,
           title: result.title,
           tracker: result.tracker,
+          guid: result.guid || null,
+          infoHash: result.infoHash || null,
+          indexer: result.indexer || null,
           source: result.source || 'prowlarr',
+          protocol: result.protocol || null,
           selectedFormat,
           downloadInfo: result.source === 'telegram' ? {
             title: result.title,
@@ -287,6 +370,43 @@ const AdminDashboard = () => {
     }
   };
 
+  const handleBlockRelease = async (result) => {
+    if (!activeRequest) return;
+    const reason = window.prompt('Why should this release be blocked?', 'Bad release');
+    if (reason === null) return;
+
+    try {
+      const response = await fetch('/api/admin/blocklist', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          requestId: activeRequest.id,
+          infoHash: result.infoHash || null,
+          magnetUrl: result.magnetUrl || null,
+          guid: result.guid || null,
+          telegramMessageId: result.source === 'telegram' ? result.messageId : null,
+          title: result.title,
+          source: result.source || 'prowlarr',
+          indexer: result.indexer || null,
+          reason,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to block release');
+      }
+      setSearchResults(prev => prev.map(r => (
+        r === result ? { ...r, blocklisted: { id: data.entry.id, reason: data.entry.reason } } : r
+      )));
+      toast.success('Release blocked for this request');
+    } catch (error) {
+      console.error('Block release error:', error);
+      toast.error(error.message || 'Failed to block release');
+    }
+  };
+
   const handleApproveUser = async (targetUser) => {
     setUserActionLoading(prev => ({ ...prev, [targetUser.googleId]: 'approve' }));
     try {
@@ -515,6 +635,14 @@ const AdminDashboard = () => {
               <Users size={18} />
               Users {pendingUsersCount > 0 ? `(${pendingUsersCount})` : ''}
             </button>
+            <Link to="/admin/history" className="nav-tab">
+              <History size={18} />
+              History
+            </Link>
+            <Link to="/admin/blocklist" className="nav-tab">
+              <ShieldOff size={18} />
+              Blocklist
+            </Link>
             <Link to="/admin/imports" className="nav-tab">
               <img src="/import-log-icon.png" alt="" style={{ height: '18px', width: 'auto' }} />
               Import Log
@@ -560,7 +688,7 @@ const AdminDashboard = () => {
                   <p className="no-requests">No active downloads</p>
                 ) : (
                   liveJobs.map((job) => (
-                    <div key={job.requestId} className="request-card live-job-card">
+                    <div key={job.id} className="request-card live-job-card">
                       <div className="request-info" style={{ flex: 1 }}>
                         <h4>{job.title || job.requestId}</h4>
                         <p>{job.author ? `by ${job.author}` : ' '}</p>
@@ -600,6 +728,7 @@ const AdminDashboard = () => {
                         <p>by {request.author}</p>
                         {request.requestTypes && (
                           <div className="request-types">
+                            <span className={`live-job-status status-${request.status || 'pending'}`}>{request.status || 'pending'}</span>
                             {request.requestTypes.audiobook && <span className="format-badge audiobook">Audiobook</span>}
                             {request.requestTypes.ebook && <span className="format-badge ebook">Ebook</span>}
                           </div>
@@ -612,6 +741,33 @@ const AdminDashboard = () => {
                             )}
                           </div>
                         )}
+                        {request.votes > 1 && (
+                          <div className="user-info">
+                            <span className="vote-badge">
+                              <ThumbsUp size={14} /> {request.votes} votes
+                            </span>
+                            <span className="user-email">
+                              {(request.interestedUsers || []).map((u) => u.username || u.userEmail || 'unknown').join(', ')}
+                            </span>
+                          </div>
+                        )}
+                        {request.note && (
+                          <p className="request-note">Note: {request.note}</p>
+                        )}
+                        {(request.downloadAttempts || [])
+                          .filter((attempt) => attempt.outcome !== 'started')
+                          .map((attempt) => (
+                            <p key={`${attempt.at}-${attempt.outcome}`} className="request-note">
+                              {ATTEMPT_LABELS[attempt.outcome] || attempt.outcome} ({attempt.format}): {attempt.title ? `${attempt.title} - ` : ''}{attempt.reason}
+                            </p>
+                          ))}
+                        {Object.entries(request.autoSearch?.formats || {})
+                          .filter(([, entry]) => entry.decision !== 'grabbed')
+                          .map(([format, entry]) => (
+                            <p key={format} className="request-note">
+                              Auto-search ({format}): {entry.reason}
+                            </p>
+                          ))}
                         <span className="request-time">
                           <Clock size={14} />
                           {new Date(request.createdAt || request.submittedAt).toLocaleString()}
@@ -649,7 +805,76 @@ const AdminDashboard = () => {
                           <Search size={16} />
                           Search
                         </button>
+                        {Object.values(request.autoSearch?.formats || {}).some((entry) => entry.candidates?.length > 0) && (
+                          <button
+                            onClick={() => showAutoSearchCandidates(request)}
+                            disabled={loading}
+                            className="search-button"
+                          >
+                            <ListChecks size={16} />
+                            Candidates
+                          </button>
+                        )}
+                        <button
+                          onClick={() => openRejectPanel(request)}
+                          disabled={rejectSubmitting}
+                          className="search-button"
+                        >
+                          <Ban size={16} />
+                          Reject
+                        </button>
+                        <button
+                          onClick={() => setOpenCommentsId(openCommentsId === request.id ? null : request.id)}
+                          className="search-button"
+                          title="Comments"
+                        >
+                          <MessageSquare size={16} />
+                          {request.comments > 0 ? request.comments : ''}
+                          {request.unreadComments > 0 && <span className="comment-unread">{request.unreadComments}</span>}
+                        </button>
                       </div>
+                      {openCommentsId === request.id && (
+                        <div className="reject-panel">
+                          <RequestComments
+                            endpoint={`/api/admin/requests/${request.id}/comments`}
+                            onRead={() => setRequests(prev => prev.map(r => (r.id === request.id ? { ...r, unreadComments: 0 } : r)))}
+                          />
+                        </div>
+                      )}
+                      {rejectingId === request.id && (
+                        <div className="manual-review-panel reject-panel">
+                          <strong>Reject or decline "{request.title}"</strong>
+                          <div className="manual-review-grid">
+                            <select
+                              value={rejectDraft.reasonCode}
+                              onChange={(e) => setRejectDraft(prev => ({ ...prev, reasonCode: e.target.value }))}
+                              disabled={rejectSubmitting}
+                            >
+                              <option value="">Choose a reason...</option>
+                              {rejectionReasons.map((reason) => (
+                                <option key={reason.code} value={reason.code}>{reason.label}</option>
+                              ))}
+                            </select>
+                            <input
+                              type="text"
+                              placeholder="Message for the requester (optional)"
+                              maxLength={1000}
+                              value={rejectDraft.reason}
+                              onChange={(e) => setRejectDraft(prev => ({ ...prev, reason: e.target.value }))}
+                              disabled={rejectSubmitting}
+                            />
+                          </div>
+                          <div className="manual-review-actions">
+                            <button className="search-button" onClick={() => handleRejectRequest(request, 'decline')} disabled={rejectSubmitting}>
+                              Decline
+                            </button>
+                            <button className="search-button" onClick={() => handleRejectRequest(request, 'reject')} disabled={rejectSubmitting}>
+                              <Ban size={16} />
+                              {rejectSubmitting ? 'Saving...' : 'Reject'}
+                            </button>
+                          </div>
+                        </div>
+                      )}
                     </div>
                   ))
                 )}
@@ -657,7 +882,10 @@ const AdminDashboard = () => {
 
               {searchResults.length > 0 && (
                 <div className="search-results">
-                  <h3>Search Results for "{searchQuery}"</h3>
+                  <h3>
+                    Search Results for "{searchQuery}"
+                    {searchProfile && <span className="live-job-stage"> {searchProfile.name} quality</span>}
+                  </h3>
                   <div className="results-list">
                     {searchResults.map((result, index) => (
                       <div key={index} className="result-card">
@@ -671,18 +899,51 @@ const AdminDashboard = () => {
                           </div>
                           <div className="result-details">
                             <span className="result-size">💾 {result.formattedSize}</span>
-                            <span className="result-seeders">🌱 {result.source === 'telegram' ? 'Direct' : `${result.seeders} seeders`}</span>
+                            <span className="result-seeders">🌱 {result.source === 'telegram' ? 'Direct' : result.protocol === 'usenet' ? 'Usenet' : `${result.seeders} seeders`}</span>
                             <span className="result-category">📚 {result.categoryName}</span>
+                            {result.score !== undefined && (
+                              <span className="result-category" title={(result.scoreReasons || []).join(', ')}>
+                                ⭐ Score {result.score}
+                              </span>
+                            )}
                           </div>
+                          {result.scoreBreakdown && (
+                            <div className="score-breakdown">
+                              {Object.entries(result.scoreBreakdown).filter(([, points]) => points !== 0).map(([criterion, points]) => (
+                                <span key={criterion} className={points < 0 ? 'penalty' : ''}>
+                                  {criterion} {points > 0 ? `+${points}` : points}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                          {result.scoreReasons?.length > 0 && (
+                            <p className="request-time">{result.scoreReasons.join(' · ')}</p>
+                          )}
+                          {result.blocklisted && (
+                            <p className="request-rejection">Blocklisted: {result.blocklisted.reason || 'no reason given'}</p>
+                          )}
+                        </div>
+                        <div className="request-actions">
+                          <button
+                            onClick={() => handleDownload(result)}
+                            disabled={loading || Boolean(result.blocklisted)}
+                            className="download-button"
+                          >
+                            <Download size={16} />
+                            Download
+                          </button>
+                          {!result.blocklisted && (
+                            <button
+                              onClick={() => handleBlockRelease(result)}
+                              disabled={loading}
+                              className="search-button"
+                              title="Never grab this release for this request"
+                            >
+                              <ShieldOff size={16} />
+                              Block
+                            </button>
+                          )}
                         </div>
-                        <button
-                          onClick={() => handleDownload(result)}
-                          disabled={loading}
-                          className="download-button"
-                        >
-                          <Download size={16} />
-                          Download
-                        </button>
                       </div>
                     ))}
                   </div>
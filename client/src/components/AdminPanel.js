@@ -103,6 +103,7 @@ const AdminPanel = ({ isOpen, onClose }) => {
           magnetUrl: result.magnetUrl,
           title: result.title,
           tracker: result.tracker,
+          protocol: result.protocol || null,
         }),
       });
 
@@ -209,7 +210,7 @@ const AdminPanel = ({ isOpen, onClose }) => {
                           <h4>{result.title}</h4>
                           <div className="result-details">
                             <span className="result-size">{result.formattedSize}</span>
-                            <span className="result-seeders">Seeders: {result.seeders}</span>
+                            <span className="result-seeders">{result.protocol === 'usenet' ? 'Usenet' : `Seeders: ${result.seeders}`}</span>
                             <span className="result-tracker">{result.tracker}</span>
                             <span className="result-category">{result.categoryName}</span>
                           </div>
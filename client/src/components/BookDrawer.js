@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { X, Star, BookOpen, Download, Headphones, Book } from 'lucide-react';
+import { X, Star, BookOpen, Download, Headphones, Book, UserPlus, UserCheck } from 'lucide-react';
 import toast from 'react-hot-toast';
 import './BookDrawer.css';
 
@@ -7,6 +7,11 @@ const BookDrawer = ({ book, isOpen, onClose, onRequest }) => {
   const [requestAudiobook, setRequestAudiobook] = useState(false);
   const [requestEbook, setRequestEbook] = useState(false);
   const [coverImgErrored, setCoverImgErrored] = useState(false);
+  const [quota, setQuota] = useState(null);
+  const [qualityProfiles, setQualityProfiles] = useState([]);
+  const [qualityProfile, setQualityProfile] = useState('');
+  const [followedAuthors, setFollowedAuthors] = useState([]);
+  const [followBusy, setFollowBusy] = useState(false);
   const drawerRef = useRef(null);
   const previousFocusRef = useRef(null);
 
@@ -43,8 +48,44 @@ const BookDrawer = ({ book, isOpen, onClose, onRequest }) => {
     }
   }, [isOpen]);
 
+  // Remaining request budget, refreshed each time the drawer opens
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    fetch('/api/requests/quota')
+      .then((response) => response.json())
+      .then((result) => {
+        if (!cancelled && result?.success) setQuota(result.quota);
+      })
+      .catch((error) => console.error('Error fetching request quota:', error));
+    fetch('/api/quality-profiles')
+      .then((response) => response.json())
+      .then((result) => {
+        if (cancelled || !result?.success) return;
+        setQualityProfiles(result.profiles || []);
+        setQualityProfile(result.userDefault || '');
+      })
+      .catch((error) => console.error('Error fetching quality profiles:', error));
+    fetch('/api/authors/following')
+      .then((response) => response.json())
+      .then((result) => {
+        if (!cancelled && result?.success) setFollowedAuthors(result.follows || []);
+      })
+      .catch((error) => console.error('Error fetching followed authors:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen]);
+
   if (!isOpen || !book) return null;
 
+  const quotaParts = [];
+  if (quota?.remaining) {
+    if (quota.remaining.requests !== null) quotaParts.push(`${quota.remaining.requests} of ${quota.limits.requests} requests`);
+    if (quota.remaining.audiobook !== null) quotaParts.push(`${quota.remaining.audiobook} of ${quota.limits.audiobook} audiobooks`);
+    if (quota.remaining.ebook !== null) quotaParts.push(`${quota.remaining.ebook} of ${quota.limits.ebook} ebooks`);
+  }
+
   const getCoverSrc = (cover) => {
     if (!cover || typeof cover !== 'string') return null;
     if (cover.startsWith('/api/')) return cover;
@@ -54,6 +95,62 @@ const BookDrawer = ({ book, isOpen, onClose, onRequest }) => {
     return cover;
   };
 
+  const authorName = (book.author || '').trim();
+  const followedAuthor = followedAuthors.find(
+    (follow) => follow.authorName.toLowerCase() === authorName.toLowerCase()
+  );
+
+  // New books by the author are requested in the formats ticked below.
+  const handleFollowAuthor = async () => {
+    if (!requestAudiobook && !requestEbook) {
+      toast.error('Tick the formats you want new books in, then follow');
+      return;
+    }
+    setFollowBusy(true);
+    try {
+      const response = await fetch('/api/authors/follow', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          authorName,
+          requestTypes: { audiobook: requestAudiobook, ebook: requestEbook }
+        })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to follow author');
+      }
+      setFollowedAuthors((prev) => [
+        ...prev.filter((follow) => follow.authorId !== result.follow.authorId),
+        result.follow
+      ]);
+      toast.success(`Following ${result.follow.authorName} - new books will be requested automatically`);
+    } catch (error) {
+      console.error('Error following author:', error);
+      toast.error(error.message || 'Failed to follow author');
+    } finally {
+      setFollowBusy(false);
+    }
+  };
+
+  const handleUnfollowAuthor = async () => {
+    setFollowBusy(true);
+    try {
+      const response = await fetch(`/api/authors/follow/${followedAuthor.authorId}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to unfollow author');
+      }
+      setFollowedAuthors((prev) => prev.filter((follow) => follow.authorId !== followedAuthor.authorId));
+      toast.success(`Unfollowed ${followedAuthor.authorName}`);
+    } catch (error) {
+      console.error('Error unfollowing author:', error);
+      toast.error(error.message || 'Failed to unfollow author');
+    } finally {
+      setFollowBusy(false);
+    }
+  };
+
   const handleRequest = () => {
     if (!requestAudiobook && !requestEbook) {
       toast.error('Please select at least one format (Audiobook or Ebook)');
@@ -66,7 +163,8 @@ const BookDrawer = ({ book, isOpen, onClose, onRequest }) => {
       requestTypes: {
         audiobook: requestAudiobook,
         ebook: requestEbook
-      }
+      },
+      qualityProfile: qualityProfile || undefined
     });
   };
 
@@ -100,6 +198,19 @@ const BookDrawer = ({ book, isOpen, onClose, onRequest }) => {
             <div className="book-meta">
               <h1 id="book-title" className="book-title-large">{book.title}</h1>
               <p className="book-author-large">by {book.author}</p>
+              {authorName && authorName !== 'Unknown Author' && (
+                <button
+                  className={`follow-author-button ${followedAuthor ? 'following' : ''}`}
+                  onClick={followedAuthor ? handleUnfollowAuthor : handleFollowAuthor}
+                  disabled={followBusy}
+                  title={followedAuthor
+                    ? 'Stop requesting new books by this author'
+                    : 'Automatically request new books by this author in the formats ticked below'}
+                >
+                  {followedAuthor ? <UserCheck size={16} /> : <UserPlus size={16} />}
+                  {followedAuthor ? `Following ${followedAuthor.authorName}` : `Follow ${authorName}`}
+                </button>
+              )}
 
               <div className="book-stats">
                 <div className="stat">
@@ -162,6 +273,22 @@ const BookDrawer = ({ book, isOpen, onClose, onRequest }) => {
                 ) : (
                   <div className="request-section">
                     <h3>Request Options</h3>
+                    {quotaParts.length > 0 && (
+                      <p className="request-quota">
+                        Remaining this {quota.windowDays === 7 ? 'week' : `${quota.windowDays} days`}: {quotaParts.join(', ')}
+                      </p>
+                    )}
+                    {qualityProfiles.length > 0 && (
+                      <label className="quality-profile-select">
+                        <span>Quality</span>
+                        <select value={qualityProfile} onChange={(e) => setQualityProfile(e.target.value)}>
+                          <option value="">Default</option>
+                          {qualityProfiles.map((profile) => (
+                            <option key={profile.id} value={profile.id}>{profile.name}</option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
                     <div className="format-toggles">
                       <label className={`format-toggle ${requestAudiobook ? 'active' : ''}`}>
                         <input
@@ -206,7 +333,8 @@ const BookDrawer = ({ book, isOpen, onClose, onRequest }) => {
                           requestTypes: {
                             audiobook: true,
                             ebook: true
-                          }
+                          },
+                          qualityProfile: qualityProfile || undefined
                         });
                       }}
                     >
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { ChevronLeft, ChevronRight } from 'lucide-react';
 import './BookRow.css';
 
-const BookRow = ({ category, books, onBookSelect }) => {
+const BookRow = ({ category, books, onBookSelect, onQuickRequest }) => {
   const scrollRef = useRef(null);
   const [showLeftArrow, setShowLeftArrow] = useState(false);
   const [showRightArrow, setShowRightArrow] = useState(true);
@@ -116,6 +116,18 @@ const BookRow = ({ category, books, onBookSelect }) => {
                 <div className="book-overlay">
                   {book.rating ? <div className="book-rating">★ {book.rating}</div> : null}
                 </div>
+                {onQuickRequest && book.libraryStatus !== 'owned' && (
+                  <button
+                    className="quick-request-button"
+                    disabled={book.requested}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onQuickRequest(book);
+                    }}
+                  >
+                    {book.requested ? 'Requested' : 'Request'}
+                  </button>
+                )}
               </div>
               <div className="book-info">
                 <h3 className="book-title">{book.title}</h3>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Shield, Database, RefreshCw, Trash2, CheckCircle, XCircle, Clock, Calendar } from 'lucide-react';
+import { Shield, Database, RefreshCw, Trash2, CheckCircle, XCircle, Clock, Calendar, History, ShieldOff } from 'lucide-react';
 import toast from 'react-hot-toast';
 import Header from './Header';
 import './AdminPanel.css';
@@ -238,6 +238,14 @@ const CacheManagement = () => {
                 <Shield size={18} />
                 Requests
               </a>
+              <a href="/admin/history" className="nav-tab">
+                <History size={18} />
+                History
+              </a>
+              <a href="/admin/blocklist" className="nav-tab">
+                <ShieldOff size={18} />
+                Blocklist
+              </a>
               <a href="/admin/imports" className="nav-tab">
                 <img src="/import-log-icon.png" alt="" style={{ height: '18px', width: 'auto' }} />
                 Import Log
@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from 'react';
+import { UserPlus, UserMinus, Search, Users } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Authors the user follows; new books by them are requested automatically.
+const FollowedAuthors = () => {
+  const [follows, setFollows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [matches, setMatches] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchFollows();
+  }, []);
+
+  const fetchFollows = async () => {
+    try {
+      const response = await fetch('/api/authors/following');
+      const result = await response.json();
+      if (result?.success) {
+        setFollows(result.follows || []);
+      }
+    } catch (error) {
+      console.error('Error fetching followed authors:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (query.trim().length < 2) return;
+    setSearching(true);
+    try {
+      const response = await fetch(`/api/authors/search?q=${encodeURIComponent(query.trim())}`);
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Author search failed');
+      }
+      setMatches(result.authors || []);
+      if ((result.authors || []).length === 0) toast.error('No authors found');
+    } catch (error) {
+      console.error('Error searching authors:', error);
+      toast.error(error.message || 'Author search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const saveFollow = async (author, requestTypes) => {
+    setBusyId(author.id);
+    try {
+      const response = await fetch('/api/authors/follow', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ authorId: author.id, authorName: author.name, requestTypes }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to follow author');
+      }
+      setFollows((prev) => [
+        ...prev.filter((follow) => follow.authorId !== result.follow.authorId),
+        result.follow,
+      ].sort((a, b) => a.authorName.localeCompare(b.authorName)));
+      return true;
+    } catch (error) {
+      console.error('Error following author:', error);
+      toast.error(error.message || 'Failed to follow author');
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleFollow = async (author) => {
+    if (await saveFollow(author, { audiobook: false, ebook: true })) {
+      toast.success(`Following ${author.name}`);
+      setMatches([]);
+      setQuery('');
+    }
+  };
+
+  const handleToggleFormat = (follow, format) => {
+    const requestTypes = { ...follow.requestTypes, [format]: !follow.requestTypes[format] };
+    if (!requestTypes.audiobook && !requestTypes.ebook) {
+      toast.error('Keep at least one format, or unfollow the author');
+      return;
+    }
+    saveFollow({ id: follow.authorId, name: follow.authorName }, requestTypes);
+  };
+
+  const handleUnfollow = async (follow) => {
+    setBusyId(follow.authorId);
+    try {
+      const response = await fetch(`/api/authors/follow/${follow.authorId}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to unfollow author');
+      }
+      setFollows((prev) => prev.filter((entry) => entry.authorId !== follow.authorId));
+      toast.success(`Unfollowed ${follow.authorName}`);
+    } catch (error) {
+      console.error('Error unfollowing author:', error);
+      toast.error(error.message || 'Failed to unfollow author');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="pending-requests">
+      <h3>Followed Authors ({follows.length})</h3>
+      <p className="request-time">
+        New and upcoming books by these authors are requested for you automatically, unless the library already has them.
+      </p>
+
+      <form className="manual-review-grid" onSubmit={handleSearch}>
+        <input
+          type="text"
+          placeholder="Find an author to follow..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <div className="request-actions">
+          <button type="submit" className="search-button" disabled={searching || query.trim().length < 2}>
+            <Search size={16} />
+            {searching ? 'Searching...' : 'Search'}
+          </button>
+        </div>
+      </form>
+
+      {matches.map((author) => (
+        <div key={author.id} className="request-card">
+          <div className="request-info" style={{ flex: 1 }}>
+            <h4>{author.name}</h4>
+            {author.booksCount !== null && <span className="request-time">{author.booksCount} books on Hardcover</span>}
+          </div>
+          <div className="request-actions">
+            <button
+              className="search-button"
+              onClick={() => handleFollow(author)}
+              disabled={busyId === author.id || follows.some((follow) => follow.authorId === author.id)}
+            >
+              <UserPlus size={16} />
+              {follows.some((follow) => follow.authorId === author.id) ? 'Following' : 'Follow'}
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {loading ? (
+        <p className="no-requests">Loading followed authors...</p>
+      ) : follows.length === 0 ? (
+        <p className="no-requests">
+          <Users size={16} /> You are not following any authors yet
+        </p>
+      ) : (
+        follows.map((follow) => (
+          <div key={follow.authorId} className="request-card">
+            <div className="request-info" style={{ flex: 1 }}>
+              <h4>{follow.authorName}</h4>
+              <div className="request-types">
+                <label className="request-time">
+                  <input
+                    type="checkbox"
+                    checked={follow.requestTypes.audiobook}
+                    disabled={busyId === follow.authorId}
+                    onChange={() => handleToggleFormat(follow, 'audiobook')}
+                  />{' '}
+                  Audiobook
+                </label>
+                <label className="request-time">
+                  <input
+                    type="checkbox"
+                    checked={follow.requestTypes.ebook}
+                    disabled={busyId === follow.authorId}
+                    onChange={() => handleToggleFormat(follow, 'ebook')}
+                  />{' '}
+                  Ebook
+                </label>
+              </div>
+              <span className="request-time">
+                Following since {new Date(follow.createdAt).toLocaleDateString()}
+                {follow.lastCheckedAt && ` · last checked ${new Date(follow.lastCheckedAt).toLocaleString()}`}
+              </span>
+            </div>
+            <div className="request-actions">
+              <button
+                className="search-button"
+                onClick={() => handleUnfollow(follow)}
+                disabled={busyId === follow.authorId}
+              >
+                <UserMinus size={16} />
+                Unfollow
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default FollowedAuthors;
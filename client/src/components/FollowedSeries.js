@@ -0,0 +1,277 @@
+import React, { useEffect, useState } from 'react';
+import { Library, Search, Plus, Trash2, Download, ChevronDown, ChevronUp } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const STATUS_LABELS = {
+  owned: 'In library',
+  missing: 'Missing',
+  upcoming: 'Upcoming',
+};
+
+// Series the user follows, with which entries the library has, is missing
+// or are still to come.
+const FollowedSeries = ({ onRequested }) => {
+  const [series, setSeries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [query, setQuery] = useState('');
+  const [matches, setMatches] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    fetchSeries();
+  }, []);
+
+  const fetchSeries = async () => {
+    try {
+      const response = await fetch('/api/series/following');
+      const result = await response.json();
+      if (result?.success) {
+        setSeries(result.series || []);
+      }
+    } catch (error) {
+      console.error('Error fetching followed series:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceSeries = (report) => {
+    setSeries((prev) => [...prev.filter((entry) => entry.id !== report.id), report]);
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (query.trim().length < 2) return;
+    setSearching(true);
+    try {
+      const response = await fetch(`/api/series/search?q=${encodeURIComponent(query.trim())}`);
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Series search failed');
+      }
+      setMatches(result.series || []);
+      if ((result.series || []).length === 0) toast.error('No series found');
+    } catch (error) {
+      console.error('Error searching series:', error);
+      toast.error(error.message || 'Series search failed');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const saveFollow = async (seriesId, requestTypes) => {
+    setBusyId(seriesId);
+    try {
+      const response = await fetch('/api/series/follow', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ seriesId, requestTypes }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to follow series');
+      }
+      replaceSeries(result.series);
+      return result.series;
+    } catch (error) {
+      console.error('Error following series:', error);
+      toast.error(error.message || 'Failed to follow series');
+      return null;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleFollow = async (match) => {
+    const report = await saveFollow(match.id, { audiobook: false, ebook: true });
+    if (report) {
+      toast.success(`Following ${report.name}`);
+      setMatches([]);
+      setQuery('');
+      setExpandedId(report.id);
+    }
+  };
+
+  const handleToggleFormat = (report, format) => {
+    const requestTypes = { ...report.follow.requestTypes, [format]: !report.follow.requestTypes[format] };
+    if (!requestTypes.audiobook && !requestTypes.ebook) {
+      toast.error('Keep at least one format, or unfollow the series');
+      return;
+    }
+    saveFollow(report.id, requestTypes);
+  };
+
+  const handleUnfollow = async (report) => {
+    setBusyId(report.id);
+    try {
+      const response = await fetch(`/api/series/follow/${report.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to unfollow series');
+      }
+      setSeries((prev) => prev.filter((entry) => entry.id !== report.id));
+      toast.success(`Unfollowed ${report.name}`);
+    } catch (error) {
+      console.error('Error unfollowing series:', error);
+      toast.error(error.message || 'Failed to unfollow series');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRequestMissing = async (report) => {
+    setBusyId(report.id);
+    try {
+      const response = await fetch(`/api/series/${report.id}/request-missing`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to request missing books');
+      }
+      toast.success(result.message);
+      if (onRequested) onRequested();
+    } catch (error) {
+      console.error('Error requesting missing series books:', error);
+      toast.error(error.message || 'Failed to request missing books');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const sorted = [...series].sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div className="pending-requests">
+      <h3>Followed Series ({series.length})</h3>
+
+      <form className="manual-review-grid" onSubmit={handleSearch}>
+        <input
+          type="text"
+          placeholder="Find a series to follow..."
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <div className="request-actions">
+          <button type="submit" className="search-button" disabled={searching || query.trim().length < 2}>
+            <Search size={16} />
+            {searching ? 'Searching...' : 'Search'}
+          </button>
+        </div>
+      </form>
+
+      {matches.map((match) => (
+        <div key={match.id} className="request-card">
+          <div className="request-info" style={{ flex: 1 }}>
+            <h4>{match.name}</h4>
+            <span className="request-time">
+              {match.author || 'Unknown author'}
+              {match.booksCount !== null && ` · ${match.booksCount} books`}
+            </span>
+          </div>
+          <div className="request-actions">
+            <button
+              className="search-button"
+              onClick={() => handleFollow(match)}
+              disabled={busyId === match.id || series.some((entry) => entry.id === match.id)}
+            >
+              <Plus size={16} />
+              {series.some((entry) => entry.id === match.id) ? 'Following' : 'Follow'}
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {loading ? (
+        <p className="no-requests">Loading followed series...</p>
+      ) : sorted.length === 0 ? (
+        <p className="no-requests">
+          <Library size={16} /> You are not following any series yet
+        </p>
+      ) : (
+        sorted.map((report) => (
+          <div key={report.id} className="request-card" style={{ flexWrap: 'wrap' }}>
+            <div className="request-info" style={{ flex: 1 }}>
+              <h4>{report.name}</h4>
+              {report.author && <p>by {report.author}</p>}
+              <div className="request-types">
+                <span className="live-job-status status-available">{report.counts.owned} owned</span>
+                {report.counts.missing > 0 && <span className="live-job-status status-failed">{report.counts.missing} missing</span>}
+                {report.counts.upcoming > 0 && <span className="live-job-stage">{report.counts.upcoming} upcoming</span>}
+                {report.counts.new > 0 && <span className="live-job-status status-downloading">{report.counts.new} new</span>}
+              </div>
+              {report.follow && (
+                <div className="request-types">
+                  <label className="request-time">
+                    <input
+                      type="checkbox"
+                      checked={report.follow.requestTypes.audiobook}
+                      disabled={busyId === report.id}
+                      onChange={() => handleToggleFormat(report, 'audiobook')}
+                    />{' '}
+                    Audiobook
+                  </label>
+                  <label className="request-time">
+                    <input
+                      type="checkbox"
+                      checked={report.follow.requestTypes.ebook}
+                      disabled={busyId === report.id}
+                      onChange={() => handleToggleFormat(report, 'ebook')}
+                    />{' '}
+                    Ebook
+                  </label>
+                </div>
+              )}
+            </div>
+            <div className="request-actions">
+              <button
+                className="search-button"
+                onClick={() => setExpandedId(expandedId === report.id ? null : report.id)}
+              >
+                {expandedId === report.id ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                Books
+              </button>
+              {report.counts.missing > 0 && (
+                <button
+                  className="download-button"
+                  onClick={() => handleRequestMissing(report)}
+                  disabled={busyId === report.id}
+                >
+                  <Download size={16} />
+                  Request missing ({report.counts.missing})
+                </button>
+              )}
+              <button
+                className="search-button"
+                onClick={() => handleUnfollow(report)}
+                disabled={busyId === report.id}
+              >
+                <Trash2 size={16} />
+                Unfollow
+              </button>
+            </div>
+            {expandedId === report.id && (
+              <div className="import-list" style={{ width: '100%' }}>
+                {report.entries.map((entry) => (
+                  <div key={entry.position} className="import-info">
+                    <span className="import-label">#{entry.position}</span>
+                    <span>
+                      {entry.title}
+                      {entry.releaseDate && ` (${entry.releaseDate})`}
+                      {' · '}
+                      {STATUS_LABELS[entry.status]}
+                      {entry.status === 'missing' && ` (${entry.missingFormats.join(', ')})`}
+                      {entry.isNew && ' · new'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default FollowedSeries;
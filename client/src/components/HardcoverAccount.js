@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import { BookMarked, Link2, Unlink } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Link the user's own Hardcover account: their Want to Read shelf shows up
+// on the dashboard, and books they requested are marked Owned on Hardcover
+// once they land in the library.
+const HardcoverAccount = () => {
+  const [account, setAccount] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [token, setToken] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchAccount();
+  }, []);
+
+  const fetchAccount = async () => {
+    try {
+      const response = await fetch('/api/hardcover/account');
+      const result = await response.json();
+      if (result?.success) {
+        setAccount(result.account);
+      }
+    } catch (error) {
+      console.error('Error fetching Hardcover account:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLink = async (e) => {
+    e.preventDefault();
+    if (!token.trim()) return;
+    setSaving(true);
+    try {
+      const response = await fetch('/api/hardcover/account', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: token.trim() }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to link Hardcover account');
+      }
+      setAccount(result.account);
+      setToken('');
+      toast.success(`Linked Hardcover account ${result.account.username}`);
+    } catch (error) {
+      console.error('Error linking Hardcover account:', error);
+      toast.error(error.message || 'Failed to link Hardcover account');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnlink = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch('/api/hardcover/account', { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to unlink Hardcover account');
+      }
+      setAccount(null);
+      toast.success('Hardcover account unlinked');
+    } catch (error) {
+      console.error('Error unlinking Hardcover account:', error);
+      toast.error(error.message || 'Failed to unlink Hardcover account');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="pending-requests">
+      <h3>Hardcover</h3>
+
+      {loading ? (
+        <p className="no-requests">Loading Hardcover account...</p>
+      ) : account ? (
+        <div className="request-card">
+          <div className="request-info" style={{ flex: 1 }}>
+            <h4>
+              <BookMarked size={16} /> {account.username}
+            </h4>
+            <p>Your Want to Read shelf is on the dashboard. Books you request are marked Owned on Hardcover once they are in the library.</p>
+            <span className="request-time">
+              Linked {new Date(account.linkedAt).toLocaleDateString()}
+              {account.markedOwned > 0 && ` · ${account.markedOwned} marked owned`}
+            </span>
+            {account.lastError && (
+              <p className="request-rejection">Last sync failed: {account.lastError}. Re-link with a new token if this keeps happening.</p>
+            )}
+          </div>
+          <div className="request-actions">
+            <button className="search-button" onClick={handleUnlink} disabled={saving}>
+              <Unlink size={16} />
+              Unlink
+            </button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <p className="request-time">
+            Paste the API token from hardcover.app/account/api to see your Want to Read shelf on the dashboard.
+          </p>
+          <form className="manual-review-grid" onSubmit={handleLink}>
+            <input
+              type="password"
+              placeholder="Hardcover API token"
+              value={token}
+              onChange={(e) => setToken(e.target.value)}
+              autoComplete="off"
+            />
+            <div className="request-actions">
+              <button type="submit" className="search-button" disabled={saving || !token.trim()}>
+                <Link2 size={16} />
+                {saving ? 'Linking...' : 'Link account'}
+              </button>
+            </div>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HardcoverAccount;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Search, Menu, Settings, LogOut, User } from 'lucide-react';
+import { Search, Menu, Settings, LogOut, User, ListChecks } from 'lucide-react';
 import '../App.css';
 
 const Header = ({
@@ -39,6 +39,10 @@ const Header = ({
         window.location.href = '/';
     };
 
+    const handleMyRequestsClick = () => {
+        window.location.href = '/requests';
+    };
+
     return (
         <header className="header">
             <div className="header-content">
@@ -87,6 +91,14 @@ const Header = ({
                                                 Admin Panel
                                             </button>
                                         )}
+                                        <button
+                                          onClick={() => { handleMyRequestsClick(); closeBurgerMenu(); }}
+                                          className="burger-menu-item"
+                                          role="menuitem"
+                                        >
+                                            <ListChecks size={18} aria-hidden="true" />
+                                            My Requests
+                                        </button>
                                         <button
                                           onClick={() => { onUserChange(); closeBurgerMenu(); }}
                                           className="burger-menu-item"
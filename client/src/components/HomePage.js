@@ -15,6 +15,7 @@ const HomePage = () => {
   const [isUserSelectorOpen, setIsUserSelectorOpen] = useState(false);
   const [isBurgerMenuOpen, setIsBurgerMenuOpen] = useState(false);
   const [isAdmin, setIsAdmin] = useState(false);
+  const [wantToRead, setWantToRead] = useState([]);
 
   useEffect(() => {
     const timeoutId = setTimeout(() => {
@@ -90,6 +91,18 @@ const HomePage = () => {
     }
   }, [selectedUser]);
 
+  // Personal row from the user's linked Hardcover account, if any.
+  useEffect(() => {
+    if (!selectedUser) {
+      setWantToRead([]);
+      return;
+    }
+    fetch('/api/hardcover/want-to-read')
+      .then(res => res.json())
+      .then(data => setWantToRead(data?.success && data.linked ? data.books || [] : []))
+      .catch(err => console.error('Hardcover Want to Read fetch error:', err));
+  }, [selectedUser]);
+
   const handleBookSelect = (book) => {
     setSelectedBook(book);
     setIsDrawerOpen(true);
@@ -115,6 +128,7 @@ const HomePage = () => {
             audiobook: false,
             ebook: true
           },
+          qualityProfile: requestData?.qualityProfile,
           userId: selectedUser.id,
           userEmail: selectedUser.email,
           username: selectedUser.username
@@ -129,15 +143,36 @@ const HomePage = () => {
         if (requestData?.requestTypes?.ebook) requestTypes.push('ebook');
         const formatText = requestTypes.join(' and ');
 
-        toast.success(`${formatText} request submitted successfully! An admin will review your request.`);
+        if (result.alreadyOwned?.length > 0) {
+          toast.success(result.message);
+        } else if (result.merged) {
+          toast.success(`Someone already asked for this book - your vote was added (${result.votes} votes).`);
+        } else if (result.autoApproved) {
+          toast.success(`${formatText} request submitted and approved - searching now.`);
+        } else {
+          toast.success(`${formatText} request submitted successfully! An admin will review your request.`);
+        }
         setIsDrawerOpen(false);
+        return true;
       } else {
-        toast.error('Failed to submit book request');
+        toast.error(result.message || 'Failed to submit book request');
       }
     } catch (error) {
       console.error('Request error:', error);
       toast.error('Error submitting book request');
     }
+    return false;
+  };
+
+  const handleQuickRequest = async (book) => {
+    const requested = await handleBookRequest(book.id, {
+      title: book.title,
+      author: book.author,
+      requestTypes: { audiobook: false, ebook: true }
+    });
+    if (requested) {
+      setWantToRead(prev => prev.map(entry => (entry.id === book.id ? { ...entry, requested: true } : entry)));
+    }
   };
 
   const handleUserSelection = (user) => {
@@ -233,6 +268,16 @@ const HomePage = () => {
 
         {!searchQuery.trim() && (
           <div className="book-categories">
+            {wantToRead.length > 0 && (
+              <div className="category-section">
+                <h2 className="category-title">Your Hardcover Want to Read</h2>
+                <BookRow
+                  books={wantToRead}
+                  onBookSelect={handleBookSelect}
+                  onQuickRequest={handleQuickRequest}
+                />
+              </div>
+            )}
             {categories.map((category) => (
               <div key={category.key} className="category-section">
                 <h2
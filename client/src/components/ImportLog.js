@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { FileCheck, AlertCircle, HardDrive, Trash2, Shield, Database, ClipboardCheck } from 'lucide-react';
+import { FileCheck, AlertCircle, HardDrive, Trash2, Shield, Database, ClipboardCheck, History, ShieldOff } from 'lucide-react';
 import toast from 'react-hot-toast';
 import Header from './Header';
 import { useAuth } from '../context/AuthContext';
@@ -148,7 +148,7 @@ const ImportLog = () => {
         );
     };
 
-    const getOperationBadge = (operation) => {
+    const getOperationBadge = (operation, seeding) => {
         return (
             <span style={{
                 background: operation === 'hardlink' ? '#3b82f6' : '#8b5cf6',
@@ -158,7 +158,8 @@ const ImportLog = () => {
                 fontSize: '0.75rem',
                 fontWeight: '600'
             }}>
-                {operation === 'hardlink' ? '🔗 MAM' : '📦 Move'}
+                {operation === 'hardlink' ? '🔗 Hardlink' : '📦 Move'}
+                {seeding?.policy ? ` · ${seeding.policy}` : ''}
             </span>
         );
     };
@@ -179,6 +180,14 @@ const ImportLog = () => {
                         <Shield size={18} />
                         Requests
                     </Link>
+                    <Link to="/admin/history" className="nav-tab">
+                        <History size={18} />
+                        History
+                    </Link>
+                    <Link to="/admin/blocklist" className="nav-tab">
+                        <ShieldOff size={18} />
+                        Blocklist
+                    </Link>
                     <Link to="/admin/imports" className="nav-tab active">
                         <img src="/import-log-icon.png" alt="" style={{ height: '18px', width: 'auto' }} />
                         Import Log
@@ -230,8 +239,8 @@ const ImportLog = () => {
                             <div className="stat-card">
                                 <HardDrive size={24} color="#3b82f6" />
                                 <div>
-                                    <div className="stat-value">{stats.mamImports}</div>
-                                    <div className="stat-label">MAM Hardlinks</div>
+                                    <div className="stat-value">{stats.hardlinkImports}</div>
+                                    <div className="stat-label">Hardlinked</div>
                                 </div>
                             </div>
                         </div>
@@ -276,7 +285,7 @@ const ImportLog = () => {
                                         <div className="import-header">
                                             <h4>{imp.torrentName}</h4>
                                             <div className="import-badges">
-                                                {getOperationBadge(imp.operation)}
+                                                {getOperationBadge(imp.operation, imp.seeding)}
                                                 {getStatusBadge(imp.status)}
                                             </div>
                                         </div>
@@ -0,0 +1,370 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Upload, Download, Heart, Trash2, FileText } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Header from './Header';
+import { useAuth } from '../context/AuthContext';
+import './AdminPanel.css';
+
+const OUTCOME_LABELS = {
+  requested: 'Requested',
+  wishlisted: 'On wishlist',
+  owned: 'Already in library',
+};
+
+const confidenceClass = (confidence) => {
+  if (confidence >= 85) return 'status-available';
+  if (confidence >= 60) return 'status-pending';
+  return 'status-failed';
+};
+
+// Import a Goodreads / StoryGraph export, review the matches, and turn the
+// chosen rows into requests or wishlist entries.
+const LibraryImport = () => {
+  const { user, logout } = useAuth();
+  const fileInputRef = useRef(null);
+  const [shelves, setShelves] = useState('to-read');
+  const [uploading, setUploading] = useState(false);
+  const [imports, setImports] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [selected, setSelected] = useState(new Set());
+  const [requestTypes, setRequestTypes] = useState({ audiobook: false, ebook: true });
+  const [applying, setApplying] = useState(false);
+  const [wishlist, setWishlist] = useState([]);
+
+  useEffect(() => {
+    fetchImports();
+    fetchWishlist();
+  }, []);
+
+  // Poll while rows are still being matched.
+  useEffect(() => {
+    if (current?.status !== 'resolving') return undefined;
+    const timer = setTimeout(() => openImport(current.id), 3000);
+    return () => clearTimeout(timer);
+  }, [current]);
+
+  const fetchImports = async () => {
+    try {
+      const response = await fetch('/api/imports/library');
+      const result = await response.json();
+      if (result?.success) setImports(result.imports || []);
+    } catch (error) {
+      console.error('Error fetching imports:', error);
+    }
+  };
+
+  const fetchWishlist = async () => {
+    try {
+      const response = await fetch('/api/wishlist');
+      const result = await response.json();
+      if (result?.success) setWishlist(result.wishlist || []);
+    } catch (error) {
+      console.error('Error fetching wishlist:', error);
+    }
+  };
+
+  const openImport = async (id) => {
+    try {
+      const response = await fetch(`/api/imports/library/${id}`);
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to load import');
+      }
+      const loaded = result.import;
+      // Preselect confident, unowned, untouched rows once matching is done.
+      if (loaded.status === 'ready' && (current?.id !== id || current?.status !== 'ready')) {
+        setSelected(new Set(loaded.rows
+          .filter((row) => !row.outcome && row.match?.confidence >= 85 && !row.ownership?.audiobook && !row.ownership?.ebook)
+          .map((row) => row.index)));
+      }
+      setCurrent(loaded);
+    } catch (error) {
+      console.error('Error loading import:', error);
+      toast.error(error.message || 'Failed to load import');
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setUploading(true);
+    try {
+      const text = await file.text();
+      const response = await fetch(`/api/imports/library?shelves=${encodeURIComponent(shelves)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: text,
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Import failed');
+      }
+      toast.success(`Imported ${result.import.rows.length} books - matching them now`);
+      setSelected(new Set());
+      setCurrent(result.import);
+      fetchImports();
+    } catch (error) {
+      console.error('Error uploading export:', error);
+      toast.error(error.message || 'Import failed');
+    } finally {
+      setUploading(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  const toggleRow = (index) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index); else next.add(index);
+      return next;
+    });
+  };
+
+  const handleApply = async (action) => {
+    if (selected.size === 0) {
+      toast.error('Select at least one book');
+      return;
+    }
+    if (action === 'request' && !requestTypes.audiobook && !requestTypes.ebook) {
+      toast.error('Choose at least one format to request');
+      return;
+    }
+    setApplying(true);
+    try {
+      const response = await fetch(`/api/imports/library/${current.id}/apply`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rows: [...selected], action, requestTypes }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to apply import');
+      }
+      const summary = Object.entries(result.counts)
+        .map(([outcome, count]) => `${count} ${OUTCOME_LABELS[outcome].toLowerCase()}`)
+        .join(', ');
+      if (result.deferred) {
+        toast.error(`${summary || 'Nothing requested'} - stopped: ${result.deferred}`);
+      } else {
+        toast.success(summary || 'Nothing to do');
+      }
+      setCurrent(result.import);
+      setSelected(new Set());
+      if (action === 'wishlist') fetchWishlist();
+    } catch (error) {
+      console.error('Error applying import:', error);
+      toast.error(error.message || 'Failed to apply import');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const handleRemoveWishlist = async (entry) => {
+    try {
+      const response = await fetch(`/api/wishlist/${encodeURIComponent(entry.bookId)}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to remove from wishlist');
+      }
+      setWishlist((prev) => prev.filter((item) => item.bookId !== entry.bookId));
+    } catch (error) {
+      console.error('Error removing wishlist entry:', error);
+      toast.error(error.message || 'Failed to remove from wishlist');
+    }
+  };
+
+  const handleRequestWishlist = async (entry) => {
+    try {
+      const response = await fetch(`/api/request/${encodeURIComponent(entry.bookId)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: entry.title, author: entry.author, requestTypes }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Request failed');
+      }
+      toast.success(result.message);
+      await fetch(`/api/wishlist/${encodeURIComponent(entry.bookId)}`, { method: 'DELETE' });
+      setWishlist((prev) => prev.filter((item) => item.bookId !== entry.bookId));
+    } catch (error) {
+      console.error('Error requesting wishlist entry:', error);
+      toast.error(error.message || 'Request failed');
+    }
+  };
+
+  const resolvedCount = current ? current.rows.filter((row) => row.status !== 'pending').length : 0;
+
+  return (
+    <div className="app">
+      <Header
+        showSearch={false}
+        user={user}
+        onAdminClick={null}
+        onLogout={logout}
+      />
+
+      <main className="main-content">
+        <div className="admin-dashboard">
+          <div className="admin-nav">
+            <Link to="/requests" className="nav-tab">
+              <ArrowLeft size={18} />
+              My Requests
+            </Link>
+          </div>
+
+          <div className="pending-requests">
+            <h3>Import from Goodreads or StoryGraph</h3>
+            <p className="request-time">
+              Export your library as CSV (Goodreads: My Books → Import and export; StoryGraph: Manage Account → Export), then upload it here.
+            </p>
+            <div className="manual-review-grid">
+              <label className="request-time">
+                Shelves:{' '}
+                <select value={shelves} onChange={(e) => setShelves(e.target.value)}>
+                  <option value="to-read">To read</option>
+                  <option value="to-read,currently-reading">To read and currently reading</option>
+                  <option value="">Everything</option>
+                </select>
+              </label>
+              <div className="request-actions">
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={handleUpload}
+                  style={{ display: 'none' }}
+                />
+                <button className="search-button" onClick={() => fileInputRef.current?.click()} disabled={uploading}>
+                  <Upload size={16} />
+                  {uploading ? 'Uploading...' : 'Upload CSV'}
+                </button>
+              </div>
+            </div>
+
+            {imports.length > 0 && (
+              <div className="request-types">
+                {imports.map((entry) => (
+                  <button
+                    key={entry.id}
+                    className={`nav-tab ${current?.id === entry.id ? 'active' : ''}`}
+                    onClick={() => openImport(entry.id)}
+                  >
+                    <FileText size={14} />
+                    {entry.source} · {new Date(entry.createdAt).toLocaleDateString()} · {entry.rowCount} books
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {current && (
+            <div className="pending-requests">
+              <h3>
+                Review ({current.rows.length} books
+                {current.status === 'resolving' && `, matching ${resolvedCount}/${current.rows.length}...`})
+              </h3>
+              {current.truncated && (
+                <p className="request-rejection">Only the first {current.rows.length} rows were imported.</p>
+              )}
+
+              <div className="manual-review-grid">
+                <label className="request-time">
+                  <input
+                    type="checkbox"
+                    checked={requestTypes.audiobook}
+                    onChange={(e) => setRequestTypes((prev) => ({ ...prev, audiobook: e.target.checked }))}
+                  />{' '}
+                  Audiobook
+                </label>
+                <label className="request-time">
+                  <input
+                    type="checkbox"
+                    checked={requestTypes.ebook}
+                    onChange={(e) => setRequestTypes((prev) => ({ ...prev, ebook: e.target.checked }))}
+                  />{' '}
+                  Ebook
+                </label>
+                <div className="request-actions">
+                  <button className="download-button" onClick={() => handleApply('request')} disabled={applying || current.status === 'resolving' || selected.size === 0}>
+                    <Download size={16} />
+                    Request selected ({selected.size})
+                  </button>
+                  <button className="search-button" onClick={() => handleApply('wishlist')} disabled={applying || current.status === 'resolving' || selected.size === 0}>
+                    <Heart size={16} />
+                    Add to wishlist
+                  </button>
+                </div>
+              </div>
+
+              {current.rows.map((row) => (
+                <div key={row.index} className="request-card">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(row.index)}
+                    disabled={Boolean(row.outcome) || row.status === 'pending'}
+                    onChange={() => toggleRow(row.index)}
+                    aria-label={`Select ${row.title}`}
+                  />
+                  <div className="request-info" style={{ flex: 1 }}>
+                    <h4>{row.title}</h4>
+                    <p>by {row.author || 'Unknown'}{row.shelf && ` · ${row.shelf}`}</p>
+                    <div className="request-types">
+                      {row.status === 'pending' && <span className="live-job-stage">Matching...</span>}
+                      {row.status === 'unmatched' && <span className="live-job-status status-failed">No match</span>}
+                      {row.match && (
+                        <span className={`live-job-status ${confidenceClass(row.match.confidence)}`}>
+                          {row.match.confidence}% match
+                        </span>
+                      )}
+                      {row.ownership?.audiobook && <span className="format-badge audiobook">Audiobook owned</span>}
+                      {row.ownership?.ebook && <span className="format-badge ebook">Ebook owned</span>}
+                      {row.outcome && <span className="live-job-stage">{OUTCOME_LABELS[row.outcome]}</span>}
+                    </div>
+                    {row.match && (row.match.title !== row.title || row.match.author !== row.author) && (
+                      <span className="request-time">
+                        Matched {row.match.title}{row.match.author && ` by ${row.match.author}`} ({row.match.source})
+                      </span>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="pending-requests">
+            <h3>Wishlist ({wishlist.length})</h3>
+            {wishlist.length === 0 ? (
+              <p className="no-requests">
+                <Heart size={16} /> Nothing on your wishlist yet
+              </p>
+            ) : (
+              wishlist.map((entry) => (
+                <div key={entry.bookId} className="request-card">
+                  <div className="request-info" style={{ flex: 1 }}>
+                    <h4>{entry.title}</h4>
+                    <p>by {entry.author || 'Unknown'}</p>
+                    <span className="request-time">Added {new Date(entry.addedAt).toLocaleDateString()}</span>
+                  </div>
+                  <div className="request-actions">
+                    <button className="download-button" onClick={() => handleRequestWishlist(entry)}>
+                      <Download size={16} />
+                      Request
+                    </button>
+                    <button className="search-button" onClick={() => handleRemoveWishlist(entry)}>
+                      <Trash2 size={16} />
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default LibraryImport;
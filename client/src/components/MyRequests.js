@@ -0,0 +1,427 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Clock, ArrowLeft, Inbox, Pencil, XCircle, Save, ThumbsUp, MessageSquare, Upload } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Header from './Header';
+import RequestComments from './RequestComments';
+import FollowedAuthors from './FollowedAuthors';
+import FollowedSeries from './FollowedSeries';
+import HardcoverAccount from './HardcoverAccount';
+import { useAuth } from '../context/AuthContext';
+import './AdminPanel.css';
+
+const ACTIVE_JOB_STATUSES = new Set(['queued', 'downloading', 'seeding', 'processing', 'scanning']);
+const EDITABLE_STATUSES = new Set(['pending', 'approved']);
+const CANCELLABLE_STATUSES = new Set(['pending', 'approved', 'searching', 'downloading']);
+
+const MyRequests = () => {
+  const { user, logout } = useAuth();
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState({ audiobook: false, ebook: false, note: '', qualityProfile: '' });
+  const [qualityProfiles, setQualityProfiles] = useState([]);
+  const [defaultProfile, setDefaultProfile] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const [openCommentsId, setOpenCommentsId] = useState(null);
+  const [commentRefresh, setCommentRefresh] = useState(0);
+  const openCommentsRef = useRef(null);
+
+  useEffect(() => {
+    openCommentsRef.current = openCommentsId;
+  }, [openCommentsId]);
+
+  useEffect(() => {
+    fetchRequests();
+    fetchQualityProfiles();
+
+    const eventSource = new EventSource('/api/requests/mine/stream');
+    eventSource.onmessage = (event) => {
+      try {
+        const payload = JSON.parse(event.data);
+        if (payload.type === 'snapshot' && Array.isArray(payload.jobs)) {
+          // Newest first; apply oldest first so the newest job wins.
+          [...payload.jobs].reverse().forEach(applyJobUpdate);
+          return;
+        }
+        if (payload.type === 'comment' && payload.requestId) {
+          if (openCommentsRef.current === payload.requestId) {
+            setCommentRefresh((prev) => prev + 1);
+          } else if (payload.comment?.authorRole === 'admin') {
+            setRequests((prev) => prev.map((request) => (
+              request.id === payload.requestId
+                ? { ...request, unreadComments: (request.unreadComments || 0) + 1 }
+                : request
+            )));
+          }
+          return;
+        }
+        if (payload.type === 'update' && payload.job) {
+          applyJobUpdate(payload.job);
+          // Terminal job states usually mean the request itself moved on.
+          if (payload.job.status === 'completed' || payload.job.status === 'failed') {
+            fetchRequests();
+          }
+        }
+      } catch (error) {
+        console.error('Failed to parse job stream payload:', error);
+      }
+    };
+
+    eventSource.onerror = () => {
+      // Browser auto-reconnect handles transient issues.
+    };
+
+    return () => {
+      eventSource.close();
+    };
+  }, []);
+
+  const fetchRequests = async () => {
+    try {
+      const response = await fetch('/api/requests/mine');
+      const result = await response.json();
+      if (result?.success && Array.isArray(result.requests)) {
+        setRequests(result.requests);
+      }
+    } catch (error) {
+      console.error('Error fetching my requests:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchQualityProfiles = async () => {
+    try {
+      const response = await fetch('/api/quality-profiles');
+      const result = await response.json();
+      if (result?.success) {
+        setQualityProfiles(result.profiles || []);
+        setDefaultProfile(result.userDefault || '');
+      }
+    } catch (error) {
+      console.error('Error fetching quality profiles:', error);
+    }
+  };
+
+  const handleDefaultProfileChange = async (profileId) => {
+    const previous = defaultProfile;
+    setDefaultProfile(profileId);
+    try {
+      const response = await fetch('/api/quality-profiles/default', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ profileId }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to save default quality');
+      }
+      toast.success('Default quality saved');
+    } catch (error) {
+      console.error('Error saving default quality profile:', error);
+      setDefaultProfile(previous);
+      toast.error(error.message || 'Failed to save default quality');
+    }
+  };
+
+  const applyJobUpdate = (job) => {
+    if (!job?.requestId) return;
+    setRequests((prev) => prev.map((request) => {
+      if (request.id !== job.requestId) return request;
+      const jobIsLive = ACTIVE_JOB_STATUSES.has(job.status);
+      // One job per format: a finished format must not hide another one
+      // that is still downloading.
+      const shownIsOtherLiveFormat = request.job && ACTIVE_JOB_STATUSES.has(request.job.status) &&
+        (request.job.format || null) !== (job.format || null);
+      if (!jobIsLive && shownIsOtherLiveFormat) return request;
+      return {
+        ...request,
+        stage: jobIsLive ? (job.stage || job.status) : request.stage,
+        job: {
+          status: job.status || null,
+          stage: job.stage || null,
+          format: job.format || null,
+          progressPct: job.progressPct ?? null,
+          eta: job.eta ?? null,
+          downloadSpeed: job.downloadSpeed ?? null,
+          error: job.error || null,
+          updatedAt: job.updatedAt || null,
+          lastMessage: job.events?.[0]?.message || null,
+        },
+      };
+    }));
+  };
+
+  const startEditing = (request) => {
+    setEditingId(request.id);
+    setEditDraft({
+      audiobook: Boolean(request.requestTypes?.audiobook),
+      ebook: Boolean(request.requestTypes?.ebook),
+      note: request.note || '',
+      qualityProfile: request.qualityProfile || '',
+    });
+  };
+
+  const handleSaveEdit = async (request) => {
+    if (!editDraft.audiobook && !editDraft.ebook) {
+      toast.error('Select at least one format');
+      return;
+    }
+
+    try {
+      setBusyId(request.id);
+      const response = await fetch(`/api/requests/${request.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          requestTypes: { audiobook: editDraft.audiobook, ebook: editDraft.ebook },
+          note: editDraft.note,
+          qualityProfile: editDraft.qualityProfile,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to update request');
+      }
+      toast.success('Request updated');
+      setEditingId(null);
+      fetchRequests();
+    } catch (error) {
+      console.error('Error updating request:', error);
+      toast.error(error.message || 'Failed to update request');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    const isShared = (request.votes || 1) > 1;
+    const prompt = isShared
+      ? `Withdraw your vote for "${request.title}"? The request stays open for the others who asked for it.`
+      : `Cancel your request for "${request.title}"?`;
+    if (!window.confirm(prompt)) return;
+
+    try {
+      setBusyId(request.id);
+      const response = await fetch(`/api/requests/${request.id}/cancel`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to cancel request');
+      }
+      toast.success(result.withdrawn ? 'Vote withdrawn' : 'Request cancelled');
+      setEditingId(null);
+      fetchRequests();
+    } catch (error) {
+      console.error('Error cancelling request:', error);
+      toast.error(error.message || 'Failed to cancel request');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const markCommentsRead = (requestId) => {
+    setRequests((prev) => prev.map((request) => (
+      request.id === requestId ? { ...request, unreadComments: 0 } : request
+    )));
+  };
+
+  const formatStage = (value) => String(value || 'pending').replace(/_/g, ' ');
+
+  const renderRequest = (request) => {
+    const job = request.job;
+    const showProgress = job && ACTIVE_JOB_STATUSES.has(job.status);
+    const lastEvent = request.events?.[request.events.length - 1];
+    const isEditing = editingId === request.id;
+    const isBusy = busyId === request.id;
+    const isShared = (request.votes || 1) > 1;
+    const canEdit = EDITABLE_STATUSES.has(request.status || 'pending') && !isShared;
+    const canCancel = CANCELLABLE_STATUSES.has(request.status || 'pending');
+
+    return (
+      <div key={request.id} className="request-card">
+        <div className="request-info" style={{ flex: 1 }}>
+          <h4>{request.title}</h4>
+          <p>by {request.author}</p>
+          <div className="request-types">
+            <span className={`live-job-status status-${request.status || 'pending'}`}>{request.status || 'pending'}</span>
+            {request.requestTypes?.audiobook && <span className="format-badge audiobook">Audiobook</span>}
+            {request.requestTypes?.ebook && <span className="format-badge ebook">Ebook</span>}
+            {isShared && <span className="vote-badge"><ThumbsUp size={14} /> {request.votes}</span>}
+            {request.stage && request.stage !== request.status && (
+              <span className="live-job-stage">{formatStage(request.stage)}</span>
+            )}
+          </div>
+          {showProgress && (
+            <div className="live-job-progress-wrap">
+              <div className="live-job-progress-bar" style={{ width: `${Math.max(0, Math.min(100, Number(job.progressPct || 0)))}%` }} />
+            </div>
+          )}
+          <span className="request-time">
+            <Clock size={14} />
+            Requested {new Date(request.createdAt || request.submittedAt).toLocaleString()}
+            {request.source === 'followed_author' && request.followedAuthor && ` · automatically, you follow ${request.followedAuthor.name}`}
+          </span>
+          {(job?.lastMessage || lastEvent?.message) && (
+            <span className="request-time">
+              {job?.lastMessage || lastEvent.message}
+            </span>
+          )}
+          {request.status === 'rejected' && request.rejection && (
+            <p className="request-rejection">
+              {request.rejection.kind === 'declined' ? 'Declined' : 'Rejected'}: {request.rejection.label}
+            </p>
+          )}
+          {request.note && !isEditing && (
+            <p className="request-note">Note: {request.note}</p>
+          )}
+          {openCommentsId === request.id && (
+            <RequestComments
+              endpoint={`/api/requests/${request.id}/comments`}
+              refreshKey={commentRefresh}
+              onRead={() => markCommentsRead(request.id)}
+            />
+          )}
+          {isEditing && (
+            <div className="manual-review-panel">
+              <strong>Edit Request</strong>
+              <div className="request-types">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={editDraft.audiobook}
+                    onChange={(e) => setEditDraft((prev) => ({ ...prev, audiobook: e.target.checked }))}
+                    disabled={isBusy}
+                  />
+                  {' '}Audiobook
+                </label>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={editDraft.ebook}
+                    onChange={(e) => setEditDraft((prev) => ({ ...prev, ebook: e.target.checked }))}
+                    disabled={isBusy}
+                  />
+                  {' '}Ebook
+                </label>
+              </div>
+              <div className="manual-review-grid">
+                <input
+                  type="text"
+                  placeholder="Note for the admin (optional)"
+                  maxLength={1000}
+                  value={editDraft.note}
+                  onChange={(e) => setEditDraft((prev) => ({ ...prev, note: e.target.value }))}
+                  disabled={isBusy}
+                />
+                {qualityProfiles.length > 0 && (
+                  <select
+                    value={editDraft.qualityProfile}
+                    onChange={(e) => setEditDraft((prev) => ({ ...prev, qualityProfile: e.target.value }))}
+                    disabled={isBusy}
+                  >
+                    <option value="">Default quality</option>
+                    {qualityProfiles.map((profile) => (
+                      <option key={profile.id} value={profile.id}>{profile.name}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+              <div className="manual-review-actions">
+                <button className="search-button" onClick={() => handleSaveEdit(request)} disabled={isBusy}>
+                  <Save size={16} />
+                  {isBusy ? 'Saving...' : 'Save'}
+                </button>
+                <button className="search-button" onClick={() => setEditingId(null)} disabled={isBusy}>
+                  Close
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+        {!isEditing && (
+          <div className="request-actions" style={{ flexDirection: 'column', alignItems: 'stretch', minWidth: '130px' }}>
+            <button
+              className="search-button"
+              onClick={() => setOpenCommentsId(openCommentsId === request.id ? null : request.id)}
+              style={{ justifyContent: 'center' }}
+            >
+              <MessageSquare size={16} /> Comments
+              {request.unreadComments > 0 && <span className="comment-unread">{request.unreadComments}</span>}
+            </button>
+            {canEdit && (
+              <button className="search-button" onClick={() => startEditing(request)} disabled={isBusy} style={{ justifyContent: 'center' }}>
+                <Pencil size={16} /> Edit
+              </button>
+            )}
+            {canCancel && (
+              <button className="search-button" onClick={() => handleCancel(request)} disabled={isBusy} style={{ justifyContent: 'center' }}>
+                <XCircle size={16} /> {isBusy ? 'Cancelling...' : (isShared ? 'Withdraw Vote' : 'Cancel')}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="app">
+      <Header
+        showSearch={false}
+        user={user}
+        onAdminClick={null}
+        onLogout={logout}
+      />
+
+      <main className="main-content">
+        <div className="admin-dashboard">
+          <div className="admin-nav">
+            <Link to="/" className="nav-tab">
+              <ArrowLeft size={18} />
+              Back to Library
+            </Link>
+            <Link to="/import" className="nav-tab">
+              <Upload size={18} />
+              Import & Wishlist
+            </Link>
+          </div>
+
+          <div className="pending-requests">
+            <h3>My Requests ({requests.length})</h3>
+            {qualityProfiles.length > 0 && (
+              <div className="manual-review-grid">
+                <label className="request-time">
+                  Default quality for new requests:{' '}
+                  <select value={defaultProfile} onChange={(e) => handleDefaultProfileChange(e.target.value)}>
+                    <option value="">Server default</option>
+                    {qualityProfiles.map((profile) => (
+                      <option key={profile.id} value={profile.id}>{profile.name}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            )}
+            {loading ? (
+              <p className="no-requests">Loading your requests...</p>
+            ) : requests.length === 0 ? (
+              <p className="no-requests">
+                <Inbox size={16} /> You have not requested any books yet
+              </p>
+            ) : (
+              requests.map(renderRequest)
+            )}
+          </div>
+
+          <FollowedAuthors />
+
+          <FollowedSeries onRequested={fetchRequests} />
+
+          <HardcoverAccount />
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default MyRequests;
@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Shield, Database, History, ShieldOff, Trash2, Clock, Search } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Header from './Header';
+import { useAuth } from '../context/AuthContext';
+import './AdminPanel.css';
+
+const ReleaseBlocklist = () => {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('');
+  const [removingId, setRemovingId] = useState(null);
+
+  useEffect(() => {
+    fetchEntries();
+  }, []);
+
+  const fetchEntries = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch('/api/admin/blocklist');
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to fetch blocklist');
+      }
+      setEntries(data.entries || []);
+    } catch (error) {
+      console.error('Error fetching blocklist:', error);
+      toast.error(error.message || 'Failed to fetch blocklist');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    setRemovingId(entry.id);
+    try {
+      const response = await fetch(`/api/admin/blocklist/${entry.id}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to remove entry');
+      }
+      setEntries((prev) => prev.filter((e) => e.id !== entry.id));
+      toast.success('Release unblocked');
+    } catch (error) {
+      console.error('Error removing blocklist entry:', error);
+      toast.error(error.message || 'Failed to remove entry');
+    } finally {
+      setRemovingId(null);
+    }
+  };
+
+  const needle = filter.trim().toLowerCase();
+  const visible = needle
+    ? entries.filter((entry) => [entry.title, entry.reason, entry.requestId, entry.infoHash, entry.indexer]
+      .some((value) => String(value || '').toLowerCase().includes(needle)))
+    : entries;
+
+  return (
+    <div className="app">
+      <Header
+        showSearch={false}
+        user={user}
+        onAdminClick={() => navigate('/admin')}
+        onLogout={logout}
+        onLogoClick={() => navigate('/')}
+      />
+
+      <main className="admin-main">
+        <div className="admin-nav">
+          <Link to="/admin" className="nav-tab">
+            <Shield size={18} />
+            Requests
+          </Link>
+          <Link to="/admin/history" className="nav-tab">
+            <History size={18} />
+            History
+          </Link>
+          <Link to="/admin/blocklist" className="nav-tab active">
+            <ShieldOff size={18} />
+            Blocklist
+          </Link>
+          <Link to="/admin/imports" className="nav-tab">
+            <img src="/import-log-icon.png" alt="" style={{ height: '18px', width: 'auto' }} />
+            Import Log
+          </Link>
+          <Link to="/admin/cache" className="nav-tab">
+            <Database size={18} />
+            Cache
+          </Link>
+        </div>
+
+        <div className="import-log-container">
+          <div className="import-log-header">
+            <h2>Release Blocklist ({entries.length})</h2>
+          </div>
+
+          <div className="manual-review-grid history-filters">
+            <input
+              type="text"
+              placeholder="Filter by title, reason, request id, hash..."
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+            />
+            <div className="request-actions">
+              <button type="button" className="search-button" onClick={fetchEntries} disabled={loading}>
+                <Search size={16} />
+                Refresh
+              </button>
+            </div>
+          </div>
+
+          {loading ? (
+            <div className="loading-spinner"></div>
+          ) : (
+            <div className="import-list">
+              {visible.length === 0 ? (
+                <p className="no-imports">
+                  <Clock size={16} /> No blocked releases
+                </p>
+              ) : (
+                visible.map((entry) => (
+                  <div key={entry.id} className="import-card">
+                    <div className="import-header">
+                      <h4>{entry.title || entry.infoHash || entry.guid || `Telegram message ${entry.telegramMessageId}`}</h4>
+                      <div className="import-badges">
+                        <span className="live-job-stage">{entry.source || 'unknown'}</span>
+                        <button
+                          className="search-button"
+                          onClick={() => handleRemove(entry)}
+                          disabled={removingId === entry.id}
+                        >
+                          <Trash2 size={16} />
+                          {removingId === entry.id ? 'Removing...' : 'Unblock'}
+                        </button>
+                      </div>
+                    </div>
+                    <div className="import-details">
+                      <div className="import-info">
+                        <span className="import-label">Request:</span>
+                        <span>{entry.requestId || 'all requests'}</span>
+                      </div>
+                      {entry.indexer && (
+                        <div className="import-info">
+                          <span className="import-label">Indexer:</span>
+                          <span>{entry.indexer}</span>
+                        </div>
+                      )}
+                      {entry.infoHash && (
+                        <div className="import-info">
+                          <span className="import-label">Infohash:</span>
+                          <span>{entry.infoHash}</span>
+                        </div>
+                      )}
+                      <div className="import-info">
+                        <span className="import-label">Blocked:</span>
+                        <span>{new Date(entry.createdAt).toLocaleString()} by {entry.createdBy || 'system'}</span>
+                      </div>
+                    </div>
+                    {entry.reason && <p className="request-rejection">Reason: {entry.reason}</p>}
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default ReleaseBlocklist;
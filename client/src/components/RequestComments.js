@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react';
+import { Send } from 'lucide-react';
+import toast from 'react-hot-toast';
+import './AdminPanel.css';
+
+// Comment thread for one request. `endpoint` is the comments URL for the
+// caller's side: /api/requests/:id/comments or /api/admin/requests/:id/comments.
+// Bump `refreshKey` to reload (e.g. when a comment arrives over SSE).
+const RequestComments = ({ endpoint, refreshKey = 0, onRead }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    fetchComments();
+  }, [endpoint, refreshKey]);
+
+  const fetchComments = async () => {
+    try {
+      const response = await fetch(endpoint);
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to load comments');
+      }
+      setComments(result.comments || []);
+      onRead?.();
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    setSending(true);
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ body: draft.trim() }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to post comment');
+      }
+      setComments((prev) => [...prev, result.comment]);
+      setDraft('');
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      toast.error(error.message || 'Failed to post comment');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="manual-review-panel request-comments">
+      <strong>Comments</strong>
+      {loading ? (
+        <p className="request-time">Loading comments...</p>
+      ) : comments.length === 0 ? (
+        <p className="request-time">No comments yet</p>
+      ) : (
+        <div className="comment-list">
+          {comments.map((comment) => (
+            <div key={comment.id} className={`comment-item ${comment.authorRole === 'admin' ? 'from-admin' : ''}`}>
+              <div className="comment-meta">
+                <span className="user-name">{comment.authorName || 'unknown'}</span>
+                {comment.authorRole === 'admin' && <span className="live-job-stage">admin</span>}
+                <span className="request-time">{new Date(comment.createdAt).toLocaleString()}</span>
+              </div>
+              <p>{comment.body}</p>
+            </div>
+          ))}
+        </div>
+      )}
+      <form className="manual-review-grid" onSubmit={handleSend}>
+        <input
+          type="text"
+          placeholder="Write a comment..."
+          maxLength={4000}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          disabled={sending}
+        />
+        <div className="request-actions">
+          <button type="submit" className="search-button" disabled={sending || !draft.trim()}>
+            <Send size={16} />
+            {sending ? 'Sending...' : 'Send'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RequestComments;
@@ -0,0 +1,266 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Shield, Database, History, Search, Clock, ChevronLeft, ChevronRight, ShieldOff } from 'lucide-react';
+import toast from 'react-hot-toast';
+import Header from './Header';
+import { useAuth } from '../context/AuthContext';
+import './AdminPanel.css';
+
+const EMPTY_FILTERS = {
+  q: '',
+  user: '',
+  status: '',
+  format: '',
+  source: '',
+  from: '',
+  to: '',
+};
+
+const RequestHistory = () => {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ entries: [], total: 0, totalPages: 1, sources: [] });
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [appliedFilters, page]);
+
+  const fetchHistory = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: '25' });
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+
+      const response = await fetch(`/api/admin/history?${params.toString()}`);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to fetch history');
+      }
+      setResult(data);
+    } catch (error) {
+      console.error('Error fetching history:', error);
+      toast.error(error.message || 'Failed to fetch history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setAppliedFilters(filters);
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setAppliedFilters(EMPTY_FILTERS);
+  };
+
+  const reopenRequest = async (entry) => {
+    try {
+      const response = await fetch(`/api/admin/requests/${entry.id}/reopen`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to reopen request');
+      }
+      toast.success(`Reopened "${entry.title}"`);
+      fetchHistory();
+    } catch (error) {
+      console.error('Error reopening request:', error);
+      toast.error(error.message || 'Failed to reopen request');
+    }
+  };
+
+  const renderEntry = (entry) => {
+    const requesters = (entry.interestedUsers || [])
+      .map((u) => u.username || u.userEmail || u.requestedBy)
+      .filter(Boolean);
+
+    return (
+      <div key={`${entry.id}-${entry.completedAt}`} className="import-card">
+        <div className="import-header">
+          <h4>{entry.title}</h4>
+          <div className="import-badges">
+            <span className={`live-job-status status-${entry.status}`}>{entry.status}</span>
+            {entry.requestTypes?.audiobook && <span className="format-badge audiobook">Audiobook</span>}
+            {entry.requestTypes?.ebook && <span className="format-badge ebook">Ebook</span>}
+          </div>
+        </div>
+        <div className="import-details">
+          <div className="import-info">
+            <span className="import-label">Author:</span>
+            <span>{entry.author}</span>
+          </div>
+          <div className="import-info">
+            <span className="import-label">Requested by:</span>
+            <span>{requesters.join(', ') || entry.username || 'unknown'}</span>
+          </div>
+          <div className="import-info">
+            <span className="import-label">Source:</span>
+            <span>{entry.source || 'request'}</span>
+          </div>
+          <div className="import-info">
+            <span className="import-label">Closed:</span>
+            <span>{new Date(entry.completedAt || entry.createdAt).toLocaleString()}</span>
+          </div>
+        </div>
+        {entry.rejection?.label && (
+          <p className="request-rejection">Reason: {entry.rejection.label}</p>
+        )}
+        {entry.reopenedAt && (
+          <p className="request-rejection">Reopened {new Date(entry.reopenedAt).toLocaleString()}</p>
+        )}
+        {entry.status === 'rejected' && entry.rejection?.kind === 'declined' && !entry.reopenedAt && (
+          <div className="request-actions">
+            <button type="button" className="search-button" onClick={() => reopenRequest(entry)}>
+              Reopen
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="app">
+      <Header
+        showSearch={false}
+        user={user}
+        onAdminClick={() => navigate('/admin')}
+        onLogout={logout}
+        onLogoClick={() => navigate('/')}
+      />
+
+      <main className="admin-main">
+        <div className="admin-nav">
+          <Link to="/admin" className="nav-tab">
+            <Shield size={18} />
+            Requests
+          </Link>
+          <Link to="/admin/history" className="nav-tab active">
+            <History size={18} />
+            History
+          </Link>
+          <Link to="/admin/blocklist" className="nav-tab">
+            <ShieldOff size={18} />
+            Blocklist
+          </Link>
+          <Link to="/admin/imports" className="nav-tab">
+            <img src="/import-log-icon.png" alt="" style={{ height: '18px', width: 'auto' }} />
+            Import Log
+          </Link>
+          <Link to="/admin/cache" className="nav-tab">
+            <Database size={18} />
+            Cache
+          </Link>
+        </div>
+
+        <div className="import-log-container">
+          <div className="import-log-header">
+            <h2>Request History ({result.total})</h2>
+          </div>
+
+          <form className="manual-review-grid history-filters" onSubmit={applyFilters}>
+            <input
+              type="text"
+              placeholder="Title, author, ISBN..."
+              value={filters.q}
+              onChange={(e) => handleFilterChange('q', e.target.value)}
+            />
+            <input
+              type="text"
+              placeholder="User"
+              value={filters.user}
+              onChange={(e) => handleFilterChange('user', e.target.value)}
+            />
+            <select value={filters.status} onChange={(e) => handleFilterChange('status', e.target.value)}>
+              <option value="">Any status</option>
+              <option value="available">Available</option>
+              <option value="rejected">Rejected</option>
+              <option value="cancelled">Cancelled</option>
+            </select>
+            <select value={filters.format} onChange={(e) => handleFilterChange('format', e.target.value)}>
+              <option value="">Any format</option>
+              <option value="audiobook">Audiobook</option>
+              <option value="ebook">Ebook</option>
+            </select>
+            <select value={filters.source} onChange={(e) => handleFilterChange('source', e.target.value)}>
+              <option value="">Any source</option>
+              {(result.sources || []).map((source) => (
+                <option key={source} value={source}>{source}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              title="Closed on or after"
+              value={filters.from}
+              onChange={(e) => handleFilterChange('from', e.target.value)}
+            />
+            <input
+              type="date"
+              title="Closed on or before"
+              value={filters.to}
+              onChange={(e) => handleFilterChange('to', e.target.value)}
+            />
+            <div className="request-actions">
+              <button type="submit" className="search-button">
+                <Search size={16} />
+                Search
+              </button>
+              <button type="button" className="search-button" onClick={resetFilters}>
+                Reset
+              </button>
+            </div>
+          </form>
+
+          {loading ? (
+            <div className="loading-spinner"></div>
+          ) : (
+            <div className="import-list">
+              {result.entries.length === 0 ? (
+                <p className="no-imports">
+                  <Clock size={16} /> No matching requests
+                </p>
+              ) : (
+                result.entries.map(renderEntry)
+              )}
+            </div>
+          )}
+
+          {result.totalPages > 1 && (
+            <div className="history-pagination">
+              <button
+                className="search-button"
+                onClick={() => setPage((prev) => Math.max(1, prev - 1))}
+                disabled={loading || page <= 1}
+              >
+                <ChevronLeft size={16} /> Previous
+              </button>
+              <span>Page {result.page} of {result.totalPages}</span>
+              <button
+                className="search-button"
+                onClick={() => setPage((prev) => Math.min(result.totalPages, prev + 1))}
+                disabled={loading || page >= result.totalPages}
+              >
+                Next <ChevronRight size={16} />
+              </button>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default RequestHistory;
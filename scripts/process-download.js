@@ -3,10 +3,18 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const database = require('../server/services/database');
+const torrentClient = require('../server/services/torrentClients');
+const { usenetClient, isUsenetKey } = require('../server/services/usenetClients');
+const seedingPolicies = require('../server/services/seedingPolicies');
+const { requestIdFromTags } = require('../server/utils/torrentTags');
 
 // Parse command line arguments from qBittorrent
-// %I = Info hash, %N = Name, %F = Content path, %T = Tracker, %L = Category
-const [infoHash, torrentName, contentPath, tracker, category] = process.argv.slice(2);
+// %I = Info hash, %N = Name, %F = Content path, %T = Tracker, %L = Category, %G = Tags
+// Usenet downloads pass their usenet-<client>-<id> key in place of the info hash.
+const [infoHash, torrentName, contentPath, tracker, category, tags] = process.argv.slice(2);
+// The Onyx request this torrent was added for, from its request tag
+const requestId = requestIdFromTags(tags);
 const importOverride = (() => {
     const raw = process.env.IMPORT_OVERRIDE_JSON;
     if (!raw) return null;
@@ -26,9 +34,6 @@ const KEEP_IMAGES = ['cover.jpg', 'cover.png', 'folder.jpg', 'folder.png'];
 
 const AUDIOBOOK_DEST = '/mnt/unionfs/Media/Audiobooks';
 const EBOOK_DEST = '/mnt/books/ebooks';
-const LOG_FILE = '/app/data/import_log.json';
-const MAM_MIN_SEED_HOURS = Number(process.env.MAM_MIN_SEED_HOURS || 72);
-const MAM_RATIO_LIMIT = process.env.MAM_RATIO_LIMIT;
 const INTERNAL_PROGRESS_URL = process.env.INTERNAL_PROGRESS_URL || 'http://localhost:3000/api/internal/download-progress';
 
 function normalizeForKey(value) {
@@ -303,11 +308,6 @@ function importEbookPack({ sourceDir, destBase, overrideAuthor, overrideSeries,
     return results;
 }
 
-// Detect if this is a MyAnonymouse torrent
-function isMAM(trackerUrl) {
-    return trackerUrl && trackerUrl.includes('myanonamouse.net');
-}
-
 // Parse torrent name to extract author and title
 function parseTorrentName(name) {
     // Remove file extension if present
@@ -511,7 +511,7 @@ function processFile(sourcePath, destPath, useHardlink) {
                 if (linkError.code === 'EXDEV') {
                     console.log(`[WARN] Cross-device hardlink not supported, using copy instead`);
                     fs.copyFileSync(sourcePath, destPath);
-                    console.log(`[COPY] ${sourcePath} -> ${destPath} (MAM - keeps seeding)`);
+                    console.log(`[COPY] ${sourcePath} -> ${destPath} (keeps seeding)`);
                 } else {
                     throw linkError;
                 }
@@ -679,6 +679,7 @@ async function emitProgress(stage, payload = {}) {
             {
                 hash: infoHash,
                 title: torrentName,
+                tags: tags || '',
                 stage,
                 ...payload
             },
@@ -695,129 +696,75 @@ async function emitProgress(stage, payload = {}) {
     }
 }
 
-async function getQbitAuthCookie() {
-    const qbitUrl = process.env.QBIT_URL || 'http://qbittorrent:8080';
-    const qbitUser = (process.env.QBIT_USER || '').trim();
-    const qbitPass = (process.env.QBIT_PASS || '').trim();
-
-    if (!qbitUser || !qbitPass) {
-        throw new Error('Missing qBittorrent credentials (QBIT_USER/QBIT_PASS)');
-    }
-
-    const response = await axios.post(
-        `${qbitUrl}/api/v2/auth/login`,
-        new URLSearchParams({
-            username: qbitUser,
-            password: qbitPass
-        }),
-        {
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            timeout: 10000
-        }
-    );
-
-    const setCookie = response.headers['set-cookie'];
-    if (!setCookie || !setCookie[0]) {
-        throw new Error('qBittorrent authentication did not return a cookie');
-    }
-
-    return { cookie: setCookie[0], qbitUrl };
-}
-
-async function applyMamShareLimits(torrentHash) {
-    const seedingSeconds = Math.max(0, Math.floor(MAM_MIN_SEED_HOURS * 3600));
-    const ratioLimit = Number.isFinite(Number(MAM_RATIO_LIMIT))
-        ? Number(MAM_RATIO_LIMIT)
-        : -2; // Keep qBittorrent global ratio when unset
+// Hand a policy's seeding goals to the torrent client as share limits. Only
+// for policies that keep the torrent: ones that remove it are left to the
+// server's seeding enforcer, so the client does not stop seeding early.
+async function applyShareLimits(torrentHash, policy) {
+    const seedingTimeMinutes = Math.floor(policy.minSeedHours * 60) || null;
+    const ratioLimit = policy.ratioLimit; // null keeps the client's global limit
 
     if (!torrentHash) {
-        console.log('[WARN] Cannot set MAM share limits: missing torrent hash');
+        console.log('[WARN] Cannot set share limits: missing torrent hash');
         return false;
     }
 
-    try {
-        const { cookie, qbitUrl } = await getQbitAuthCookie();
-
-        await axios.post(
-            `${qbitUrl}/api/v2/torrents/setShareLimits`,
-            new URLSearchParams({
-                hashes: torrentHash,
-                ratioLimit: String(ratioLimit),
-                seedingTimeLimit: String(seedingSeconds),
-                inactiveSeedingTimeLimit: '-2'
-            }),
-            {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    'Cookie': cookie
-                },
-                timeout: 10000
-            }
-        );
-
-        console.log(`[QBIT] Applied MAM share limits to ${torrentHash}: seedingTimeLimit=${seedingSeconds}s ratioLimit=${ratioLimit}`);
-        return true;
-    } catch (error) {
-        console.error(`[WARN] Failed to apply MAM share limits: ${error.message}`);
+    const result = await torrentClient.setShareLimits(torrentHash, { ratioLimit, seedingTimeMinutes });
+    if (!result.success) {
+        console.error(`[WARN] Failed to apply share limits: ${result.message}`);
         return false;
     }
+
+    console.log(`[TORRENT] Applied "${policy.name}" share limits to ${torrentHash} in ${torrentClient.label}: seedingTimeLimit=${seedingTimeMinutes ?? 'global'}m ratioLimit=${ratioLimit ?? 'global'}`);
+    return true;
 }
 
-async function removeTorrentFromQbit(torrentHash) {
+async function removeTorrentFromClient(torrentHash) {
     if (!torrentHash) {
         console.log('[WARN] Cannot remove torrent: missing torrent hash');
         return false;
     }
 
-    try {
-        const { cookie, qbitUrl } = await getQbitAuthCookie();
-
-        await axios.post(
-            `${qbitUrl}/api/v2/torrents/delete`,
-            new URLSearchParams({
-                hashes: torrentHash,
-                deleteFiles: 'true'
-            }),
-            {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    'Cookie': cookie
-                },
-                timeout: 10000
-            }
-        );
-
-        console.log(`[QBIT] Removed non-MAM torrent and data: ${torrentHash}`);
+    // Nothing seeds a Usenet download; clear what is left of it from the Usenet client.
+    if (isUsenetKey(torrentHash)) {
+        const result = usenetClient
+            ? await usenetClient.removeDownload(torrentHash, true)
+            : { success: false, message: 'No Usenet client is configured' };
+        if (!result.success) {
+            console.error(`[WARN] Failed to remove Usenet download ${torrentHash}: ${result.message}`);
+            return false;
+        }
+        console.log(`[USENET] Removed Usenet download and leftover data: ${torrentHash}`);
         return true;
-    } catch (error) {
-        console.error(`[WARN] Failed to remove non-MAM torrent ${torrentHash}: ${error.message}`);
+    }
+
+    const result = await torrentClient.deleteTorrent(torrentHash, true);
+    if (!result.success) {
+        console.error(`[WARN] Failed to remove torrent ${torrentHash}: ${result.message}`);
         return false;
     }
+
+    console.log(`[TORRENT] Removed torrent and data: ${torrentHash}`);
+    return true;
 }
 
-// Log import result
+// Log import result (shared SQLite database, read by the server's import log)
 function logImport(result) {
     try {
-        let log = { imports: [] };
-
-        if (fs.existsSync(LOG_FILE)) {
-            log = JSON.parse(fs.readFileSync(LOG_FILE, 'utf8'));
-        }
-
-        log.imports.unshift({
+        const entry = {
             id: `${Date.now()}-${infoHash}`,
             torrentHash: infoHash,
             torrentName,
             tracker,
             category,
+            requestId,
             ...result,
             timestamp: new Date().toISOString()
-        });
-
-        // Keep only last 100 imports
-        log.imports = log.imports.slice(0, 100);
+        };
 
-        fs.writeFileSync(LOG_FILE, JSON.stringify(log, null, 2));
+        database.connection.prepare(`
+            INSERT INTO import_log (id, torrent_hash, status, timestamp, data)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(entry.id, entry.torrentHash || null, entry.status || null, entry.timestamp, JSON.stringify(entry));
         console.log('[LOG] Import logged successfully');
     } catch (error) {
         console.error(`[ERROR] Failed to log import: ${error.message}`);
@@ -831,15 +778,19 @@ async function main() {
     console.log(`Path: ${contentPath}`);
     console.log(`Tracker: ${tracker}`);
     console.log(`Category: ${category}`);
+    console.log(`Request: ${requestId || 'none (no request tag)'}`);
 
     if (!contentPath || !fs.existsSync(contentPath)) {
         console.error('[ERROR] Content path does not exist');
         process.exit(1);
     }
 
-    const useHardlink = isMAM(tracker);
+    // The tracker's seeding policy decides hardlink vs move and what happens
+    // to the torrent after import.
+    const policy = seedingPolicies.resolve(tracker);
+    const useHardlink = policy.hardlink;
     const operation = useHardlink ? 'hardlink' : 'move';
-    console.log(`[INFO] Operation: ${operation} (MAM: ${useHardlink})`);
+    console.log(`[INFO] Operation: ${operation} (seeding policy: ${policy.name})`);
     await emitProgress('processing_started', {
         status: 'processing',
         message: 'Post-download processing started'
@@ -915,9 +866,7 @@ async function main() {
                 filesSkipped: 0,
                 errors: [{ file: path.basename(contentPath), error: reasonText }],
                 scanTriggered: false,
-                mamLimitsApplied: false,
-                mamMinSeedHours: useHardlink ? MAM_MIN_SEED_HOURS : null,
-                nonMamTorrentRemoved: false
+                seeding: null
             });
 
             process.exit(2);
@@ -1006,14 +955,27 @@ async function main() {
         error: results.errors.length > 0 ? 'Processing errors detected' : null
     });
 
-    // Only apply MAM share limits after a successful import run.
-    // This ensures qBittorrent only removes source data after the library copy/link is in place.
-    let mamLimitsApplied = false;
-    if (useHardlink && mediaType !== 'unknown' && results.errors.length === 0) {
-        mamLimitsApplied = await applyMamShareLimits(infoHash);
-        await emitProgress('mam_limits_applied', {
+    // Only act on the seeding policy after a successful import run.
+    // This ensures the torrent client only removes source data after the library copy/link is in place.
+    // The policy is recorded on the import so the server's seeding enforcer can finish the job.
+    const imported = mediaType !== 'unknown' && results.errors.length === 0 && (results.processed > 0 || results.skipped > 0);
+    const usenet = isUsenetKey(infoHash);
+    const seeding = imported ? {
+        policy: policy.name,
+        minSeedHours: policy.minSeedHours,
+        ratioLimit: policy.ratioLimit,
+        deleteWhenDone: policy.deleteWhenDone,
+        limitsApplied: false,
+        finishedAt: null,
+        outcome: null
+    } : null;
+    if (imported && !usenet && !policy.deleteWhenDone && seedingPolicies.hasGoals(policy)) {
+        seeding.limitsApplied = await applyShareLimits(infoHash, policy);
+        await emitProgress('share_limits_applied', {
             status: 'processing',
-            message: mamLimitsApplied ? `Applied MAM seed limit (${MAM_MIN_SEED_HOURS}h)` : 'Failed to apply MAM seed limits'
+            message: seeding.limitsApplied
+                ? `Applied "${policy.name}" seeding limits (${policy.minSeedHours}h, ratio ${policy.ratioLimit ?? 'global'})`
+                : 'Failed to apply seeding limits'
         });
     }
 
@@ -1029,13 +991,18 @@ async function main() {
         });
     }
 
-    // For non-MAM torrents, remove torrent+download data after successful import and scan trigger.
-    let nonMamTorrentRemoved = false;
-    if (!useHardlink && mediaType !== 'unknown' && results.errors.length === 0 && (results.processed > 0 || results.skipped > 0)) {
-        nonMamTorrentRemoved = await removeTorrentFromQbit(infoHash);
-        await emitProgress('non_mam_cleanup', {
+    // Policies that remove torrents without seeding first (and every Usenet download) remove
+    // torrent+download data now, after the scan trigger. Torrents that still have to seed are
+    // removed by the server's seeding enforcer, which also retries a removal that failed here.
+    if (imported && policy.deleteWhenDone && (usenet || !seedingPolicies.hasGoals(policy))) {
+        const removed = await removeTorrentFromClient(infoHash);
+        if (removed || usenet) {
+            seeding.finishedAt = new Date().toISOString();
+            seeding.outcome = removed ? 'removed' : 'removal failed';
+        }
+        await emitProgress('seeding_cleanup', {
             status: 'processing',
-            message: nonMamTorrentRemoved ? 'Removed non-MAM torrent and source data' : 'Failed to remove non-MAM torrent/source data'
+            message: removed ? 'Removed torrent and source data' : 'Failed to remove torrent/source data'
         });
     }
 
@@ -1050,9 +1017,7 @@ async function main() {
         filesSkipped: results.skipped,
         errors: results.errors,
         scanTriggered,
-        mamLimitsApplied,
-        mamMinSeedHours: useHardlink ? MAM_MIN_SEED_HOURS : null,
-        nonMamTorrentRemoved
+        seeding
     });
 
     console.log('[DONE] Processing complete');
@@ -10,7 +10,9 @@ const SQLiteStore = require('connect-sqlite3')(session);
 
 const { execFile } = require('child_process');
 const prowlarrService = require('./services/prowlarr');
-const qbittorrentService = require('./services/qbittorrent');
+const torrentClient = require('./services/torrentClients');
+const { usenetClient, isUsenetKey } = require('./services/usenetClients');
+const seedingPolicies = require('./services/seedingPolicies');
 const dataStore = require('./services/dataStore');
 const audiobookshelfService = require('./services/audiobookshelf');
 const MetadataAggregator = require('./metadata_aggregator');
@@ -21,6 +23,8 @@ const coverResolver = require('./services/coverResolver');
 const discoveryCache = require('./services/discoveryCache');
 // const aiBookCurator = require('./services/aiBookCurator'); // Temporarily disabled - file deleted
 const cacheCleaner = require('./utils/cacheCleaner');
+const { normTitle: normTitleBase } = require('./utils/titleMatch');
+const { requestIdFromTags, formatFromTags } = require('./utils/torrentTags');
 const masterBookCache = require('./services/masterBookCache');
 const { mockBooks } = require('./mockData');
 const telegramService = require('./services/telegram');
@@ -28,7 +32,16 @@ const directDownloadService = require('./services/directDownload');
 const userStore = require('./services/userStore');
 const telegramBotNotifier = require('./services/telegramBotNotifier');
 const downloadJobStore = require('./services/downloadJobStore');
+const requestPolicy = require('./services/requestPolicy');
+const releaseScorer = require('./services/releaseScorer');
+const qualityProfiles = require('./services/qualityProfiles');
+const releaseBlocklist = require('./services/releaseBlocklist');
+const authorFollows = require('./services/authorFollows');
+const hardcoverService = require('./services/hardcoverService');
 const LibraryOwnershipIndex = require('./services/libraryOwnershipIndex');
+const SeriesTracker = require('./services/seriesTracker');
+const LibraryImportService = require('./services/libraryImport');
+const HardcoverAccounts = require('./services/hardcoverAccounts');
 const { DashboardSnapshotService, DASHBOARD_GENRES } = require('./services/dashboardSnapshot');
 const {
   passport,
@@ -68,6 +81,20 @@ const ownershipIndex = new LibraryOwnershipIndex({
   audiobookshelfService,
   libraryScanner
 });
+const seriesTracker = new SeriesTracker({
+  hardcoverService,
+  metadataAggregator,
+  ownershipIndex
+});
+const libraryImports = new LibraryImportService({
+  googleBooksApi,
+  hardcoverService,
+  ownershipIndex
+});
+const hardcoverAccounts = new HardcoverAccounts({
+  hardcoverService,
+  ownershipIndex
+});
 const dashboardSnapshotService = new DashboardSnapshotService({
   discoveryCache,
   masterBookCache,
@@ -79,6 +106,9 @@ let incrementalRefreshIndex = 0;
 let incrementalRefreshInFlight = false;
 let nightlyAbsMaintenanceInFlight = false;
 let nightlyAbsMaintenanceLastRunDate = null;
+let autoGrabInFlight = false;
+let followedAuthorsInFlight = false;
+let seriesRefreshInFlight = false;
 
 app.use(helmet({
   contentSecurityPolicy: {
@@ -436,19 +466,7 @@ app.get('/api/books/:category', async (req, res) => {
       // Aggressive title normalisation for deduplication.
       // Uses 3 words so foreign/alternate editions collapse ("Inferno - ein neuer Fall" → "inferno").
       // HP series books collide at this level but are already distinct in the master cache.
-      const normTitle = (t) => {
-        let s = (t || '').toLowerCase();
-        s = s.replace(/\s+by\s+\S.*$/, '');                          // strip " by Author"
-        s = s.replace(/\s*-\s+.+$/, '');                             // strip " - subtitle" (foreign editions etc.)
-        s = s.replace(/\s*\([^)]*\)\s*/g, ' ');                      // strip (…)
-        s = s.replace(/\s*\[[^\]]*\]\s*/g, ' ');                     // strip […]
-        s = s.replace(/\s*:.*$/, '');                                 // strip subtitle after ":"
-        s = s.replace(/\s+#\d+\S*/g, ' ');                           // strip "#N" series marker
-        s = s.replace(/\s+(?:book|vol\.?|volume)\s+\d+\S*/gi, ' '); // strip "Book N" / "Vol N"
-        s = s.replace(/^(?:the|a|an)\s+/, '');                       // strip leading article
-        s = s.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
-        return s.split(/\s+/).slice(0, 3).join(' ');
-      };
+      const normTitle = (t) => normTitleBase(t, { maxWords: 3 });
 
       const isbnSeen  = new Map(); // isbn → index in deduped[]
       const titleSeen = new Map(); // normTitle → index in deduped[]
@@ -528,6 +546,242 @@ app.get('/api/book/:id', (req, res) => {
   });
 });
 
+// Tell everyone who asked for a book (original requester and +1 voters) once
+// every requested format has landed in the library, or when an admin turns
+// the request down.
+dataStore.emitter.on('transition', ({ request, to }) => {
+  if (!['available', 'rejected'].includes(to) || !telegramBotNotifier?.sendNotification) return;
+
+  const formats = ['audiobook', 'ebook']
+    .filter((format) => request.requestTypes?.[format])
+    .map((format) => (format === 'audiobook' ? 'Audiobook' : 'Ebook'))
+    .join(' + ');
+  const details = to === 'rejected'
+    ? {
+      type: 'request_rejected',
+      kind: request.rejection?.kind || 'rejected',
+      reason: request.rejection?.label || null,
+    }
+    : { type: 'request_available' };
+
+  for (const entry of request.interestedUsers || []) {
+    Promise.resolve().then(() => telegramBotNotifier.sendNotification({
+      ...details,
+      requestId: request.id,
+      title: request.title,
+      author: request.author,
+      formats,
+      votes: request.votes,
+      recipient: {
+        username: entry.username || null,
+        email: entry.userEmail || null,
+        userId: entry.requestedBy || null,
+      },
+    })).catch((error) => {
+      console.error(`[REQUESTS] Failed to notify ${entry.username || entry.userEmail || entry.requestedBy} about request ${request.id}:`, error.message || error);
+    });
+  }
+});
+
+// Add books that landed in the library to the Hardcover "Owned" list of
+// everyone who asked for them and linked their Hardcover account.
+dataStore.emitter.on('transition', ({ request, to }) => {
+  if (to !== 'available') return;
+  hardcoverAccounts.markRequestOwned(request).catch((error) => {
+    console.error(`[HARDCOVER] Failed to sync owned status for request ${request.id}:`, error.message);
+  });
+});
+
+// Resolve which request (and format) a torrent belongs to. The hash recorded
+// on the request at download start wins; the job's requestId is the fallback
+// for torrents whose hash could not be resolved when they were added.
+async function resolveRequestForTorrent(hash, job = null) {
+  const byHash = await dataStore.findRequestByTorrentHash(hash);
+  if (byHash) return byHash;
+
+  if (job?.requestId) {
+    const request = await dataStore.getRequestById(job.requestId);
+    if (request) {
+      const format = ['audiobook', 'ebook'].find((f) =>
+        ['downloading', 'importing'].includes(request.fulfillment?.[f]?.status)
+      ) || null;
+      return { request, format };
+    }
+  }
+
+  return null;
+}
+
+// Never throws: a blocklist write must not break the download pipeline.
+function blocklistRelease(requestId, release, actor = 'download-pipeline') {
+  try {
+    return releaseBlocklist.add({ requestId, ...release }, { actor });
+  } catch (error) {
+    console.error(`[BLOCKLIST] Could not blocklist release for request ${requestId}:`, error.message);
+    return null;
+  }
+}
+
+// Move the request behind a torrent through the lifecycle. Best-effort: a
+// missing request or a rejected transition is logged but never fails the caller.
+async function syncRequestLifecycle(hash, job, outcome, reason = null) {
+  try {
+    const match = await resolveRequestForTorrent(hash, job);
+    if (!match) return null;
+
+    const { request, format } = match;
+    const options = { actor: 'download-pipeline' };
+
+    if (outcome === 'importing') {
+      return await dataStore.markFormatImporting(request.id, format, options);
+    }
+    if (outcome === 'available') {
+      const fulfillment = await dataStore.markFormatFulfilled(request.id, format, {}, options);
+      return fulfillment.request;
+    }
+    if (outcome === 'failed') {
+      // Remember the release that failed so nobody grabs it again.
+      const release = request.fulfillment?.[format] || {};
+      blocklistRelease(request.id, {
+        infoHash: hash || release.torrentHash || release.infoHash,
+        guid: release.guid,
+        title: release.title || job?.title || null,
+        source: release.source || 'prowlarr',
+        indexer: release.indexer || release.tracker || null,
+        reason: reason || 'Import failed',
+      });
+      return await dataStore.markFormatFailed(request.id, format, reason, options);
+    }
+  } catch (error) {
+    console.error(`[LIFECYCLE] Could not move request for ${hash || 'unknown hash'} to ${outcome}:`, error.message);
+  }
+  return null;
+}
+
+// Give a job the hash of its torrent when the hash was not known at add time
+// but the torrent carries the job's request tag (for the job's format).
+// Returns the request id.
+function linkTaggedTorrent(hash, tags) {
+  const requestId = requestIdFromTags(tags);
+  const normalizedHash = String(hash || '').toLowerCase();
+  if (!requestId || !normalizedHash) return requestId;
+
+  const format = formatFromTags(tags);
+  const job = downloadJobStore.getJobsForRequest(requestId)
+    .find((j) => !j.torrentHash && (!format || !j.format || j.format === format));
+  if (job) {
+    downloadJobStore.upsertJob(requestId, { format: job.format, torrentHash: normalizedHash }, `Torrent found by request tag (hash ${normalizedHash.slice(0, 8)}...)`);
+  }
+  return requestId;
+}
+
+// Hashes of every release already handed to a client for a request, which a
+// request tag lookup must not pick up again.
+function getKnownTorrentHashes(request) {
+  return [
+    ...Object.values(request?.fulfillment || {}).map((entry) => entry?.torrentHash),
+    ...(request?.downloadAttempts || []).map((attempt) => attempt.torrentHash),
+  ].filter(Boolean);
+}
+
+// Torrents currently being run through process-download.js.
+const processingHashes = new Set();
+
+// Import a finished torrent with scripts/process-download.js and move its job
+// and request along. Called by the qBittorrent completion webhook and, when
+// that never fires, by the progress poller; Usenet downloads come from the
+// Usenet poller (via 'usenet'). Resolves to { outcome, output }
+// where outcome is 'completed', 'manual_review', 'failed' or 'skipped' (the
+// torrent is already being processed or was processed before).
+async function processCompletedDownload({ hash, name, contentPath, tracker, category, tags }, { via = 'webhook' } = {}) {
+  linkTaggedTorrent(hash, tags);
+  const normalizedHash = String(hash || '').toLowerCase();
+  const previous = normalizedHash ? downloadJobStore.getJobByHash(hash) : null;
+  if (normalizedHash && (processingHashes.has(normalizedHash) || previous?.status === 'completed')) {
+    console.log(`[${via.toUpperCase()}] ${name || hash} is already ${previous?.status === 'completed' ? 'imported' : 'being processed'}; skipping`);
+    return { outcome: 'skipped', output: '' };
+  }
+
+  // Claimed before the first await so a webhook and the poller cannot both
+  // start an import of the same torrent.
+  if (normalizedHash) processingHashes.add(normalizedHash);
+  try {
+    const job = downloadJobStore.updateByHash(hash, {
+      title: name || null,
+      tracker: tracker || null,
+      status: 'processing',
+      stage: 'processing',
+      progressPct: 100,
+      eta: 0,
+      downloadSpeed: 0,
+      stalled: false,
+    }, via === 'poller'
+      ? `Download completed in ${torrentClient.label} (no webhook received), starting processing`
+      : `Download completed in ${via === 'usenet' ? usenetClient.label : torrentClient.label}, starting processing`);
+
+    await syncRequestLifecycle(hash, job, 'importing');
+
+    // Sanitize inputs to prevent command injection
+    const sanitizeString = (str, allowedChars = '[\\w\\s\\-._]') => {
+      return (str || '').replace(new RegExp(`[^${allowedChars}]`, 'g'), '');
+    };
+
+    const sanitizePath = (str) => {
+      // Keep original path characters (including &, commas, brackets, apostrophes, etc.)
+      // because qBittorrent content paths commonly contain them.
+      // execFile() already prevents command injection; we only reject null bytes.
+      const value = String(str || '');
+      if (value.includes('\0')) return '';
+      return value;
+    };
+
+    const sanitizedHash = sanitizeString(hash || 'webhook');
+    const sanitizedName = sanitizeString(name);
+    const sanitizedPath = sanitizePath(contentPath);
+    const sanitizedTracker = sanitizeString(tracker || 'unknown');
+    const sanitizedCategory = sanitizeString(category || 'books');
+    const sanitizedTags = sanitizeString(tags, '[\\w\\-.,]');
+
+    // Use execFile with argument array instead of execSync with string interpolation
+    // This prevents command injection attacks
+    return await new Promise((resolve) => {
+      execFile('node', ['/app/scripts/process-download.js', sanitizedHash, sanitizedName, sanitizedPath, sanitizedTracker, sanitizedCategory, sanitizedTags], {
+        timeout: 60000
+      }, (error, stdout) => {
+        if (error) {
+          if (error.code === 2) {
+            downloadJobStore.updateByHash(hash, {
+              status: 'failed',
+              stage: 'manual_review_required',
+              error: 'Manual review required before import'
+            }, 'Manual review required before import');
+            syncRequestLifecycle(hash, job, 'failed', 'Manual review required before import');
+            return resolve({ outcome: 'manual_review', output: stdout });
+          }
+          console.error(`[${via.toUpperCase()}] Processing error:`, error.message);
+          downloadJobStore.updateByHash(hash, {
+            status: 'failed',
+            stage: 'failed',
+            error: error.message,
+          }, `Processing failed: ${error.message}`);
+          syncRequestLifecycle(hash, job, 'failed', `Processing failed: ${error.message}`);
+          return resolve({ outcome: 'failed', output: stdout, error: error.message });
+        }
+        console.log(`[${via.toUpperCase()}] Processing result:`, stdout);
+        downloadJobStore.updateByHash(hash, {
+          status: 'completed',
+          stage: 'completed',
+          error: null,
+        }, 'Processing completed successfully');
+        syncRequestLifecycle(hash, job, 'available');
+        resolve({ outcome: 'completed', output: stdout });
+      });
+    });
+  } finally {
+    processingHashes.delete(normalizedHash);
+  }
+}
+
 // Webhook endpoint for qBittorrent download completion
 app.post('/api/webhook/download-complete', async (req, res) => {
   const providedWebhookSecret =
@@ -539,74 +793,952 @@ app.post('/api/webhook/download-complete', async (req, res) => {
     return res.status(401).json({ error: 'Invalid webhook credentials' });
   }
 
-  const { hash, name, path: contentPath, tracker, category } = req.body;
-  downloadJobStore.updateByHash(hash, {
-    title: name || null,
-    tracker: tracker || null,
-    status: 'processing',
-    stage: 'processing',
-    progressPct: 100,
-  }, 'Download completed in qBittorrent, starting processing');
+  const { hash, name, path: contentPath, tracker, category, tags } = req.body;
 
   console.log(`[WEBHOOK] Download complete: ${name}`);
-  console.log(`  Path: ${contentPath} | Tracker: ${tracker} | Category: ${category}`);
+  console.log(`  Path: ${contentPath} | Tracker: ${tracker} | Category: ${category} | Tags: ${tags || 'none'}`);
 
   if (!contentPath) {
     return res.status(400).json({ error: 'Missing path parameter' });
   }
 
-  // Sanitize inputs to prevent command injection
-  const sanitizeString = (str, allowedChars = '[\\w\\s\\-._]') => {
-    return (str || '').replace(new RegExp(`[^${allowedChars}]`, 'g'), '');
+  const result = await processCompletedDownload({ hash, name, contentPath, tracker, category, tags });
+  if (result.outcome === 'skipped') {
+    return res.json({ success: true, skipped: true, message: 'Torrent is already being processed or was imported' });
+  }
+  if (result.outcome === 'manual_review') {
+    return res.json({ success: false, manualReviewRequired: true, output: result.output });
+  }
+  if (result.outcome === 'failed') {
+    return res.status(500).json({ error: result.error, output: result.output });
+  }
+  res.json({ success: true, output: result.output });
+});
+
+// Ids a session user's requests may have been stored under.
+function getSessionUserIdentities(user) {
+  const sessionUser = user || {};
+  return [sessionUser.googleId, sessionUser.email].filter(Boolean);
+}
+
+// The job a requester sees for a request with one job per format: the newest
+// one still in flight, else the newest. `jobs` must be newest first.
+function pickRequesterJob(jobs = []) {
+  return jobs.find((job) => ['queued', 'downloading', 'processing'].includes(job.status)) || jobs[0] || null;
+}
+
+// Requester-facing view of a request: strips internal fields and folds in the
+// live download job so the "My Requests" page can show a single stage.
+function buildRequesterView(request, job = null, unreadComments = 0) {
+  // autoSearch candidates and download attempts carry magnet links and
+  // indexer names; admins only.
+  const { _dedupeKey, autoSearch, downloadAttempts, interestedUsers = [], ...publicRequest } = request;
+  const jobIsLive = Boolean(job) && !dataStore.TERMINAL_STATES.includes(request.status);
+
+  return {
+    ...publicRequest,
+    // Other voters' ids and emails stay server-side.
+    interestedUsers: interestedUsers.map((entry) => ({ username: entry.username || 'Someone', at: entry.at || null })),
+    unreadComments,
+    stage: jobIsLive ? (job.stage || job.status || request.status) : request.status,
+    job: job ? {
+      status: job.status || null,
+      stage: job.stage || null,
+      format: job.format || null,
+      progressPct: job.progressPct ?? null,
+      eta: job.eta ?? null,
+      downloadSpeed: job.downloadSpeed ?? null,
+      error: job.error || null,
+      updatedAt: job.updatedAt || null,
+      lastMessage: job.events?.[0]?.message || null,
+    } : null,
   };
+}
+
+app.get('/api/requests/mine', async (req, res) => {
+  try {
+    const requests = await dataStore.getRequestsForUser(getSessionUserIdentities(req.user));
+    const jobsByRequestId = new Map();
+    for (const job of downloadJobStore.getRecentJobs(500)) {
+      jobsByRequestId.set(job.requestId, [...(jobsByRequestId.get(job.requestId) || []), job]);
+    }
+    const unreadByRequestId = dataStore.getUnreadCommentCounts(getCommentReaderId(req.user));
+
+    res.json({
+      success: true,
+      requests: requests.map((request) => buildRequesterView(
+        request,
+        pickRequesterJob(jobsByRequestId.get(request.id)),
+        unreadByRequestId.get(request.id) || 0
+      )),
+    });
+  } catch (error) {
+    console.error('Error fetching user requests:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch your requests' });
+  }
+});
+
+// Per-user version of /api/admin/jobs/stream: only jobs belonging to the
+// session user's own requests are forwarded.
+app.get('/api/requests/mine/stream', async (req, res) => {
+  const identities = getSessionUserIdentities(req.user);
+  let ownedRequestIds;
+  try {
+    ownedRequestIds = new Set((await dataStore.getRequestsForUser(identities)).map((request) => request.id));
+  } catch (error) {
+    console.error('Error preparing user job stream:', error);
+    return res.status(500).json({ success: false, message: 'Failed to open job stream' });
+  }
 
-  const sanitizePath = (str) => {
-    // Keep original path characters (including &, commas, brackets, apostrophes, etc.)
-    // because qBittorrent content paths commonly contain them.
-    // execFile() already prevents command injection; we only reject null bytes.
-    const value = String(str || '');
-    if (value.includes('\0')) return '';
-    return value;
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+
+  const send = (payload) => {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
   };
 
-  const sanitizedHash = sanitizeString(hash || 'webhook');
-  const sanitizedName = sanitizeString(name);
-  const sanitizedPath = sanitizePath(contentPath);
-  const sanitizedTracker = sanitizeString(tracker || 'unknown');
-  const sanitizedCategory = sanitizeString(category || 'books');
-
-  // Use execFile with argument array instead of execSync with string interpolation
-  // This prevents command injection attacks
-  execFile('node', ['/app/scripts/process-download.js', sanitizedHash, sanitizedName, sanitizedPath, sanitizedTracker, sanitizedCategory], {
-    timeout: 60000
-  }, (error, stdout, stderr) => {
-    if (error) {
-      if (error.code === 2) {
-        downloadJobStore.updateByHash(hash, {
-          status: 'failed',
-          stage: 'manual_review_required',
-          error: 'Manual review required before import'
-        }, 'Manual review required before import');
-        return res.json({ success: false, manualReviewRequired: true, output: stdout });
+  send({
+    type: 'snapshot',
+    jobs: downloadJobStore.getRecentJobs(500).filter((job) => ownedRequestIds.has(job.requestId)),
+  });
+
+  const onUpdate = (update) => {
+    const requestId = update?.job?.requestId;
+    if (!requestId || !ownedRequestIds.has(requestId)) return;
+    send(update);
+  };
+  downloadJobStore.emitter.on('update', onUpdate);
+
+  // Requests the user submits or votes for after the stream opened.
+  const onRequest = ({ request }) => {
+    if (dataStore.isInterestedUser(request, identities)) ownedRequestIds.add(request.id);
+  };
+  dataStore.emitter.on('request', onRequest);
+
+  const onComment = ({ request, comment }) => {
+    if (!ownedRequestIds.has(request.id)) return;
+    send({ type: 'comment', requestId: request.id, comment });
+  };
+  dataStore.emitter.on('comment', onComment);
+
+  const keepAlive = setInterval(() => {
+    res.write(': keepalive\n\n');
+  }, 25000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    downloadJobStore.emitter.off('update', onUpdate);
+    dataStore.emitter.off('request', onRequest);
+    dataStore.emitter.off('comment', onComment);
+    res.end();
+  });
+});
+
+// Comment threads. Read state is tracked per session user (googleId, else email).
+function getCommentReaderId(user) {
+  return getSessionUserIdentities(user)[0] || null;
+}
+
+function getCommentAuthorName(user) {
+  const sessionUser = user || {};
+  return sessionUser.username || sessionUser.displayName || sessionUser.email || 'unknown';
+}
+
+const handleGetComments = (loadRequest) => async (req, res) => {
+  try {
+    const request = await loadRequest(req);
+    const comments = dataStore.getComments(request.id);
+    dataStore.markCommentsRead(request.id, getCommentReaderId(req.user));
+    res.json({ success: true, comments });
+  } catch (error) {
+    sendRequestLifecycleError(res, error, 'Failed to load comments');
+  }
+};
+
+const handlePostComment = (loadRequest, authorRole) => async (req, res) => {
+  try {
+    const request = await loadRequest(req);
+    const comment = await dataStore.addComment(request.id, {
+      authorId: getCommentReaderId(req.user),
+      authorName: getCommentAuthorName(req.user),
+      authorRole,
+      body: req.body?.body,
+    });
+    res.json({ success: true, comment });
+  } catch (error) {
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    sendRequestLifecycleError(res, error, 'Failed to post comment');
+  }
+};
+
+async function getAnyRequest(req) {
+  const request = await dataStore.getRequestById(req.params.requestId || req.params.id);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+  return request;
+}
+
+app.get('/api/requests/:id/comments', handleGetComments((req) => getOwnedRequest(req)));
+app.post('/api/requests/:id/comments', handlePostComment((req) => getOwnedRequest(req), 'requester'));
+app.get('/api/admin/requests/:requestId/comments', requireAdmin, handleGetComments(getAnyRequest));
+app.post('/api/admin/requests/:requestId/comments', requireAdmin, handlePostComment(getAnyRequest, 'admin'));
+
+// Let the other side of the thread know: admin comments go to everyone who
+// asked for the book, requester comments go to the admins.
+dataStore.emitter.on('comment', ({ request, comment }) => {
+  if (!telegramBotNotifier?.sendNotification) return;
+
+  const base = {
+    type: 'request_comment',
+    requestId: request.id,
+    title: request.title,
+    author: request.author,
+    from: comment.authorName,
+    fromRole: comment.authorRole,
+    message: comment.body,
+  };
+  const recipients = comment.authorRole === 'admin'
+    ? (request.interestedUsers || []).map((entry) => ({
+      username: entry.username || null,
+      email: entry.userEmail || null,
+      userId: entry.requestedBy || null,
+    }))
+    : ['admin'];
+
+  for (const recipient of recipients) {
+    Promise.resolve().then(() => telegramBotNotifier.sendNotification({ ...base, recipient })).catch((error) => {
+      console.error(`[REQUESTS] Failed to send comment notification for request ${request.id}:`, error.message || error);
+    });
+  }
+});
+
+
+// Validate a quality profile id from a request body; empty means "use the default".
+async function validateQualityProfileId(profileId) {
+  if (profileId === undefined || profileId === null || profileId === '') return null;
+  if (!(await qualityProfiles.getProfile(String(profileId)))) {
+    const error = new Error(`Unknown quality profile: ${profileId}`);
+    error.code = 'INVALID_PROFILE';
+    throw error;
+  }
+  return String(profileId);
+}
+
+// Map dataStore lifecycle errors onto HTTP responses for requester routes.
+function sendRequestLifecycleError(res, error, fallbackMessage) {
+  if (error.message === 'Request not found') {
+    return res.status(404).json({ success: false, message: 'Request not found' });
+  }
+  if (['INVALID_FORMATS', 'INVALID_PROFILE'].includes(error.code)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (['NOT_EDITABLE', 'INVALID_TRANSITION', 'NOT_CANCELLABLE'].includes(error.code)) {
+    return res.status(409).json({ success: false, message: error.message });
+  }
+  console.error(fallbackMessage, error);
+  return res.status(500).json({ success: false, message: fallbackMessage });
+}
+
+async function getOwnedRequest(req) {
+  const request = await dataStore.getRequestById(req.params.id);
+  if (!request || !dataStore.isInterestedUser(request, getSessionUserIdentities(req.user))) {
+    throw new Error('Request not found');
+  }
+  return request;
+}
+
+app.patch('/api/requests/:id', async (req, res) => {
+  const { requestTypes, note } = req.body || {};
+  const sessionUser = req.user || {};
+
+  try {
+    await getOwnedRequest(req);
+    const qualityProfile = req.body?.qualityProfile === undefined
+      ? undefined
+      : await validateQualityProfileId(req.body.qualityProfile);
+    const request = await dataStore.updateRequestDetails(req.params.id, { requestTypes, note, qualityProfile }, {
+      actor: sessionUser.username || sessionUser.email || 'requester'
+    });
+    res.json({ success: true, request: buildRequesterView(request) });
+  } catch (error) {
+    sendRequestLifecycleError(res, error, 'Failed to update request');
+  }
+});
+
+// Progress (0-1) of a download in the torrent or Usenet client, by the hash
+// (or Usenet key) on its fulfillment entry. 0 when the client does not have it;
+// throws when the client cannot be reached.
+async function getClientDownloadProgress(hash) {
+  if (isUsenetKey(hash)) {
+    const id = usenetClient?.idFromKey(hash);
+    const [download] = id ? await usenetClient.getDownloads([id]) : [];
+    return Number(download?.progressPct || 0) / 100;
+  }
+  const [torrent] = await torrentClient.getTorrentsByHashes([String(hash).toLowerCase()]);
+  return Number(torrent?.progress || 0);
+}
+
+async function removeClientDownload(hash) {
+  if (isUsenetKey(hash)) {
+    return usenetClient
+      ? usenetClient.removeDownload(hash, true)
+      : { success: false, message: 'No Usenet client is configured' };
+  }
+  return torrentClient.deleteTorrent(hash, true);
+}
+
+// Cancel a request. On a shared request this only withdraws the caller's vote.
+// Otherwise downloads that were queued for it but have not downloaded anything
+// yet are removed from their client; anything further along is refused.
+app.post('/api/requests/:id/cancel', async (req, res) => {
+  const sessionUser = req.user || {};
+
+  try {
+    const request = await getOwnedRequest(req);
+
+    if (request.interestedUsers.length > 1) {
+      const updated = await dataStore.withdrawInterest(request.id, getSessionUserIdentities(sessionUser), {
+        actor: sessionUser.username || sessionUser.email || 'requester'
+      });
+      return res.json({ success: true, withdrawn: true, request: buildRequesterView(updated) });
+    }
+
+    const jobs = downloadJobStore.getJobsForRequest(request.id);
+
+    const fulfillmentEntries = Object.values(request.fulfillment || {});
+    if (fulfillmentEntries.some((entry) => ['importing', 'available'].includes(entry?.status))) {
+      const error = new Error('This request is already being imported and can no longer be cancelled');
+      error.code = 'NOT_CANCELLABLE';
+      throw error;
+    }
+
+    const queuedHashes = fulfillmentEntries
+      .filter((entry) => entry?.status === 'downloading' && entry.torrentHash)
+      .map((entry) => entry.torrentHash);
+
+    for (const hash of queuedHashes) {
+      let progress;
+      try {
+        progress = await getClientDownloadProgress(hash);
+      } catch (lookupError) {
+        // Without the client we cannot tell whether it has started downloading.
+        console.error(`[REQUESTS] Could not check download ${hash} for request ${request.id}:`, lookupError.message);
+        const error = new Error('The download client could not be reached; try cancelling again later');
+        error.code = 'NOT_CANCELLABLE';
+        throw error;
+      }
+      if (progress > 0) {
+        const error = new Error('Download has already started and can no longer be cancelled');
+        error.code = 'NOT_CANCELLABLE';
+        throw error;
       }
-      console.error(`[WEBHOOK] Processing error:`, error.message);
-      downloadJobStore.updateByHash(hash, {
-        status: 'failed',
-        stage: 'failed',
-        error: error.message,
-      }, `Processing failed: ${error.message}`);
-      return res.status(500).json({ error: error.message, output: stdout });
     }
-    console.log(`[WEBHOOK] Processing result:`, stdout);
-    downloadJobStore.updateByHash(hash, {
-      status: 'completed',
-      stage: 'completed',
-      error: null,
-    }, 'Processing completed successfully');
-    res.json({ success: true, output: stdout });
-  });
+
+    if (request.status === 'downloading' && queuedHashes.length === 0 && jobs.some((job) => Number(job.progressPct || 0) > 0)) {
+      const error = new Error('Download has already started and can no longer be cancelled');
+      error.code = 'NOT_CANCELLABLE';
+      throw error;
+    }
+
+    for (const hash of queuedHashes) {
+      const removal = await removeClientDownload(hash);
+      if (!removal.success) {
+        console.error(`[REQUESTS] Failed to remove queued download ${hash} for cancelled request ${request.id}: ${removal.message}`);
+      }
+    }
+
+    const cancelled = await dataStore.transitionRequest(request.id, 'cancelled', {
+      actor: sessionUser.username || sessionUser.email || 'requester',
+      message: queuedHashes.length > 0
+        ? `Cancelled by requester (removed ${queuedHashes.length} queued download${queuedHashes.length === 1 ? '' : 's'})`
+        : 'Cancelled by requester'
+    });
+
+    // The cancel is saved; a job store failure must not turn it into an error.
+    for (const job of jobs) {
+      try {
+        downloadJobStore.upsertJob(request.id, { format: job.format, status: 'cancelled', stage: 'cancelled', error: null }, 'Request cancelled by requester');
+      } catch (jobError) {
+        console.error(`[REQUESTS] Failed to mark job ${job.id} cancelled for request ${request.id}:`, jobError.message);
+      }
+    }
+
+    res.json({ success: true, request: buildRequesterView(cancelled) });
+  } catch (error) {
+    sendRequestLifecycleError(res, error, 'Failed to cancel request');
+  }
+});
+
+app.get('/api/quality-profiles', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      profiles: await qualityProfiles.getProfiles(),
+      defaultProfile: await qualityProfiles.getDefaultProfileId(),
+      userDefault: await qualityProfiles.getUserDefault(req.user || {})
+    });
+  } catch (error) {
+    console.error('Error fetching quality profiles:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch quality profiles' });
+  }
+});
+
+// Body: { profileId } - the signed-in user's default profile; empty clears it.
+app.put('/api/quality-profiles/default', async (req, res) => {
+  try {
+    const profileId = await validateQualityProfileId(req.body?.profileId);
+    const userDefault = await qualityProfiles.setUserDefault(req.user || {}, profileId);
+    res.json({ success: true, userDefault });
+  } catch (error) {
+    if (error.code === 'INVALID_PROFILE') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error saving default quality profile:', error);
+    res.status(500).json({ success: false, message: 'Failed to save default quality profile' });
+  }
+});
+
+app.get('/api/requests/quota', async (req, res) => {
+  try {
+    const quota = await requestPolicy.getQuotaStatus(req.user || {});
+    res.json({ success: true, quota });
+  } catch (error) {
+    console.error('Error fetching request quota:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch request quota' });
+  }
 });
 
+app.get('/api/authors/search', async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (q.length < 2) {
+    return res.json({ success: true, authors: [] });
+  }
+  try {
+    const authors = await hardcoverService.searchAuthors(q);
+    res.json({ success: true, authors });
+  } catch (error) {
+    console.error('Error searching authors:', error.message);
+    res.status(500).json({ success: false, message: 'Author search failed' });
+  }
+});
+
+app.get('/api/authors/following', (req, res) => {
+  try {
+    const follows = authorFollows.listForUser(req.user || {});
+    res.json({
+      success: true,
+      follows: follows.map(({ follower, userKey, ...follow }) => follow),
+    });
+  } catch (error) {
+    console.error('Error fetching followed authors:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch followed authors' });
+  }
+});
+
+// Follow by Hardcover author id, or by name (resolved to the closest
+// Hardcover match) when following from a book page.
+app.post('/api/authors/follow', async (req, res) => {
+  const { authorId, authorName, requestTypes } = req.body || {};
+  try {
+    const name = String(authorName || '').trim();
+    if (!authorId && !name) {
+      return res.status(400).json({ success: false, message: 'authorId or authorName is required' });
+    }
+    if (authorId && !(Number(authorId) > 0)) {
+      return res.status(400).json({ success: false, message: 'authorId must be a Hardcover author id' });
+    }
+    let author = null;
+    if (authorId) {
+      author = name ? { id: Number(authorId), name } : await hardcoverService.getAuthor(authorId);
+    } else {
+      const matches = await hardcoverService.searchAuthors(name);
+      const wanted = name.toLowerCase();
+      author = matches.find((match) => match.name.toLowerCase() === wanted) || matches[0] || null;
+    }
+    if (!author) {
+      return res.status(404).json({ success: false, message: `Could not find "${name || authorId}" on Hardcover` });
+    }
+
+    const follow = authorFollows.follow(req.user || {}, {
+      authorId: author.id,
+      authorName: author.name,
+      requestTypes,
+    });
+    console.log(`[FOLLOWS] ${follow.userKey} is following ${follow.authorName} (${follow.authorId})`);
+    const { follower, userKey, ...publicFollow } = follow;
+    res.json({ success: true, follow: publicFollow });
+  } catch (error) {
+    if (error.code === 'INVALID_FOLLOW') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error following author:', error);
+    res.status(500).json({ success: false, message: 'Failed to follow author' });
+  }
+});
+
+app.delete('/api/authors/follow/:authorId', (req, res) => {
+  try {
+    if (!authorFollows.unfollow(req.user || {}, req.params.authorId)) {
+      return res.status(404).json({ success: false, message: 'You are not following this author' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unfollowing author:', error);
+    res.status(500).json({ success: false, message: 'Failed to unfollow author' });
+  }
+});
+
+app.get('/api/series/search', async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (q.length < 2) {
+    return res.json({ success: true, series: [] });
+  }
+  try {
+    const series = await hardcoverService.searchSeries(q);
+    res.json({ success: true, series });
+  } catch (error) {
+    console.error('Error searching series:', error.message);
+    res.status(500).json({ success: false, message: 'Series search failed' });
+  }
+});
+
+app.get('/api/series/following', async (req, res) => {
+  try {
+    const reports = [];
+    for (const follow of seriesTracker.listFollows(req.user || {})) {
+      const series = seriesTracker.getSeries(follow.seriesId);
+      if (series) reports.push(await seriesTracker.buildReport(series, follow));
+    }
+    res.json({ success: true, series: reports });
+  } catch (error) {
+    console.error('Error fetching followed series:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch followed series' });
+  }
+});
+
+// Follow a series (or change which formats count as owned). The series is
+// fetched on first follow so the report is ready straight away.
+app.post('/api/series/follow', async (req, res) => {
+  const { seriesId, requestTypes } = req.body || {};
+  try {
+    if (!Number.isInteger(Number(seriesId)) || Number(seriesId) <= 0) {
+      return res.status(400).json({ success: false, message: 'seriesId is required' });
+    }
+    const series = seriesTracker.getSeries(seriesId) || await seriesTracker.refreshSeries(seriesId);
+    const follow = seriesTracker.follow(req.user || {}, series.id, requestTypes);
+    res.json({ success: true, series: await seriesTracker.buildReport(series, follow) });
+  } catch (error) {
+    if (error.code === 'INVALID_FOLLOW') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 'SERIES_NOT_FOUND') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('Error following series:', error);
+    res.status(500).json({ success: false, message: 'Failed to follow series' });
+  }
+});
+
+app.delete('/api/series/follow/:seriesId', (req, res) => {
+  try {
+    if (!seriesTracker.unfollow(req.user || {}, req.params.seriesId)) {
+      return res.status(404).json({ success: false, message: 'You are not following this series' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unfollowing series:', error);
+    res.status(500).json({ success: false, message: 'Failed to unfollow series' });
+  }
+});
+
+app.get('/api/series/:seriesId', async (req, res) => {
+  try {
+    const series = seriesTracker.getSeries(req.params.seriesId) || await seriesTracker.refreshSeries(req.params.seriesId);
+    const follow = seriesTracker.getFollow(req.user || {}, series.id);
+    res.json({ success: true, series: await seriesTracker.buildReport(series, follow) });
+  } catch (error) {
+    if (error.code === 'SERIES_NOT_FOUND') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('Error fetching series:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch series' });
+  }
+});
+
+// Request every released entry the library is missing, in the formats the
+// user follows the series in. Stops at the first entry over quota.
+app.post('/api/series/:seriesId/request-missing', async (req, res) => {
+  const sessionUser = req.user || {};
+  try {
+    const series = seriesTracker.getSeries(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Series not found' });
+    }
+    const follow = seriesTracker.getFollow(sessionUser, series.id);
+    const report = await seriesTracker.buildReport(series, follow);
+
+    const requested = [];
+    let deferred = null;
+    for (const entry of report.entries.filter((e) => e.status === 'missing')) {
+      const wanted = {
+        audiobook: entry.missingFormats.includes('audiobook'),
+        ebook: entry.missingFormats.includes('ebook'),
+      };
+      const result = await submitRequestFor(sessionUser, {
+        id: entry.bookId,
+        title: entry.title,
+        author: entry.author || series.author,
+        coverUrl: entry.coverUrl,
+        releaseDate: entry.releaseDate,
+      }, wanted, {
+        source: 'series',
+        sourceLabel: `Series: ${series.name}`,
+        series: series.name,
+        seriesPosition: entry.position,
+      });
+      if (result.deferred) {
+        deferred = result.deferred;
+        break;
+      }
+      requested.push({ position: entry.position, title: entry.title, requestId: result.request.id, status: result.request.status });
+    }
+
+    console.log(`[SERIES] ${sessionUser.username || sessionUser.email || 'user'} requested ${requested.length} missing book(s) from "${series.name}"${deferred ? ` (stopped: ${deferred})` : ''}`);
+    res.json({
+      success: true,
+      requested,
+      message: deferred
+        ? `Requested ${requested.length} book(s); stopped because: ${deferred}`
+        : `Requested ${requested.length} missing book(s)`,
+    });
+  } catch (error) {
+    console.error('Error requesting missing series entries:', error);
+    res.status(500).json({ success: false, message: 'Failed to request missing books' });
+  }
+});
+
+// Goodreads / StoryGraph exports are uploaded as the raw CSV text; they are
+// far larger than the global JSON body limit.
+app.post('/api/imports/library', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ success: false, message: 'Upload the CSV file as text/csv' });
+    }
+    const shelves = String(req.query.shelves || '').split(',');
+    const created = libraryImports.create(req.user || {}, req.body, { shelves });
+    libraryImports.resolve(created.id).catch((error) => {
+      console.error(`[IMPORT] Resolving import ${created.id} failed:`, error.message);
+    });
+    res.json({ success: true, import: created });
+  } catch (error) {
+    if (error.code === 'INVALID_IMPORT') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error importing library export:', error);
+    res.status(500).json({ success: false, message: 'Failed to import file' });
+  }
+});
+
+app.get('/api/imports/library', (req, res) => {
+  try {
+    res.json({ success: true, imports: libraryImports.listForUser(req.user || {}) });
+  } catch (error) {
+    console.error('Error listing library imports:', error);
+    res.status(500).json({ success: false, message: 'Failed to list imports' });
+  }
+});
+
+app.get('/api/imports/library/:id', (req, res) => {
+  try {
+    const found = libraryImports.get(req.user || {}, req.params.id);
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'Import not found' });
+    }
+    res.json({ success: true, import: found });
+  } catch (error) {
+    console.error('Error fetching library import:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch import' });
+  }
+});
+
+// Turn reviewed rows into requests or wishlist entries. Requests skip formats
+// the library already has and stop at the first row over quota.
+app.post('/api/imports/library/:id/apply', async (req, res) => {
+  const sessionUser = req.user || {};
+  const { rows: selected = [], action, requestTypes = {} } = req.body || {};
+  try {
+    if (!['request', 'wishlist'].includes(action)) {
+      return res.status(400).json({ success: false, message: 'action must be "request" or "wishlist"' });
+    }
+    if (!Array.isArray(selected)) {
+      return res.status(400).json({ success: false, message: 'rows must be an array of row numbers' });
+    }
+    if (!requestTypes || typeof requestTypes !== 'object') {
+      return res.status(400).json({ success: false, message: 'requestTypes must be an object' });
+    }
+    if (action === 'request' && !requestTypes.audiobook && !requestTypes.ebook) {
+      return res.status(400).json({ success: false, message: 'Choose at least one format to request' });
+    }
+    const found = libraryImports.get(sessionUser, req.params.id);
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'Import not found' });
+    }
+    // The matcher rewrites every row when it saves, which would drop outcomes
+    // recorded in the meantime.
+    if (found.status === 'resolving') {
+      return res.status(409).json({ success: false, message: 'This import is still being matched; try again when it is done' });
+    }
+
+    const wanted = new Set(selected.map(Number));
+    const outcomes = new Map();
+    let deferred = null;
+    // Keep what was done even if a later row fails, so it is not repeated.
+    try {
+      for (const row of found.rows.filter((r) => wanted.has(r.index) && !r.outcome)) {
+        const book = {
+          id: row.match?.id || (row.isbn13 ? `isbn-${row.isbn13}` : `import-${found.id}-${row.index}`),
+          title: row.match?.title || row.title,
+          author: row.match?.author || row.author,
+          isbn13: row.match?.isbn13 || row.isbn13,
+          coverUrl: row.match?.coverUrl || null,
+        };
+
+        if (action === 'wishlist') {
+          libraryImports.addToWishlist(sessionUser, book, { source: found.source });
+          outcomes.set(row.index, 'wishlisted');
+          continue;
+        }
+
+        const formats = {
+          audiobook: Boolean(requestTypes.audiobook && !row.ownership?.audiobook),
+          ebook: Boolean(requestTypes.ebook && !row.ownership?.ebook),
+        };
+        if (!formats.audiobook && !formats.ebook) {
+          outcomes.set(row.index, 'owned');
+          continue;
+        }
+        const result = await submitRequestFor(sessionUser, book, formats, {
+          source: 'library_import',
+          sourceLabel: `${found.source === 'goodreads' ? 'Goodreads' : 'StoryGraph'} import`,
+          isbn: book.isbn13 || null,
+        });
+        if (result.deferred) {
+          deferred = result.deferred;
+          break;
+        }
+        outcomes.set(row.index, 'requested');
+      }
+    } finally {
+      libraryImports.setOutcomes(found.id, outcomes);
+    }
+    const counts = [...outcomes.values()].reduce((acc, outcome) => ({ ...acc, [outcome]: (acc[outcome] || 0) + 1 }), {});
+    console.log(`[IMPORT] ${sessionUser.username || sessionUser.email || 'user'} applied import ${found.id}: ${JSON.stringify(counts)}${deferred ? ` (stopped: ${deferred})` : ''}`);
+    res.json({
+      success: true,
+      counts,
+      deferred,
+      import: libraryImports.get(sessionUser, found.id),
+    });
+  } catch (error) {
+    console.error('Error applying library import:', error);
+    res.status(500).json({ success: false, message: 'Failed to apply import' });
+  }
+});
+
+app.get('/api/wishlist', (req, res) => {
+  try {
+    res.json({ success: true, wishlist: libraryImports.getWishlist(req.user || {}) });
+  } catch (error) {
+    console.error('Error fetching wishlist:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch wishlist' });
+  }
+});
+
+app.delete('/api/wishlist/:bookId', (req, res) => {
+  try {
+    if (!libraryImports.removeFromWishlist(req.user || {}, req.params.bookId)) {
+      return res.status(404).json({ success: false, message: 'Not on your wishlist' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing wishlist entry:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove wishlist entry' });
+  }
+});
+
+app.get('/api/hardcover/account', (req, res) => {
+  try {
+    const account = hardcoverAccounts.getAccount(req.user || {});
+    res.json({ success: true, linked: Boolean(account), account: hardcoverAccounts.toPublicAccount(account) });
+  } catch (error) {
+    console.error('Error fetching Hardcover account:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch Hardcover account' });
+  }
+});
+
+app.post('/api/hardcover/account', async (req, res) => {
+  try {
+    const account = await hardcoverAccounts.link(req.user || {}, req.body?.token);
+    console.log(`[HARDCOVER] ${account.userKey} linked Hardcover account ${account.username}`);
+    res.json({ success: true, linked: true, account: hardcoverAccounts.toPublicAccount(account) });
+  } catch (error) {
+    if (error.code === 'INVALID_HARDCOVER_TOKEN') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error linking Hardcover account:', error);
+    res.status(500).json({ success: false, message: 'Failed to link Hardcover account' });
+  }
+});
+
+app.delete('/api/hardcover/account', (req, res) => {
+  try {
+    if (!hardcoverAccounts.unlink(req.user || {})) {
+      return res.status(404).json({ success: false, message: 'No Hardcover account is linked' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unlinking Hardcover account:', error);
+    res.status(500).json({ success: false, message: 'Failed to unlink Hardcover account' });
+  }
+});
+
+// The user's Hardcover "Want to Read" shelf, flagged with what the library
+// owns and what they have already requested.
+app.get('/api/hardcover/want-to-read', async (req, res) => {
+  const sessionUser = req.user || {};
+  try {
+    const books = await hardcoverAccounts.getWantToRead(sessionUser, { refresh: req.query.refresh === 'true' });
+    if (!books) {
+      return res.json({ success: true, linked: false, books: [] });
+    }
+
+    const identities = [sessionUser.googleId, sessionUser.email];
+    const requested = new Set((await dataStore.getRequests())
+      .filter((request) => !['rejected', 'cancelled'].includes(request.status))
+      .filter((request) => dataStore.isInterestedUser(request, identities))
+      .map((request) => String(request.bookId)));
+
+    res.json({
+      success: true,
+      linked: true,
+      books: books.map((book) => ({ ...book, requested: requested.has(book.id) })),
+    });
+  } catch (error) {
+    console.error('Error fetching Hardcover Want to Read:', error.message);
+    res.status(500).json({ success: false, message: 'Failed to load your Hardcover Want to Read list' });
+  }
+});
+
+// Which of the requested formats the library already owns.
+async function getOwnedRequestFormats(book, requestTypes = {}) {
+  try {
+    await ownershipIndex.ensureFresh();
+    const ownership = ownershipIndex.getOwnership(book) || {};
+    return {
+      formats: ['audiobook', 'ebook'].filter((format) => requestTypes[format] && ownership[format]),
+      matchedBy: ownership.matchedBy || null,
+    };
+  } catch (error) {
+    console.error(`[OWNERSHIP] Lookup failed for "${book.title}":`, error.message);
+    return { formats: [], matchedBy: null };
+  }
+}
+
+// Mark requested formats the library already has as available. A request
+// whose formats are all owned closes immediately and never reaches the queue.
+async function fulfillOwnedFormats(request, { refresh = true } = {}) {
+  // Terminal and failed requests cannot move to available; leave them alone.
+  if (!request || !dataStore.canTransition(request.status, 'available')) {
+    return { request, ownedFormats: [] };
+  }
+
+  const book = { id: request.bookId, title: request.title, author: request.author, isbn: request.isbn, isbn13: request.isbn13 };
+  let ownership;
+  if (refresh) {
+    ownership = await getOwnedRequestFormats(book, request.requestTypes || {});
+  } else {
+    const owned = ownershipIndex.getOwnership(book) || {};
+    ownership = {
+      formats: ['audiobook', 'ebook'].filter((format) => request.requestTypes?.[format] && owned[format]),
+      matchedBy: owned.matchedBy || null,
+    };
+  }
+
+  // A format already downloading or importing is finished by its own
+  // pipeline; only formats nobody has started are closed here.
+  const ownedFormats = ownership.formats.filter((format) =>
+    !['available', 'downloading', 'importing'].includes(request.fulfillment?.[format]?.status));
+  let current = request;
+  for (const format of ownedFormats) {
+    const result = await dataStore.markFormatFulfilled(current.id, format, {
+      source: 'library',
+      matchedBy: ownership.matchedBy,
+    }, {
+      actor: 'library',
+      message: `Already in library (${format})`,
+    });
+    current = result.request;
+  }
+  return { request: current, ownedFormats };
+}
+
+// Run after every ownership index refresh so requests for books that turned
+// up in the library (imported elsewhere, added by hand) close themselves.
+async function reconcileOwnedRequests() {
+  try {
+    const requests = await dataStore.getRequests();
+    let closed = 0;
+    let formats = 0;
+    for (const request of requests) {
+      if (dataStore.TERMINAL_STATES.includes(request.status)) continue;
+      try {
+        const result = await fulfillOwnedFormats(request, { refresh: false });
+        formats += result.ownedFormats.length;
+        if (result.request?.status === 'available' && result.ownedFormats.length > 0) closed += 1;
+      } catch (error) {
+        console.error(`[OWNERSHIP] Could not reconcile request ${request.id}:`, error.message);
+      }
+    }
+    if (formats > 0) {
+      console.log(`[OWNERSHIP] Marked ${formats} requested format(s) as owned; ${closed} request(s) closed`);
+    }
+  } catch (error) {
+    console.error('[OWNERSHIP] Request reconciliation failed:', error.message);
+  }
+}
+
+async function refreshOwnershipIndex() {
+  const index = await ownershipIndex.refresh(true);
+  await reconcileOwnedRequests();
+  return index;
+}
+
+function describeOwnedFormats(ownedFormats, request) {
+  if (ownedFormats.length === 0) return null;
+  const list = ownedFormats.join(' and ');
+  return request.status === 'available'
+    ? `Already in the library (${list}) - no request needed`
+    : `The ${list} is already in the library; the rest of your request was submitted`;
+}
+
+// Trusted users skip admin review: their new requests go straight to search.
+async function applyAutoApproval(request, quota, sessionUser) {
+  if (!quota?.autoApprove || request.status !== 'pending') return request;
+  try {
+    return await dataStore.transitionRequest(request.id, 'searching', {
+      actor: 'auto-approval',
+      message: `Auto-approved for ${sessionUser.username || sessionUser.email || 'trusted user'}`
+    });
+  } catch (error) {
+    console.error(`[REQUESTS] Auto-approval failed for ${request.id}:`, error.message);
+    return request;
+  }
+}
 
 app.post('/api/request/:id', async (req, res) => {
   const { id } = req.params;
@@ -618,29 +1750,56 @@ app.post('/api/request/:id', async (req, res) => {
   const username = sessionUser.username || sessionUser.displayName || (sessionUser.email ? sessionUser.email.split('@')[0] : null);
 
   try {
-    const request = await dataStore.addRequest({
+    const qualityProfile = await validateQualityProfileId(req.body.qualityProfile);
+    const wantedTypes = requestTypes || { audiobook: false, ebook: true };
+    const owned = await getOwnedRequestFormats({ id, title, author }, wantedTypes);
+    const fullyOwned = owned.formats.length > 0 &&
+      ['audiobook', 'ebook'].every((format) => !wantedTypes[format] || owned.formats.includes(format));
+
+    // Books we already own cost nothing against the quota.
+    const quotaCheck = fullyOwned
+      ? { allowed: true, quota: null }
+      : await requestPolicy.checkRequest(sessionUser, wantedTypes);
+    if (!quotaCheck.allowed) {
+      return res.status(429).json({ success: false, message: quotaCheck.message, quota: quotaCheck.quota });
+    }
+
+    const added = await dataStore.addRequest({
       bookId: id,
       title: title || `Book ${id}`,
       author: author || 'Unknown Author',
       type: 'book',
       requestTypes: requestTypes || { audiobook: false, ebook: true },
+      qualityProfile,
       requestedBy,
       userEmail,
       username,
       submittedAt: new Date().toISOString()
     });
+    const { request: submitted, ownedFormats } = await fulfillOwnedFormats(added);
+    const request = await applyAutoApproval(submitted, quotaCheck.quota, sessionUser);
 
-    console.log(`Book request submitted: ${title} by ${author} for user ${username} (${userEmail})`);
+    const merged = request.requestedBy !== requestedBy;
+    console.log(`Book request ${merged ? `merged into ${request.id} (${request.votes} votes)` : 'submitted'}: ${title} by ${author} for user ${username} (${userEmail})${ownedFormats.length ? ` - already owned: ${ownedFormats.join(', ')}` : ''}`);
 
     res.json({
       success: true,
-      message: 'Book request submitted successfully',
+      message: describeOwnedFormats(ownedFormats, request) || (merged
+        ? 'Someone already requested this book - your vote has been added'
+        : 'Book request submitted successfully'),
+      alreadyOwned: ownedFormats,
       requestId: request.id,
-      status: 'pending',
-      requestTypes: requestTypes,
+      status: request.status,
+      requestTypes: request.requestTypes,
+      votes: request.votes,
+      merged,
+      autoApproved: request.status === 'searching' && submitted.status === 'pending',
       user: { id: requestedBy, username, email: userEmail }
     });
   } catch (error) {
+    if (error.code === 'INVALID_PROFILE') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error('Error submitting request:', error);
     res.status(500).json({
       success: false,
@@ -1269,16 +2428,239 @@ app.post('/api/admin/users/:googleId/reject', requireAdmin, async (req, res) =>
   }
 });
 
+app.get('/api/admin/request-policy', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, policy: await requestPolicy.getPolicy() });
+  } catch (error) {
+    console.error('Error fetching request policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch request policy' });
+  }
+});
+
+// Body: { defaults?, roles?, users? } - each a map of
+// { windowDays, maxRequests, maxAudiobooks, maxEbooks, autoApprove }. null = unlimited.
+app.put('/api/admin/request-policy', requireAdmin, async (req, res) => {
+  const { defaults, roles, users } = req.body || {};
+  const isMap = (value) => value === undefined || (value && typeof value === 'object' && !Array.isArray(value));
+  if (!isMap(defaults) || !isMap(roles) || !isMap(users)) {
+    return res.status(400).json({ success: false, message: 'defaults, roles and users must be objects' });
+  }
+
+  try {
+    const policy = await requestPolicy.savePolicy({ defaults, roles, users });
+    res.json({ success: true, policy });
+  } catch (error) {
+    if (error.code === 'INVALID_POLICY') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error saving request policy:', error);
+    res.status(500).json({ success: false, message: 'Failed to save request policy' });
+  }
+});
+
+app.get('/api/admin/quality-profiles', requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      profiles: await qualityProfiles.getProfiles(),
+      defaultProfile: await qualityProfiles.getDefaultProfileId()
+    });
+  } catch (error) {
+    console.error('Error fetching quality profiles:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch quality profiles' });
+  }
+});
+
+// Body: { profiles: { [id]: { name, audiobook: {...}, ebook: {...} } }, defaultProfile }
+app.put('/api/admin/quality-profiles', requireAdmin, async (req, res) => {
+  const { profiles, defaultProfile } = req.body || {};
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    return res.status(400).json({ success: false, message: 'profiles must be an object keyed by profile id' });
+  }
+  const invalidId = Object.keys(profiles).find((id) => !/^[a-z0-9][a-z0-9_-]{0,49}$/.test(id));
+  if (invalidId !== undefined) {
+    return res.status(400).json({ success: false, message: `Invalid profile id: ${invalidId}` });
+  }
+
+  const knownIds = new Set([...qualityProfiles.BUILTIN_PROFILE_IDS, ...Object.keys(profiles)]);
+  if (defaultProfile && !knownIds.has(defaultProfile)) {
+    return res.status(400).json({ success: false, message: `Unknown default profile: ${defaultProfile}` });
+  }
+
+  try {
+    const saved = await qualityProfiles.saveProfiles({ profiles, defaultProfile });
+    res.json({ success: true, ...saved });
+  } catch (error) {
+    console.error('Error saving quality profiles:', error);
+    res.status(500).json({ success: false, message: 'Failed to save quality profiles' });
+  }
+});
+
+// Query: requestId (optional) - entries for that request plus global ones
+app.get('/api/admin/blocklist', requireAdmin, (req, res) => {
+  try {
+    const entries = releaseBlocklist.list({ requestId: req.query.requestId || undefined });
+    res.json({ success: true, entries });
+  } catch (error) {
+    console.error('Error fetching release blocklist:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch release blocklist' });
+  }
+});
+
+// Body: { requestId?, infoHash?, guid?, telegramMessageId?, magnetUrl?, title, source, indexer, reason }
+app.post('/api/admin/blocklist', requireAdmin, (req, res) => {
+  const { requestId, guid, telegramMessageId, title, source, indexer, reason, magnetUrl, infoHash } = req.body || {};
+  try {
+    const entry = releaseBlocklist.add({
+      requestId: requestId || null,
+      infoHash: releaseBlocklist.getResultHash({ infoHash, magnetUrl }),
+      guid,
+      telegramMessageId,
+      title,
+      source,
+      indexer,
+      reason: reason || 'Blocked by admin',
+    }, { actor: req.user?.email || req.user?.username || 'admin' });
+    res.json({ success: true, entry });
+  } catch (error) {
+    if (error.code === 'INVALID_RELEASE') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error adding release to blocklist:', error);
+    res.status(500).json({ success: false, message: 'Failed to add release to blocklist' });
+  }
+});
+
+app.delete('/api/admin/blocklist/:id', requireAdmin, (req, res) => {
+  try {
+    if (!releaseBlocklist.remove(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Blocklist entry not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing blocklist entry:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove blocklist entry' });
+  }
+});
+
+app.get('/api/admin/requests/rejection-reasons', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    reasons: Object.entries(dataStore.REJECTION_REASONS).map(([code, label]) => ({ code, label })),
+  });
+});
+
+// Body: { reasonCode?, reason? } - at least one of them is required.
+const handleRejectRequest = (kind) => async (req, res) => {
+  const { requestId } = req.params;
+  const { reasonCode, reason } = req.body || {};
+
+  try {
+    const request = await dataStore.rejectRequest(requestId, { kind, reasonCode, reason }, {
+      actor: req.user?.email || req.user?.username || 'admin'
+    });
+    console.log(`[REQUESTS] ${kind} request ${requestId} ("${request.title}"): ${request.rejection.label}`);
+    res.json({ success: true, request });
+  } catch (error) {
+    if (error.message === 'Request not found') {
+      return res.status(404).json({ success: false, message: 'Request not found' });
+    }
+    if (error.code === 'REASON_REQUIRED') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.code === 'INVALID_TRANSITION') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error(`Error marking request ${requestId} as ${kind}:`, error);
+    res.status(500).json({ success: false, message: 'Failed to update request' });
+  }
+};
+
+app.post('/api/admin/requests/:requestId/reject', requireAdmin, handleRejectRequest('rejected'));
+app.post('/api/admin/requests/:requestId/decline', requireAdmin, handleRejectRequest('declined'));
+
+app.post('/api/admin/requests/:requestId/reopen', requireAdmin, async (req, res) => {
+  const { requestId } = req.params;
+
+  try {
+    const request = await dataStore.reopenRequest(requestId, {
+      actor: req.user?.email || req.user?.username || 'admin'
+    });
+    console.log(`[REQUESTS] Reopened declined request ${requestId} ("${request.title}")`);
+    res.json({ success: true, request });
+  } catch (error) {
+    if (error.message === 'Request not found') {
+      return res.status(404).json({ success: false, message: 'Request not found' });
+    }
+    if (error.code === 'INVALID_TRANSITION') {
+      return res.status(409).json({ success: false, message: 'Only declined requests can be reopened' });
+    }
+    console.error(`Error reopening request ${requestId}:`, error);
+    res.status(500).json({ success: false, message: 'Failed to reopen request' });
+  }
+});
+
 app.get('/api/admin/requests', requireAdmin, async (req, res) => {
   try {
     const requests = await dataStore.getPendingRequests();
-    res.json(requests);
+    const unreadByRequestId = dataStore.getUnreadCommentCounts(getCommentReaderId(req.user));
+    const totalByRequestId = dataStore.getCommentCounts();
+    res.json(requests.map((request) => ({
+      ...request,
+      comments: totalByRequestId.get(request.id) || 0,
+      unreadComments: unreadByRequestId.get(request.id) || 0,
+    })));
   } catch (error) {
     console.error('Error fetching requests:', error);
     res.status(500).json({ error: 'Failed to fetch requests' });
   }
 });
 
+// Unified search: query both Prowlarr and Telegram in parallel.
+// Used by the admin search route and the auto-grab worker.
+async function runUnifiedSearch(query) {
+  const [prowlarrResults, telegramResults] = await Promise.all([
+    prowlarrService.search(query).catch(err => {
+      console.error('Prowlarr search failed:', err.message);
+      return [];
+    }),
+    telegramService.search(query).catch(err => {
+      console.error('Telegram search failed:', err.message);
+      return [];
+    }),
+  ]);
+
+  // Format Prowlarr results with source field. Usenet results are only
+  // offered when a Usenet client is configured to download them.
+  const formattedProwlarr = prowlarrResults
+    .filter(result => result.protocol !== 'usenet' || usenetClient)
+    .map(result => ({
+    ...result,
+    source: 'prowlarr',
+    formattedSize: prowlarrService.formatSize(result.size),
+    categoryName: prowlarrService.getCategoryName(result.category),
+  }));
+
+  // Format Telegram results with source field
+  const formattedTelegram = telegramResults.map(result => ({
+    ...result,
+    source: 'telegram',
+    formattedSize: result.size || 'Unknown',
+    categoryName: result.format ? result.format.toUpperCase() : 'Ebook',
+    seeders: 'Direct',
+    leechers: 0,
+  }));
+
+  // Merge results: Prowlarr first (torrents), then Telegram (direct)
+  return {
+    results: [...formattedProwlarr, ...formattedTelegram],
+    sources: {
+      prowlarr: formattedProwlarr.length,
+      telegram: formattedTelegram.length,
+    },
+  };
+}
+
 app.post('/api/admin/search/:requestId', requireAdmin, async (req, res) => {
   const { requestId } = req.params;
   const { query } = req.body;
@@ -1286,48 +2668,36 @@ app.post('/api/admin/search/:requestId', requireAdmin, async (req, res) => {
   try {
     // Get request details to determine what type to search for
     const request = await dataStore.getRequestById(requestId);
+    if (request && ['pending', 'approved', 'failed'].includes(request.status)) {
+      await dataStore.transitionRequest(requestId, 'searching', {
+        actor: req.user?.email || req.user?.username || 'admin',
+        message: `Admin search: ${query}`
+      }).catch(() => {});
+    }
 
-    // Unified search: query both Prowlarr and Telegram in parallel
-    const [prowlarrResults, telegramResults] = await Promise.all([
-      prowlarrService.search(query).catch(err => {
-        console.error('Prowlarr search failed:', err.message);
-        return [];
-      }),
-      telegramService.search(query).catch(err => {
-        console.error('Telegram search failed:', err.message);
-        return [];
-      }),
-    ]);
-
-    // Format Prowlarr results with source field
-    const formattedProwlarr = prowlarrResults.map(result => ({
-      ...result,
-      source: 'prowlarr',
-      formattedSize: prowlarrService.formatSize(result.size),
-      categoryName: prowlarrService.getCategoryName(result.category),
-    }));
-
-    // Format Telegram results with source field
-    const formattedTelegram = telegramResults.map(result => ({
-      ...result,
-      source: 'telegram',
-      formattedSize: result.size || 'Unknown',
-      categoryName: result.format ? result.format.toUpperCase() : 'Ebook',
-      seeders: 'Direct',
-      leechers: 0,
-    }));
+    const { results, sources } = await runUnifiedSearch(query);
+    // Best match first, scored against the request rather than the free-text query.
+    const profile = request ? await qualityProfiles.resolveForRequest(request) : null;
+    const scored = request ? releaseScorer.annotate(request, results, { profile }) : results;
 
-    // Merge results: Prowlarr first (torrents), then Telegram (direct)
-    const allResults = [...formattedProwlarr, ...formattedTelegram];
+    // Blocklisted releases stay visible but flagged, after everything else.
+    const findBlock = releaseBlocklist.matcher(requestId);
+    const flagged = scored.map((result) => {
+      const block = findBlock(result);
+      return block ? { ...result, blocklisted: { id: block.id, reason: block.reason } } : result;
+    });
+    const allResults = [
+      ...flagged.filter((result) => !result.blocklisted),
+      ...flagged.filter((result) => result.blocklisted),
+    ];
 
     res.json({
       success: true,
       results: allResults,
       total: allResults.length,
-      sources: {
-        prowlarr: formattedProwlarr.length,
-        telegram: formattedTelegram.length,
-      },
+      sources,
+      blocklisted: allResults.filter((result) => result.blocklisted).length,
+      qualityProfile: profile ? { id: profile.id, name: profile.name } : null,
     });
   } catch (error) {
     console.error('Error in unified search:', error);
@@ -1338,119 +2708,210 @@ app.post('/api/admin/search/:requestId', requireAdmin, async (req, res) => {
   }
 });
 
-app.post('/api/admin/download/:requestId', requireAdmin, async (req, res) => {
-  const { requestId } = req.params;
-  const { magnetUrl, title, tracker, source, downloadInfo, selectedFormat, categoryName } = req.body;
-
-  const inferFormatFromResult = (resultTitle = '', categoryName = '', fallback = null) => {
-    const text = `${resultTitle} ${categoryName}`.toLowerCase();
-    if (/\b(audiobook|audio\s*book|audible|m4b|mp3|aac)\b/.test(text)) return 'audiobook';
-    if (/\b(e-?book|ebook|epub|pdf|mobi|azw|azw3|fb2|djvu)\b/.test(text)) return 'ebook';
-    const normalizedFallback = String(fallback || '').toLowerCase();
-    if (normalizedFallback === 'audiobook' || normalizedFallback === 'ebook') return normalizedFallback;
-    return null;
-  };
+function inferFormatFromResult(resultTitle = '', categoryName = '', fallback = null) {
+  const text = `${resultTitle} ${categoryName}`.toLowerCase();
+  if (/\b(audiobook|audio\s*book|audible|m4b|mp3|aac)\b/.test(text)) return 'audiobook';
+  if (/\b(e-?book|ebook|epub|pdf|mobi|azw|azw3|fb2|djvu)\b/.test(text)) return 'ebook';
+  const normalizedFallback = String(fallback || '').toLowerCase();
+  if (normalizedFallback === 'audiobook' || normalizedFallback === 'ebook') return normalizedFallback;
+  return null;
+}
 
-  try {
-    const request = await dataStore.getRequestById(requestId);
-    const requestTitle = title || request?.title || 'Unknown Title';
-    const requestAuthor = request?.author || 'Unknown Author';
-
-    downloadJobStore.upsertJob(requestId, {
-      title: requestTitle,
-      author: requestAuthor,
-      source: source || 'prowlarr',
-      status: 'queued',
-      stage: 'queued',
-      progressPct: 0,
-      error: null,
-    }, 'Download queued');
-
-    let downloadResult;
-
-    // Unified download: dispatch based on source
-    if (source === 'telegram') {
-      // Telegram direct download
-      console.log(`[Download] Using Telegram for: ${title}`);
-      downloadJobStore.upsertJob(requestId, {
-        status: 'processing',
-        stage: 'telegram_download',
-      }, 'Starting Telegram direct download');
-      const telegramResult = await telegramService.download(downloadInfo || { title });
-
-      if (telegramResult.success && telegramResult.filePath) {
-        // Process the downloaded file
-        const logicalName = [requestTitle, requestAuthor].filter(Boolean).join(' - ');
-        const processResult = await directDownloadService.processDownload(
-          telegramResult.filePath,
-          telegramResult.fileName,
-          'telegram',
-          { logicalName }
-        );
-        downloadResult = {
-          success: processResult.success,
-          message: processResult.message,
-        };
-        if (processResult.success) {
-          downloadJobStore.upsertJob(requestId, {
-            status: 'completed',
-            stage: 'completed',
-            progressPct: 100,
-          }, 'Telegram download processed successfully');
-        } else {
-          downloadJobStore.upsertJob(requestId, {
-            status: 'failed',
-            stage: 'failed',
-            error: processResult.message || 'Telegram processing failed',
-          }, processResult.message || 'Telegram processing failed');
-        }
-      } else {
-        downloadResult = telegramResult;
-        downloadJobStore.upsertJob(requestId, {
-          status: 'failed',
-          stage: 'failed',
-          error: telegramResult.message || 'Telegram download failed',
-        }, telegramResult.message || 'Telegram download failed');
-      }
-    } else {
-      // Default: qBittorrent torrent download
-      console.log(`[Download] Using qBittorrent for: ${title}`);
-      downloadResult = await qbittorrentService.addTorrent(magnetUrl);
-      if (downloadResult.success) {
-        let resolvedHash = downloadResult.hash || null;
-        if (!resolvedHash) {
-          resolvedHash = await qbittorrentService.resolveTorrentHashByName(requestTitle);
-        }
+// NZB releases: Prowlarr marks them with protocol 'usenet'; older clients
+// only send the download link.
+function isUsenetRelease({ protocol, magnetUrl }) {
+  return protocol === 'usenet' || /\.nzb(?:$|[?#])/i.test(String(magnetUrl || ''));
+}
 
-        downloadJobStore.upsertJob(requestId, {
-          status: 'downloading',
-          stage: 'downloading',
-          torrentHash: resolvedHash,
-          progressPct: 0,
-        }, resolvedHash ? `Torrent added (hash ${resolvedHash.slice(0, 8)}...)` : 'Torrent added to qBittorrent');
+/**
+ * Hand a chosen search result to the torrent client, the Usenet client or
+ * Telegram and record it on the request. Returns { success, message,
+ * fulfillment } where fulfillment is the
+ * markFormatDownloading/markFormatFulfilled result on success.
+ */
+async function startRequestDownload(requestId, { magnetUrl, title, tracker, source, downloadInfo, selectedFormat, categoryName, guid, infoHash, indexer, protocol } = {}, { actor = 'admin' } = {}) {
+  const request = await dataStore.getRequestById(requestId);
+  const requestTitle = title || request?.title || 'Unknown Title';
+  const requestAuthor = request?.author || 'Unknown Author';
+
+  let downloadResult;
+  const fulfilledFormat = inferFormatFromResult(
+    title,
+    downloadInfo?.format || categoryName || tracker || source,
+    selectedFormat
+  );
+
+  // Each format of a request has its own job.
+  const updateJob = (patch, message) => downloadJobStore.upsertJob(requestId, { ...patch, format: fulfilledFormat }, message);
+
+  updateJob({
+    title: requestTitle,
+    author: requestAuthor,
+    source: source || 'prowlarr',
+    status: 'queued',
+    stage: 'queued',
+    progressPct: 0,
+    error: null,
+  }, 'Download queued');
+
+  // Unified download: dispatch based on source
+  if (source === 'telegram') {
+    // Telegram direct download
+    console.log(`[Download] Using Telegram for: ${title}`);
+    updateJob({
+      status: 'processing',
+      stage: 'telegram_download',
+    }, 'Starting Telegram direct download');
+    const telegramResult = await telegramService.download(downloadInfo || { title });
+
+    if (telegramResult.success && telegramResult.filePath) {
+      // Process the downloaded file
+      const logicalName = [requestTitle, requestAuthor].filter(Boolean).join(' - ');
+      const processResult = await directDownloadService.processDownload(
+        telegramResult.filePath,
+        telegramResult.fileName,
+        'telegram',
+        { logicalName }
+      );
+      downloadResult = {
+        success: processResult.success,
+        message: processResult.message,
+      };
+      if (processResult.success) {
+        updateJob({
+          status: 'completed',
+          stage: 'completed',
+          progressPct: 100,
+        }, 'Telegram download processed successfully');
       } else {
-        downloadJobStore.upsertJob(requestId, {
+        updateJob({
           status: 'failed',
           stage: 'failed',
-          error: downloadResult.message || 'Failed to add torrent',
-        }, downloadResult.message || 'Failed to add torrent');
+          error: processResult.message || 'Telegram processing failed',
+        }, processResult.message || 'Telegram processing failed');
       }
+    } else {
+      downloadResult = telegramResult;
+      updateJob({
+        status: 'failed',
+        stage: 'failed',
+        error: telegramResult.message || 'Telegram download failed',
+      }, telegramResult.message || 'Telegram download failed');
     }
 
-    if (downloadResult.success) {
-      const fulfilledFormat = inferFormatFromResult(
-        title,
-        downloadInfo?.format || categoryName || tracker || source,
-        selectedFormat
-      );
-      const fulfillment = await dataStore.markFormatFulfilled(requestId, fulfilledFormat, {
-        magnetUrl: magnetUrl || null,
+    if (!downloadResult.success && downloadInfo?.messageId !== undefined) {
+      blocklistRelease(requestId, {
+        telegramMessageId: downloadInfo.messageId,
         title,
-        tracker: tracker || source,
-        source: source || 'prowlarr',
-        downloadedAt: new Date().toISOString(),
+        source: 'telegram',
+        reason: downloadResult.message || 'Telegram download failed',
       });
+    }
+  } else if (isUsenetRelease({ protocol, magnetUrl })) {
+    // Usenet download: the job is keyed by the client's download id, which
+    // takes the place of a torrent hash from here on.
+    if (usenetClient) {
+      console.log(`[Download] Using ${usenetClient.label} for: ${title}`);
+      downloadResult = await usenetClient.addDownload(magnetUrl, { name: title, format: fulfilledFormat });
+    } else {
+      downloadResult = { success: false, message: 'This is a Usenet release but no Usenet client is configured (USENET_CLIENT)' };
+    }
+    if (downloadResult.success) {
+      downloadResult.torrentHash = downloadResult.hash;
+      updateJob({
+        status: 'queued',
+        stage: 'queued',
+        torrentHash: downloadResult.hash,
+        progressPct: 0,
+      }, `NZB added to ${usenetClient.label}`);
+    } else {
+      updateJob({
+        status: 'failed',
+        stage: 'failed',
+        error: downloadResult.message || 'Failed to add NZB',
+      }, downloadResult.message || 'Failed to add NZB');
+    }
+  } else {
+    // Default: torrent download
+    console.log(`[Download] Using ${torrentClient.label} for: ${title}`);
+    downloadResult = await torrentClient.addTorrent(magnetUrl, torrentClient.getAddOptions({
+      format: fulfilledFormat,
+      tracker: indexer || tracker,
+      requestId,
+    }));
+    if (downloadResult.success) {
+      // Magnets and .torrent files both yield an exact hash; links the client
+      // accepted without one are found by the torrent's request tag.
+      let resolvedHash = downloadResult.hash || releaseBlocklist.normalizeHash(infoHash) || null;
+      if (!resolvedHash) {
+        resolvedHash = await torrentClient.findTorrentHashForRequest(requestId, {
+          format: fulfilledFormat,
+          excludeHashes: getKnownTorrentHashes(request),
+        });
+      }
+
+      downloadResult.torrentHash = resolvedHash;
+
+      updateJob({
+        status: 'downloading',
+        stage: 'downloading',
+        torrentHash: resolvedHash,
+        progressPct: 0,
+      }, resolvedHash ? `Torrent added (hash ${resolvedHash.slice(0, 8)}...)` : `Torrent added to ${torrentClient.label}`);
+    } else {
+      updateJob({
+        status: 'failed',
+        stage: 'failed',
+        error: downloadResult.message || 'Failed to add torrent',
+      }, downloadResult.message || 'Failed to add torrent');
+    }
+  }
+
+  if (!downloadResult.success) {
+    return { success: false, message: downloadResult.message };
+  }
+
+  let fulfillment = await dataStore.markFormatDownloading(requestId, fulfilledFormat, {
+    magnetUrl: magnetUrl || null,
+    title,
+    tracker: tracker || source,
+    indexer: indexer || null,
+    source: source || 'prowlarr',
+    torrentHash: downloadResult.torrentHash || null,
+    infoHash: infoHash || null,
+    guid: guid || null,
+    telegramMessageId: downloadInfo?.messageId ?? null,
+    downloadedAt: new Date().toISOString(),
+  }, { actor });
+  await dataStore.recordDownloadAttempt(requestId, {
+    format: fulfilledFormat,
+    title,
+    source: source || 'prowlarr',
+    indexer: indexer || tracker || null,
+    torrentHash: downloadResult.torrentHash || null,
+    outcome: 'started',
+    actor,
+  });
+
+  // Telegram downloads are imported synchronously above, so the format is
+  // already in the library by the time we get here.
+  if (source === 'telegram') {
+    await dataStore.markFormatImporting(requestId, fulfilledFormat, { actor });
+    fulfillment = await dataStore.markFormatFulfilled(requestId, fulfilledFormat, {}, { actor });
+  }
+
+  return { success: true, message: downloadResult.message, fulfillment };
+}
+
+app.post('/api/admin/download/:requestId', requireAdmin, async (req, res) => {
+  const { requestId } = req.params;
 
+  try {
+    const actor = req.user?.email || req.user?.username || 'admin';
+    const downloadResult = await startRequestDownload(requestId, req.body, { actor });
+
+    if (downloadResult.success) {
+      const { fulfillment } = downloadResult;
       const remaining = [];
       if (fulfillment.remainingFormats.audiobook) remaining.push('audiobook');
       if (fulfillment.remainingFormats.ebook) remaining.push('ebook');
@@ -1478,10 +2939,17 @@ app.post('/api/admin/download/:requestId', requireAdmin, async (req, res) => {
   }
 });
 
+// Query: page, pageSize, user, status, format, source, from, to, q
 app.get('/api/admin/history', requireAdmin, async (req, res) => {
+  const { page, pageSize, user, status, format, source, from, to, q } = req.query;
+
+  if ((from && Number.isNaN(new Date(from).getTime())) || (to && Number.isNaN(new Date(to).getTime()))) {
+    return res.status(400).json({ success: false, message: 'from/to must be valid dates' });
+  }
+
   try {
-    const history = await dataStore.getHistory();
-    res.json(history);
+    const result = await dataStore.queryHistory({ page, pageSize, user, status, format, source, from, to, q });
+    res.json({ success: true, ...result });
   } catch (error) {
     console.error('Error fetching history:', error);
     res.status(500).json({ error: 'Failed to fetch history' });
@@ -1514,11 +2982,12 @@ app.get('/api/admin/import-log/stats', requireAdmin, async (req, res) => {
 
 app.get('/api/admin/pipeline-status', requireAdmin, async (req, res) => {
   try {
-    const [abs, qbit, prowlarr, indexers] = await Promise.all([
+    const [abs, qbit, prowlarr, indexers, usenet] = await Promise.all([
       audiobookshelfService.testConnection().catch(error => ({ success: false, message: error.message })),
-      qbittorrentService.testConnection().catch(error => ({ success: false, message: error.message })),
+      torrentClient.testConnection().catch(error => ({ success: false, message: error.message })),
       prowlarrService.testConnection().catch(error => ({ success: false, message: error.message })),
-      prowlarrService.getIndexers().catch(() => [])
+      prowlarrService.getIndexers().catch(() => []),
+      usenetClient ? usenetClient.testConnection().catch(error => ({ success: false, message: error.message })) : null
     ]);
 
     const telegram = telegramService.getStatus();
@@ -1543,7 +3012,7 @@ app.get('/api/admin/pipeline-status', requireAdmin, async (req, res) => {
         },
         qbittorrent: {
           ok: !!qbit?.success,
-          label: 'qBittorrent',
+          label: torrentClient.label,
           detail: qbit?.message || null
         },
         prowlarr: {
@@ -1551,6 +3020,13 @@ app.get('/api/admin/pipeline-status', requireAdmin, async (req, res) => {
           label: 'Prowlarr',
           detail: prowlarr?.message || null
         },
+        ...(usenetClient ? {
+          usenet: {
+            ok: !!usenet?.success,
+            label: usenetClient.label,
+            detail: usenet?.message || null
+          }
+        } : {}),
         telegram: {
           ok: telegram?.authState === 'ready',
           label: 'Telegram',
@@ -1591,6 +3067,19 @@ app.post('/api/admin/import-log/:id/review', requireAdmin, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Source path no longer exists' });
     }
 
+    const reviewActor = req.user?.email || req.user?.username || 'admin';
+    const reviewedRequest = entry.torrentHash
+      ? await dataStore.findRequestByTorrentHash(entry.torrentHash)
+      : null;
+    if (reviewedRequest) {
+      await dataStore.markFormatImporting(reviewedRequest.request.id, reviewedRequest.format, {
+        actor: reviewActor,
+        message: 'Manual review import started'
+      }).catch((lifecycleError) => {
+        console.error('[REVIEW] Could not move request to importing:', lifecycleError.message);
+      });
+    }
+
     importLog.updateImport(req.params.id, {
       status: 'review_processing',
       review: {
@@ -1632,6 +3121,11 @@ app.post('/api/admin/import-log/:id/review', requireAdmin, async (req, res) => {
               failedAt: new Date().toISOString()
             }
           });
+          if (reviewedRequest) {
+            dataStore.markFormatFailed(reviewedRequest.request.id, reviewedRequest.format, `Manual review import failed: ${error.message}`, {
+              actor: reviewActor
+            }).catch(() => {});
+          }
           return;
         }
 
@@ -1645,6 +3139,12 @@ app.post('/api/admin/import-log/:id/review', requireAdmin, async (req, res) => {
             completedAt: new Date().toISOString()
           }
         });
+        if (reviewedRequest) {
+          dataStore.markFormatFulfilled(reviewedRequest.request.id, reviewedRequest.format, {}, {
+            actor: reviewActor,
+            message: 'Imported after manual review'
+          }).catch(() => {});
+        }
       }
     );
 
@@ -1708,11 +3208,13 @@ app.post('/api/internal/download-progress', (req, res) => {
     scanTriggered,
     scanConfirmed,
     error,
+    tags,
   } = req.body || {};
 
   if (!hash) {
     return res.status(400).json({ error: 'hash is required' });
   }
+  linkTaggedTorrent(hash, tags);
 
   const patch = {};
   if (title !== undefined) patch.title = title;
@@ -1726,6 +3228,15 @@ app.post('/api/internal/download-progress', (req, res) => {
   if (error !== undefined) patch.error = error;
 
   const job = downloadJobStore.updateByHash(hash, patch, message || null);
+
+  if (status === 'processing' || status === 'scanning') {
+    syncRequestLifecycle(hash, job, 'importing');
+  } else if (status === 'completed') {
+    syncRequestLifecycle(hash, job, 'available');
+  } else if (status === 'failed') {
+    syncRequestLifecycle(hash, job, 'failed', error || message || stage || null);
+  }
+
   return res.json({ success: true, matched: Boolean(job) });
 });
 
@@ -1887,7 +3398,7 @@ app.get('/api/admin/library-ownership/stats', requireAdmin, async (req, res) =>
 
 app.post('/api/admin/library-ownership/refresh', requireAdmin, async (req, res) => {
   try {
-    const index = await ownershipIndex.refresh(true);
+    const index = await refreshOwnershipIndex();
     res.json({
       success: true,
       generatedAt: index.generatedAt,
@@ -2572,10 +4083,21 @@ app.post('/api/share/request', async (req, res) => {
     const userEmail = sessionUser.email || null;
     const username = sessionUser.username || sessionUser.displayName || (sessionUser.email ? sessionUser.email.split('@')[0] : 'Anonymous User');
 
+    const owned = await getOwnedRequestFormats({ title: title.trim(), author, isbn }, requestTypes);
+    const fullyOwned = owned.formats.length > 0 &&
+      ['audiobook', 'ebook'].every((format) => !requestTypes[format] || owned.formats.includes(format));
+
+    const quotaCheck = fullyOwned
+      ? { allowed: true, quota: null }
+      : await requestPolicy.checkRequest(sessionUser, requestTypes);
+    if (!quotaCheck.allowed) {
+      return res.status(429).json({ success: false, message: quotaCheck.message, quota: quotaCheck.quota });
+    }
+
     // Generate a unique ID for this shared book request
     const bookId = `share-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-    const request = await dataStore.addRequest({
+    const added = await dataStore.addRequest({
       bookId: bookId,
       title: title.trim(),
       author: author || 'Unknown Author',
@@ -2591,11 +4113,14 @@ app.post('/api/share/request', async (req, res) => {
       coverUrl: coverUrl || null,
       source: 'share_target'
     });
+    const { request: submitted, ownedFormats } = await fulfillOwnedFormats(added);
+    const request = await applyAutoApproval(submitted, quotaCheck.quota, sessionUser);
 
-    console.log(`[SHARE] Book request submitted: "${title}" by "${author}" from ${sourceUrl || 'unknown source'} by user ${username} (${userEmail || 'anonymous'})`);
+    const merged = request.requestedBy !== requestedBy;
+    console.log(`[SHARE] Book request ${merged ? `merged into ${request.id} (${request.votes} votes)` : 'submitted'}: "${title}" by "${author}" from ${sourceUrl || 'unknown source'} by user ${username} (${userEmail || 'anonymous'})`);
 
-    // Send Telegram notification if configured
-    if (telegramBotNotifier && telegramBotNotifier.sendNotification) {
+    // Send Telegram notification if configured (owned books never reach the queue)
+    if (request.status !== 'available' && telegramBotNotifier && telegramBotNotifier.sendNotification) {
       try {
         const formatText = [];
         if (requestTypes.audiobook) formatText.push('Audiobook');
@@ -2607,7 +4132,8 @@ app.post('/api/share/request', async (req, res) => {
           author: author || 'Unknown Author',
           formats: formatText.join(' + ') || 'Ebook',
           requestedBy: username || userEmail || 'Anonymous User',
-          source: sourceUrl ? new URL(sourceUrl).hostname : 'Shared via PWA'
+          source: sourceUrl ? new URL(sourceUrl).hostname : 'Shared via PWA',
+          votes: request.votes
         });
       } catch (notifyError) {
         console.error('[SHARE] Failed to send Telegram notification:', notifyError.message);
@@ -2616,10 +4142,16 @@ app.post('/api/share/request', async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Book request submitted successfully',
+      message: describeOwnedFormats(ownedFormats, request) || (merged
+        ? 'Someone already requested this book - your vote has been added'
+        : 'Book request submitted successfully'),
+      alreadyOwned: ownedFormats,
       requestId: request.id,
-      status: 'pending',
-      requestTypes: requestTypes,
+      status: request.status,
+      requestTypes: request.requestTypes,
+      votes: request.votes,
+      merged,
+      autoApproved: request.status === 'searching' && submitted.status === 'pending',
       user: { id: requestedBy, username, email: userEmail }
     });
 
@@ -2778,7 +4310,7 @@ async function runIncrementalCacheTick() {
       `[SCHEDULER] Incremental refresh completed for ${genre}: +${result.booksAdded}, total=${result.totalInGenre}`
     );
 
-    await ownershipIndex.refresh(true);
+    await refreshOwnershipIndex();
     await dashboardSnapshotService.getSnapshot({ forceRebuild: true });
     console.log('[SCHEDULER] Ownership index and dashboard snapshot refreshed');
   } catch (error) {
@@ -2788,6 +4320,409 @@ async function runIncrementalCacheTick() {
   }
 }
 
+// Requests the auto-grab worker will search for. Downloading/importing
+// requests are skipped until their remaining formats come free again.
+const AUTO_GRAB_STATES = ['pending', 'approved', 'searching'];
+const AUTO_GRAB_CANDIDATES = 5;
+
+function getAutoGrabSettings() {
+  // 0 is a valid threshold ("grab anything"), so only fall back on garbage.
+  const minScore = parseInt(process.env.AUTO_GRAB_MIN_SCORE || '75', 10);
+  return {
+    minScore: Math.max(0, Math.min(100, Number.isNaN(minScore) ? 75 : minScore)),
+    minMargin: Math.max(0, parseInt(process.env.AUTO_GRAB_MIN_MARGIN || '10', 10) || 0),
+    retryMinutes: Math.max(15, parseInt(process.env.AUTO_GRAB_RETRY_MINUTES || '360', 10) || 360),
+    batchSize: Math.max(1, parseInt(process.env.AUTO_GRAB_BATCH_SIZE || '5', 10) || 5),
+  };
+}
+
+// Decide what to do with the ranked results for one format.
+function chooseAutoGrabCandidate(ranked, settings) {
+  const [best, runnerUp] = ranked;
+  if (!best) {
+    return { decision: 'no_results', reason: 'No matching releases found' };
+  }
+  if (best.score < settings.minScore) {
+    return { decision: 'review', reason: `Best match scored ${best.score}, below the ${settings.minScore} threshold` };
+  }
+  // Two copies of the same book are not ambiguous; a close second that
+  // matches the title or author differently might be a different book.
+  const sameMatch = runnerUp &&
+    runnerUp.breakdown.title === best.breakdown.title &&
+    runnerUp.breakdown.author === best.breakdown.author;
+  if (runnerUp && !sameMatch && best.score - runnerUp.score < settings.minMargin) {
+    return { decision: 'review', reason: `Top matches are too close to call (${best.score} vs ${runnerUp.score})` };
+  }
+  return { decision: 'grab', best };
+}
+
+// startRequestDownload options for a ranked search result.
+function toDownloadOptions(result, format) {
+  return {
+    magnetUrl: result.magnetUrl,
+    title: result.title,
+    tracker: result.tracker,
+    source: result.source,
+    selectedFormat: format,
+    downloadInfo: result.source === 'telegram' ? {
+      title: result.title,
+      downloadCommand: result.downloadCommand,
+      messageId: result.messageId,
+      format: result.format || null,
+    } : null,
+    categoryName: result.categoryName || null,
+    guid: result.guid || null,
+    infoHash: result.infoHash || null,
+    indexer: result.indexer || null,
+    protocol: result.protocol || null,
+  };
+}
+
+async function autoGrabRequest(request, settings) {
+  const remaining = dataStore.getRemainingFormats(request);
+  const formats = ['audiobook', 'ebook'].filter((format) => remaining[format]);
+  if (formats.length === 0) return;
+
+  const author = request.author && request.author !== 'Unknown Author' ? request.author : '';
+  const query = [request.title, author].filter(Boolean).join(' ');
+  const { results: found } = await runUnifiedSearch(query);
+  const findBlock = releaseBlocklist.matcher(request.id);
+  const results = found.filter((result) => !findBlock(result));
+  const profile = await qualityProfiles.resolveForRequest(request);
+
+  const autoSearch = { checkedAt: new Date().toISOString(), query, qualityProfile: profile?.id || null, formats: {} };
+  for (const format of formats) {
+    const ranked = releaseScorer.rank(request, results, { format, profile });
+    const candidates = ranked.slice(0, AUTO_GRAB_CANDIDATES).map((entry) => ({
+      ...entry.result,
+      score: entry.score,
+      scoreBreakdown: entry.breakdown,
+      scoreReasons: entry.reasons,
+      detectedFormat: entry.format,
+    }));
+    const choice = chooseAutoGrabCandidate(ranked, settings);
+
+    if (choice.decision === 'grab') {
+      const { result } = choice.best;
+      try {
+        const downloadResult = await startRequestDownload(request.id, toDownloadOptions(result, format), { actor: 'auto-grab' });
+
+        if (downloadResult.success) {
+          console.log(`[AUTO-GRAB] Grabbed "${result.title}" (${format}, score ${choice.best.score}) for request ${request.id}`);
+          autoSearch.formats[format] = { decision: 'grabbed', reason: `Grabbed "${result.title}" (score ${choice.best.score})`, candidates };
+          continue;
+        }
+        autoSearch.formats[format] = { decision: 'review', reason: `Download failed: ${downloadResult.message || 'unknown error'}`, candidates };
+      } catch (error) {
+        console.error(`[AUTO-GRAB] Download failed for request ${request.id}:`, error.message);
+        autoSearch.formats[format] = { decision: 'review', reason: `Download failed: ${error.message}`, candidates };
+      }
+      continue;
+    }
+
+    autoSearch.formats[format] = { decision: choice.decision, reason: choice.reason, candidates };
+  }
+
+  await dataStore.setAutoSearchResult(request.id, autoSearch);
+}
+
+// Search for queued requests and grab confident matches; anything ambiguous
+// stays in the admin queue with its candidates attached.
+async function runAutoGrabTick() {
+  if (autoGrabInFlight) {
+    console.log('[AUTO-GRAB] Tick skipped: previous run still in progress');
+    return;
+  }
+
+  autoGrabInFlight = true;
+  try {
+    const settings = getAutoGrabSettings();
+    const retryBefore = Date.now() - settings.retryMinutes * 60 * 1000;
+    const due = (await dataStore.getPendingRequests())
+      .filter((request) => AUTO_GRAB_STATES.includes(request.status))
+      .filter((request) => new Date(request.autoSearch?.checkedAt || 0).getTime() < retryBefore)
+      .slice(0, settings.batchSize);
+
+    for (const request of due) {
+      try {
+        await autoGrabRequest(request, settings);
+      } catch (error) {
+        console.error(`[AUTO-GRAB] Request ${request.id} failed:`, error.message);
+      }
+    }
+  } finally {
+    autoGrabInFlight = false;
+  }
+}
+
+// Torrents currently being replaced after stalling.
+const stallFallbackHashes = new Set();
+
+function getStallFallbackSettings() {
+  return {
+    maxAttempts: Math.max(1, parseInt(process.env.STALLED_DOWNLOAD_MAX_ATTEMPTS || '3', 10) || 3),
+    minScore: getAutoGrabSettings().minScore,
+  };
+}
+
+// Grab the best-ranked release for one format of a request that is not
+// blocklisted and not a dead torrent; Telegram results count too. Marks the
+// format failed (back to the admin queue) when nothing scores high enough.
+async function grabNextRelease(request, format, settings) {
+  const author = request.author && request.author !== 'Unknown Author' ? request.author : '';
+  const query = [request.title, author].filter(Boolean).join(' ');
+  const { results: found } = await runUnifiedSearch(query);
+  const findBlock = releaseBlocklist.matcher(request.id);
+  const results = found
+    .filter((result) => !findBlock(result))
+    .filter((result) => result.source === 'telegram' || result.protocol === 'usenet' || Number(result.seeders) > 0);
+  const profile = await qualityProfiles.resolveForRequest(request);
+  const next = releaseScorer.rank(request, results, { format, profile })
+    .find((entry) => entry.score >= settings.minScore);
+
+  if (!next) {
+    const reason = `No other release scored ${settings.minScore} or more`;
+    await dataStore.recordDownloadAttempt(request.id, { format, outcome: 'no_alternative', reason }, { actor: 'stall-fallback' });
+    await dataStore.markFormatFailed(request.id, format, `Download stalled and no replacement was found: ${reason}`, { actor: 'stall-fallback' });
+    return null;
+  }
+
+  const { result } = next;
+  const downloadResult = await startRequestDownload(request.id, toDownloadOptions(result, format), { actor: 'stall-fallback' });
+  if (!downloadResult.success) {
+    const reason = downloadResult.message || 'Download could not be started';
+    await dataStore.recordDownloadAttempt(request.id, {
+      format,
+      title: result.title,
+      source: result.source,
+      indexer: result.indexer || result.tracker || null,
+      outcome: 'failed',
+      reason,
+    }, { actor: 'stall-fallback' });
+    await dataStore.markFormatFailed(request.id, format, `Replacement for a stalled download failed: ${reason}`, { actor: 'stall-fallback' });
+    return null;
+  }
+
+  console.log(`[STALLED] Request ${request.id} (${format}) moved on to "${result.title}" from ${result.source} (score ${next.score})`);
+  return result;
+}
+
+// A torrent made no progress for STALLED_DOWNLOAD_TIMEOUT_MINUTES: remove it,
+// blocklist the release and try the next-ranked one, up to
+// STALLED_DOWNLOAD_MAX_ATTEMPTS stalled releases per format.
+async function handleStalledDownload(torrent, job) {
+  const hash = String(torrent.hash || '').toLowerCase();
+  if (!hash || stallFallbackHashes.has(hash)) return;
+  stallFallbackHashes.add(hash);
+
+  // Once the torrent is removed the format has nothing downloading, so a
+  // failure after that must not leave it marked as downloading.
+  let match = null;
+  try {
+    const settings = getStallFallbackSettings();
+    const since = job.stalledSince || job.metadataSince;
+    const minutes = Math.round((Date.now() - Date.parse(since)) / 60000);
+    const reason = job.metadataSince && !job.stalledSince
+      ? `Stuck fetching metadata for ${minutes} minutes`
+      : `Stalled with no data from peers for ${minutes} minutes`;
+
+    const removed = await torrentClient.deleteTorrent(hash, true);
+    if (!removed.success) {
+      // Left as downloading, so the next poll tries again.
+      console.error(`[STALLED] Could not remove ${torrent.name}: ${removed.message}`);
+      return;
+    }
+    match = await resolveRequestForTorrent(hash, job);
+    downloadJobStore.updateByHash(hash, {
+      status: 'failed',
+      stage: 'stalled',
+      error: reason,
+    }, `Removed stalled torrent: ${reason}`);
+
+    if (!match?.format) {
+      console.log(`[STALLED] Removed ${torrent.name}: ${reason} (no request to retry)`);
+      return;
+    }
+
+    const { request, format } = match;
+    const release = request.fulfillment?.[format] || {};
+    const title = release.title || torrent.name;
+    console.log(`[STALLED] Request ${request.id} (${format}): removed "${title}" - ${reason}`);
+    blocklistRelease(request.id, {
+      infoHash: hash,
+      guid: release.guid,
+      title,
+      source: release.source || 'prowlarr',
+      indexer: release.indexer || release.tracker || null,
+      reason,
+    }, 'stall-fallback');
+    const updated = await dataStore.recordDownloadAttempt(request.id, {
+      format,
+      title,
+      source: release.source || 'prowlarr',
+      indexer: release.indexer || release.tracker || null,
+      torrentHash: hash,
+      outcome: 'stalled',
+      reason,
+    }, { actor: 'stall-fallback', message: `Removed stalled download "${title}": ${reason}` });
+
+    const stalledCount = (updated.downloadAttempts || [])
+      .filter((attempt) => attempt.format === format && attempt.outcome === 'stalled').length;
+    if (stalledCount >= settings.maxAttempts) {
+      await dataStore.markFormatFailed(request.id, format, `${stalledCount} releases stalled; pick one by hand`, { actor: 'stall-fallback' });
+      return;
+    }
+
+    await grabNextRelease(updated, format, settings);
+  } catch (error) {
+    console.error(`[STALLED] Could not replace stalled torrent ${torrent.name}:`, error.message);
+    if (match?.format) {
+      await dataStore.markFormatFailed(match.request.id, match.format, `Replacing a stalled download failed: ${error.message}`, { actor: 'stall-fallback' })
+        .catch((markError) => console.error(`[STALLED] Could not mark request ${match.request.id} failed:`, markError.message));
+    }
+  } finally {
+    stallFallbackHashes.delete(hash);
+  }
+}
+
+// Submit a request on a user's behalf (followed authors, series) with the
+// same quota, ownership and auto-approval handling as a manual request.
+// Returns { request } or { deferred: message } when over quota.
+async function submitRequestFor(user, book, requestTypes, { source, sourceLabel, ...extra } = {}) {
+  const quotaCheck = await requestPolicy.checkRequest(user, requestTypes);
+  if (!quotaCheck.allowed) {
+    return { deferred: quotaCheck.message };
+  }
+
+  const requestedBy = user.googleId || user.email || 'unknown-user';
+  const username = user.username || user.displayName || (user.email ? user.email.split('@')[0] : null);
+  const added = await dataStore.addRequest({
+    bookId: book.id,
+    title: book.title,
+    author: book.author || 'Unknown Author',
+    type: 'book',
+    requestTypes,
+    requestedBy,
+    userEmail: user.email || null,
+    username,
+    submittedAt: new Date().toISOString(),
+    synopsis: book.synopsis || null,
+    coverUrl: book.coverUrl || null,
+    releaseDate: book.releaseDate || null,
+    source,
+    ...extra,
+  });
+  const { request: submitted } = await fulfillOwnedFormats(added);
+  const request = await applyAutoApproval(submitted, quotaCheck.quota, user);
+
+  if (request.status !== 'available' && telegramBotNotifier && telegramBotNotifier.sendNotification) {
+    try {
+      await telegramBotNotifier.sendNotification({
+        type: 'book_request',
+        title: request.title,
+        author: request.author,
+        formats: ['audiobook', 'ebook'].filter((format) => requestTypes[format]).map((format) => (format === 'audiobook' ? 'Audiobook' : 'Ebook')).join(' + '),
+        requestedBy: username || user.email || requestedBy,
+        source: sourceLabel,
+        votes: request.votes,
+      });
+    } catch (notifyError) {
+      console.error('[REQUESTS] Failed to send Telegram notification:', notifyError.message);
+    }
+  }
+  return { request };
+}
+
+// Request one new book by a followed author for the follower. Returns
+// 'requested', 'owned' (nothing left to request) or 'deferred' (over quota;
+// tried again on the next run).
+async function requestFollowedAuthorBook(follow, book) {
+  const owned = ownershipIndex.getOwnership(book) || {};
+  const wanted = {
+    audiobook: follow.requestTypes.audiobook && !owned.audiobook,
+    ebook: follow.requestTypes.ebook && !owned.ebook,
+  };
+  if (!wanted.audiobook && !wanted.ebook) {
+    authorFollows.recordBook(follow, book.id, { outcome: 'owned' });
+    return 'owned';
+  }
+
+  const { follower } = follow;
+  const result = await submitRequestFor(follower, { ...book, author: book.author || follow.authorName }, wanted, {
+    source: 'followed_author',
+    sourceLabel: `Followed author: ${follow.authorName}`,
+    followedAuthor: { id: follow.authorId, name: follow.authorName },
+  });
+  if (result.deferred) {
+    console.log(`[FOLLOWS] Deferred "${book.title}" for ${follow.userKey}: ${result.deferred}`);
+    return 'deferred';
+  }
+
+  authorFollows.recordBook(follow, book.id, { outcome: 'requested', requestId: result.request.id });
+  console.log(`[FOLLOWS] Requested "${book.title}" (${book.releaseDate || 'no date'}) by ${follow.authorName} for ${follower.username || follow.userKey}`);
+  return 'requested';
+}
+
+// Check every followed author for books released on or after the day they
+// were followed (upcoming ones included), so following never requests an
+// author's backlist.
+async function runFollowedAuthorsTick() {
+  if (followedAuthorsInFlight) {
+    console.log('[FOLLOWS] Check skipped: previous run still in progress');
+    return;
+  }
+
+  followedAuthorsInFlight = true;
+  try {
+    const follows = authorFollows.listAll();
+    if (follows.length === 0) return;
+
+    await ownershipIndex.ensureFresh();
+    const releasesByQuery = new Map();
+    let requested = 0;
+    for (const follow of follows) {
+      try {
+        const since = follow.createdAt.slice(0, 10);
+        const queryKey = `${follow.authorId}:${since}`;
+        if (!releasesByQuery.has(queryKey)) {
+          releasesByQuery.set(queryKey, await hardcoverService.getAuthorReleases(follow.authorId, since));
+        }
+        for (const book of releasesByQuery.get(queryKey)) {
+          if (authorFollows.hasHandledBook(follow.userKey, book.id)) continue;
+          if (await requestFollowedAuthorBook(follow, book) === 'requested') requested += 1;
+        }
+        authorFollows.markChecked(follow.id);
+      } catch (error) {
+        console.error(`[FOLLOWS] Could not check ${follow.authorName} for ${follow.userKey}:`, error.message);
+      }
+    }
+    console.log(`[FOLLOWS] Checked ${follows.length} follow(s); ${requested} new request(s)`);
+  } finally {
+    followedAuthorsInFlight = false;
+  }
+}
+
+// Re-fetch every followed series so new and newly dated entries show up.
+async function runSeriesRefreshTick() {
+  if (seriesRefreshInFlight) {
+    console.log('[SERIES] Refresh skipped: previous run still in progress');
+    return;
+  }
+
+  seriesRefreshInFlight = true;
+  try {
+    for (const seriesId of seriesTracker.getFollowedSeriesIds()) {
+      try {
+        await seriesTracker.refreshSeries(seriesId);
+      } catch (error) {
+        console.error(`[SERIES] Could not refresh series ${seriesId}:`, error.message);
+      }
+    }
+  } finally {
+    seriesRefreshInFlight = false;
+  }
+}
+
 function getLocalDateKey(date = new Date()) {
   const y = date.getFullYear();
   const m = String(date.getMonth() + 1).padStart(2, '0');
@@ -2833,7 +4768,7 @@ app.listen(PORT, () => {
   console.log(`Onyx server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
   console.log(`Prowlarr URL: ${process.env.PROWLARR_URL}`);
-  console.log(`qBittorrent URL: ${process.env.QBIT_URL}`);
+  console.log(`Torrent client: ${torrentClient.label}`);
 
   // Initialize Google Books discovery cache
   // DISABLED for AI curation - cache generation now handled via admin endpoint only
@@ -2885,7 +4820,7 @@ app.listen(PORT, () => {
 
     try {
       console.log('[INIT] Building ownership index...');
-      const ownership = await ownershipIndex.refresh(true);
+      const ownership = await refreshOwnershipIndex();
       console.log(`[INIT] Ownership index ready: ${ownership.stats?.totalRecords || 0} records (${ownership.source})`);
     } catch (error) {
       console.log(`[INIT] Ownership index build failed: ${error.message}`);
@@ -2900,6 +4835,13 @@ app.listen(PORT, () => {
       console.log(`[INIT] Dashboard snapshot build failed: ${error.message}`);
     }
 
+    try {
+      const resumed = libraryImports.resumePending();
+      if (resumed > 0) console.log(`[INIT] Resuming ${resumed} library import(s)`);
+    } catch (error) {
+      console.log(`[INIT] Library import resume failed: ${error.message}`);
+    }
+
     // Initialize Telegram service
     try {
       console.log('[INIT] Initializing Telegram service...');
@@ -2949,15 +4891,88 @@ app.listen(PORT, () => {
     console.log('[INIT] Background initialization complete');
   });
 
-  // Poll qBittorrent periodically to surface live progress in admin UI.
-  setInterval(async () => {
-    try {
-      const torrents = await qbittorrentService.getTorrents();
-      downloadJobStore.updateFromQbitTorrents(torrents);
-    } catch (error) {
-      // Best-effort only; do not spam logs.
-    }
-  }, 5000);
+  // Poll the torrent client for tracked torrents so jobs show live progress without
+  // the external hooks, and import finished torrents the webhook missed.
+  const qbitPollSeconds = Math.max(2, parseInt(process.env.QBIT_POLL_INTERVAL_SECONDS || '5', 10) || 5);
+  console.log(`[SCHEDULER] ${torrentClient.label} progress poller enabled: every ${qbitPollSeconds}s`);
+  const stallFallbackEnabled = String(process.env.STALLED_DOWNLOAD_FALLBACK_ENABLED || 'true').toLowerCase() !== 'false';
+  if (stallFallbackEnabled) {
+    console.log(`[SCHEDULER] Stalled-download fallback enabled: after ${torrentClient.stallTimeoutMs / 60000}m without progress`);
+  } else {
+    console.log('[SCHEDULER] Stalled-download fallback disabled via STALLED_DOWNLOAD_FALLBACK_ENABLED');
+  }
+  torrentClient.startProgressPoller({
+    intervalMs: qbitPollSeconds * 1000,
+    knownHashes: async (requestId) => getKnownTorrentHashes(await dataStore.getRequestById(requestId)),
+    onStalled: stallFallbackEnabled
+      ? (torrent, job) => {
+        handleStalledDownload(torrent, job).catch((error) => {
+          console.error(`[STALLED] Fallback failed for ${torrent.name}:`, error.message);
+        });
+      }
+      : null,
+    onComplete: (torrent) => {
+      processCompletedDownload({
+        hash: torrent.hash,
+        name: torrent.name,
+        contentPath: torrent.content_path || path.join(torrent.save_path || '', torrent.name || ''),
+        tracker: torrent.tracker,
+        category: torrent.category,
+        tags: torrent.tags,
+      }, { via: 'poller' }).catch((error) => {
+        console.error(`[POLLER] Could not import ${torrent.name}:`, error.message);
+      });
+    },
+  });
+
+  // Usenet clients have no completion webhook: the Usenet poller imports
+  // finished downloads itself and fails the request's format on failed ones.
+  if (usenetClient) {
+    const usenetPollSeconds = Math.max(2, parseInt(process.env.USENET_POLL_INTERVAL_SECONDS || '10', 10) || 10);
+    console.log(`[SCHEDULER] ${usenetClient.label} progress poller enabled: every ${usenetPollSeconds}s`);
+    usenetClient.startProgressPoller({
+      intervalMs: usenetPollSeconds * 1000,
+      onComplete: (download, job) => {
+        processCompletedDownload({
+          hash: job.torrentHash,
+          name: download.name,
+          contentPath: download.path,
+          tracker: 'usenet',
+          category: usenetClient.getCategory(),
+        }, { via: 'usenet' }).catch((error) => {
+          console.error(`[USENET] Could not import ${download.name}:`, error.message);
+        });
+      },
+      onFailed: (download, job) => {
+        syncRequestLifecycle(job.torrentHash, job, 'failed', download.error || `${usenetClient.label} download failed`);
+      },
+    });
+  }
+
+  // Seeding enforcer: remove imported torrents whose seeding policy deletes
+  // them once they have seeded long enough.
+  const seedingEnforcerEnabled = String(process.env.SEEDING_ENFORCER_ENABLED || 'true').toLowerCase() !== 'false';
+  if (seedingEnforcerEnabled) {
+    const seedingEnforcerMinutes = Math.max(1, parseInt(process.env.SEEDING_ENFORCER_INTERVAL_MINUTES || '15', 10) || 15);
+    console.log(`[SCHEDULER] Seeding enforcer enabled: every ${seedingEnforcerMinutes}m (policies: ${seedingPolicies.policies.map((policy) => policy.name).join(', ')})`);
+    let seedingEnforcerInFlight = false;
+    setInterval(async () => {
+      if (seedingEnforcerInFlight) return;
+      seedingEnforcerInFlight = true;
+      try {
+        const { removed } = await seedingPolicies.enforce();
+        if (removed > 0) {
+          console.log(`[SEEDING] Removed ${removed} torrent${removed === 1 ? '' : 's'} that met their seeding policy`);
+        }
+      } catch (error) {
+        console.error('[SEEDING] Enforcer tick failed:', error.message);
+      } finally {
+        seedingEnforcerInFlight = false;
+      }
+    }, seedingEnforcerMinutes * 60 * 1000);
+  } else {
+    console.log('[SCHEDULER] Seeding enforcer disabled via SEEDING_ENFORCER_ENABLED');
+  }
 
   // Incremental cache growth scheduler (one genre per tick, rotating).
   const schedulerEnabled = String(process.env.INCREMENTAL_REFRESH_ENABLED || 'true').toLowerCase() !== 'false';
@@ -2996,4 +5011,42 @@ app.listen(PORT, () => {
   } else {
     console.log('[SCHEDULER] Nightly ABS maintenance disabled via NIGHTLY_ABS_MAINTENANCE_ENABLED');
   }
+
+  const autoGrabEnabled = String(process.env.AUTO_GRAB_ENABLED || 'false').toLowerCase() === 'true';
+  const autoGrabEveryMinutes = Math.max(5, parseInt(process.env.AUTO_GRAB_EVERY_MINUTES || '15', 10) || 15);
+  if (autoGrabEnabled) {
+    console.log(`[SCHEDULER] Auto-grab worker enabled: every ${autoGrabEveryMinutes}m`);
+    setInterval(() => {
+      runAutoGrabTick().catch((error) => {
+        console.error('[AUTO-GRAB] Tick failed:', error.message);
+      });
+    }, autoGrabEveryMinutes * 60 * 1000);
+  } else {
+    console.log('[SCHEDULER] Auto-grab worker disabled via AUTO_GRAB_ENABLED');
+  }
+
+  const followedAuthorsEnabled = String(process.env.FOLLOWED_AUTHORS_ENABLED || 'true').toLowerCase() !== 'false';
+  const followedAuthorsEveryMinutes = Math.max(60, parseInt(process.env.FOLLOWED_AUTHORS_EVERY_MINUTES || '720', 10) || 720);
+  if (followedAuthorsEnabled && process.env.HARDCOVER_TOKEN) {
+    console.log(`[SCHEDULER] Followed-author check enabled: every ${followedAuthorsEveryMinutes}m`);
+    setInterval(() => {
+      runFollowedAuthorsTick().catch((error) => {
+        console.error('[FOLLOWS] Check failed:', error.message);
+      });
+    }, followedAuthorsEveryMinutes * 60 * 1000);
+  } else {
+    console.log('[SCHEDULER] Followed-author check disabled (FOLLOWED_AUTHORS_ENABLED or HARDCOVER_TOKEN not set)');
+  }
+
+  const seriesRefreshEveryMinutes = Math.max(60, parseInt(process.env.SERIES_REFRESH_EVERY_MINUTES || '1440', 10) || 1440);
+  if (process.env.HARDCOVER_TOKEN) {
+    console.log(`[SCHEDULER] Followed-series refresh enabled: every ${seriesRefreshEveryMinutes}m`);
+    setInterval(() => {
+      runSeriesRefreshTick().catch((error) => {
+        console.error('[SERIES] Refresh failed:', error.message);
+      });
+    }, seriesRefreshEveryMinutes * 60 * 1000);
+  } else {
+    console.log('[SCHEDULER] Followed-series refresh disabled: HARDCOVER_TOKEN not set');
+  }
 });
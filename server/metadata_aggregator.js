@@ -223,82 +223,42 @@ class MetadataAggregator {
     return metadata;
   }
 
-  async getSeriesLatest(seriesName, authorName) {
+  /**
+   * Audnexus entries for a series, sorted by position. Books not listed in
+   * this series (by name), or without a numeric position in it, are dropped.
+   */
+  async fetchAudnexusSeries(seriesName, authorName) {
     try {
-      // Special handling for RR Haywood and Mark Tufo series
-      if (authorName.toLowerCase().includes('haywood') && seriesName.toLowerCase().includes('undead')) {
-        return await this.getUndeadLatest();
-      } else if (authorName.toLowerCase().includes('tufo') && seriesName.toLowerCase().includes('zombie')) {
-        return await this.getZombieFalloutLatest();
-      }
-
-      // Generic series search
-      const metadata = await this.fetchAudnexusMetadata(seriesName, authorName);
-      return metadata;
-    } catch (error) {
-      console.error('Error fetching series latest:', error);
-      return null;
-    }
-  }
-
-  async getUndeadLatest() {
-    try {
-      const response = await fetch('https://api.audnex.us/books?author=RR%20Haywood&series=The%20Undead');
-      const data = await response.json();
-
-      if (data && data.length > 0) {
-        // Find the highest "Day" number
-        const dayBooks = data.filter(book => book.title.includes('Day'));
-        const latest = dayBooks.reduce((max, book) => {
-          const dayMatch = book.title.match(/Day (\d+)/);
-          const dayNum = dayMatch ? parseInt(dayMatch[1]) : 0;
-          const maxMatch = max.title.match(/Day (\d+)/);
-          const maxNum = maxMatch ? parseInt(maxMatch[1]) : 0;
-          return dayNum > maxNum ? book : max;
-        });
+      const params = new URLSearchParams({ author: authorName || '', series: seriesName });
+      const response = await fetch(`https://api.audnex.us/books?${params}`);
 
-        return {
-          source: 'audnexus',
-          title: latest.title,
-          author: 'RR Haywood',
-          cover: latest.image,
-          series: 'The Undead',
-          seriesPosition: latest.title.match(/Day (\d+)/)?.[1]
-        };
+      if (!response.ok) {
+        throw new Error(`Audnexus API error: ${response.status}`);
       }
-    } catch (error) {
-      console.error('Error fetching Undead latest:', error);
-    }
-    return null;
-  }
 
-  async getZombieFalloutLatest() {
-    try {
-      const response = await fetch('https://api.audnex.us/books?author=Mark%20Tufo&series=Zombie%20Fallout');
       const data = await response.json();
-
-      if (data && data.length > 0) {
-        // Sort by series position or title number
-        const sortedBooks = data.sort((a, b) => {
-          const aNum = a.seriesPrimary?.position || parseInt(a.title.match(/\d+/)?.[0]) || 0;
-          const bNum = b.seriesPrimary?.position || parseInt(b.title.match(/\d+/)?.[0]) || 0;
-          return bNum - aNum;
-        });
-
-        const latest = sortedBooks[0];
-        return {
-          source: 'audnexus',
-          title: latest.title,
-          author: 'Mark Tufo',
-          cover: latest.image,
-          series: 'Zombie Fallout',
-          seriesPosition: latest.seriesPrimary?.position
-        };
-      }
+      const wanted = seriesName.trim().toLowerCase();
+
+      return (Array.isArray(data) ? data : [])
+        .map(book => {
+          const series = [book.seriesPrimary, book.seriesSecondary]
+            .find(s => s?.name && s.name.trim().toLowerCase() === wanted);
+          if (!series) return null;
+          return {
+            position: parseFloat(series?.position),
+            title: book.title,
+            author: book.authors?.[0]?.name || authorName,
+            releaseDate: book.releaseDate ? String(book.releaseDate).slice(0, 10) : null,
+            coverUrl: book.image || null,
+            asin: book.asin || null
+          };
+        })
+        .filter(entry => entry && Number.isFinite(entry.position))
+        .sort((a, b) => a.position - b.position);
     } catch (error) {
-      console.error('Error fetching Zombie Fallout latest:', error);
+      console.error(`Audnexus series fetch error for "${seriesName}":`, error.message);
+      return [];
     }
-    return null;
   }
 
   async clearCache() {
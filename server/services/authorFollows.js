@@ -0,0 +1,125 @@
+const database = require('./database');
+
+const normalizeRequestTypes = (requestTypes = {}) => ({
+  audiobook: Boolean(requestTypes.audiobook),
+  ebook: Boolean(requestTypes.ebook)
+});
+
+/**
+ * Authors users follow. A scheduled job checks Hardcover for each followed
+ * author's new and upcoming books and requests them for the follower in the
+ * formats they chose when following.
+ *
+ * Each follow keeps the follower's identity (as it appears on requests) so
+ * the job can request on their behalf. Every book the job has handled for a
+ * user is remembered in followed_author_books, so a book is requested at
+ * most once even if the request is later cancelled or rejected.
+ */
+class AuthorFollows {
+  getUserKey(user) {
+    return String(user?.googleId || user?.email || '').toLowerCase() || null;
+  }
+
+  toFollow(row) {
+    const data = JSON.parse(row.data);
+    return {
+      id: row.id,
+      userKey: row.user_key,
+      authorId: row.author_id,
+      authorName: row.author_name,
+      requestTypes: normalizeRequestTypes(data.requestTypes),
+      follower: data.follower || {},
+      createdAt: row.created_at,
+      lastCheckedAt: row.last_checked_at
+    };
+  }
+
+  listForUser(user) {
+    const userKey = this.getUserKey(user);
+    if (!userKey) return [];
+    return database.connection
+      .prepare('SELECT * FROM followed_authors WHERE user_key = ? ORDER BY author_name COLLATE NOCASE')
+      .all(userKey)
+      .map(row => this.toFollow(row));
+  }
+
+  listAll() {
+    return database.connection
+      .prepare('SELECT * FROM followed_authors ORDER BY COALESCE(last_checked_at, \'\'), id')
+      .all()
+      .map(row => this.toFollow(row));
+  }
+
+  /**
+   * Follow an author, or update the formats of an existing follow.
+   */
+  follow(user, { authorId, authorName, requestTypes } = {}) {
+    const userKey = this.getUserKey(user);
+    if (!userKey) throw new Error('Not signed in');
+
+    const types = normalizeRequestTypes(requestTypes);
+    if (!types.audiobook && !types.ebook) {
+      const error = new Error('Choose at least one format to request');
+      error.code = 'INVALID_FOLLOW';
+      throw error;
+    }
+
+    const data = JSON.stringify({
+      requestTypes: types,
+      follower: {
+        googleId: user.googleId || null,
+        email: user.email || null,
+        username: user.username || user.displayName || (user.email ? user.email.split('@')[0] : null),
+        role: user.role || null
+      }
+    });
+
+    database.connection.prepare(`
+      INSERT INTO followed_authors (user_key, author_id, author_name, created_at, data)
+      VALUES (@userKey, @authorId, @authorName, @createdAt, @data)
+      ON CONFLICT(user_key, author_id) DO UPDATE SET author_name = excluded.author_name, data = excluded.data
+    `).run({
+      userKey,
+      authorId: Number(authorId),
+      authorName: String(authorName).trim().slice(0, 200),
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    return this.toFollow(database.connection
+      .prepare('SELECT * FROM followed_authors WHERE user_key = ? AND author_id = ?')
+      .get(userKey, Number(authorId)));
+  }
+
+  unfollow(user, authorId) {
+    const userKey = this.getUserKey(user);
+    if (!userKey) return false;
+    return database.connection
+      .prepare('DELETE FROM followed_authors WHERE user_key = ? AND author_id = ?')
+      .run(userKey, Number(authorId)).changes > 0;
+  }
+
+  markChecked(followId) {
+    database.connection
+      .prepare('UPDATE followed_authors SET last_checked_at = ? WHERE id = ?')
+      .run(new Date().toISOString(), followId);
+  }
+
+  hasHandledBook(userKey, bookId) {
+    return Boolean(database.connection
+      .prepare('SELECT 1 FROM followed_author_books WHERE user_key = ? AND book_id = ?')
+      .get(userKey, String(bookId)));
+  }
+
+  /**
+   * Remember what happened to a book for a follower: 'requested' or 'owned'.
+   */
+  recordBook(follow, bookId, { outcome, requestId = null }) {
+    database.connection.prepare(`
+      INSERT OR IGNORE INTO followed_author_books (user_key, book_id, author_id, request_id, outcome, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(follow.userKey, String(bookId), follow.authorId, requestId, outcome, new Date().toISOString());
+  }
+}
+
+module.exports = new AuthorFollows();
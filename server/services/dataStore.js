@@ -1,47 +1,180 @@
-const fs = require('fs').promises;
-const path = require('path');
+const { EventEmitter } = require('events');
+const database = require('./database');
+const { isSameWork } = require('../utils/titleMatch');
+
+// Request lifecycle. Every status change goes through transitionRequest(),
+// which rejects moves that are not listed here and appends an audit event.
+const REQUEST_STATES = [
+  'pending',
+  'approved',
+  'searching',
+  'downloading',
+  'importing',
+  'available',
+  'failed',
+  'rejected',
+  'cancelled'
+];
+
+const REQUEST_TRANSITIONS = {
+  pending: ['approved', 'searching', 'downloading', 'available', 'failed', 'rejected', 'cancelled'],
+  approved: ['searching', 'downloading', 'available', 'failed', 'rejected', 'cancelled'],
+  searching: ['approved', 'downloading', 'available', 'failed', 'rejected', 'cancelled'],
+  downloading: ['importing', 'approved', 'available', 'failed', 'cancelled'],
+  importing: ['approved', 'downloading', 'available', 'failed'],
+  failed: ['approved', 'searching', 'downloading', 'importing', 'available', 'rejected', 'cancelled'],
+  available: [],
+  rejected: [],
+  cancelled: []
+};
+
+const TERMINAL_STATES = ['available', 'rejected', 'cancelled'];
+
+// Statuses written by older versions of the store.
+const LEGACY_STATUS_MAP = {
+  downloaded: 'available',
+  completed: 'available'
+};
+
+// Per-format fulfillment states that count as "already being handled".
+const FORMAT_IN_PROGRESS_STATES = ['downloading', 'importing', 'available'];
+
+const FORMATS = ['audiobook', 'ebook'];
+
+// States in which the requester may still change formats or add a note.
+const REQUESTER_EDITABLE_STATES = ['pending', 'approved'];
+
+// Canned reasons an admin can pick when rejecting or declining a request.
+const REJECTION_REASONS = {
+  not_available: 'Not available',
+  already_in_library: 'Already in library',
+  duplicate: 'Duplicate request',
+  not_suitable: 'Not suitable for this library'
+};
+
+// "rejected" = will not be fulfilled; "declined" = could not be fulfilled right now.
+const REJECTION_KINDS = ['rejected', 'declined'];
 
 class DataStore {
   constructor() {
-    this.dataDir = path.join(__dirname, '../../data');
-    this.requestsFile = path.join(this.dataDir, 'requests.json');
-    this.historyFile = path.join(this.dataDir, 'history.json');
+    this.writeQueue = Promise.resolve();
+    // Emits 'transition' with { request, from, to } after every status change,
+    // 'request' with { request } when a request is created or gains a voter
+    // or format, and 'comment' with { request, comment } for new comments.
+    this.emitter = new EventEmitter();
     this.init();
   }
 
-  async init() {
+  init() {
     try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-
-      // Initialize requests.json if it doesn't exist
-      try {
-        await fs.access(this.requestsFile);
-      } catch (error) {
-        await fs.writeFile(this.requestsFile, JSON.stringify([], null, 2));
-      }
-
-      // Initialize history.json if it doesn't exist
-      try {
-        await fs.access(this.historyFile);
-      } catch (error) {
-        await fs.writeFile(this.historyFile, JSON.stringify([], null, 2));
-      }
+      // Opens data/onyx.db, applies migrations and imports requests.json /
+      // history.json on first run.
+      database.open();
     } catch (error) {
       console.error('Error initializing data store:', error);
     }
   }
 
-  async writeJsonAtomic(filePath, data) {
-    const tmpPath = `${filePath}.tmp`;
-    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
-    await fs.rename(tmpPath, filePath);
+  saveRequest(request) {
+    database.upsertRequestRow(request);
+  }
+
+  // Serialise read-modify-write cycles on a request so concurrent
+  // webhook/progress callbacks cannot overwrite each other's changes.
+  withWriteLock(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  normalizeRequest(request) {
+    if (!request) return request;
+    const status = LEGACY_STATUS_MAP[request.status] || request.status || 'pending';
+    // Requests created before vote merging only know their original requester.
+    const interestedUsers = Array.isArray(request.interestedUsers) && request.interestedUsers.length > 0
+      ? request.interestedUsers
+      : [this.buildInterestedUser(request, request.createdAt || request.submittedAt)];
+    return {
+      ...request,
+      status,
+      fulfillment: request.fulfillment || {},
+      events: Array.isArray(request.events) ? request.events : [],
+      interestedUsers,
+      votes: interestedUsers.length
+    };
+  }
+
+  buildInterestedUser(source, at = new Date().toISOString()) {
+    return {
+      requestedBy: source.requestedBy || null,
+      userEmail: source.userEmail || null,
+      username: source.username || null,
+      requestTypes: source.requestTypes || { audiobook: false, ebook: true },
+      at: at || null
+    };
+  }
+
+  matchesIdentity(entry, ids) {
+    return ids.has(String(entry?.requestedBy || '').toLowerCase()) ||
+      ids.has(String(entry?.userEmail || '').toLowerCase());
+  }
+
+  /**
+   * Whether any of `identities` (googleId, email) asked for this request,
+   * either as the original requester or through a +1 vote.
+   */
+  isInterestedUser(request, identities = []) {
+    const ids = new Set(identities.filter(Boolean).map(id => String(id).toLowerCase()));
+    if (ids.size === 0 || !request) return false;
+    const normalized = this.normalizeRequest(request);
+    return this.matchesIdentity(normalized, ids) ||
+      normalized.interestedUsers.some(entry => this.matchesIdentity(entry, ids));
+  }
+
+  buildEvent(from, to, { actor = 'system', message = null, format = null } = {}) {
+    return {
+      at: new Date().toISOString(),
+      from,
+      to,
+      actor,
+      message,
+      ...(format ? { format } : {})
+    };
+  }
+
+  canTransition(from, to, request = null) {
+    if (from === to) return true;
+    // Declined means "not right now", so a declined request may be reopened.
+    if (from === 'rejected' && to === 'approved') return request?.rejection?.kind === 'declined';
+    return (REQUEST_TRANSITIONS[from] || []).includes(to);
+  }
+
+  getRequestedFormats(request) {
+    const rt = request?.requestTypes || {};
+    return FORMATS.filter(format => rt[format]);
   }
 
+  getFormatStateKey(request) {
+    return FORMATS.map(format => request?.fulfillment?.[format]?.status || '-').join('|');
+  }
+
+  getRemainingFormats(request) {
+    const fulfillment = request?.fulfillment || {};
+    const remaining = {};
+    for (const format of FORMATS) {
+      const requested = Boolean(request?.requestTypes?.[format]);
+      const state = fulfillment[format]?.status;
+      remaining[format] = requested && !FORMAT_IN_PROGRESS_STATES.includes(state);
+    }
+    return remaining;
+  }
 
   async getRequests() {
     try {
-      const data = await fs.readFile(this.requestsFile, 'utf8');
-      return JSON.parse(data);
+      const rows = database.connection
+        .prepare('SELECT data FROM requests ORDER BY created_at, rowid')
+        .all();
+      return database.parseRows(rows).map(r => this.normalizeRequest(r));
     } catch (error) {
       console.error('Error reading requests:', error);
       return [];
@@ -50,106 +183,597 @@ class DataStore {
 
   async getRequestById(requestId) {
     try {
-      const requests = await this.getRequests();
-      return requests.find(r => r.id === requestId);
+      const row = database.connection.prepare('SELECT data FROM requests WHERE id = ?').get(String(requestId));
+      return row ? this.normalizeRequest(JSON.parse(row.data)) : undefined;
     } catch (error) {
       console.error('Error getting request by ID:', error);
       return null;
     }
   }
 
+  /**
+   * Requests submitted or voted for by a given user. `identities` is any mix
+   * of the ids a user may have been recorded under (googleId, email).
+   */
+  async getRequestsForUser(identities = []) {
+    if (identities.filter(Boolean).length === 0) return [];
+
+    const requests = await this.getRequests();
+    return requests
+      .filter(r => this.isInterestedUser(r, identities))
+      .sort((a, b) => new Date(b.createdAt || 0).getTime() - new Date(a.createdAt || 0).getTime());
+  }
+
+  async findRequestByTorrentHash(hash) {
+    const normalizedHash = String(hash || '').toLowerCase();
+    if (!normalizedHash) return null;
+
+    const requests = await this.getRequests();
+    for (const request of requests) {
+      for (const format of FORMATS) {
+        const entry = request.fulfillment[format];
+        if (entry?.torrentHash && entry.torrentHash.toLowerCase() === normalizedHash) {
+          return { request, format };
+        }
+      }
+    }
+    return null;
+  }
+
   async addRequest(request) {
-    try {
-      const requests = await this.getRequests();
+    return this.withWriteLock(async () => {
+      try {
+        const requests = await this.getRequests();
+
+        const title = (request.title || '').trim();
+        const author = (request.author || '').trim();
+        const requestedBy = (request.requestedBy || '').trim();
+        const rt = request.requestTypes || { audiobook: false, ebook: true };
+        const dedupeKey = `${requestedBy}|${title.toLowerCase()}|${author.toLowerCase()}|${rt.audiobook ? 1 : 0}${rt.ebook ? 1 : 0}`;
 
-      const title = (request.title || '').trim();
-      const author = (request.author || '').trim();
-      const requestedBy = (request.requestedBy || '').trim();
-      const rt = request.requestTypes || { audiobook: false, ebook: true };
-      const dedupeKey = `${requestedBy}|${title.toLowerCase()}|${author.toLowerCase()}|${rt.audiobook ? 1 : 0}${rt.ebook ? 1 : 0}`;
+        const existing = requests.find(r =>
+          r.status === 'pending' &&
+          (r._dedupeKey || '') === dedupeKey
+        );
+        if (existing) {
+          return existing;
+        }
 
-      const existing = requests.find(r =>
-        r.status === 'pending' &&
-        (r._dedupeKey || '') === dedupeKey
-      );
-      if (existing) {
-        return existing;
+        // Another open request for the same work: add this user as a +1 instead
+        // of creating a second admin task, widening the formats if needed.
+        const sameWork = requests.find(r =>
+          !TERMINAL_STATES.includes(r.status) &&
+          isSameWork(r, { title, author, isbn: request.isbn })
+        );
+        if (sameWork) {
+          return this.mergeIntoRequest(sameWork, { ...request, requestedBy, requestTypes: rt });
+        }
+
+        let id = Date.now();
+        while (requests.some(r => r.id === String(id))) {
+          id += 1;
+        }
+
+        const newRequest = {
+          id: String(id),
+          ...request,
+          status: 'pending',
+          createdAt: new Date().toISOString(),
+          fulfillment: {},
+          events: [this.buildEvent(null, 'pending', {
+            actor: request.username || requestedBy || 'unknown-user',
+            message: 'Request submitted'
+          })],
+          interestedUsers: [this.buildInterestedUser({ ...request, requestedBy, requestTypes: rt })],
+          votes: 1,
+          _dedupeKey: dedupeKey
+        };
+
+        this.saveRequest(newRequest);
+        this.emitter.emit('request', { request: newRequest });
+        return newRequest;
+      } catch (error) {
+        console.error('Error adding request:', error);
+        throw error;
       }
+    });
+  }
 
-      const newRequest = {
-        id: Date.now().toString(),
-        ...request,
-        status: 'pending',
-        createdAt: new Date().toISOString(),
-        _dedupeKey: dedupeKey
-      };
+  // Caller must hold the write lock.
+  async mergeIntoRequest(target, incoming) {
+    const ids = new Set([incoming.requestedBy, incoming.userEmail]
+      .filter(Boolean)
+      .map(id => String(id).toLowerCase()));
+    const alreadyInterested = target.interestedUsers.some(entry => this.matchesIdentity(entry, ids));
 
-      requests.push(newRequest);
-      await this.writeJsonAtomic(this.requestsFile, requests);
-      return newRequest;
-    } catch (error) {
-      console.error('Error adding request:', error);
-      throw error;
+    const addedFormats = FORMATS.filter(format =>
+      incoming.requestTypes?.[format] && !target.requestTypes?.[format]
+    );
+    if (addedFormats.length > 0) {
+      target.requestTypes = { ...(target.requestTypes || {}) };
+      addedFormats.forEach(format => { target.requestTypes[format] = true; });
+    }
+
+    if (alreadyInterested && addedFormats.length === 0) {
+      return target;
     }
+
+    const voter = incoming.username || incoming.userEmail || incoming.requestedBy || 'unknown-user';
+    if (!alreadyInterested) {
+      target.interestedUsers.push(this.buildInterestedUser(incoming));
+    }
+    target.votes = target.interestedUsers.length;
+
+    const parts = [];
+    if (!alreadyInterested) parts.push(`+1 from ${voter} (${target.votes} votes)`);
+    if (addedFormats.length > 0) parts.push(`added ${addedFormats.join(' + ')}`);
+    target.events.push(this.buildEvent(target.status, target.status, {
+      actor: voter,
+      message: parts.join(', ')
+    }));
+    target.updatedAt = new Date().toISOString();
+
+    this.saveRequest(target);
+    this.emitter.emit('request', { request: target });
+    return target;
   }
 
+  /**
+   * Drop a user's vote from a shared request. If the original requester
+   * withdraws, the earliest remaining voter becomes the requester.
+   */
+  async withdrawInterest(requestId, identities = [], options = {}) {
+    const ids = new Set(identities.filter(Boolean).map(id => String(id).toLowerCase()));
+    const eventOptions = { actor: options.actor, force: true, message: null };
 
-  async updateRequestStatus(requestId, status, downloadData = null) {
-    try {
-      const requests = await this.getRequests();
-      const requestIndex = requests.findIndex(r => r.id === requestId);
+    return this.mutateRequest(requestId, (req) => {
+      const remaining = req.interestedUsers.filter(entry => !this.matchesIdentity(entry, ids));
+      if (remaining.length === req.interestedUsers.length) {
+        throw new Error('Request not found');
+      }
+      if (remaining.length === 0) {
+        const error = new Error('You are the only requester; cancel the request instead');
+        error.code = 'NOT_CANCELLABLE';
+        throw error;
+      }
 
-      if (requestIndex === -1) {
+      req.interestedUsers = remaining;
+      req.votes = remaining.length;
+      if (this.matchesIdentity(req, ids)) {
+        const next = remaining[0];
+        req.requestedBy = next.requestedBy;
+        req.userEmail = next.userEmail;
+        req.username = next.username;
+      }
+
+      eventOptions.message = options.message || `Vote withdrawn (${req.votes} remaining)`;
+      return req.status;
+    }, eventOptions);
+  }
+
+  /**
+   * Apply a mutation to a single request under the write lock.
+   * The mutator receives the request and may return a new status to move to;
+   * the transition is validated and recorded in the request's event history.
+   */
+  async mutateRequest(requestId, mutator, eventOptions = {}) {
+    return this.withWriteLock(async () => {
+      const request = await this.getRequestById(requestId);
+
+      if (!request) {
         throw new Error('Request not found');
       }
 
-      requests[requestIndex].status = status;
-      requests[requestIndex].updatedAt = new Date().toISOString();
+      const previousStatus = request.status;
+      const previousFormatStates = this.getFormatStateKey(request);
+      const nextStatus = (await mutator(request)) || previousStatus;
 
-      if (downloadData) {
-        requests[requestIndex].downloadData = downloadData;
+      if (!REQUEST_STATES.includes(nextStatus)) {
+        const error = new Error(`Unknown request status: ${nextStatus}`);
+        error.code = 'INVALID_STATUS';
+        throw error;
       }
 
-      await this.writeJsonAtomic(this.requestsFile, requests);
+      if (!this.canTransition(previousStatus, nextStatus, request)) {
+        const error = new Error(`Invalid request transition: ${previousStatus} -> ${nextStatus}`);
+        error.code = 'INVALID_TRANSITION';
+        throw error;
+      }
 
-      // If approved, move to history
-      if (status === 'approved' || status === 'downloaded') {
-        await this.addToHistory(requests[requestIndex]);
+      const formatStatesChanged = previousFormatStates !== this.getFormatStateKey(request);
+      if (nextStatus !== previousStatus || formatStatesChanged || eventOptions.force) {
+        request.events.push(this.buildEvent(previousStatus, nextStatus, eventOptions));
       }
+      request.status = nextStatus;
+      request.updatedAt = new Date().toISOString();
 
-      return requests[requestIndex];
+      // The request row and its history entry are written together.
+      database.connection.transaction(() => {
+        this.saveRequest(request);
+        if (nextStatus !== previousStatus && TERMINAL_STATES.includes(nextStatus)) {
+          this.addToHistory(request);
+        }
+        if (TERMINAL_STATES.includes(previousStatus) && !TERMINAL_STATES.includes(nextStatus)) {
+          database.markHistoryReopened(request.id, request.updatedAt);
+        }
+      })();
+
+      if (nextStatus !== previousStatus) {
+        this.emitter.emit('transition', { request, from: previousStatus, to: nextStatus });
+      }
+
+      return request;
+    });
+  }
+
+  async transitionRequest(requestId, status, options = {}) {
+    try {
+      return await this.mutateRequest(requestId, () => status, options);
+    } catch (error) {
+      console.error(`Error moving request ${requestId} to ${status}:`, error.message);
+      throw error;
+    }
+  }
+
+  async updateRequestStatus(requestId, status, downloadData = null) {
+    const normalizedStatus = LEGACY_STATUS_MAP[status] || status;
+    try {
+      return await this.mutateRequest(requestId, (request) => {
+        if (downloadData) {
+          request.downloadData = downloadData;
+        }
+        return normalizedStatus;
+      });
     } catch (error) {
       console.error('Error updating request status:', error);
       throw error;
     }
   }
 
+  /**
+   * Record that a download has been started for one format of a request.
+   * The format is considered handled (not "fulfilled") until the import completes.
+   */
+  async markFormatDownloading(requestId, format, downloadData = {}, options = {}) {
+    const request = await this.mutateRequest(requestId, (req) => {
+      const targetFormat = FORMATS.includes(format)
+        ? format
+        : (this.getRequestedFormats(req).find(f => this.getRemainingFormats(req)[f]) || 'ebook');
+
+      req.fulfillment[targetFormat] = {
+        ...(req.fulfillment[targetFormat] || {}),
+        ...downloadData,
+        status: 'downloading',
+        startedAt: new Date().toISOString()
+      };
+      req.downloadData = downloadData;
+      return 'downloading';
+    }, {
+      actor: options.actor,
+      message: options.message || `Download started${format ? ` (${format})` : ''}`,
+      format
+    });
+
+    const remainingFormats = this.getRemainingFormats(request);
+    return {
+      request,
+      remainingFormats,
+      completed: !remainingFormats.audiobook && !remainingFormats.ebook
+    };
+  }
+
+  async markFormatImporting(requestId, format, options = {}) {
+    return this.mutateRequest(requestId, (req) => {
+      if (req.status === 'available') return 'available';
+      if (format && req.fulfillment[format]) {
+        req.fulfillment[format].status = 'importing';
+      }
+      return 'importing';
+    }, {
+      actor: options.actor,
+      message: options.message || 'Import started',
+      format
+    });
+  }
+
+  /**
+   * Mark a format as imported into the library. The request becomes
+   * `available` once every requested format is in; otherwise it returns to
+   * `approved` so the remaining format shows up in the admin queue again.
+   */
+  async markFormatFulfilled(requestId, format, data = {}, options = {}) {
+    const request = await this.mutateRequest(requestId, (req) => {
+      if (req.status === 'available') return 'available';
+      if (format) {
+        req.fulfillment[format] = {
+          ...(req.fulfillment[format] || {}),
+          ...data,
+          status: 'available',
+          completedAt: new Date().toISOString()
+        };
+      }
+
+      const requested = this.getRequestedFormats(req);
+      const allAvailable = requested.length > 0 &&
+        requested.every(f => req.fulfillment[f]?.status === 'available');
+      if (allAvailable || requested.length === 0) return 'available';
+
+      const inFlight = requested.map(f => req.fulfillment[f]?.status);
+      if (inFlight.includes('downloading')) return 'downloading';
+      if (inFlight.includes('importing')) return 'importing';
+      return ['importing', 'downloading'].includes(req.status) ? 'approved' : req.status;
+    }, {
+      actor: options.actor,
+      message: options.message || `Imported${format ? ` ${format}` : ''} into library`,
+      format
+    });
+
+    const remainingFormats = this.getRemainingFormats(request);
+    return {
+      request,
+      remainingFormats,
+      completed: request.status === 'available'
+    };
+  }
+
+  /**
+   * Mark a format's download as failed. The request only becomes `failed`
+   * once no other format is still downloading or importing.
+   */
+  async markFormatFailed(requestId, format, reason, options = {}) {
+    return this.mutateRequest(requestId, (req) => {
+      if (TERMINAL_STATES.includes(req.status)) return req.status;
+      if (format && req.fulfillment[format]) {
+        req.fulfillment[format].status = 'failed';
+        req.fulfillment[format].error = reason || null;
+      }
+      req.lastError = reason || null;
+
+      const inFlight = this.getRequestedFormats(req)
+        .filter(f => f !== format)
+        .map(f => req.fulfillment[f]?.status);
+      if (inFlight.includes('downloading')) return 'downloading';
+      if (inFlight.includes('importing')) return 'importing';
+      return 'failed';
+    }, {
+      actor: options.actor,
+      message: reason ? `Failed: ${reason}` : 'Failed',
+      format
+    });
+  }
+
+  /**
+   * Append one entry to a request's download attempt log: a release handed
+   * to a download client, or what became of it ('started', 'stalled',
+   * 'failed', 'no_alternative'). With `options.message` the attempt is also
+   * written to the event history. Does not change the request status.
+   */
+  async recordDownloadAttempt(requestId, attempt, options = {}) {
+    return this.mutateRequest(requestId, (req) => {
+      req.downloadAttempts = [
+        ...(Array.isArray(req.downloadAttempts) ? req.downloadAttempts : []),
+        { at: new Date().toISOString(), ...attempt }
+      ];
+      return req.status;
+    }, {
+      actor: options.actor,
+      message: options.message || null,
+      format: attempt.format || null,
+      force: Boolean(options.message)
+    });
+  }
+
+  /**
+   * Record the latest auto-grab worker pass on a request: when it ran, the
+   * query it used and, per format, what it decided plus the top candidates.
+   * Does not change the request status.
+   */
+  async setAutoSearchResult(requestId, autoSearch) {
+    return this.mutateRequest(requestId, (req) => {
+      req.autoSearch = autoSearch;
+      return req.status;
+    });
+  }
+
+  /**
+   * Requester-side edit of a request that has not been picked up yet.
+   * Only `requestTypes`, `note` and `qualityProfile` can change.
+   */
+  async updateRequestDetails(requestId, { requestTypes, note, qualityProfile } = {}, options = {}) {
+    const eventOptions = { actor: options.actor, force: true, message: null };
+    return this.mutateRequest(requestId, (req) => {
+      if (!REQUESTER_EDITABLE_STATES.includes(req.status)) {
+        const error = new Error(`Request can no longer be edited (status: ${req.status})`);
+        error.code = 'NOT_EDITABLE';
+        throw error;
+      }
+      if (req.interestedUsers.length > 1) {
+        const error = new Error('Other users have voted for this request, so it can no longer be edited');
+        error.code = 'NOT_EDITABLE';
+        throw error;
+      }
+
+      const changes = [];
+      if (requestTypes) {
+        const nextTypes = {
+          audiobook: Boolean(requestTypes.audiobook),
+          ebook: Boolean(requestTypes.ebook)
+        };
+        if (!nextTypes.audiobook && !nextTypes.ebook) {
+          const error = new Error('At least one format must be requested');
+          error.code = 'INVALID_FORMATS';
+          throw error;
+        }
+        req.requestTypes = nextTypes;
+        if (req._dedupeKey) {
+          req._dedupeKey = req._dedupeKey.replace(/\|[01]{2}$/, `|${nextTypes.audiobook ? 1 : 0}${nextTypes.ebook ? 1 : 0}`);
+        }
+        changes.push(`formats: ${FORMATS.filter(f => nextTypes[f]).join(' + ')}`);
+      }
+
+      if (note !== undefined) {
+        req.note = String(note || '').trim().slice(0, 1000) || null;
+        changes.push(req.note ? 'note updated' : 'note cleared');
+      }
+
+      if (qualityProfile !== undefined) {
+        req.qualityProfile = qualityProfile || null;
+        changes.push(`quality profile: ${req.qualityProfile || 'default'}`);
+      }
+
+      eventOptions.message = options.message || `Edited by requester (${changes.join(', ') || 'no changes'})`;
+      return req.status;
+    }, eventOptions);
+  }
+
+  /**
+   * Close a request on the admin's behalf with a canned and/or free-text reason.
+   * Both kinds end in the "rejected" status; only declined ones can be reopened.
+   */
+  async rejectRequest(requestId, { kind = 'rejected', reasonCode = null, reason = null } = {}, options = {}) {
+    const normalizedKind = REJECTION_KINDS.includes(kind) ? kind : 'rejected';
+    const code = reasonCode && REJECTION_REASONS[reasonCode] ? reasonCode : null;
+    const text = String(reason || '').trim().slice(0, 1000) || null;
+
+    if (!code && !text) {
+      const error = new Error('A reason is required');
+      error.code = 'REASON_REQUIRED';
+      throw error;
+    }
+
+    const label = [code ? REJECTION_REASONS[code] : null, text].filter(Boolean).join(': ');
+    return this.mutateRequest(requestId, (req) => {
+      req.rejection = {
+        kind: normalizedKind,
+        reasonCode: code,
+        reason: text,
+        label,
+        by: options.actor || 'admin',
+        at: new Date().toISOString()
+      };
+      return 'rejected';
+    }, {
+      actor: options.actor,
+      message: `${normalizedKind === 'declined' ? 'Declined' : 'Rejected'}: ${label}`
+    });
+  }
+
+  /**
+   * Move a declined request back to approved so it can be searched again.
+   * Rejected (as opposed to declined) requests stay closed.
+   */
+  async reopenRequest(requestId, options = {}) {
+    return this.mutateRequest(requestId, () => 'approved', {
+      actor: options.actor,
+      message: 'Reopened after being declined'
+    });
+  }
+
+  /**
+   * Comment thread between admins and requesters. `authorRole` is 'admin' or
+   * 'requester'; a 'comment' event is emitted with { request, comment }.
+   */
+  async addComment(requestId, { authorId, authorName, authorRole, body } = {}) {
+    const text = String(body || '').trim();
+    if (!text) {
+      const error = new Error('Comment cannot be empty');
+      error.code = 'INVALID_COMMENT';
+      throw error;
+    }
+
+    const request = await this.getRequestById(requestId);
+    if (!request) {
+      throw new Error('Request not found');
+    }
+
+    const createdAt = new Date().toISOString();
+    const result = database.connection.prepare(`
+      INSERT INTO request_comments (request_id, author_id, author_name, author_role, body, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(request.id, authorId || null, authorName || null, authorRole === 'admin' ? 'admin' : 'requester', text.slice(0, 4000), createdAt);
+
+    const comment = this.toComment(database.connection
+      .prepare('SELECT * FROM request_comments WHERE id = ?')
+      .get(result.lastInsertRowid));
+
+    // The author has obviously seen everything up to their own comment.
+    if (authorId) this.markCommentsRead(request.id, authorId);
+
+    this.emitter.emit('comment', { request, comment });
+    return comment;
+  }
+
+  toComment(row) {
+    return {
+      id: row.id,
+      requestId: row.request_id,
+      authorId: row.author_id,
+      authorName: row.author_name,
+      authorRole: row.author_role,
+      body: row.body,
+      createdAt: row.created_at
+    };
+  }
+
+  getComments(requestId) {
+    return database.connection
+      .prepare('SELECT * FROM request_comments WHERE request_id = ? ORDER BY id')
+      .all(String(requestId))
+      .map(row => this.toComment(row));
+  }
+
+  markCommentsRead(requestId, readerId) {
+    if (!readerId) return;
+    database.connection.prepare(`
+      INSERT INTO request_comment_reads (request_id, reader_id, last_read_id)
+      SELECT @requestId, @readerId, COALESCE(MAX(id), 0) FROM request_comments WHERE request_id = @requestId
+      ON CONFLICT(request_id, reader_id) DO UPDATE SET last_read_id = excluded.last_read_id
+    `).run({ requestId: String(requestId), readerId: String(readerId).toLowerCase() });
+  }
+
+  /**
+   * Map of requestId → number of comments `readerId` has not seen yet,
+   * ignoring their own comments.
+   */
+  getUnreadCommentCounts(readerId) {
+    if (!readerId) return new Map();
+    const rows = database.connection.prepare(`
+      SELECT c.request_id AS requestId, COUNT(*) AS unread
+      FROM request_comments c
+      LEFT JOIN request_comment_reads r
+        ON r.request_id = c.request_id AND r.reader_id = @readerId
+      WHERE c.id > COALESCE(r.last_read_id, 0)
+        AND LOWER(COALESCE(c.author_id, '')) != @readerId
+      GROUP BY c.request_id
+    `).all({ readerId: String(readerId).toLowerCase() });
+    return new Map(rows.map(row => [row.requestId, row.unread]));
+  }
+
+  getCommentCounts() {
+    const rows = database.connection
+      .prepare('SELECT request_id AS requestId, COUNT(*) AS total FROM request_comments GROUP BY request_id')
+      .all();
+    return new Map(rows.map(row => [row.requestId, row.total]));
+  }
+
   async getHistory() {
     try {
-      const data = await fs.readFile(this.historyFile, 'utf8');
-      return JSON.parse(data);
+      const rows = database.connection.prepare('SELECT data FROM history ORDER BY seq DESC').all();
+      return database.parseRows(rows);
     } catch (error) {
       console.error('Error reading history:', error);
       return [];
     }
   }
 
-  async addToHistory(request) {
+  addToHistory(request) {
     try {
-      const history = await this.getHistory();
       const historyEntry = {
         ...request,
         completedAt: new Date().toISOString()
       };
 
-      history.unshift(historyEntry); // Add to beginning
-
-      // Keep only last 100 entries
-      if (history.length > 100) {
-        history.splice(100);
-      }
-
-      await this.writeJsonAtomic(this.historyFile, history);
+      database.insertHistoryRow(historyEntry);
       return historyEntry;
     } catch (error) {
       console.error('Error adding to history:', error);
@@ -157,10 +781,95 @@ class DataStore {
     }
   }
 
+  /**
+   * Filtered, paginated view of the full history (newest first).
+   * Filters: user, status, format (audiobook|ebook), source, from/to (dates on
+   * completedAt, `to` inclusive) and q (free text over title, author, ISBN,
+   * requester and rejection reason).
+   */
+  async queryHistory({ page = 1, pageSize = 25, user, status, format, source, from, to, q } = {}) {
+    const where = [];
+    const params = {};
+
+    if (status) {
+      // Match rows written under legacy names too ("completed" → available).
+      const wanted = String(status).split(',').map(v => LEGACY_STATUS_MAP[v] || v);
+      const aliases = Object.keys(LEGACY_STATUS_MAP).filter(legacy => wanted.includes(LEGACY_STATUS_MAP[legacy]));
+      const statuses = [...new Set([...wanted, ...aliases])];
+      where.push(`status IN (${statuses.map((_, i) => `@status${i}`).join(', ')})`);
+      statuses.forEach((value, i) => { params[`status${i}`] = value; });
+    }
+    if (FORMATS.includes(format)) {
+      where.push(`${format} = 1`);
+    }
+    if (source) {
+      where.push('source = @source');
+      params.source = source;
+    }
+    if (from) {
+      where.push('completed_at >= @from');
+      params.from = new Date(from).toISOString();
+    }
+    if (to) {
+      let toTime = new Date(to).getTime();
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) {
+        toTime += 24 * 60 * 60 * 1000 - 1; // date-only "to" covers the whole day
+      }
+      where.push('completed_at <= @to');
+      params.to = new Date(toTime).toISOString();
+    }
+    if (user && String(user).trim()) {
+      where.push("people LIKE @user ESCAPE '\\'");
+      params.user = `%${this.escapeLike(String(user).trim().toLowerCase())}%`;
+    }
+    if (q && String(q).trim()) {
+      where.push("search_text LIKE @q ESCAPE '\\'");
+      params.q = `%${this.escapeLike(String(q).trim().toLowerCase())}%`;
+    }
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const db = database.connection;
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM history ${whereSql}`).get(params).count;
+
+    const size = Math.min(100, Math.max(1, parseInt(pageSize, 10) || 25));
+    const totalPages = Math.max(1, Math.ceil(total / size));
+    const current = Math.min(totalPages, Math.max(1, parseInt(page, 10) || 1));
+
+    const rows = db.prepare(`SELECT data FROM history ${whereSql} ORDER BY seq DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit: size, offset: (current - 1) * size });
+    const sources = db.prepare('SELECT DISTINCT source FROM history ORDER BY source').all().map(row => row.source);
+
+    return {
+      entries: database.parseRows(rows).map(entry => this.normalizeRequest(entry)),
+      total,
+      page: current,
+      pageSize: size,
+      totalPages,
+      sources
+    };
+  }
+
+  escapeLike(value) {
+    return value.replace(/[\\%_]/g, char => `\\${char}`);
+  }
+
+  // Requests that still need admin attention: anything not finished that
+  // has at least one requested format nobody is working on yet.
   async getPendingRequests() {
     try {
       const requests = await this.getRequests();
-      return requests.filter(r => r.status === 'pending');
+      // Most-wanted first; ties keep oldest-first so nothing starves.
+      return requests
+        .filter(r => {
+          if (TERMINAL_STATES.includes(r.status)) return false;
+          if (['pending', 'approved', 'searching', 'failed'].includes(r.status)) return true;
+          const remaining = this.getRemainingFormats(r);
+          return remaining.audiobook || remaining.ebook;
+        })
+        .sort((a, b) =>
+          (b.votes - a.votes) ||
+          (new Date(a.createdAt || 0).getTime() - new Date(b.createdAt || 0).getTime())
+        );
     } catch (error) {
       console.error('Error getting pending requests:', error);
       return [];
@@ -168,4 +877,11 @@ class DataStore {
   }
 }
 
-module.exports = new DataStore();
\ No newline at end of file
+const dataStore = new DataStore();
+dataStore.REQUEST_STATES = REQUEST_STATES;
+dataStore.REQUEST_TRANSITIONS = REQUEST_TRANSITIONS;
+dataStore.TERMINAL_STATES = TERMINAL_STATES;
+dataStore.REQUESTER_EDITABLE_STATES = REQUESTER_EDITABLE_STATES;
+dataStore.REJECTION_REASONS = REJECTION_REASONS;
+
+module.exports = dataStore;
@@ -0,0 +1,495 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * Schema migrations, applied in order and tracked with PRAGMA user_version.
+ * Never edit a shipped migration; append a new one instead.
+ *
+ * Each table keeps the full record as JSON in `data` plus a few indexed
+ * columns that queries filter or sort on.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'requests, history, import log',
+    up: `
+      CREATE TABLE requests (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        requested_by TEXT,
+        created_at TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_requests_status ON requests(status);
+
+      CREATE TABLE history (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id TEXT,
+        status TEXT,
+        source TEXT,
+        audiobook INTEGER NOT NULL DEFAULT 0,
+        ebook INTEGER NOT NULL DEFAULT 0,
+        completed_at TEXT,
+        people TEXT,
+        search_text TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_history_completed_at ON history(completed_at);
+      CREATE INDEX idx_history_request_id ON history(request_id);
+
+      CREATE TABLE import_log (
+        id TEXT PRIMARY KEY,
+        torrent_hash TEXT,
+        status TEXT,
+        timestamp TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_import_log_timestamp ON import_log(timestamp);
+
+      CREATE TABLE legacy_imports (
+        source TEXT PRIMARY KEY,
+        imported_at TEXT NOT NULL,
+        row_count INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'request comments',
+    up: `
+      CREATE TABLE request_comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id TEXT NOT NULL,
+        author_id TEXT,
+        author_name TEXT,
+        author_role TEXT NOT NULL,
+        body TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_request_comments_request ON request_comments(request_id, id);
+
+      CREATE TABLE request_comment_reads (
+        request_id TEXT NOT NULL,
+        reader_id TEXT NOT NULL,
+        last_read_id INTEGER NOT NULL,
+        PRIMARY KEY (request_id, reader_id)
+      );
+    `
+  },
+  {
+    version: 3,
+    name: 'release blocklist',
+    up: `
+      CREATE TABLE release_blocklist (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id TEXT,
+        info_hash TEXT,
+        guid TEXT,
+        telegram_message_id TEXT,
+        title TEXT,
+        source TEXT,
+        indexer TEXT,
+        reason TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_release_blocklist_request ON release_blocklist(request_id);
+      CREATE INDEX idx_release_blocklist_hash ON release_blocklist(info_hash);
+    `
+  },
+  {
+    version: 4,
+    name: 'followed authors',
+    up: `
+      CREATE TABLE followed_authors (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_key TEXT NOT NULL,
+        author_id INTEGER NOT NULL,
+        author_name TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        last_checked_at TEXT,
+        data TEXT NOT NULL,
+        UNIQUE (user_key, author_id)
+      );
+      CREATE INDEX idx_followed_authors_author ON followed_authors(author_id);
+
+      CREATE TABLE followed_author_books (
+        user_key TEXT NOT NULL,
+        book_id TEXT NOT NULL,
+        author_id INTEGER NOT NULL,
+        request_id TEXT,
+        outcome TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_key, book_id)
+      );
+    `
+  },
+  {
+    version: 5,
+    name: 'series tracker',
+    up: `
+      CREATE TABLE series (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        author TEXT,
+        refreshed_at TEXT,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE series_follows (
+        user_key TEXT NOT NULL,
+        series_id INTEGER NOT NULL REFERENCES series(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (user_key, series_id)
+      );
+      CREATE INDEX idx_series_follows_series ON series_follows(series_id);
+    `
+  },
+  {
+    version: 6,
+    name: 'library imports and wishlist',
+    up: `
+      CREATE TABLE library_imports (
+        id TEXT PRIMARY KEY,
+        user_key TEXT NOT NULL,
+        source TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_library_imports_user ON library_imports(user_key, created_at);
+
+      CREATE TABLE wishlist (
+        user_key TEXT NOT NULL,
+        book_id TEXT NOT NULL,
+        title TEXT NOT NULL,
+        author TEXT,
+        added_at TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (user_key, book_id)
+      );
+    `
+  },
+  {
+    version: 7,
+    name: 'hardcover accounts',
+    up: `
+      CREATE TABLE hardcover_accounts (
+        user_key TEXT PRIMARY KEY,
+        hardcover_user_id INTEGER NOT NULL,
+        username TEXT,
+        token TEXT NOT NULL,
+        linked_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 8,
+    name: 'users and download jobs',
+    // Databases created by early builds of migration 1 already have an
+    // (unused) download_jobs table keyed by request only.
+    up: `
+      CREATE TABLE IF NOT EXISTS users (
+        google_id TEXT PRIMARY KEY,
+        email TEXT,
+        status TEXT,
+        role TEXT,
+        updated_at TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+
+      DROP TABLE IF EXISTS download_jobs;
+      CREATE TABLE download_jobs (
+        id TEXT PRIMARY KEY,
+        request_id TEXT NOT NULL,
+        format TEXT,
+        torrent_hash TEXT,
+        status TEXT,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_download_jobs_request ON download_jobs(request_id);
+      CREATE INDEX idx_download_jobs_hash ON download_jobs(torrent_hash);
+      CREATE INDEX idx_download_jobs_updated ON download_jobs(updated_at);
+    `
+  },
+  {
+    version: 9,
+    name: 'request policy',
+    // One row per rule set: scope is 'defaults', 'role:<role>' or 'user:<id>'.
+    up: `
+      CREATE TABLE request_policy (
+        scope TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 10,
+    name: 'quality profiles',
+    // Default profile per scope: 'server' or 'user:<user key>'.
+    up: `
+      CREATE TABLE quality_profiles (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE quality_profile_defaults (
+        scope TEXT PRIMARY KEY,
+        profile_id TEXT NOT NULL
+      );
+    `
+  }
+];
+
+/**
+ * Shared SQLite database (data/onyx.db) used by the server and by
+ * scripts/process-download.js. WAL mode plus a busy timeout lets both
+ * processes write without clobbering each other.
+ */
+class OnyxDatabase {
+  constructor() {
+    this.dataDir = process.env.ONYX_DATA_DIR || DEFAULT_DATA_DIR;
+    this.dbPath = process.env.ONYX_DB_PATH || path.join(this.dataDir, 'onyx.db');
+    this.db = null;
+  }
+
+  get connection() {
+    if (!this.db) {
+      this.open();
+    }
+    return this.db;
+  }
+
+  open() {
+    if (this.db) return this.db;
+
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.pragma('foreign_keys = ON');
+
+    this.migrate();
+    this.importLegacyJson();
+    return this.db;
+  }
+
+  migrate() {
+    const current = this.db.pragma('user_version', { simple: true });
+    const pending = MIGRATIONS.filter(m => m.version > current);
+
+    for (const migration of pending) {
+      this.db.transaction(() => {
+        this.db.exec(migration.up);
+        this.db.pragma(`user_version = ${migration.version}`);
+      }).immediate();
+      console.log(`[DB] Applied migration ${migration.version}: ${migration.name}`);
+    }
+  }
+
+  readLegacyJson(fileName) {
+    const filePath = path.join(this.dataDir, fileName);
+    if (!fs.existsSync(filePath)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`[DB] Could not parse ${filePath}, skipping import:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * One-time import of the JSON files that used to back each store. Each
+   * source is imported at most once (tracked in legacy_imports); the JSON
+   * files are left in place as a backup.
+   */
+  importLegacyJson() {
+    const importers = [
+      { source: 'requests.json', load: data => (Array.isArray(data) ? data : []), insert: rows => this.importRequests(rows) },
+      { source: 'history.json', load: data => (Array.isArray(data) ? data : []), insert: rows => this.importHistory(rows) },
+      { source: 'import_log.json', load: data => (Array.isArray(data?.imports) ? data.imports : []), insert: rows => this.importImportLog(rows) },
+      { source: 'users.json', load: data => (Array.isArray(data) ? data : (Array.isArray(data?.users) ? data.users : [])), insert: rows => this.importUsers(rows) },
+      { source: 'request_policy.json', load: data => this.policyRows(data), insert: rows => this.importRequestPolicy(rows) },
+      { source: 'quality_profiles.json', load: data => [data || {}], insert: ([stored]) => this.importQualityProfiles(stored) }
+    ];
+
+    const alreadyImported = this.db.prepare('SELECT 1 FROM legacy_imports WHERE source = ?');
+    const markImported = this.db.prepare('INSERT INTO legacy_imports (source, imported_at, row_count) VALUES (?, ?, ?)');
+
+    for (const importer of importers) {
+      if (alreadyImported.get(importer.source)) continue;
+      const data = this.readLegacyJson(importer.source);
+      if (data === null) continue;
+
+      const rows = importer.load(data);
+      this.db.transaction(() => {
+        // Re-check inside the write transaction in case another process won the race.
+        if (alreadyImported.get(importer.source)) return;
+        importer.insert(rows);
+        markImported.run(importer.source, new Date().toISOString(), rows.length);
+      }).immediate();
+      console.log(`[DB] Imported ${rows.length} rows from ${importer.source}`);
+    }
+  }
+
+  importRequests(rows) {
+    const exists = this.db.prepare('SELECT 1 FROM requests WHERE id = ?');
+    for (const row of rows) {
+      // Older builds could mint the same Date.now() id twice.
+      let id = String(row.id || Date.now());
+      for (let n = 1; exists.get(id); n += 1) {
+        id = `${row.id}-${n}`;
+      }
+      this.upsertRequestRow({ ...row, id });
+    }
+  }
+
+  importHistory(rows) {
+    // history.json is newest-first; insert oldest-first so seq follows time.
+    [...rows].reverse().forEach(row => this.insertHistoryRow(row));
+  }
+
+  importImportLog(rows) {
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO import_log (id, torrent_hash, status, timestamp, data)
+      VALUES (@id, @torrentHash, @status, @timestamp, @data)
+    `);
+    for (const row of rows) {
+      insert.run({
+        id: String(row.id || `${row.timestamp}-${row.torrentHash}`),
+        torrentHash: row.torrentHash || null,
+        status: row.status || null,
+        timestamp: row.timestamp || null,
+        data: JSON.stringify(row)
+      });
+    }
+  }
+
+  importUsers(rows) {
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO users (google_id, email, status, role, updated_at, data)
+      VALUES (@googleId, @email, @status, @role, @updatedAt, @data)
+    `);
+    for (const row of rows) {
+      if (!row?.googleId) continue;
+      insert.run({
+        googleId: row.googleId,
+        email: row.email || null,
+        status: row.status || null,
+        role: row.role || null,
+        updatedAt: row.updatedAt || row.createdAt || null,
+        data: JSON.stringify(row)
+      });
+    }
+  }
+
+  // request_policy.json held { defaults, roles, users }; flatten it into scoped rows.
+  policyRows(data) {
+    if (!data || typeof data !== 'object') return [];
+    return [
+      ...(data.defaults ? [{ scope: 'defaults', rules: data.defaults }] : []),
+      ...Object.entries(data.roles || {}).map(([role, rules]) => ({ scope: `role:${role}`, rules })),
+      ...Object.entries(data.users || {}).map(([id, rules]) => ({ scope: `user:${id.toLowerCase()}`, rules }))
+    ];
+  }
+
+  importRequestPolicy(rows) {
+    const insert = this.db.prepare('INSERT OR IGNORE INTO request_policy (scope, data) VALUES (?, ?)');
+    for (const row of rows) {
+      insert.run(row.scope, JSON.stringify(row.rules || {}));
+    }
+  }
+
+  // quality_profiles.json held { profiles, defaultProfile, userDefaults }.
+  importQualityProfiles(stored) {
+    const insertProfile = this.db.prepare('INSERT OR IGNORE INTO quality_profiles (id, data) VALUES (?, ?)');
+    const insertDefault = this.db.prepare('INSERT OR IGNORE INTO quality_profile_defaults (scope, profile_id) VALUES (?, ?)');
+    for (const [id, profile] of Object.entries(stored.profiles || {})) {
+      insertProfile.run(id, JSON.stringify(profile || {}));
+    }
+    if (stored.defaultProfile) {
+      insertDefault.run('server', stored.defaultProfile);
+    }
+    for (const [key, profileId] of Object.entries(stored.userDefaults || {})) {
+      if (profileId) insertDefault.run(`user:${key}`, profileId);
+    }
+  }
+
+  upsertRequestRow(request) {
+    this.connection.prepare(`
+      INSERT INTO requests (id, status, requested_by, created_at, updated_at, data)
+      VALUES (@id, @status, @requestedBy, @createdAt, @updatedAt, @data)
+      ON CONFLICT(id) DO UPDATE SET
+        status = excluded.status,
+        requested_by = excluded.requested_by,
+        updated_at = excluded.updated_at,
+        data = excluded.data
+    `).run({
+      id: request.id,
+      status: request.status || 'pending',
+      requestedBy: request.requestedBy || null,
+      createdAt: request.createdAt || request.submittedAt || null,
+      updatedAt: request.updatedAt || null,
+      data: JSON.stringify(request)
+    });
+  }
+
+  insertHistoryRow(entry) {
+    const lower = value => String(value || '').toLowerCase();
+    const people = [entry, ...(entry.interestedUsers || [])]
+      .flatMap(p => [p.username, p.userEmail, p.requestedBy])
+      .filter(Boolean)
+      .map(lower)
+      .join(' ');
+    const searchText = [entry.title, entry.author, entry.isbn, entry.username, entry.userEmail, entry.note, entry.rejection?.label]
+      .filter(Boolean)
+      .map(lower)
+      .join(' ');
+
+    return this.connection.prepare(`
+      INSERT INTO history (request_id, status, source, audiobook, ebook, completed_at, people, search_text, data)
+      VALUES (@requestId, @status, @source, @audiobook, @ebook, @completedAt, @people, @searchText, @data)
+    `).run({
+      requestId: entry.id || null,
+      status: entry.status || null,
+      source: entry.source || 'request',
+      audiobook: entry.requestTypes?.audiobook ? 1 : 0,
+      ebook: entry.requestTypes?.ebook ? 1 : 0,
+      completedAt: entry.completedAt || entry.createdAt || null,
+      people,
+      searchText,
+      data: JSON.stringify(entry)
+    });
+  }
+
+  // Flag the newest history row of a request that has been taken back out of
+  // a terminal state, so History stops offering actions on it.
+  markHistoryReopened(requestId, reopenedAt) {
+    return this.connection.prepare(`
+      UPDATE history SET data = json_set(data, '$.reopenedAt', @reopenedAt)
+      WHERE seq = (SELECT MAX(seq) FROM history WHERE request_id = @requestId)
+    `).run({ requestId: String(requestId), reopenedAt });
+  }
+
+  parseRows(rows) {
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = new OnyxDatabase();
@@ -0,0 +1,210 @@
+const axios = require('axios');
+const TorrentClient = require('./torrentClient');
+
+const TORRENT_KEYS = [
+  'hash', 'name', 'state', 'progress', 'eta', 'download_payload_rate', 'num_seeds', 'total_wanted',
+  'save_path', 'label', 'tracker', 'ratio', 'seeding_time'
+];
+
+// Label plugin ids: lowercase letters, digits, "_", "-" and ".".
+const toLabel = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9_.-]+/g, '-');
+
+/**
+ * Deluge Web UI JSON-RPC adapter (DELUGE_URL, DELUGE_PASS). The category
+ * becomes the torrent's label when the Label plugin is enabled. Deluge has
+ * no tags, so torrents cannot be found by request tag: Onyx relies on the
+ * hash Deluge returns when a torrent is added. Deluge has no seeding-time
+ * limit; setShareLimits only applies the ratio.
+ */
+class DelugeService extends TorrentClient {
+  constructor({ jobStore } = {}) {
+    super({ label: 'Deluge', jobStore });
+    this.rpcURL = process.env.DELUGE_URL || 'http://deluge:8112/json';
+    this.password = process.env.DELUGE_PASS || 'deluge';
+    this.cookie = null;
+    this.requestId = 0;
+  }
+
+  async call(method, params = []) {
+    this.requestId += 1;
+    const response = await axios.post(this.rpcURL, { method, params, id: this.requestId }, {
+      headers: this.cookie ? { 'Cookie': this.cookie } : {},
+      timeout: 15000
+    });
+    if (response.data?.error) {
+      const error = new Error(response.data.error.message || `Deluge ${method} failed`);
+      error.code = response.data.error.code;
+      throw error;
+    }
+    const setCookie = response.headers?.['set-cookie'];
+    if (setCookie?.[0]) {
+      this.cookie = setCookie[0].split(';')[0];
+    }
+    return response.data?.result;
+  }
+
+  // Log in to the web UI and make sure it is connected to a daemon.
+  async authenticate() {
+    this.cookie = null;
+    const ok = await this.call('auth.login', [this.password]);
+    if (!ok) {
+      throw new Error('Failed to authenticate with Deluge');
+    }
+    if (!(await this.call('web.connected'))) {
+      const [host] = (await this.call('web.get_hosts')) || [];
+      if (!host) {
+        throw new Error('Deluge web UI has no daemon configured');
+      }
+      await this.call('web.connect', [host[0]]);
+    }
+  }
+
+  /**
+   * Call a method, logging in first if needed. Deluge reports an expired
+   * session as error code 1 ("Not authenticated"), which is retried once.
+   */
+  async rpc(method, params = [], retried = false) {
+    if (!this.cookie) {
+      await this.authenticate();
+    }
+    try {
+      return await this.call(method, params);
+    } catch (error) {
+      if (!retried && error.code === 1) {
+        this.cookie = null;
+        return this.rpc(method, params, true);
+      }
+      throw error;
+    }
+  }
+
+  async applyLabel(hash, category) {
+    const label = toLabel(category);
+    if (!label) return;
+    try {
+      const labels = (await this.rpc('label.get_labels')) || [];
+      if (!labels.includes(label)) {
+        await this.rpc('label.add', [label]);
+      }
+      await this.rpc('label.set_torrent', [hash, label]);
+    } catch (error) {
+      console.error(`Could not label torrent ${hash} in Deluge (is the Label plugin enabled?):`, error.message);
+    }
+  }
+
+  async add(method, params, { savePath, category }, knownHash) {
+    try {
+      let hash;
+      try {
+        hash = await this.rpc(method, [...params, { download_location: savePath }]);
+      } catch (error) {
+        // Adding a torrent Deluge already has is not a failure.
+        if (!knownHash || !/already/i.test(error.message)) throw error;
+        hash = knownHash;
+      }
+      hash = String(hash || knownHash || '').toLowerCase();
+      if (!hash) {
+        return { success: false, message: 'Deluge did not return the added torrent' };
+      }
+
+      await this.applyLabel(hash, category);
+      console.log(`Torrent added to Deluge (${hash})`);
+      return { success: true, message: 'Torrent added successfully', hash };
+    } catch (error) {
+      console.error('Deluge add torrent error:', error.message);
+      return { success: false, message: 'Error adding torrent: ' + error.message };
+    }
+  }
+
+  async addMagnet(magnetLink, options) {
+    return this.add('core.add_torrent_magnet', [magnetLink], options, this.extractMagnetHash(magnetLink));
+  }
+
+  async addTorrentFile({ buffer, infoHash }, options) {
+    return this.add('core.add_torrent_file', [`${infoHash}.torrent`, Buffer.from(buffer).toString('base64')], options, infoHash);
+  }
+
+  // Deluge states mapped onto qBittorrent's.
+  toState(torrent) {
+    const done = Number(torrent.progress) >= 100;
+    switch (torrent.state) {
+      case 'Error': return 'error';
+      case 'Seeding': return 'uploading';
+      case 'Paused': return done ? 'pausedUP' : 'pausedDL';
+      case 'Queued': return done ? 'queuedUP' : 'queuedDL';
+      case 'Checking': return done ? 'checkingUP' : 'checkingDL';
+      default:
+        if (done) return 'uploading';
+        if (!Number(torrent.total_wanted)) return 'metaDL';
+        return Number(torrent.download_payload_rate) > 0 || Number(torrent.num_seeds) > 0 ? 'downloading' : 'stalledDL';
+    }
+  }
+
+  toTorrent(hash, torrent) {
+    const done = Number(torrent.progress) >= 100;
+    const eta = Number(torrent.eta);
+    return {
+      hash: String(torrent.hash || hash).toLowerCase(),
+      name: torrent.name,
+      state: this.toState(torrent),
+      progress: (Number(torrent.progress) || 0) / 100,
+      // Deluge reports 0 both when finished and when it has no estimate.
+      eta: done ? 0 : (eta > 0 ? eta : -1),
+      dlspeed: Number(torrent.download_payload_rate) || 0,
+      category: torrent.label || '',
+      tags: '',
+      save_path: torrent.save_path,
+      content_path: [torrent.save_path, torrent.name].filter(Boolean).join('/'),
+      tracker: torrent.tracker || '',
+      ratio: Number(torrent.ratio) || 0,
+      seeding_time: Number(torrent.seeding_time) || 0
+    };
+  }
+
+  async getTorrents({ hashes, tag } = {}) {
+    if (tag) return [];
+    const filter = hashes ? { id: hashes } : {};
+    const result = (await this.rpc('core.get_torrents_status', [filter, TORRENT_KEYS])) || {};
+    return Object.entries(result).map(([hash, torrent]) => this.toTorrent(hash, torrent));
+  }
+
+  async deleteTorrent(hash, deleteFiles = true) {
+    if (!hash) {
+      return { success: false, message: 'Missing torrent hash' };
+    }
+    try {
+      await this.rpc('core.remove_torrent', [hash, deleteFiles]);
+      console.log(`Removed torrent ${hash} from Deluge`);
+      return { success: true, message: 'Torrent removed' };
+    } catch (error) {
+      console.error('Deluge delete torrent error:', error.message);
+      return { success: false, message: 'Error removing torrent: ' + error.message };
+    }
+  }
+
+  async setShareLimits(hash, { ratioLimit = null } = {}) {
+    if (!hash) {
+      return { success: false, message: 'Missing torrent hash' };
+    }
+    if (ratioLimit === null) {
+      return { success: true, message: 'Using Deluge global share limits' };
+    }
+    try {
+      await this.rpc('core.set_torrent_options', [[hash], { stop_at_ratio: true, stop_ratio: ratioLimit }]);
+      return { success: true, message: 'Share limits set' };
+    } catch (error) {
+      return { success: false, message: 'Error setting share limits: ' + error.message };
+    }
+  }
+
+  async testConnection() {
+    try {
+      const version = await this.rpc('daemon.info');
+      return { success: true, message: `Connected to Deluge ${version || ''}`.trim() };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+module.exports = DelugeService;
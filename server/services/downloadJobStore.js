@@ -0,0 +1,116 @@
+const { EventEmitter } = require('events');
+const database = require('./database');
+
+// Job events kept per job, newest first.
+const MAX_EVENTS = 25;
+
+// Infohashes compare case-insensitively; Usenet keys carry the client's own
+// (case-sensitive) download id and are kept as they are.
+const normalizeKey = (hash) => {
+  const key = String(hash || '');
+  return /^[0-9a-f]+$/i.test(key) ? key.toLowerCase() : key;
+};
+
+/**
+ * Live state of every download handed to a client: one job per request and
+ * format (format is null until the download knows it), found by request or
+ * by the torrent hash / Usenet key in `torrentHash`. Jobs live in the
+ * download_jobs table so the server and process-download.js see the same
+ * state.
+ *
+ * Emits 'update' with { type: 'update', job } after every change.
+ */
+class DownloadJobStore {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open job stream.
+    this.emitter.setMaxListeners(0);
+  }
+
+  jobId(requestId, format = null) {
+    return `${requestId}:${format || 'any'}`;
+  }
+
+  toJob(row) {
+    return JSON.parse(row.data);
+  }
+
+  getRecentJobs(limit = 100) {
+    return database.connection
+      .prepare('SELECT data FROM download_jobs ORDER BY updated_at DESC LIMIT ?')
+      .all(Math.max(1, Number(limit) || 100))
+      .map(row => this.toJob(row));
+  }
+
+  getJobsForRequest(requestId) {
+    return database.connection
+      .prepare('SELECT data FROM download_jobs WHERE request_id = ? ORDER BY updated_at DESC')
+      .all(String(requestId))
+      .map(row => this.toJob(row));
+  }
+
+  getJobByHash(hash) {
+    const row = database.connection
+      .prepare('SELECT data FROM download_jobs WHERE torrent_hash = ? ORDER BY updated_at DESC LIMIT 1')
+      .get(normalizeKey(hash));
+    return row ? this.toJob(row) : null;
+  }
+
+  save(job) {
+    database.connection.prepare(`
+      INSERT INTO download_jobs (id, request_id, format, torrent_hash, status, updated_at, data)
+      VALUES (@id, @requestId, @format, @torrentHash, @status, @updatedAt, @data)
+      ON CONFLICT(id) DO UPDATE SET
+        torrent_hash = excluded.torrent_hash,
+        status = excluded.status,
+        updated_at = excluded.updated_at,
+        data = excluded.data
+    `).run({
+      id: job.id,
+      requestId: job.requestId,
+      format: job.format || null,
+      torrentHash: job.torrentHash || null,
+      status: job.status || null,
+      updatedAt: job.updatedAt,
+      data: JSON.stringify(job)
+    });
+  }
+
+  apply(job, patch, message) {
+    const now = new Date().toISOString();
+    const next = { ...job, ...patch, updatedAt: now };
+    if (next.torrentHash) next.torrentHash = normalizeKey(next.torrentHash);
+    if (message) {
+      next.events = [{ at: now, message }, ...(job.events || [])].slice(0, MAX_EVENTS);
+    }
+    this.save(next);
+    this.emitter.emit('update', { type: 'update', job: next });
+    return next;
+  }
+
+  /**
+   * Create or update the job for a request's download. `patch.format` picks
+   * the format's job; without it the request's format-less job is used.
+   */
+  upsertJob(requestId, patch = {}, message = null) {
+    const id = this.jobId(requestId, patch.format);
+    const row = database.connection.prepare('SELECT data FROM download_jobs WHERE id = ?').get(id);
+    const job = row ? this.toJob(row) : {
+      id,
+      requestId: String(requestId),
+      format: patch.format || null,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      events: []
+    };
+    return this.apply(job, patch, message);
+  }
+
+  // Update the job downloading `hash`. Returns the job, or null when no job has that hash.
+  updateByHash(hash, patch = {}, message = null) {
+    const job = this.getJobByHash(hash);
+    return job ? this.apply(job, patch, message) : null;
+  }
+}
+
+module.exports = new DownloadJobStore();
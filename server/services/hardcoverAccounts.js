@@ -0,0 +1,192 @@
+const database = require('./database');
+
+const WANT_TO_READ_TTL_MS = 10 * 60 * 1000;
+
+// Tokens are copied from hardcover.app/account/api, which shows them with
+// the "Bearer " prefix.
+const cleanToken = (token) => String(token || '').trim().replace(/^bearer\s+/i, '');
+
+/**
+ * Hardcover accounts users linked with their own API token. Used to show a
+ * user's "Want to Read" shelf on the dashboard, and to add books to their
+ * Hardcover "Owned" list once a request they asked for lands in the library.
+ *
+ * Tokens never leave the server: accounts returned to routes carry only the
+ * Hardcover username and sync state.
+ */
+class HardcoverAccounts {
+  constructor({ hardcoverService, ownershipIndex }) {
+    this.hardcoverService = hardcoverService;
+    this.ownershipIndex = ownershipIndex;
+    this.wantToReadCache = new Map();
+  }
+
+  getUserKey(user) {
+    return String(user?.googleId || user?.email || '').toLowerCase() || null;
+  }
+
+  toAccount(row) {
+    const data = JSON.parse(row.data);
+    return {
+      userKey: row.user_key,
+      hardcoverUserId: row.hardcover_user_id,
+      username: row.username,
+      token: row.token,
+      linkedAt: row.linked_at,
+      markedOwned: data.markedOwned || 0,
+      lastOwnedAt: data.lastOwnedAt || null,
+      lastError: data.lastError || null
+    };
+  }
+
+  toPublicAccount(account) {
+    if (!account) return null;
+    const { token, userKey, ...publicAccount } = account;
+    return publicAccount;
+  }
+
+  getAccountByKey(userKey) {
+    const row = database.connection
+      .prepare('SELECT * FROM hardcover_accounts WHERE user_key = ?')
+      .get(userKey);
+    return row ? this.toAccount(row) : null;
+  }
+
+  getAccount(user) {
+    const userKey = this.getUserKey(user);
+    return userKey ? this.getAccountByKey(userKey) : null;
+  }
+
+  /**
+   * Link (or re-link) the user's Hardcover account. Throws
+   * INVALID_HARDCOVER_TOKEN when Hardcover does not accept the token.
+   */
+  async link(user, rawToken) {
+    const userKey = this.getUserKey(user);
+    if (!userKey) throw new Error('Not signed in');
+
+    const token = cleanToken(rawToken);
+    const me = token ? await this.hardcoverService.getMe(token) : null;
+    if (!me) {
+      const error = new Error('Hardcover did not accept that token');
+      error.code = 'INVALID_HARDCOVER_TOKEN';
+      throw error;
+    }
+
+    database.connection.prepare(`
+      INSERT INTO hardcover_accounts (user_key, hardcover_user_id, username, token, linked_at, data)
+      VALUES (?, ?, ?, ?, ?, '{}')
+      ON CONFLICT(user_key) DO UPDATE SET
+        hardcover_user_id = excluded.hardcover_user_id, username = excluded.username,
+        token = excluded.token, linked_at = excluded.linked_at, data = '{}'
+    `).run(userKey, me.id, me.username, token, new Date().toISOString());
+
+    this.wantToReadCache.delete(userKey);
+    return this.getAccountByKey(userKey);
+  }
+
+  unlink(user) {
+    const userKey = this.getUserKey(user);
+    if (!userKey) return false;
+    this.wantToReadCache.delete(userKey);
+    return database.connection
+      .prepare('DELETE FROM hardcover_accounts WHERE user_key = ?')
+      .run(userKey).changes > 0;
+  }
+
+  updateData(userKey, changes) {
+    database.connection.prepare(`
+      UPDATE hardcover_accounts SET data = json_patch(data, ?) WHERE user_key = ?
+    `).run(JSON.stringify(changes), userKey);
+  }
+
+  /**
+   * The user's Want to Read shelf with library ownership overlaid, or null
+   * when they have not linked an account. The shelf itself is cached for
+   * ten minutes; ownership is always current.
+   */
+  async getWantToRead(user, { refresh = false } = {}) {
+    const account = this.getAccount(user);
+    if (!account) return null;
+
+    let cached = this.wantToReadCache.get(account.userKey);
+    if (refresh || !cached || Date.now() - cached.fetchedAt > WANT_TO_READ_TTL_MS) {
+      try {
+        cached = { books: await this.hardcoverService.getWantToRead(account.token), fetchedAt: Date.now() };
+      } catch (error) {
+        this.updateData(account.userKey, { lastError: error.message });
+        throw error;
+      }
+      this.wantToReadCache.set(account.userKey, cached);
+      if (account.lastError) this.updateData(account.userKey, { lastError: null });
+    }
+
+    await this.ownershipIndex.ensureFresh();
+    return cached.books.map(book => {
+      const owned = this.ownershipIndex.getOwnership(book) || {};
+      const hasAudiobook = Boolean(owned.audiobook);
+      const hasEbook = Boolean(owned.ebook);
+      return {
+        ...book,
+        libraryStatus: hasAudiobook && hasEbook ? 'owned' : (hasAudiobook || hasEbook ? 'partial' : 'available'),
+        formatAvailability: { audiobook: hasAudiobook, ebook: hasEbook }
+      };
+    });
+  }
+
+  /**
+   * Add a request's book to the Hardcover "Owned" list of every interested
+   * user with a linked account. Books requested from a non-Hardcover source
+   * are looked up on Hardcover first; nothing happens if there is no match.
+   */
+  async markRequestOwned(request) {
+    const keys = new Set();
+    for (const entry of request.interestedUsers || []) {
+      [entry.requestedBy, entry.userEmail]
+        .filter(Boolean)
+        .forEach(id => keys.add(String(id).toLowerCase()));
+    }
+    const accounts = [...keys].map(key => this.getAccountByKey(key)).filter(Boolean);
+    if (accounts.length === 0) return 0;
+
+    let hardcoverBookId = /^hardcover-(\d+)$/.exec(String(request.bookId || ''))?.[1] || null;
+    if (!hardcoverBookId) {
+      const match = await this.hardcoverService.findBook({
+        isbn13: request.isbn || request.isbn13 || null,
+        title: request.title,
+        author: request.author
+      }, this.hardcoverService.token || accounts[0].token);
+      hardcoverBookId = /^hardcover-(\d+)$/.exec(match?.id || '')?.[1] || null;
+    }
+    if (!hardcoverBookId) {
+      console.log(`[HARDCOVER] No Hardcover match for "${request.title}"; not marking it owned`);
+      return 0;
+    }
+
+    let marked = 0;
+    for (const account of accounts) {
+      try {
+        const result = await this.hardcoverService.markOwned(account.token, hardcoverBookId);
+        if (!result) {
+          console.log(`[HARDCOVER] ${account.username} has no Owned list; skipped "${request.title}"`);
+          continue;
+        }
+        if (result === 'added') {
+          marked += 1;
+          this.updateData(account.userKey, {
+            markedOwned: account.markedOwned + 1,
+            lastOwnedAt: new Date().toISOString(),
+            lastError: null
+          });
+        }
+        console.log(`[HARDCOVER] "${request.title}" ${result === 'added' ? 'added to' : 'already on'} ${account.username}'s Owned list`);
+      } catch (error) {
+        this.updateData(account.userKey, { lastError: error.message });
+        console.error(`[HARDCOVER] Could not mark "${request.title}" owned for ${account.username}:`, error.message);
+      }
+    }
+    return marked;
+  }
+}
+
+module.exports = HardcoverAccounts;
@@ -1,6 +1,6 @@
 /**
  * Hardcover API Service
- * Fetches book ratings from Hardcover.app GraphQL API
+ * Fetches book ratings and author releases from Hardcover.app GraphQL API
  */
 
 const axios = require('axios');
@@ -152,6 +152,368 @@ class HardcoverService {
         return null;
     }
 
+    /**
+     * Run a GraphQL query with the server token, or with `token` to act as a
+     * user who linked their own Hardcover account.
+     */
+    async graphql(query, variables, token = this.token) {
+        const response = await axios({
+            url: this.apiUrl,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+                'Accept': 'application/json'
+            },
+            data: { query, variables },
+            timeout: this.requestTimeout
+        });
+
+        if (response.data?.errors?.length) {
+            throw new Error(`GraphQL error: ${response.data.errors[0].message}`);
+        }
+        return response.data?.data;
+    }
+
+    /**
+     * Authors matching a name, best match first: [{ id, name, booksCount, imageUrl }]
+     */
+    async searchAuthors(name) {
+        if (!this.token || !name) {
+            return [];
+        }
+
+        const query = `
+      query SearchAuthors($query: String!) {
+        search(query: $query, query_type: "Author", per_page: 10) {
+          results
+        }
+      }
+    `;
+
+        const data = await this.graphql(query, { query: name });
+        const hits = data?.search?.results?.hits || [];
+        return hits
+            .map(hit => hit.document)
+            .filter(author => author?.id && author?.name)
+            .map(author => ({
+                id: Number(author.id),
+                name: author.name,
+                booksCount: author.books_count ?? null,
+                imageUrl: author.image?.url || null
+            }));
+    }
+
+    /**
+     * An author by Hardcover id: { id, name }, or null when it does not exist.
+     */
+    async getAuthor(authorId) {
+        if (!this.token) {
+            return null;
+        }
+
+        const query = `
+      query Author($authorId: Int!) {
+        authors_by_pk(id: $authorId) {
+          id
+          name
+        }
+      }
+    `;
+
+        const data = await this.graphql(query, { authorId: Number(authorId) });
+        const author = data?.authors_by_pk;
+        return author?.name ? { id: Number(author.id), name: author.name } : null;
+    }
+
+    /**
+     * An author's own books (not compilations or books they only narrated or
+     * translated) released on or after `sinceDate` (YYYY-MM-DD), upcoming
+     * titles included.
+     */
+    async getAuthorReleases(authorId, sinceDate) {
+        if (!this.token) {
+            return [];
+        }
+
+        const query = `
+      query AuthorReleases($authorId: Int!, $since: date!) {
+        books(
+          where: {
+            contributions: { author_id: { _eq: $authorId }, contribution: { _is_null: true } },
+            release_date: { _gte: $since },
+            compilation: { _eq: false }
+          },
+          order_by: { release_date: asc },
+          limit: 50
+        ) {
+          id
+          title
+          subtitle
+          release_date
+          pages
+          description
+          image { url }
+          contributions { author { name } }
+        }
+      }
+    `;
+
+        const data = await this.graphql(query, { authorId: Number(authorId), since: sinceDate });
+        return (data?.books || []).map(book => ({
+            id: `hardcover-${book.id}`,
+            title: book.title,
+            subtitle: book.subtitle || null,
+            author: book.contributions?.[0]?.author?.name || null,
+            releaseDate: book.release_date || null,
+            pages: book.pages || null,
+            synopsis: book.description || null,
+            coverUrl: book.image?.url || null
+        }));
+    }
+
+    /**
+     * Series matching a name: [{ id, name, author, booksCount }]
+     */
+    async searchSeries(name) {
+        if (!this.token || !name) {
+            return [];
+        }
+
+        const query = `
+      query SearchSeries($query: String!) {
+        search(query: $query, query_type: "Series", per_page: 10) {
+          results
+        }
+      }
+    `;
+
+        const data = await this.graphql(query, { query: name });
+        const hits = data?.search?.results?.hits || [];
+        return hits
+            .map(hit => hit.document)
+            .filter(series => series?.id && series?.name)
+            .map(series => ({
+                id: Number(series.id),
+                name: series.name,
+                author: series.author_name || null,
+                booksCount: series.primary_books_count ?? series.books_count ?? null
+            }));
+    }
+
+    /**
+     * A series and its numbered entries, one book per position (the most
+     * read edition when several share a position). Omnibus editions are left
+     * out. Returns null when the series does not exist.
+     */
+    async getSeries(seriesId) {
+        if (!this.token) {
+            return null;
+        }
+
+        const query = `
+      query SeriesBooks($seriesId: Int!) {
+        series_by_pk(id: $seriesId) {
+          id
+          name
+          author { name }
+          book_series(
+            where: { position: { _is_null: false }, book: { compilation: { _eq: false } } },
+            order_by: [{ position: asc }, { book: { users_count: desc } }]
+          ) {
+            position
+            book {
+              id
+              title
+              release_date
+              image { url }
+              contributions { author { name } }
+            }
+          }
+        }
+      }
+    `;
+
+        const data = await this.graphql(query, { seriesId: Number(seriesId) });
+        const series = data?.series_by_pk;
+        if (!series) {
+            return null;
+        }
+
+        const entries = [];
+        for (const link of series.book_series || []) {
+            if (!link.book || entries.some(entry => entry.position === link.position)) continue;
+            entries.push({
+                position: link.position,
+                bookId: `hardcover-${link.book.id}`,
+                title: link.book.title,
+                author: link.book.contributions?.[0]?.author?.name || series.author?.name || null,
+                releaseDate: link.book.release_date || null,
+                coverUrl: link.book.image?.url || null
+            });
+        }
+
+        return {
+            id: Number(series.id),
+            name: series.name,
+            author: series.author?.name || entries[0]?.author || null,
+            entries
+        };
+    }
+
+    /**
+     * Best Hardcover match for an imported book, by ISBN when there is one,
+     * otherwise by title and author. Returns null when nothing matches.
+     */
+    async findBook({ isbn13, title, author } = {}, token = this.token) {
+        if (!token || (!isbn13 && !title)) {
+            return null;
+        }
+
+        const query = `
+      query FindBook($query: String!) {
+        search(query: $query, query_type: "Book", per_page: 5) {
+          results
+        }
+      }
+    `;
+
+        const searchQuery = isbn13 || [title, author].filter(Boolean).join(' ');
+        const data = await this.graphql(query, { query: searchQuery }, token);
+        const book = data?.search?.results?.hits?.[0]?.document;
+        if (!book?.id) {
+            return null;
+        }
+
+        return {
+            id: `hardcover-${book.id}`,
+            title: book.title,
+            author: book.author_names?.[0] || book.contributions?.[0]?.author?.name || null,
+            isbn13: (book.isbns || []).find(isbn => String(isbn).length === 13) || null,
+            coverUrl: book.image?.url || null,
+            releaseYear: book.release_year || null,
+            matchedBy: isbn13 && (book.isbns || []).includes(isbn13) ? 'isbn' : 'title'
+        };
+    }
+
+    /**
+     * The account a user token belongs to: { id, username }, or null when
+     * Hardcover does not accept the token.
+     */
+    async getMe(token) {
+        if (!token) {
+            return null;
+        }
+
+        const query = `
+      query Me {
+        me {
+          id
+          username
+        }
+      }
+    `;
+
+        try {
+            const data = await this.graphql(query, {}, token);
+            const me = Array.isArray(data?.me) ? data.me[0] : data?.me;
+            return me?.id ? { id: Number(me.id), username: me.username || null } : null;
+        } catch (error) {
+            if (error.response?.status === 401 || error.response?.status === 403 || /GraphQL error/.test(error.message)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Books on the token owner's "Want to Read" shelf (status 1), most
+     * recently added first.
+     */
+    async getWantToRead(token, limit = 100) {
+        const query = `
+      query WantToRead($limit: Int!) {
+        me {
+          user_books(
+            where: { status_id: { _eq: 1 } },
+            order_by: { date_added: desc },
+            limit: $limit
+          ) {
+            book {
+              id
+              title
+              subtitle
+              release_date
+              pages
+              rating
+              description
+              image { url }
+              contributions { author { name } }
+            }
+          }
+        }
+      }
+    `;
+
+        const data = await this.graphql(query, { limit }, token);
+        const me = Array.isArray(data?.me) ? data.me[0] : data?.me;
+        return (me?.user_books || [])
+            .map(userBook => userBook.book)
+            .filter(book => book?.id)
+            .map(book => ({
+                id: `hardcover-${book.id}`,
+                title: book.title,
+                subtitle: book.subtitle || null,
+                author: book.contributions?.[0]?.author?.name || null,
+                releaseDate: book.release_date || null,
+                pages: book.pages || null,
+                rating: book.rating ? parseFloat(Number(book.rating).toFixed(1)) : null,
+                synopsis: book.description || null,
+                coverUrl: book.image?.url || null,
+                source: 'hardcover'
+            }));
+    }
+
+    /**
+     * Add a book to the token owner's "Owned" list. Returns 'added',
+     * 'already' when it was on the list, or null when the account has no
+     * Owned list.
+     */
+    async markOwned(token, hardcoverBookId) {
+        const bookId = Number(hardcoverBookId);
+        const query = `
+      query OwnedList($bookId: Int!) {
+        me {
+          lists(where: { slug: { _eq: "owned" } }, limit: 1) {
+            id
+            list_books(where: { book_id: { _eq: $bookId } }) { id }
+          }
+        }
+      }
+    `;
+
+        const data = await this.graphql(query, { bookId }, token);
+        const me = Array.isArray(data?.me) ? data.me[0] : data?.me;
+        const list = me?.lists?.[0];
+        if (!list) {
+            return null;
+        }
+        if ((list.list_books || []).length > 0) {
+            return 'already';
+        }
+
+        const mutation = `
+      mutation MarkOwned($listId: Int!, $bookId: Int!) {
+        insert_list_book(object: { list_id: $listId, book_id: $bookId }) {
+          id
+        }
+      }
+    `;
+
+        await this.graphql(mutation, { listId: Number(list.id), bookId }, token);
+        return 'added';
+    }
+
     clearCache() {
         this.cache.clear();
     }
@@ -1,18 +1,14 @@
-const fs = require('fs');
-const path = require('path');
+const database = require('./database');
 
+// Import results are written by scripts/process-download.js and read here;
+// both sides go through the shared SQLite database (data/onyx.db).
 class ImportLogService {
-    constructor() {
-        // Must match the path used in /app/scripts/process-download.js
-        this.logFile = '/app/data/import_log.json';
-    }
-
     getLog() {
         try {
-            if (!fs.existsSync(this.logFile)) {
-                return { imports: [] };
-            }
-            return JSON.parse(fs.readFileSync(this.logFile, 'utf8'));
+            const rows = database.connection
+                .prepare('SELECT data FROM import_log ORDER BY timestamp DESC, rowid DESC')
+                .all();
+            return { imports: database.parseRows(rows) };
         } catch (error) {
             console.error('Error reading import log:', error);
             return { imports: [] };
@@ -20,49 +16,84 @@ class ImportLogService {
     }
 
     getImports(limit = 50) {
-        const log = this.getLog();
-        return log.imports.slice(0, limit);
+        try {
+            const rows = database.connection
+                .prepare('SELECT data FROM import_log ORDER BY timestamp DESC, rowid DESC LIMIT ?')
+                .all(Math.max(1, limit || 50));
+            return database.parseRows(rows);
+        } catch (error) {
+            console.error('Error reading import log:', error);
+            return [];
+        }
     }
 
     getImportById(id) {
-        const log = this.getLog();
-        return log.imports.find(imp => imp.id === id);
+        try {
+            const row = database.connection.prepare('SELECT data FROM import_log WHERE id = ?').get(String(id));
+            return row ? JSON.parse(row.data) : undefined;
+        } catch (error) {
+            console.error('Error reading import:', error);
+            return undefined;
+        }
     }
 
     updateImport(id, patch = {}) {
         try {
-            const log = this.getLog();
-            const idx = log.imports.findIndex(imp => imp.id === id);
-            if (idx === -1) {
-                return { success: false, message: 'Import not found' };
-            }
-
-            log.imports[idx] = {
-                ...log.imports[idx],
-                ...patch,
-                updatedAt: new Date().toISOString()
-            };
+            const db = database.connection;
+            // Read-modify-write inside one transaction so a concurrent writer
+            // (e.g. process-download.js) cannot slip in between.
+            return db.transaction(() => {
+                const row = db.prepare('SELECT data FROM import_log WHERE id = ?').get(String(id));
+                if (!row) {
+                    return { success: false, message: 'Import not found' };
+                }
 
-            fs.writeFileSync(this.logFile, JSON.stringify(log, null, 2));
-            return { success: true, import: log.imports[idx] };
+                const updated = {
+                    ...JSON.parse(row.data),
+                    ...patch,
+                    updatedAt: new Date().toISOString()
+                };
+                db.prepare('UPDATE import_log SET status = ?, data = ? WHERE id = ?')
+                    .run(updated.status || null, JSON.stringify(updated), String(id));
+                return { success: true, import: updated };
+            }).immediate();
         } catch (error) {
             console.error('Error updating import:', error);
             return { success: false, message: error.message };
         }
     }
 
+    // Successful imports whose torrent is still seeding toward a seeding
+    // policy that removes it when done (see seedingPolicies).
+    getSeedingImports() {
+        try {
+            const rows = database.connection
+                .prepare("SELECT data FROM import_log WHERE status = 'success' AND torrent_hash IS NOT NULL ORDER BY timestamp")
+                .all();
+            return database.parseRows(rows)
+                .filter(entry => entry.seeding?.deleteWhenDone && !entry.seeding.finishedAt);
+        } catch (error) {
+            console.error('Error reading import log:', error);
+            return [];
+        }
+    }
+
     clearOldImports(daysToKeep = 30) {
         try {
-            const log = this.getLog();
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
-            log.imports = log.imports.filter(imp => {
-                const importDate = new Date(imp.timestamp);
-                return importDate > cutoffDate;
-            });
-
-            fs.writeFileSync(this.logFile, JSON.stringify(log, null, 2));
+            // Imports still seeding toward their policy stay: the seeding
+            // enforcer finds them through this log.
+            database.connection
+                .prepare(`
+                    DELETE FROM import_log
+                    WHERE timestamp <= ?
+                      AND NOT (status = 'success' AND torrent_hash IS NOT NULL
+                        AND COALESCE(json_extract(data, '$.seeding.deleteWhenDone'), 0) = 1
+                        AND json_extract(data, '$.seeding.finishedAt') IS NULL)
+                `)
+                .run(cutoffDate.toISOString());
             return { success: true, message: `Cleared imports older than ${daysToKeep} days` };
         } catch (error) {
             console.error('Error clearing old imports:', error);
@@ -76,14 +107,14 @@ class ImportLogService {
         const successful = log.imports.filter(i => i.status === 'success').length;
         const failed = log.imports.filter(i => i.status === 'failed' || i.status === 'partial').length;
         const manualReview = log.imports.filter(i => i.status === 'manual_review_required').length;
-        const mamImports = log.imports.filter(i => i.operation === 'hardlink').length;
+        const hardlinkImports = log.imports.filter(i => i.operation === 'hardlink').length;
 
         return {
             total,
             successful,
             failed,
             manualReview,
-            mamImports,
+            hardlinkImports,
             successRate: total > 0 ? ((successful / total) * 100).toFixed(1) : 0
         };
     }
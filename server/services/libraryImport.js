@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const database = require('./database');
+const releaseScorer = require('./releaseScorer');
+const { parseCsvObjects } = require('../utils/csv');
+
+const MAX_ROWS = Math.max(1, parseInt(process.env.LIBRARY_IMPORT_MAX_ROWS || '500', 10) || 500);
+
+// Goodreads wraps ISBNs as ="0451524934" so spreadsheets keep leading zeros.
+const cleanIsbn = (value) => String(value || '').replace(/[^0-9X]/gi, '').toUpperCase();
+
+const isbn10To13 = (isbn10) => {
+  if (isbn10.length !== 10) return null;
+  const core = `978${isbn10.slice(0, 9)}`;
+  const sum = core.split('').reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  return `${core}${(10 - (sum % 10)) % 10}`;
+};
+
+const toIsbn13 = (...values) => {
+  for (const value of values.map(cleanIsbn)) {
+    if (/^97[89]\d{10}$/.test(value)) return value;
+    if (/^\d{9}[\dX]$/.test(value)) return isbn10To13(value);
+  }
+  return null;
+};
+
+// Row readers for each supported export, keyed by a header only it has.
+const FORMATS = {
+  goodreads: {
+    detect: headers => headers.includes('Exclusive Shelf'),
+    read: row => ({
+      title: row.Title,
+      author: row.Author,
+      isbn13: toIsbn13(row.ISBN13, row.ISBN),
+      shelf: row['Exclusive Shelf'] || null
+    })
+  },
+  storygraph: {
+    detect: headers => headers.includes('Read Status'),
+    read: row => ({
+      title: row.Title,
+      author: (row.Authors || '').split(',')[0].trim(),
+      isbn13: toIsbn13(row['ISBN/UID']),
+      shelf: row['Read Status'] || null
+    })
+  }
+};
+
+/**
+ * Imports of Goodreads / StoryGraph library exports. An upload is parsed
+ * into rows straight away; each row is then matched in the background
+ * against Google Books and Hardcover (ISBN first, then title and author) and
+ * checked against the library. The user reviews the matches and turns the
+ * rows they want into requests or wishlist entries.
+ *
+ * Match confidence is 100 for an ISBN match, otherwise the weaker of the
+ * two-way title similarity (x70) plus author similarity (x30).
+ */
+class LibraryImportService {
+  constructor({ googleBooksApi, hardcoverService, ownershipIndex }) {
+    this.googleBooksApi = googleBooksApi;
+    this.hardcoverService = hardcoverService;
+    this.ownershipIndex = ownershipIndex;
+    this.resolving = new Set();
+  }
+
+  getUserKey(user) {
+    return String(user?.googleId || user?.email || '').toLowerCase() || null;
+  }
+
+  /**
+   * Parse an export. Throws INVALID_IMPORT when the CSV is neither format.
+   * Only rows on `shelves` (e.g. "to-read") are kept when any are given.
+   */
+  parseExport(csvText, { shelves = [] } = {}) {
+    const records = parseCsvObjects(csvText);
+    const headers = Object.keys(records[0] || {});
+    const source = Object.keys(FORMATS).find(name => FORMATS[name].detect(headers));
+    if (!source) {
+      const error = new Error('This does not look like a Goodreads or StoryGraph library export');
+      error.code = 'INVALID_IMPORT';
+      throw error;
+    }
+
+    const wantedShelves = shelves.map(shelf => shelf.trim().toLowerCase()).filter(Boolean);
+    const kept = records
+      .map(record => FORMATS[source].read(record))
+      .filter(row => row.title)
+      .filter(row => wantedShelves.length === 0 || wantedShelves.includes(String(row.shelf || '').toLowerCase()));
+    const rows = kept
+      .slice(0, MAX_ROWS)
+      .map((row, index) => ({ index, ...row, status: 'pending', match: null, ownership: null, outcome: null }));
+
+    return { source, rows, truncated: kept.length > MAX_ROWS };
+  }
+
+  toImport(row) {
+    const data = JSON.parse(row.data);
+    return {
+      id: row.id,
+      source: row.source,
+      status: row.status,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      truncated: Boolean(data.truncated),
+      rows: data.rows || []
+    };
+  }
+
+  create(user, csvText, options = {}) {
+    const userKey = this.getUserKey(user);
+    if (!userKey) throw new Error('Not signed in');
+
+    const { source, rows, truncated } = this.parseExport(csvText, options);
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    database.connection.prepare(`
+      INSERT INTO library_imports (id, user_key, source, status, created_at, updated_at, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, userKey, source, rows.length > 0 ? 'resolving' : 'ready', now, now, JSON.stringify({ rows, truncated }));
+
+    console.log(`[IMPORT] ${userKey} uploaded a ${source} export with ${rows.length} row(s)`);
+    return this.get(user, id);
+  }
+
+  get(user, id) {
+    const row = database.connection
+      .prepare('SELECT * FROM library_imports WHERE id = ? AND user_key = ?')
+      .get(String(id), this.getUserKey(user));
+    return row ? this.toImport(row) : null;
+  }
+
+  listForUser(user) {
+    return database.connection
+      .prepare('SELECT * FROM library_imports WHERE user_key = ? ORDER BY created_at DESC LIMIT 20')
+      .all(this.getUserKey(user))
+      .map(row => {
+        const { rows, ...summary } = this.toImport(row);
+        return { ...summary, rowCount: rows.length, resolvedCount: rows.filter(r => r.status !== 'pending').length };
+      });
+  }
+
+  save(id, rows, status) {
+    database.connection.prepare(`
+      UPDATE library_imports
+      SET status = ?, updated_at = ?, data = json_set(data, '$.rows', json(?))
+      WHERE id = ?
+    `).run(status, new Date().toISOString(), JSON.stringify(rows), id);
+  }
+
+  confidence(row, match) {
+    if (!match) return 0;
+    if (row.isbn13 && match.isbn13 === row.isbn13) return 100;
+    const title = Math.min(
+      releaseScorer.titleSimilarity(row.title, match.title),
+      releaseScorer.titleSimilarity(match.title, row.title)
+    );
+    const author = releaseScorer.authorSimilarity(row.author, match.author || '');
+    return Math.round(title * 70 + (author === null ? 15 : author * 30));
+  }
+
+  async findGoogleMatch(row) {
+    const queries = [
+      row.isbn13 ? `isbn:${row.isbn13}` : null,
+      `intitle:${row.title}${row.author ? ` inauthor:${row.author}` : ''}`
+    ].filter(Boolean);
+
+    for (const query of queries) {
+      const [book] = await this.googleBooksApi.searchBooks(query, 3);
+      if (book) {
+        return {
+          id: book.isbn13 ? `isbn-${book.isbn13}` : `google-${book.googleBooksId}`,
+          title: book.title,
+          author: book.authors?.[0] || null,
+          isbn13: book.isbn13 || null,
+          coverUrl: book.thumbnail || null,
+          source: 'google'
+        };
+      }
+    }
+    return null;
+  }
+
+  async resolveRow(row) {
+    const candidates = [];
+    try {
+      const hardcover = await this.hardcoverService.findBook(row);
+      if (hardcover) candidates.push({ ...hardcover, source: 'hardcover' });
+    } catch (error) {
+      console.error(`[IMPORT] Hardcover lookup failed for "${row.title}":`, error.message);
+    }
+    const google = await this.findGoogleMatch(row);
+    if (google) candidates.push(google);
+
+    const scored = candidates
+      .map(candidate => ({ ...candidate, confidence: this.confidence(row, candidate) }))
+      .sort((a, b) => b.confidence - a.confidence);
+    const match = scored[0] || null;
+
+    const book = match
+      ? { id: match.id, title: match.title, author: match.author || row.author, isbn13: match.isbn13 || row.isbn13 }
+      : { title: row.title, author: row.author, isbn13: row.isbn13 };
+    const owned = this.ownershipIndex.getOwnership(book) || {};
+
+    return {
+      ...row,
+      status: match ? 'matched' : 'unmatched',
+      match,
+      ownership: { audiobook: Boolean(owned.audiobook), ebook: Boolean(owned.ebook) }
+    };
+  }
+
+  /**
+   * Match every pending row of an import, saving progress as it goes. Safe
+   * to call repeatedly; an import is only resolved by one loop at a time.
+   */
+  async resolve(id) {
+    if (this.resolving.has(id)) return;
+    const row = database.connection.prepare('SELECT * FROM library_imports WHERE id = ?').get(id);
+    if (!row) return;
+
+    this.resolving.add(id);
+    try {
+      await this.ownershipIndex.ensureFresh();
+      const rows = this.toImport(row).rows;
+      for (let i = 0; i < rows.length; i += 1) {
+        if (rows[i].status !== 'pending') continue;
+        try {
+          rows[i] = await this.resolveRow(rows[i]);
+        } catch (error) {
+          console.error(`[IMPORT] Could not resolve "${rows[i].title}":`, error.message);
+          rows[i] = { ...rows[i], status: 'unmatched' };
+        }
+        if (i % 10 === 9) this.save(id, rows, 'resolving');
+      }
+      this.save(id, rows, 'ready');
+      console.log(`[IMPORT] Resolved import ${id}: ${rows.filter(r => r.status === 'matched').length}/${rows.length} matched`);
+    } finally {
+      this.resolving.delete(id);
+    }
+  }
+
+  /**
+   * Record what the user did with each row ('requested', 'wishlisted').
+   */
+  setOutcomes(id, outcomes) {
+    const row = database.connection.prepare('SELECT * FROM library_imports WHERE id = ?').get(id);
+    if (!row) return;
+    const current = this.toImport(row);
+    const rows = current.rows.map(r => (outcomes.has(r.index) ? { ...r, outcome: outcomes.get(r.index) } : r));
+    this.save(id, rows, current.status);
+  }
+
+  // Imports interrupted by a restart pick up where they stopped.
+  resumePending() {
+    const ids = database.connection
+      .prepare("SELECT id FROM library_imports WHERE status = 'resolving'")
+      .all()
+      .map(r => r.id);
+    for (const id of ids) {
+      this.resolve(id).catch(error => console.error(`[IMPORT] Resume of ${id} failed:`, error.message));
+    }
+    return ids.length;
+  }
+
+  toWishlistEntry(row) {
+    return {
+      bookId: row.book_id,
+      title: row.title,
+      author: row.author,
+      addedAt: row.added_at,
+      ...JSON.parse(row.data)
+    };
+  }
+
+  getWishlist(user) {
+    return database.connection
+      .prepare('SELECT * FROM wishlist WHERE user_key = ? ORDER BY added_at DESC')
+      .all(this.getUserKey(user))
+      .map(row => this.toWishlistEntry(row));
+  }
+
+  addToWishlist(user, book, { source = 'manual' } = {}) {
+    const userKey = this.getUserKey(user);
+    if (!userKey) throw new Error('Not signed in');
+    database.connection.prepare(`
+      INSERT OR IGNORE INTO wishlist (user_key, book_id, title, author, added_at, data)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(userKey, String(book.id), book.title, book.author || null, new Date().toISOString(), JSON.stringify({
+      isbn13: book.isbn13 || null,
+      coverUrl: book.coverUrl || null,
+      source
+    }));
+  }
+
+  removeFromWishlist(user, bookId) {
+    return database.connection
+      .prepare('DELETE FROM wishlist WHERE user_key = ? AND book_id = ?')
+      .run(this.getUserKey(user), String(bookId)).changes > 0;
+  }
+}
+
+module.exports = LibraryImportService;
@@ -0,0 +1,124 @@
+const axios = require('axios');
+const UsenetClient = require('./usenetClient');
+
+const QUEUE_STATUSES = { QUEUED: 'queued', PAUSED: 'paused', DOWNLOADING: 'downloading', FETCHING: 'downloading' };
+
+/**
+ * NZBGet JSON-RPC adapter (NZBGET_URL, NZBGET_USER, NZBGET_PASS). Downloads
+ * are found by NZBID in the queue (listgroups) while downloading and
+ * post-processing, and in the history once done.
+ */
+class NzbgetService extends UsenetClient {
+  constructor() {
+    super({ name: 'nzbget', label: 'NZBGet' });
+    this.rpcURL = `${(process.env.NZBGET_URL || 'http://nzbget:6789').replace(/\/+$/, '')}/jsonrpc`;
+    this.username = (process.env.NZBGET_USER || '').trim() || null;
+    this.password = (process.env.NZBGET_PASS || '').trim() || null;
+  }
+
+  async rpc(method, params = []) {
+    const response = await axios.post(this.rpcURL, { method, params }, {
+      auth: this.username ? { username: this.username, password: this.password || '' } : undefined,
+      timeout: 15000
+    });
+    if (response.data?.error) {
+      throw new Error(response.data.error.message || `NZBGet ${method} failed`);
+    }
+    return response.data?.result;
+  }
+
+  async addNzb(url, { name, category }) {
+    try {
+      // append(NZBFilename, Content, Category, Priority, AddToTop, AddPaused,
+      // DupeKey, DupeScore, DupeMode, PPParameters); a URL as Content is fetched by NZBGet.
+      const id = await this.rpc('append', [`${name || 'download'}.nzb`, url, category, 0, false, false, '', 0, 'SCORE', []]);
+      if (!(Number(id) > 0)) {
+        return { success: false, message: 'NZBGet did not accept the NZB' };
+      }
+      console.log(`NZB added to NZBGet: ${name || url} (${id})`);
+      return { success: true, message: 'NZB added successfully', id: String(id) };
+    } catch (error) {
+      console.error('NZBGet add NZB error:', error.message);
+      return { success: false, message: 'Error adding NZB: ' + error.message };
+    }
+  }
+
+  toQueueDownload(group, speed) {
+    const status = QUEUE_STATUSES[group.Status] || 'processing';
+    const total = Number(group.FileSizeMB) || 0;
+    const remaining = Number(group.RemainingSizeMB) || 0;
+    return {
+      id: String(group.NZBID),
+      name: group.NZBName,
+      status,
+      progressPct: total > 0 ? Math.round(((total - remaining) / total) * 1000) / 10 : 0,
+      eta: status === 'downloading' && speed > 0 ? Math.round((remaining * 1024 * 1024) / speed) : null,
+      downloadSpeed: status === 'downloading' ? speed : 0,
+      path: null,
+      error: null
+    };
+  }
+
+  // SUCCESS/* is done; so is WARNING/SCRIPT (only the post-processing
+  // script complained). Anything else (FAILURE, DELETED, other warnings
+  // such as damaged or password-protected) failed.
+  toHistoryDownload(item) {
+    const status = String(item.Status || '');
+    const completed = status.startsWith('SUCCESS') || status === 'WARNING/SCRIPT';
+    return {
+      id: String(item.NZBID),
+      name: item.Name,
+      status: completed ? 'completed' : 'failed',
+      progressPct: completed ? 100 : 0,
+      eta: 0,
+      downloadSpeed: 0,
+      path: item.FinalDir || item.DestDir || null,
+      error: completed ? null : `NZBGet reports ${status || 'unknown status'}`
+    };
+  }
+
+  async getDownloads(ids) {
+    if (ids.length === 0) return [];
+    const wanted = new Set(ids.map(String));
+    const groups = (await this.rpc('listgroups', [0])) || [];
+    const { DownloadRate } = (await this.rpc('status')) || {};
+    const history = (await this.rpc('history', [false])) || [];
+
+    const speed = Number(DownloadRate) || 0;
+    const downloads = new Map();
+    for (const item of history.filter(entry => wanted.has(String(entry.NZBID)))) {
+      downloads.set(String(item.NZBID), this.toHistoryDownload(item));
+    }
+    for (const group of groups.filter(entry => wanted.has(String(entry.NZBID)))) {
+      downloads.set(String(group.NZBID), this.toQueueDownload(group, speed));
+    }
+    return [...downloads.values()];
+  }
+
+  async deleteDownload(id, deleteFiles = true) {
+    if (!id) {
+      return { success: false, message: 'Missing download id' };
+    }
+    try {
+      const ids = [Number(id)];
+      await this.rpc('editqueue', [deleteFiles ? 'GroupFinalDelete' : 'GroupDelete', '', ids]);
+      await this.rpc('editqueue', [deleteFiles ? 'HistoryFinalDelete' : 'HistoryDelete', '', ids]);
+      console.log(`Removed download ${id} from NZBGet`);
+      return { success: true, message: 'Download removed' };
+    } catch (error) {
+      console.error('NZBGet delete download error:', error.message);
+      return { success: false, message: 'Error removing download: ' + error.message };
+    }
+  }
+
+  async testConnection() {
+    try {
+      const version = await this.rpc('version');
+      return { success: true, message: `Connected to NZBGet ${version || ''}`.trim() };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+module.exports = NzbgetService;
@@ -0,0 +1,71 @@
+const downloadJobStore = require('./downloadJobStore');
+
+// Jobs the progress pollers follow: handed to a client, not yet picked up
+// for import.
+const TRACKED_JOB_STATUSES = ['queued', 'downloading'];
+
+/**
+ * The polling loop shared by the torrent and Usenet clients. Each client
+ * runs its own pass (`poll`); this keeps one pass in flight at a time, logs
+ * a failure once until polling works again so an unreachable client does not
+ * flood logs, and reads the jobs a client follows.
+ */
+class ProgressPoller {
+  constructor({ logTag, label, jobStore = downloadJobStore }) {
+    this.logTag = logTag;
+    this.label = label;
+    this.jobStore = jobStore;
+    this.timer = null;
+    this.inFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Tracked jobs that `owns(job)` accepts. Read once before asking the
+   * client, and again after: the webhook may have started importing a job,
+   * or its request been cancelled, while the client was being asked.
+   */
+  getTrackedJobs(owns) {
+    return this.jobStore.getRecentJobs(500)
+      .filter(job => TRACKED_JOB_STATUSES.includes(job.status) && owns(job));
+  }
+
+  // getTrackedJobs keyed by torrentHash (jobs without one are left out).
+  getTrackedJobsByHash(owns) {
+    return new Map(this.getTrackedJobs(job => Boolean(job.torrentHash) && owns(job))
+      .map(job => [job.torrentHash, job]));
+  }
+
+  // Run `poll()` every `intervalMs` until stop().
+  start(intervalMs, poll) {
+    this.stop();
+    this.timer = setInterval(async () => {
+      if (this.inFlight) return;
+      this.inFlight = true;
+      try {
+        await poll();
+        if (this.lastError) {
+          console.log(`[${this.logTag}] ${this.label} progress polling recovered`);
+          this.lastError = null;
+        }
+      } catch (error) {
+        if (error.message !== this.lastError) {
+          console.error(`[${this.logTag}] ${this.label} progress polling failed:`, error.message);
+          this.lastError = error.message;
+        }
+      } finally {
+        this.inFlight = false;
+      }
+    }, intervalMs);
+    return this.timer;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = ProgressPoller;
@@ -59,6 +59,8 @@ class ProwlarrService {
           indexer: result.indexer,
           magnetUrl: result.magnetUrl || result.downloadUrl,
           infoHash: result.infoHash,
+          // 'torrent' or 'usenet'; usenet results link to an NZB
+          protocol: result.protocol || 'torrent',
           category: result.categories?.[0] || 'Unknown',
           publishDate: result.publishDate,
           guid: result.guid
@@ -1,41 +1,19 @@
 const axios = require('axios');
-
-class QBittorrentService {
-  constructor() {
+const TorrentClient = require('./torrentClient');
+
+/**
+ * qBittorrent Web API (v2) adapter. Torrents come back from torrents/info
+ * already in the shape TorrentClient expects.
+ */
+class QBittorrentService extends TorrentClient {
+  constructor({ jobStore } = {}) {
+    super({ label: 'qBittorrent', jobStore });
     this.baseURL = process.env.QBIT_URL || 'http://qbittorrent:8080';
     this.username = (process.env.QBIT_USER || '').trim() || null;
     this.password = (process.env.QBIT_PASS || '').trim() || null;
     this.cookie = null;
   }
 
-  tokenizeForMatch(value) {
-    return String(value || '')
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, ' ')
-      .split(/\s+/)
-      .filter(token => token.length >= 3);
-  }
-
-  scoreTitleMatch(query, candidate) {
-    const queryTokens = this.tokenizeForMatch(query);
-    const candidateTokens = this.tokenizeForMatch(candidate);
-    if (queryTokens.length === 0 || candidateTokens.length === 0) {
-      return { score: 0, matched: 0, total: queryTokens.length };
-    }
-
-    const candidateSet = new Set(candidateTokens);
-    let matched = 0;
-    for (const token of queryTokens) {
-      if (candidateSet.has(token)) matched += 1;
-    }
-
-    return {
-      score: matched / queryTokens.length,
-      matched,
-      total: queryTokens.length
-    };
-  }
-
   async authenticate() {
     if (!this.username || !this.password) {
       console.error('qBittorrent credentials missing (QBIT_USER/QBIT_PASS)');
@@ -80,7 +58,12 @@ class QBittorrentService {
     return true;
   }
 
-  async addTorrent(magnetLink, savePath = '/downloads/books') {
+  // torrents/add form fields for where a torrent goes.
+  toAddFields({ savePath, category, tags }) {
+    return { savepath: savePath, category, tags: tags.join(',') };
+  }
+
+  async addMagnet(magnetLink, options) {
     try {
       await this.ensureAuthenticated();
       const parsedHash = this.extractMagnetHash(magnetLink);
@@ -89,8 +72,7 @@ class QBittorrentService {
         `${this.baseURL}/api/v2/torrents/add`,
         new URLSearchParams({
           urls: magnetLink,
-          savepath: savePath,
-          category: 'books'
+          ...this.toAddFields(options)
         }),
         {
           headers: {
@@ -114,43 +96,143 @@ class QBittorrentService {
       // Try to re-authenticate if cookie expired
       if (error.response && error.response.status === 403) {
         this.cookie = null;
-        return this.addTorrent(magnetLink, savePath);
+        return this.addMagnet(magnetLink, options);
+      }
+
+      return { success: false, message: 'Error adding torrent: ' + error.message };
+    }
+  }
+
+  async addTorrentFile({ buffer, infoHash, name }, options, retried = false) {
+    try {
+      await this.ensureAuthenticated();
+
+      const form = new FormData();
+      form.append('torrents', new Blob([buffer], { type: 'application/x-bittorrent' }), `${infoHash}.torrent`);
+      for (const [field, value] of Object.entries(this.toAddFields(options))) {
+        form.append(field, value);
+      }
+
+      const response = await axios.post(`${this.baseURL}/api/v2/torrents/add`, form, {
+        headers: {
+          'Cookie': this.cookie
+        },
+        timeout: 15000
+      });
+
+      if (response.status === 200) {
+        console.log(`Torrent file added to qBittorrent: ${name || infoHash} (${infoHash})`);
+        return { success: true, message: 'Torrent added successfully', hash: infoHash };
+      }
+      console.error('Failed to add torrent file to qBittorrent');
+      return { success: false, message: 'Failed to add torrent' };
+    } catch (error) {
+      console.error('qBittorrent add torrent file error:', error.message);
+
+      if (!retried && error.response && error.response.status === 403) {
+        this.cookie = null;
+        return this.addTorrentFile({ buffer, infoHash, name }, options, true);
       }
 
       return { success: false, message: 'Error adding torrent: ' + error.message };
     }
   }
 
-  extractMagnetHash(magnetLink) {
-    if (!magnetLink || typeof magnetLink !== 'string') return null;
-    const match = magnetLink.match(/(?:\\?|&)xt=urn:btih:([A-Za-z0-9]+)/i);
-    if (!match || !match[1]) return null;
-    const hash = String(match[1]).trim();
-    // qBittorrent torrent hash is normally 40-char hex. Keep only that format for reliable matching.
-    if (/^[a-f0-9]{40}$/i.test(hash)) {
-      return hash.toLowerCase();
+  async getTorrents({ hashes, tag } = {}, retried = false) {
+    await this.ensureAuthenticated();
+
+    const params = {};
+    if (hashes) params.hashes = hashes.join('|');
+    if (tag) params.tag = tag;
+
+    try {
+      const response = await axios.get(`${this.baseURL}/api/v2/torrents/info`, {
+        params,
+        headers: {
+          'Cookie': this.cookie
+        },
+        timeout: 10000
+      });
+      return Array.isArray(response.data) ? response.data : [];
+    } catch (error) {
+      if (!retried && error.response && error.response.status === 403) {
+        this.cookie = null;
+        return this.getTorrents({ hashes, tag }, true);
+      }
+      throw error;
+    }
+  }
+
+  async deleteTorrent(hash, deleteFiles = true) {
+    if (!hash) {
+      return { success: false, message: 'Missing torrent hash' };
+    }
+
+    try {
+      await this.ensureAuthenticated();
+
+      await axios.post(
+        `${this.baseURL}/api/v2/torrents/delete`,
+        new URLSearchParams({
+          hashes: hash,
+          deleteFiles: deleteFiles ? 'true' : 'false'
+        }),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Cookie': this.cookie
+          },
+          timeout: 10000
+        }
+      );
+
+      console.log(`Removed torrent ${hash} from qBittorrent`);
+      return { success: true, message: 'Torrent removed' };
+    } catch (error) {
+      console.error('qBittorrent delete torrent error:', error.message);
+
+      if (error.response && error.response.status === 403) {
+        this.cookie = null;
+        return this.deleteTorrent(hash, deleteFiles);
+      }
+
+      return { success: false, message: 'Error removing torrent: ' + error.message };
     }
-    return null;
   }
 
-  async getTorrents() {
+  // -2 keeps qBittorrent's global limit.
+  async setShareLimits(hash, { ratioLimit = null, seedingTimeMinutes = null } = {}, retried = false) {
+    if (!hash) {
+      return { success: false, message: 'Missing torrent hash' };
+    }
+
     try {
       await this.ensureAuthenticated();
 
-      const response = await axios.get(
-        `${this.baseURL}/api/v2/torrents/info?category=books`,
+      await axios.post(
+        `${this.baseURL}/api/v2/torrents/setShareLimits`,
+        new URLSearchParams({
+          hashes: hash,
+          ratioLimit: String(ratioLimit ?? -2),
+          seedingTimeLimit: String(seedingTimeMinutes ?? -2),
+          inactiveSeedingTimeLimit: '-2'
+        }),
         {
           headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
             'Cookie': this.cookie
           },
           timeout: 10000
         }
       );
 
-      return response.data;
+      return { success: true, message: 'Share limits set' };
     } catch (error) {
-      console.error('Error fetching torrents from qBittorrent:', error.message);
-      return [];
+      if (!retried && error.response && error.response.status === 403) {
+        this.cookie = null;
+        return this.setShareLimits(hash, { ratioLimit, seedingTimeMinutes }, true);
+      }
+      return { success: false, message: 'Error setting share limits: ' + error.message };
     }
   }
 
@@ -168,44 +250,6 @@ class QBittorrentService {
       };
     }
   }
-
-  async resolveTorrentHashByName(query, options = {}) {
-    const {
-      retries = 5,
-      delayMs = 1500
-    } = options;
-
-    const titleQuery = String(query || '').trim();
-    if (!titleQuery) return null;
-
-    for (let attempt = 0; attempt < retries; attempt += 1) {
-      const torrents = await this.getTorrents();
-      let best = null;
-      let bestMatch = null;
-
-      for (const torrent of torrents) {
-        if (!torrent?.hash || !torrent?.name) continue;
-        const match = this.scoreTitleMatch(titleQuery, torrent.name);
-        const acceptable = match.matched >= 2 && match.score >= 0.34;
-        if (!acceptable) continue;
-
-        if (!bestMatch || match.score > bestMatch.score || (match.score === bestMatch.score && match.matched > bestMatch.matched)) {
-          best = torrent;
-          bestMatch = match;
-        }
-      }
-
-      if (best?.hash) {
-        return String(best.hash).toLowerCase();
-      }
-
-      if (attempt < retries - 1) {
-        await new Promise(resolve => setTimeout(resolve, delayMs));
-      }
-    }
-
-    return null;
-  }
 }
 
-module.exports = new QBittorrentService();
+module.exports = QBittorrentService;
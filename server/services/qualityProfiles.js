@@ -0,0 +1,181 @@
+const database = require('./database');
+
+// Container formats we can recognise in a release name, per request format.
+const CONTAINERS = {
+  audiobook: ['m4b', 'mp3', 'flac', 'aac', 'm4a', 'ogg', 'opus'],
+  ebook: ['epub', 'azw3', 'azw', 'mobi', 'pdf', 'fb2', 'djvu', 'cbz', 'cbr']
+};
+
+/**
+ * Built-in profiles. Admins can edit them or add more through the admin API;
+ * stored profiles with the same id replace these.
+ */
+const BUILTIN_PROFILES = {
+  standard: {
+    name: 'Standard',
+    audiobook: { formats: ['m4b', 'mp3'], minSizeMb: 20, maxSizeMb: 6144, requiredKeywords: [], forbiddenKeywords: ['abridged'] },
+    ebook: { formats: ['epub', 'azw3', 'pdf'], minSizeMb: 0.05, maxSizeMb: 150, requiredKeywords: [], forbiddenKeywords: [] }
+  },
+  'unabridged-only': {
+    name: 'Unabridged only',
+    audiobook: { formats: ['m4b', 'mp3'], minSizeMb: 20, maxSizeMb: 6144, requiredKeywords: ['unabridged'], forbiddenKeywords: ['abridged', 'dramatized', 'dramatised'] },
+    ebook: { formats: ['epub', 'azw3', 'pdf'], minSizeMb: 0.05, maxSizeMb: 150, requiredKeywords: [], forbiddenKeywords: [] }
+  },
+  any: {
+    name: 'Anything',
+    audiobook: { formats: [], minSizeMb: null, maxSizeMb: null, requiredKeywords: [], forbiddenKeywords: [] },
+    ebook: { formats: [], minSizeMb: null, maxSizeMb: null, requiredKeywords: [], forbiddenKeywords: [] }
+  }
+};
+
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(v => String(v).trim().toLowerCase())
+  .filter(Boolean);
+
+const toSize = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Named quality profiles: per format, an ordered list of preferred
+ * containers (first is best; anything not listed is rejected unless the list
+ * is empty), min/max size in MB, and keywords a release name must or must
+ * not contain.
+ *
+ * A request uses its own `qualityProfile`, then the requester's default,
+ * then the server default (QUALITY_PROFILE_DEFAULT, 'standard' if unset).
+ * Stored profiles live in the quality_profiles table; the server and
+ * per-user defaults in quality_profile_defaults.
+ */
+class QualityProfiles {
+  readStoredProfiles() {
+    const rows = database.connection.prepare('SELECT id, data FROM quality_profiles').all();
+    return Object.fromEntries(rows.map(row => [row.id, JSON.parse(row.data)]));
+  }
+
+  readDefault(scope) {
+    const row = database.connection
+      .prepare('SELECT profile_id FROM quality_profile_defaults WHERE scope = ?')
+      .get(scope);
+    return row ? row.profile_id : null;
+  }
+
+  // Set (or, with no profile id, clear) the default for a scope.
+  writeDefault(scope, profileId) {
+    const db = database.connection;
+    if (profileId) {
+      db.prepare(`
+        INSERT INTO quality_profile_defaults (scope, profile_id) VALUES (?, ?)
+        ON CONFLICT(scope) DO UPDATE SET profile_id = excluded.profile_id
+      `).run(scope, profileId);
+    } else {
+      db.prepare('DELETE FROM quality_profile_defaults WHERE scope = ?').run(scope);
+    }
+  }
+
+  normalizeFormatRules(format, rules = {}) {
+    return {
+      formats: toList(rules.formats).filter(container => CONTAINERS[format].includes(container)),
+      minSizeMb: toSize(rules.minSizeMb),
+      maxSizeMb: toSize(rules.maxSizeMb),
+      requiredKeywords: toList(rules.requiredKeywords),
+      forbiddenKeywords: toList(rules.forbiddenKeywords)
+    };
+  }
+
+  normalizeProfile(id, profile = {}) {
+    return {
+      id,
+      name: String(profile.name || id).trim().slice(0, 100),
+      audiobook: this.normalizeFormatRules('audiobook', profile.audiobook),
+      ebook: this.normalizeFormatRules('ebook', profile.ebook)
+    };
+  }
+
+  async getProfiles() {
+    const merged = { ...BUILTIN_PROFILES, ...this.readStoredProfiles() };
+    return Object.entries(merged).map(([id, profile]) => this.normalizeProfile(id, profile));
+  }
+
+  async getDefaultProfileId() {
+    return this.readDefault('server') || process.env.QUALITY_PROFILE_DEFAULT || 'standard';
+  }
+
+  async getProfile(id) {
+    const profiles = await this.getProfiles();
+    return profiles.find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * Replace the stored profiles and server default. Built-ins not listed in
+   * `profiles` keep their shipped settings.
+   */
+  async saveProfiles({ profiles = {}, defaultProfile } = {}) {
+    const db = database.connection;
+    db.transaction(() => {
+      db.prepare('DELETE FROM quality_profiles').run();
+      const insert = db.prepare('INSERT INTO quality_profiles (id, data) VALUES (?, ?)');
+      for (const [id, profile] of Object.entries(profiles)) {
+        const { name, audiobook, ebook } = this.normalizeProfile(id, profile);
+        insert.run(id, JSON.stringify({ name, audiobook, ebook }));
+      }
+      if (defaultProfile !== undefined) {
+        this.writeDefault('server', defaultProfile || null);
+      }
+    }).immediate();
+    return { profiles: await this.getProfiles(), defaultProfile: await this.getDefaultProfileId() };
+  }
+
+  getUserKey(user) {
+    return String(user?.googleId || user?.email || '').toLowerCase() || null;
+  }
+
+  async getUserDefault(user) {
+    const key = this.getUserKey(user);
+    if (!key) return null;
+    return this.readDefault(`user:${key}`);
+  }
+
+  async setUserDefault(user, profileId) {
+    const key = this.getUserKey(user);
+    if (!key) throw new Error('Not signed in');
+    this.writeDefault(`user:${key}`, profileId || null);
+    return profileId || null;
+  }
+
+  /**
+   * The profile a request should be searched with.
+   */
+  async resolveForRequest(request = {}) {
+    const profiles = await this.getProfiles();
+    const byId = id => (id ? profiles.find(profile => profile.id === id) : null);
+    const requester = { googleId: request.requestedBy, email: request.userEmail };
+    return byId(request.qualityProfile) ||
+      byId(await this.getUserDefault(requester)) ||
+      byId(await this.getDefaultProfileId()) ||
+      byId('standard');
+  }
+
+  /**
+   * The container format named in a release ("m4b", "epub", ...), or null.
+   */
+  detectContainer(text, format) {
+    const lower = String(text || '').toLowerCase();
+    const candidates = format ? CONTAINERS[format] : [...CONTAINERS.audiobook, ...CONTAINERS.ebook];
+    return candidates.find(container => new RegExp(`\\b${container}\\b`).test(lower)) || null;
+  }
+
+  hasKeyword(text, keyword) {
+    return new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i').test(String(text || ''));
+  }
+}
+
+const qualityProfiles = new QualityProfiles();
+qualityProfiles.CONTAINERS = CONTAINERS;
+qualityProfiles.BUILTIN_PROFILE_IDS = Object.keys(BUILTIN_PROFILES);
+
+module.exports = qualityProfiles;
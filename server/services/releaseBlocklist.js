@@ -0,0 +1,147 @@
+const database = require('./database');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Magnet links carry the infohash as 40 hex chars or 32 base32 chars.
+const base32ToHex = (value) => {
+  let bits = '';
+  for (const char of value.toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    bits += index.toString(2).padStart(5, '0');
+  }
+  let hex = '';
+  for (let i = 0; i + 4 <= bits.length; i += 4) {
+    hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+  }
+  return hex;
+};
+
+/**
+ * Releases that must not be grabbed again for a request: torrents whose
+ * import failed or needed manual review, Telegram files that failed to
+ * download, and anything an admin blocked by hand.
+ *
+ * Entries match a search result by infohash, indexer guid or Telegram
+ * message id. Entries with no request id apply to every request.
+ */
+class ReleaseBlocklist {
+  normalizeHash(value) {
+    const raw = String(value || '').trim();
+    if (/^[0-9a-f]{40}$/i.test(raw)) return raw.toLowerCase();
+    if (/^[a-z2-7]{32}$/i.test(raw)) return base32ToHex(raw);
+    return null;
+  }
+
+  // Infohash of a search result, from its infoHash field or its magnet link.
+  getResultHash(result = {}) {
+    const direct = this.normalizeHash(result.infoHash || result.torrentHash);
+    if (direct) return direct;
+    const match = String(result.magnetUrl || '').match(/xt=urn:btih:([a-z0-9]+)/i);
+    return match ? this.normalizeHash(match[1]) : null;
+  }
+
+  toEntry(row) {
+    return {
+      id: row.id,
+      requestId: row.request_id,
+      infoHash: row.info_hash,
+      guid: row.guid,
+      telegramMessageId: row.telegram_message_id,
+      title: row.title,
+      source: row.source,
+      indexer: row.indexer,
+      reason: row.reason,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Block a release. Returns the new entry, or the existing one when the
+   * same release is already blocked for the same request.
+   */
+  add({ requestId = null, infoHash, guid, telegramMessageId, title, source, indexer, reason } = {}, { actor = 'system' } = {}) {
+    const entry = {
+      requestId: requestId ? String(requestId) : null,
+      infoHash: this.normalizeHash(infoHash),
+      guid: guid ? String(guid) : null,
+      telegramMessageId: telegramMessageId !== undefined && telegramMessageId !== null && telegramMessageId !== ''
+        ? String(telegramMessageId)
+        : null
+    };
+    if (!entry.infoHash && !entry.guid && !entry.telegramMessageId) {
+      const error = new Error('A release needs an infohash, guid or Telegram message id to be blocklisted');
+      error.code = 'INVALID_RELEASE';
+      throw error;
+    }
+
+    const existing = database.connection.prepare(`
+      SELECT * FROM release_blocklist
+      WHERE COALESCE(request_id, '') = COALESCE(@requestId, '')
+        AND ((@infoHash IS NOT NULL AND info_hash = @infoHash)
+          OR (@guid IS NOT NULL AND guid = @guid)
+          OR (@telegramMessageId IS NOT NULL AND telegram_message_id = @telegramMessageId))
+      LIMIT 1
+    `).get(entry);
+    if (existing) return this.toEntry(existing);
+
+    const result = database.connection.prepare(`
+      INSERT INTO release_blocklist
+        (request_id, info_hash, guid, telegram_message_id, title, source, indexer, reason, created_by, created_at)
+      VALUES (@requestId, @infoHash, @guid, @telegramMessageId, @title, @source, @indexer, @reason, @createdBy, @createdAt)
+    `).run({
+      ...entry,
+      title: title || null,
+      source: source || null,
+      indexer: indexer || null,
+      reason: reason ? String(reason).slice(0, 500) : null,
+      createdBy: actor,
+      createdAt: new Date().toISOString()
+    });
+
+    console.log(`[BLOCKLIST] Blocked "${title || entry.infoHash || entry.guid || entry.telegramMessageId}"${entry.requestId ? ` for request ${entry.requestId}` : ''}: ${reason || 'no reason given'}`);
+    return this.toEntry(database.connection
+      .prepare('SELECT * FROM release_blocklist WHERE id = ?')
+      .get(result.lastInsertRowid));
+  }
+
+  list({ requestId } = {}) {
+    const rows = requestId
+      ? database.connection
+        .prepare('SELECT * FROM release_blocklist WHERE request_id = ? OR request_id IS NULL ORDER BY id DESC')
+        .all(String(requestId))
+      : database.connection
+        .prepare('SELECT * FROM release_blocklist ORDER BY id DESC')
+        .all();
+    return rows.map(row => this.toEntry(row));
+  }
+
+  remove(id) {
+    return database.connection
+      .prepare('DELETE FROM release_blocklist WHERE id = ?')
+      .run(Number(id)).changes > 0;
+  }
+
+  /**
+   * Returns a function that maps a search result to its blocklist entry
+   * (or null) for `requestId`. Loads the entries once per search.
+   */
+  matcher(requestId) {
+    const entries = this.list({ requestId });
+    return (result = {}) => {
+      const hash = this.getResultHash(result);
+      const guid = result.guid ? String(result.guid) : null;
+      const messageId = result.source === 'telegram' && result.messageId !== undefined
+        ? String(result.messageId)
+        : null;
+      return entries.find(entry =>
+        (hash && entry.infoHash === hash) ||
+        (guid && entry.guid === guid) ||
+        (messageId && entry.telegramMessageId === messageId)
+      ) || null;
+    };
+  }
+}
+
+module.exports = new ReleaseBlocklist();
@@ -0,0 +1,303 @@
+const { normTitle, normAuthor } = require('../utils/titleMatch');
+const { COLLECTION_PATTERNS } = require('../utils/bookValidator');
+const qualityProfiles = require('./qualityProfiles');
+
+const FORMATS = ['audiobook', 'ebook'];
+const AUDIOBOOK_PATTERN = /\b(audiobook|audio\s*book|audible|m4b|mp3|aac)\b/;
+const EBOOK_PATTERN = /\b(e-?book|ebook|epub|pdf|mobi|azw|azw3|fb2|djvu)\b/;
+
+// Words too common to say anything about whether a release is the right book.
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'to', 'for', 'at', 'by']);
+
+// Plausible file sizes per format, in bytes. Outside this range a release is
+// usually a sample, a single chapter, or a whole series.
+const SIZE_RANGES = {
+  audiobook: { min: 20 * 1024 * 1024, max: 6 * 1024 * 1024 * 1024 },
+  ebook: { min: 50 * 1024, max: 150 * 1024 * 1024 }
+};
+
+const UNIT_BYTES = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+// Maximum points per criterion. Bundles subtract BUNDLE_PENALTY on top.
+const WEIGHTS = { title: 35, author: 15, format: 15, size: 10, seeders: 15, indexer: 10 };
+const BUNDLE_PENALTY = 30;
+
+const words = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^\w\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+// Sørensen–Dice similarity over character bigrams, 0..1.
+const dice = (a, b) => {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i += 1) {
+    const gram = a.slice(i, i + 2);
+    bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i += 1) {
+    const gram = b.slice(i, i + 2);
+    const count = bigrams.get(gram) || 0;
+    if (count > 0) {
+      bigrams.set(gram, count - 1);
+      overlap += 1;
+    }
+  }
+  return (2 * overlap) / (a.length + b.length - 2);
+};
+
+/**
+ * Ranks unified search results (Prowlarr + Telegram) against a request.
+ *
+ * Each result gets a 0-100 score plus a per-criterion breakdown: fuzzy
+ * title and author match, detected vs requested format, size sanity for
+ * the format, seeders, indexer reputation, and a penalty for bundles and
+ * box sets. A result in a format nobody asked for scores 0.
+ *
+ * Indexer reputation comes from RELEASE_INDEXER_SCORES, e.g.
+ * "MyAnonamouse=10,SomePublicTracker=2" (0-10; unlisted indexers score 5).
+ *
+ * With a quality profile, container preference order replaces the flat
+ * format points, the profile's size limits replace the defaults, and
+ * disallowed containers or keyword mismatches score 0.
+ */
+class ReleaseScorer {
+  getIndexerScores() {
+    const scores = {};
+    for (const pair of String(process.env.RELEASE_INDEXER_SCORES || '').split(',')) {
+      const [name, value] = pair.split('=').map(part => part && part.trim());
+      const n = parseInt(value, 10);
+      if (name && Number.isFinite(n)) {
+        scores[name.toLowerCase()] = Math.max(0, Math.min(WEIGHTS.indexer, n));
+      }
+    }
+    return scores;
+  }
+
+  /**
+   * Best guess at the format of a search result: 'audiobook', 'ebook' or null.
+   */
+  detectFormat(result = {}) {
+    if (result.source === 'telegram') return 'ebook';
+    const text = `${result.title || ''} ${result.categoryName || ''}`.toLowerCase();
+    const looksAudiobook = AUDIOBOOK_PATTERN.test(text);
+    const looksEbook = EBOOK_PATTERN.test(text);
+    if (looksAudiobook && !looksEbook) return 'audiobook';
+    if (looksEbook && !looksAudiobook) return 'ebook';
+    return null;
+  }
+
+  // Size in bytes; Prowlarr gives a number, Telegram a string like "2.4 MB".
+  parseSize(size) {
+    if (typeof size === 'number') return size > 0 ? size : null;
+    const match = String(size || '').match(/(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)/i);
+    return match ? parseFloat(match[1]) * UNIT_BYTES[match[2].toUpperCase()] : null;
+  }
+
+  // Profile limits (MB) win over the per-format defaults.
+  getSizeRange(format, rules) {
+    const defaults = SIZE_RANGES[format];
+    if (!defaults) return null;
+    const mb = value => (value === null || value === undefined ? null : value * 1024 * 1024);
+    return {
+      min: mb(rules?.minSizeMb) ?? defaults.min,
+      max: mb(rules?.maxSizeMb) ?? defaults.max
+    };
+  }
+
+  isBundle(title) {
+    return COLLECTION_PATTERNS.some(pattern => pattern.test(String(title || '')));
+  }
+
+  /**
+   * Fuzzy share (0..1) of the request's title words found in the release
+   * name. Small typos and spelling variants still count, scaled by how close
+   * they are.
+   */
+  titleSimilarity(requestTitle, releaseTitle) {
+    const all = normTitle(requestTitle).split(' ').filter(Boolean);
+    const significant = all.filter(word => !STOPWORDS.has(word));
+    const wanted = significant.length > 0 ? significant : all;
+    if (wanted.length === 0) return 0;
+
+    const have = words(releaseTitle);
+    const total = wanted.reduce((sum, word) => {
+      if (have.includes(word)) return sum + 1;
+      const best = have.reduce((max, candidate) => Math.max(max, dice(word, candidate)), 0);
+      return sum + (best >= 0.75 ? best : 0);
+    }, 0);
+    return total / wanted.length;
+  }
+
+  authorSimilarity(requestAuthor, releaseText) {
+    const surname = normAuthor(requestAuthor);
+    if (!surname) return null;
+    const have = words(releaseText);
+    if (have.includes(surname)) return 1;
+    const best = have.reduce((max, candidate) => Math.max(max, dice(surname, candidate)), 0);
+    return best >= 0.8 ? best : 0;
+  }
+
+  // Why a profile's format rules exclude this release, or null if they do not.
+  checkProfile(rules, releaseText, container) {
+    if (container && rules.formats.length > 0 && !rules.formats.includes(container)) {
+      return `${container} not allowed (wants ${rules.formats.join(' > ')})`;
+    }
+    const forbidden = rules.forbiddenKeywords.find(keyword => qualityProfiles.hasKeyword(releaseText, keyword));
+    if (forbidden) return `Contains "${forbidden}"`;
+    const missing = rules.requiredKeywords.find(keyword => !qualityProfiles.hasKeyword(releaseText, keyword));
+    if (missing) return `Missing "${missing}"`;
+    return null;
+  }
+
+  /**
+   * Score one result. `format` limits the match to one format (the auto-grab
+   * worker scores each requested format separately); otherwise any format
+   * the request asked for is accepted. `profile` is a quality profile from
+   * qualityProfiles.resolveForRequest().
+   * Returns { score, format, breakdown, reasons }.
+   */
+  scoreResult(request = {}, result = {}, { format, profile } = {}) {
+    const detected = this.detectFormat(result);
+    const requested = format
+      ? [format]
+      : FORMATS.filter(f => request.requestTypes?.[f]);
+
+    if (detected && requested.length > 0 && !requested.includes(detected)) {
+      return {
+        score: 0,
+        format: detected,
+        breakdown: null,
+        reasons: [`Wrong format: ${detected}, requested ${requested.join(' or ')}`]
+      };
+    }
+
+    const formatKey = detected || (requested.length === 1 ? requested[0] : null);
+    const rules = profile && formatKey ? profile[formatKey] : null;
+    const releaseText = `${result.title || ''} ${result.categoryName || ''} ${result.format || ''}`;
+    const container = qualityProfiles.detectContainer(releaseText, formatKey);
+
+    if (rules) {
+      const rejection = this.checkProfile(rules, releaseText, container);
+      if (rejection) {
+        return {
+          score: 0,
+          format: detected,
+          breakdown: null,
+          reasons: [`Profile "${profile.name}": ${rejection}`]
+        };
+      }
+    }
+
+    const reasons = [];
+    const breakdown = {};
+
+    const titleMatch = this.titleSimilarity(request.title, result.title);
+    breakdown.title = Math.round(titleMatch * WEIGHTS.title);
+    reasons.push(`Title match ${Math.round(titleMatch * 100)}%`);
+
+    const authorMatch = this.authorSimilarity(request.author, `${result.title || ''} ${result.author || ''}`);
+    if (authorMatch === null) {
+      breakdown.author = Math.round(WEIGHTS.author / 2);
+      reasons.push('Author unknown');
+    } else {
+      breakdown.author = Math.round(authorMatch * WEIGHTS.author);
+      reasons.push(authorMatch > 0 ? 'Author matches' : 'Author not in release name');
+    }
+
+    if (rules && container && rules.formats.length > 0) {
+      // Earlier in the profile's list is better: first choice gets full marks.
+      const rank = rules.formats.indexOf(container);
+      breakdown.format = Math.round(WEIGHTS.format * (1 - rank / rules.formats.length));
+      reasons.push(`Format: ${container} (choice ${rank + 1} of ${rules.formats.length})`);
+    } else if (detected) {
+      breakdown.format = WEIGHTS.format;
+      reasons.push(`Format: ${container || detected}`);
+    } else {
+      breakdown.format = Math.round(WEIGHTS.format * 0.4);
+      reasons.push('Format could not be detected');
+    }
+
+    const bytes = this.parseSize(result.size);
+    const range = this.getSizeRange(formatKey, rules);
+    if (!bytes || !range) {
+      breakdown.size = Math.round(WEIGHTS.size / 2);
+      reasons.push(bytes ? 'Size not checked' : 'Size unknown');
+    } else if (bytes < range.min) {
+      breakdown.size = 0;
+      reasons.push(`Too small for an ${formatKey}`);
+    } else if (bytes > range.max) {
+      breakdown.size = 0;
+      reasons.push(`Too large for an ${formatKey}`);
+    } else {
+      breakdown.size = WEIGHTS.size;
+      reasons.push('Size looks right');
+    }
+
+    if (result.source === 'telegram' || result.protocol === 'usenet') {
+      // Direct and Usenet downloads do not depend on peers.
+      breakdown.seeders = Math.round(WEIGHTS.seeders * 0.7);
+      reasons.push(result.protocol === 'usenet' ? 'Usenet download' : 'Direct download');
+    } else {
+      const seeders = Math.max(0, Number(result.seeders) || 0);
+      // log scale: 1 seeder ~ 3 points, 30+ seeders full marks
+      breakdown.seeders = Math.min(WEIGHTS.seeders, Math.round(Math.log2(seeders + 1) * 3));
+      reasons.push(`${seeders} seeder${seeders === 1 ? '' : 's'}`);
+    }
+
+    const indexer = String(result.indexer || result.tracker || (result.source === 'telegram' ? 'telegram' : '')).toLowerCase();
+    const indexerScores = this.getIndexerScores();
+    breakdown.indexer = indexer in indexerScores ? indexerScores[indexer] : Math.round(WEIGHTS.indexer / 2);
+    reasons.push(`Indexer ${indexer || 'unknown'}: ${breakdown.indexer}/${WEIGHTS.indexer}`);
+
+    // A bundle is only a problem when the request is not itself for one.
+    breakdown.bundle = 0;
+    if (this.isBundle(result.title) && !this.isBundle(request.title)) {
+      breakdown.bundle = -BUNDLE_PENALTY;
+      reasons.push('Looks like a bundle or box set');
+    }
+
+    const total = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+    return {
+      score: Math.max(0, Math.min(100, total)),
+      format: detected,
+      breakdown,
+      reasons
+    };
+  }
+
+  /**
+   * Attach score, scoreBreakdown, scoreReasons and detectedFormat to every
+   * result and sort best first. Nothing is dropped.
+   */
+  annotate(request, results = [], options = {}) {
+    return results
+      .map((result) => {
+        const scored = this.scoreResult(request, result, options);
+        return {
+          ...result,
+          score: scored.score,
+          scoreBreakdown: scored.breakdown,
+          scoreReasons: scored.reasons,
+          detectedFormat: scored.format
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Score every result, best first, dropping anything that scored 0
+   * (wrong format). Entries are { result, score, format, breakdown, reasons }.
+   */
+  rank(request, results = [], options = {}) {
+    return results
+      .map(result => ({ result, ...this.scoreResult(request, result, options) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = new ReleaseScorer();
@@ -0,0 +1,211 @@
+const database = require('./database');
+const dataStore = require('./dataStore');
+
+// Requests that no longer count against a user's budget.
+const UNCOUNTED_STATES = ['rejected', 'cancelled'];
+
+const parseLimit = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+const LIMIT_FIELDS = ['maxRequests', 'maxAudiobooks', 'maxEbooks'];
+
+const parseList = (value) => String(value || '')
+  .split(',')
+  .map(v => v.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Request quotas and auto-approval rules.
+ *
+ * Limits resolve as defaults ← role ← user, where a `null` limit means
+ * unlimited. Defaults come from the environment; overrides of the defaults
+ * and per role / per user are kept in the request_policy table and edited
+ * from the admin API.
+ */
+class RequestPolicy {
+  getEnvDefaults() {
+    return {
+      windowDays: Math.max(1, parseInt(process.env.REQUEST_QUOTA_WINDOW_DAYS || '7', 10) || 7),
+      maxRequests: parseLimit(process.env.REQUEST_QUOTA_MAX_REQUESTS),
+      maxAudiobooks: parseLimit(process.env.REQUEST_QUOTA_MAX_AUDIOBOOKS),
+      maxEbooks: parseLimit(process.env.REQUEST_QUOTA_MAX_EBOOKS),
+      autoApprove: false
+    };
+  }
+
+  // Stored overrides as { defaults, roles, users }.
+  readStored() {
+    const stored = { defaults: {}, roles: {}, users: {} };
+    const rows = database.connection.prepare('SELECT scope, data FROM request_policy').all();
+    for (const row of rows) {
+      const rules = JSON.parse(row.data);
+      if (row.scope === 'defaults') {
+        stored.defaults = rules;
+      } else if (row.scope.startsWith('role:')) {
+        stored.roles[row.scope.slice('role:'.length)] = rules;
+      } else if (row.scope.startsWith('user:')) {
+        stored.users[row.scope.slice('user:'.length)] = rules;
+      }
+    }
+    return stored;
+  }
+
+  async getPolicy() {
+    const stored = this.readStored();
+
+    const roles = { ...(stored.roles || {}) };
+    for (const role of parseList(process.env.AUTO_APPROVE_ROLES || 'admin')) {
+      roles[role] = { autoApprove: true, ...(roles[role] || {}) };
+    }
+
+    const users = { ...(stored.users || {}) };
+    for (const id of parseList(process.env.AUTO_APPROVE_USERS)) {
+      users[id] = { autoApprove: true, ...(users[id] || {}) };
+    }
+
+    return {
+      defaults: { ...this.getEnvDefaults(), ...(stored.defaults || {}) },
+      roles,
+      users
+    };
+  }
+
+  // Why a set of rules (one defaults/role/user entry) is invalid, or null.
+  validateRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) return 'must be an object';
+    for (const [field, value] of Object.entries(rules)) {
+      if (field === 'windowDays') {
+        if (!Number.isInteger(value) || value < 1) return 'windowDays must be a whole number of days, at least 1';
+      } else if (LIMIT_FIELDS.includes(field)) {
+        if (value !== null && (!Number.isInteger(value) || value < 0)) return `${field} must be a non-negative whole number or null`;
+      } else if (field === 'autoApprove') {
+        if (typeof value !== 'boolean') return 'autoApprove must be true or false';
+      } else {
+        return `unknown field ${field}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Replace the stored overrides. Every entry is validated first; an invalid
+   * one throws with code INVALID_POLICY and nothing is written.
+   */
+  async savePolicy(policy) {
+    const entries = [
+      ['defaults', policy.defaults || {}],
+      ...Object.entries(policy.roles || {}).map(([role, rules]) => [`roles.${role}`, rules]),
+      ...Object.entries(policy.users || {}).map(([id, rules]) => [`users.${id}`, rules])
+    ];
+    for (const [name, rules] of entries) {
+      const problem = this.validateRules(rules);
+      if (problem) {
+        const error = new Error(`${name}: ${problem}`);
+        error.code = 'INVALID_POLICY';
+        throw error;
+      }
+    }
+
+    const rows = database.policyRows({
+      defaults: policy.defaults || {},
+      roles: policy.roles || {},
+      users: policy.users || {}
+    });
+    const db = database.connection;
+    db.transaction(() => {
+      db.prepare('DELETE FROM request_policy').run();
+      const insert = db.prepare('INSERT OR REPLACE INTO request_policy (scope, data) VALUES (?, ?)');
+      for (const row of rows) {
+        insert.run(row.scope, JSON.stringify(row.rules));
+      }
+    }).immediate();
+    return this.getPolicy();
+  }
+
+  getUserIdentities(user) {
+    return [user?.googleId, user?.email, user?.username]
+      .filter(Boolean)
+      .map(id => String(id).toLowerCase());
+  }
+
+  async resolveRules(user) {
+    const policy = await this.getPolicy();
+    const roleRules = policy.roles[String(user?.role || 'user').toLowerCase()] || {};
+    const userKey = this.getUserIdentities(user).find(id => policy.users[id]);
+    const userRules = userKey ? policy.users[userKey] : {};
+    return { ...policy.defaults, ...roleRules, ...userRules };
+  }
+
+  /**
+   * Usage and remaining budget for a user over the rolling window. Every
+   * request the user asked for (including +1 votes) counts once per format,
+   * except formats that were already owned when requested.
+   */
+  async getQuotaStatus(user) {
+    const rules = await this.resolveRules(user);
+    const since = Date.now() - rules.windowDays * 24 * 60 * 60 * 1000;
+    const identities = this.getUserIdentities(user);
+    const ids = new Set(identities);
+
+    const used = { requests: 0, audiobook: 0, ebook: 0 };
+    const requests = await dataStore.getRequestsForUser(identities);
+    for (const request of requests) {
+      if (UNCOUNTED_STATES.includes(request.status)) continue;
+      const vote = request.interestedUsers.find(entry => dataStore.matchesIdentity(entry, ids));
+      const at = new Date(vote?.at || request.createdAt || 0).getTime();
+      if (at < since) continue;
+
+      // Formats that were already in the library cost nothing.
+      const types = vote?.requestTypes || request.requestTypes || {};
+      const counted = ['audiobook', 'ebook']
+        .filter(format => types[format] && request.fulfillment?.[format]?.source !== 'library');
+      if (counted.length === 0) continue;
+
+      used.requests += 1;
+      if (counted.includes('audiobook')) used.audiobook += 1;
+      if (counted.includes('ebook')) used.ebook += 1;
+    }
+
+    const remaining = (limit, count) => (limit === null || limit === undefined ? null : Math.max(0, limit - count));
+    return {
+      windowDays: rules.windowDays,
+      autoApprove: Boolean(rules.autoApprove),
+      limits: {
+        requests: rules.maxRequests ?? null,
+        audiobook: rules.maxAudiobooks ?? null,
+        ebook: rules.maxEbooks ?? null
+      },
+      used,
+      remaining: {
+        requests: remaining(rules.maxRequests, used.requests),
+        audiobook: remaining(rules.maxAudiobooks, used.audiobook),
+        ebook: remaining(rules.maxEbooks, used.ebook)
+      }
+    };
+  }
+
+  /**
+   * Decide whether `user` may submit a request for `requestTypes`.
+   * Returns { allowed, message, quota }.
+   */
+  async checkRequest(user, requestTypes = {}) {
+    const quota = await this.getQuotaStatus(user);
+    const { remaining } = quota;
+
+    if (remaining.requests !== null && remaining.requests < 1) {
+      return { allowed: false, message: `Request limit reached (${quota.limits.requests} per ${quota.windowDays} days)`, quota };
+    }
+    if (requestTypes.audiobook && remaining.audiobook !== null && remaining.audiobook < 1) {
+      return { allowed: false, message: `Audiobook limit reached (${quota.limits.audiobook} per ${quota.windowDays} days)`, quota };
+    }
+    if (requestTypes.ebook && remaining.ebook !== null && remaining.ebook < 1) {
+      return { allowed: false, message: `Ebook limit reached (${quota.limits.ebook} per ${quota.windowDays} days)`, quota };
+    }
+    return { allowed: true, message: null, quota };
+  }
+}
+
+module.exports = new RequestPolicy();
@@ -0,0 +1,125 @@
+const axios = require('axios');
+const UsenetClient = require('./usenetClient');
+
+const QUEUE_STATUSES = { Downloading: 'downloading', Paused: 'paused' };
+
+// "1:02:03:04" / "0:05:10" (days:hours:minutes:seconds) to seconds.
+const parseTimeLeft = (value) => {
+  const parts = String(value || '').split(':').map(Number);
+  if (parts.length < 2 || parts.some(part => !Number.isFinite(part))) return null;
+  return parts.reverse().reduce((total, part, index) => total + part * [1, 60, 3600, 86400][index], 0);
+};
+
+/**
+ * SABnzbd API adapter (SABNZBD_URL, SABNZBD_API_KEY). Downloads are found by
+ * nzo_id in the queue while downloading and in the history once SABnzbd has
+ * started post-processing them.
+ */
+class SabnzbdService extends UsenetClient {
+  constructor() {
+    super({ name: 'sabnzbd', label: 'SABnzbd' });
+    this.baseURL = (process.env.SABNZBD_URL || 'http://sabnzbd:8080').replace(/\/+$/, '');
+    this.apiKey = (process.env.SABNZBD_API_KEY || '').trim();
+  }
+
+  async api(mode, params = {}) {
+    const response = await axios.get(`${this.baseURL}/api`, {
+      params: { mode, output: 'json', apikey: this.apiKey, ...params },
+      timeout: 15000
+    });
+    if (response.data?.status === false || response.data?.error) {
+      throw new Error(response.data.error || `SABnzbd ${mode} failed`);
+    }
+    return response.data || {};
+  }
+
+  async addNzb(url, { name, category }) {
+    try {
+      const result = await this.api('addurl', { name: url, nzbname: name, cat: category });
+      const [id] = result.nzo_ids || [];
+      if (!id) {
+        return { success: false, message: 'SABnzbd did not return the added download' };
+      }
+      console.log(`NZB added to SABnzbd: ${name || url} (${id})`);
+      return { success: true, message: 'NZB added successfully', id };
+    } catch (error) {
+      console.error('SABnzbd add NZB error:', error.message);
+      return { success: false, message: 'Error adding NZB: ' + error.message };
+    }
+  }
+
+  toQueueDownload(slot, speed) {
+    const status = QUEUE_STATUSES[slot.status] || 'queued';
+    return {
+      id: slot.nzo_id,
+      name: slot.filename,
+      status,
+      progressPct: Number(slot.percentage) || 0,
+      eta: status === 'downloading' ? parseTimeLeft(slot.timeleft) : null,
+      downloadSpeed: status === 'downloading' ? speed : 0,
+      path: null,
+      error: null
+    };
+  }
+
+  toHistoryDownload(slot) {
+    const status = slot.status === 'Completed' ? 'completed' : (slot.status === 'Failed' ? 'failed' : 'processing');
+    return {
+      id: slot.nzo_id,
+      name: slot.name,
+      status,
+      progressPct: 100,
+      eta: 0,
+      downloadSpeed: 0,
+      path: slot.storage || null,
+      error: status === 'failed' ? (slot.fail_message || 'Download failed') : null
+    };
+  }
+
+  async getDownloads(ids) {
+    if (ids.length === 0) return [];
+    const nzoIds = ids.join(',');
+    const { queue = {} } = await this.api('queue', { nzo_ids: nzoIds });
+    const { history = {} } = await this.api('history', { nzo_ids: nzoIds });
+
+    const speed = Math.round((Number(queue.kbpersec) || 0) * 1024);
+    const downloads = new Map();
+    for (const slot of history.slots || []) {
+      downloads.set(slot.nzo_id, this.toHistoryDownload(slot));
+    }
+    // A download moving to the history can briefly be listed in both.
+    for (const slot of queue.slots || []) {
+      if (!downloads.has(slot.nzo_id)) downloads.set(slot.nzo_id, this.toQueueDownload(slot, speed));
+    }
+    return [...downloads.values()].filter(download => ids.includes(download.id));
+  }
+
+  async deleteDownload(id, deleteFiles = true) {
+    if (!id) {
+      return { success: false, message: 'Missing download id' };
+    }
+    try {
+      const params = { name: 'delete', value: id, del_files: deleteFiles ? 1 : 0 };
+      await this.api('queue', params);
+      await this.api('history', params);
+      console.log(`Removed download ${id} from SABnzbd`);
+      return { success: true, message: 'Download removed' };
+    } catch (error) {
+      console.error('SABnzbd delete download error:', error.message);
+      return { success: false, message: 'Error removing download: ' + error.message };
+    }
+  }
+
+  async testConnection() {
+    try {
+      // The version call needs no API key, so check the key with the queue.
+      await this.api('queue', { limit: 1 });
+      const { version } = await this.api('version');
+      return { success: true, message: `Connected to SABnzbd ${version || ''}`.trim() };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+module.exports = SabnzbdService;
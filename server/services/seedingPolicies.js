@@ -0,0 +1,149 @@
+const importLog = require('./importLog');
+const torrentClient = require('./torrentClients');
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+const parseMatch = (value, name) => (Array.isArray(value) ? value : String(value || name).split(','))
+  .map(m => String(m).trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Per-tracker seeding policies: what happens to a torrent once it has been
+ * imported. A policy has
+ *
+ *   match           tracker URL or indexer name fragments it applies to
+ *   hardlink        hardlink into the library (keeps seeding) or move
+ *   minSeedHours    seed at least this long
+ *   ratioLimit      and, when set, until this ratio
+ *   deleteWhenDone  remove the torrent and its files once both goals are met
+ *
+ * The built-in `mam` policy keeps the old MyAnonamouse rule (hardlink, seed
+ * MAM_MIN_SEED_HOURS, MAM_RATIO_LIMIT) and `default` the rule for everything
+ * else (move, remove right after import). SEEDING_POLICIES overrides or adds
+ * policies as JSON, e.g.
+ * {"TorrentLeech": {"match": "torrentleech", "minSeedHours": 240, "ratioLimit": 1}}.
+ * The first policy that matches wins; `default` always comes last.
+ */
+class SeedingPolicies {
+  constructor() {
+    this.policies = this.loadPolicies();
+  }
+
+  loadPolicies() {
+    const env = process.env;
+    const defined = {
+      mam: {
+        match: 'myanonamouse',
+        minSeedHours: parseNumber(env.MAM_MIN_SEED_HOURS) ?? 72,
+        ratioLimit: parseNumber(env.MAM_RATIO_LIMIT),
+        deleteWhenDone: false
+      },
+      default: { minSeedHours: 0, ratioLimit: null, deleteWhenDone: true }
+    };
+
+    let configured = {};
+    try {
+      configured = JSON.parse(env.SEEDING_POLICIES || '{}') || {};
+    } catch (error) {
+      console.error('Ignoring SEEDING_POLICIES, it is not valid JSON:', error.message);
+    }
+    for (const [name, policy] of Object.entries(configured)) {
+      const key = name.trim().toLowerCase();
+      defined[key] = { ...(defined[key] || {}), ...(policy || {}) };
+    }
+
+    const policies = Object.entries(defined).map(([name, policy]) => this.toPolicy(name, policy));
+    return [
+      ...policies.filter(policy => policy.name !== 'default'),
+      policies.find(policy => policy.name === 'default')
+    ];
+  }
+
+  // A policy with every field filled in. Hardlinking defaults to on for
+  // policies that seed, since moving the files would stop the torrent.
+  toPolicy(name, policy = {}) {
+    const minSeedHours = parseNumber(policy.minSeedHours) ?? 0;
+    const ratioLimit = parseNumber(policy.ratioLimit);
+    const deleteWhenDone = policy.deleteWhenDone !== undefined ? Boolean(policy.deleteWhenDone) : true;
+    const seeds = minSeedHours > 0 || ratioLimit !== null || !deleteWhenDone;
+    const hardlink = policy.hardlink !== undefined ? Boolean(policy.hardlink) : seeds;
+
+    if (seeds && !hardlink) {
+      console.warn(`[SEEDING] Policy "${name}" moves files but seeds; its torrents will lose their data`);
+    }
+    return {
+      name,
+      match: name === 'default' ? [] : parseMatch(policy.match, name),
+      hardlink,
+      minSeedHours,
+      ratioLimit,
+      deleteWhenDone
+    };
+  }
+
+  // The policy for a torrent's tracker URL or indexer name.
+  resolve(tracker) {
+    const value = String(tracker || '').toLowerCase();
+    return this.policies.find(policy => policy.match.some(fragment => value.includes(fragment)))
+      || this.policies[this.policies.length - 1];
+  }
+
+  // Whether a policy keeps the torrent seeding after import at all.
+  hasGoals(policy) {
+    return policy.minSeedHours > 0 || policy.ratioLimit !== null;
+  }
+
+  // Seeded long enough (seeding_time is in seconds) and, when set, up to the ratio.
+  isSatisfied(policy, torrent) {
+    if (Number(torrent.progress) < 1) return false;
+    if ((Number(torrent.seeding_time) || 0) < policy.minSeedHours * 3600) return false;
+    return policy.ratioLimit === null || (Number(torrent.ratio) || 0) >= policy.ratioLimit;
+  }
+
+  /**
+   * One pass of the enforcer: read every imported torrent that is still
+   * seeding toward a deleteWhenDone policy (recorded on its import log
+   * entry) from the torrent client, and remove it with its files once the
+   * policy is satisfied. Torrents the client no longer has are marked done.
+   * Throws when the client is unreachable.
+   */
+  async enforce() {
+    const pending = importLog.getSeedingImports();
+    if (pending.length === 0) return { checked: 0, removed: 0 };
+
+    const torrents = await torrentClient.getTorrentsByHashes([...new Set(pending.map(entry => entry.torrentHash.toLowerCase()))]);
+    const byHash = new Map(torrents.map(torrent => [String(torrent.hash || '').toLowerCase(), torrent]));
+    let removed = 0;
+
+    for (const entry of pending) {
+      const torrent = byHash.get(entry.torrentHash.toLowerCase());
+      if (!torrent) {
+        importLog.updateImport(entry.id, {
+          seeding: { ...entry.seeding, finishedAt: new Date().toISOString(), outcome: `no longer in ${torrentClient.label}` }
+        });
+        continue;
+      }
+      if (!this.isSatisfied(entry.seeding, torrent)) continue;
+
+      const result = await torrentClient.deleteTorrent(torrent.hash, true);
+      if (!result.success) {
+        console.error(`[SEEDING] Could not remove ${entry.torrentName || torrent.name}: ${result.message}`);
+        continue;
+      }
+      const hours = Math.round((Number(torrent.seeding_time) || 0) / 360) / 10;
+      console.log(`[SEEDING] Removed ${entry.torrentName || torrent.name} (policy ${entry.seeding.policy}: seeded ${hours}h, ratio ${Number(torrent.ratio || 0).toFixed(2)})`);
+      importLog.updateImport(entry.id, {
+        seeding: { ...entry.seeding, finishedAt: new Date().toISOString(), outcome: 'removed' }
+      });
+      removed += 1;
+    }
+
+    return { checked: pending.length, removed };
+  }
+}
+
+module.exports = new SeedingPolicies();
@@ -0,0 +1,220 @@
+const database = require('./database');
+
+const NEW_RELEASE_DAYS = 30;
+
+const normalizeRequestTypes = (requestTypes = {}) => ({
+  audiobook: Boolean(requestTypes.audiobook),
+  ebook: Boolean(requestTypes.ebook)
+});
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Series users follow. Each series is identified by its Hardcover id; its
+ * numbered entries come from Hardcover, topped up with positions Audnexus
+ * knows about that Hardcover does not (and release dates Hardcover lacks).
+ *
+ * Entries remember when they were first seen, so a report can flag books
+ * that appeared after the user started following. Ownership is looked up in
+ * the library ownership index at report time, never stored.
+ */
+class SeriesTracker {
+  constructor({ hardcoverService, metadataAggregator, ownershipIndex }) {
+    this.hardcoverService = hardcoverService;
+    this.metadataAggregator = metadataAggregator;
+    this.ownershipIndex = ownershipIndex;
+  }
+
+  getUserKey(user) {
+    return String(user?.googleId || user?.email || '').toLowerCase() || null;
+  }
+
+  toSeries(row) {
+    const data = JSON.parse(row.data);
+    return {
+      id: row.id,
+      name: row.name,
+      author: row.author,
+      refreshedAt: row.refreshed_at,
+      entries: data.entries || []
+    };
+  }
+
+  getSeries(seriesId) {
+    const row = database.connection.prepare('SELECT * FROM series WHERE id = ?').get(Number(seriesId));
+    return row ? this.toSeries(row) : null;
+  }
+
+  /**
+   * Re-fetch a series from Hardcover and Audnexus and store the merged
+   * entries. Throws SERIES_NOT_FOUND when Hardcover has no such series.
+   */
+  async refreshSeries(seriesId) {
+    const hardcover = await this.hardcoverService.getSeries(seriesId);
+    if (!hardcover) {
+      const error = new Error(`Series ${seriesId} was not found on Hardcover`);
+      error.code = 'SERIES_NOT_FOUND';
+      throw error;
+    }
+
+    const audnexus = await this.metadataAggregator.fetchAudnexusSeries(hardcover.name, hardcover.author);
+    const previous = this.getSeries(hardcover.id);
+    const firstSeen = new Map((previous?.entries || []).map(entry => [entry.position, entry.firstSeenAt]));
+    const now = new Date().toISOString();
+
+    const byPosition = new Map();
+    for (const entry of hardcover.entries) {
+      byPosition.set(entry.position, { ...entry, sources: ['hardcover'] });
+    }
+    for (const entry of audnexus) {
+      const existing = byPosition.get(entry.position);
+      if (existing) {
+        existing.sources.push('audnexus');
+        existing.releaseDate = existing.releaseDate || entry.releaseDate;
+        existing.asin = entry.asin;
+      } else if (entry.asin) {
+        byPosition.set(entry.position, {
+          ...entry,
+          bookId: `audnexus-${entry.asin}`,
+          sources: ['audnexus']
+        });
+      }
+    }
+
+    const entries = [...byPosition.values()]
+      .sort((a, b) => a.position - b.position)
+      .map(entry => ({ ...entry, firstSeenAt: firstSeen.get(entry.position) || now }));
+
+    database.connection.prepare(`
+      INSERT INTO series (id, name, author, refreshed_at, data)
+      VALUES (@id, @name, @author, @refreshedAt, @data)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name, author = excluded.author,
+        refreshed_at = excluded.refreshed_at, data = excluded.data
+    `).run({
+      id: hardcover.id,
+      name: hardcover.name,
+      author: hardcover.author,
+      refreshedAt: now,
+      data: JSON.stringify({ entries })
+    });
+
+    const added = previous ? entries.length - previous.entries.length : 0;
+    console.log(`[SERIES] Refreshed "${hardcover.name}": ${entries.length} entries${added > 0 ? ` (${added} new)` : ''}`);
+    return this.getSeries(hardcover.id);
+  }
+
+  follow(user, seriesId, requestTypes) {
+    const userKey = this.getUserKey(user);
+    if (!userKey) throw new Error('Not signed in');
+
+    const types = normalizeRequestTypes(requestTypes);
+    if (!types.audiobook && !types.ebook) {
+      const error = new Error('Choose at least one format to track');
+      error.code = 'INVALID_FOLLOW';
+      throw error;
+    }
+
+    database.connection.prepare(`
+      INSERT INTO series_follows (user_key, series_id, created_at, data)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(user_key, series_id) DO UPDATE SET data = excluded.data
+    `).run(userKey, Number(seriesId), new Date().toISOString(), JSON.stringify({ requestTypes: types }));
+
+    return this.getFollow(user, seriesId);
+  }
+
+  unfollow(user, seriesId) {
+    const userKey = this.getUserKey(user);
+    if (!userKey) return false;
+    return database.connection
+      .prepare('DELETE FROM series_follows WHERE user_key = ? AND series_id = ?')
+      .run(userKey, Number(seriesId)).changes > 0;
+  }
+
+  toFollow(row) {
+    return {
+      seriesId: row.series_id,
+      requestTypes: normalizeRequestTypes(JSON.parse(row.data).requestTypes),
+      createdAt: row.created_at
+    };
+  }
+
+  getFollow(user, seriesId) {
+    const row = database.connection
+      .prepare('SELECT * FROM series_follows WHERE user_key = ? AND series_id = ?')
+      .get(this.getUserKey(user), Number(seriesId));
+    return row ? this.toFollow(row) : null;
+  }
+
+  listFollows(user) {
+    const userKey = this.getUserKey(user);
+    if (!userKey) return [];
+    return database.connection
+      .prepare('SELECT * FROM series_follows WHERE user_key = ? ORDER BY created_at')
+      .all(userKey)
+      .map(row => this.toFollow(row));
+  }
+
+  getFollowedSeriesIds() {
+    return database.connection
+      .prepare('SELECT DISTINCT series_id AS seriesId FROM series_follows')
+      .all()
+      .map(row => row.seriesId);
+  }
+
+  /**
+   * Per-entry status for a series: 'owned', 'missing' (released, and one of
+   * the wanted formats is not in the library) or 'upcoming'. `isNew` marks
+   * entries released in the last 30 days or first seen after `follow` began.
+   */
+  async buildReport(series, follow = null) {
+    await this.ownershipIndex.ensureFresh();
+
+    const requestTypes = follow?.requestTypes || { audiobook: true, ebook: true };
+    const today = toDateKey(new Date());
+    const recentSince = toDateKey(new Date(Date.now() - NEW_RELEASE_DAYS * 24 * 60 * 60 * 1000));
+
+    const entries = series.entries.map(entry => {
+      const ownership = this.ownershipIndex.getOwnership({
+        id: entry.bookId,
+        title: entry.title,
+        author: entry.author || series.author
+      }) || {};
+      const owned = { audiobook: Boolean(ownership.audiobook), ebook: Boolean(ownership.ebook) };
+      const upcoming = Boolean(entry.releaseDate && entry.releaseDate > today);
+      const missingFormats = upcoming
+        ? []
+        : ['audiobook', 'ebook'].filter(format => requestTypes[format] && !owned[format]);
+
+      return {
+        ...entry,
+        owned,
+        missingFormats,
+        status: upcoming ? 'upcoming' : (missingFormats.length > 0 ? 'missing' : 'owned'),
+        isNew: Boolean(
+          (entry.releaseDate && entry.releaseDate >= recentSince && entry.releaseDate <= today) ||
+          (follow && entry.firstSeenAt > follow.createdAt)
+        )
+      };
+    });
+
+    return {
+      id: series.id,
+      name: series.name,
+      author: series.author,
+      refreshedAt: series.refreshedAt,
+      follow,
+      counts: {
+        total: entries.length,
+        owned: entries.filter(entry => entry.status === 'owned').length,
+        missing: entries.filter(entry => entry.status === 'missing').length,
+        upcoming: entries.filter(entry => entry.status === 'upcoming').length,
+        new: entries.filter(entry => entry.isNew).length
+      },
+      entries
+    };
+  }
+}
+
+module.exports = SeriesTracker;
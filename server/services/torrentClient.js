@@ -0,0 +1,378 @@
+const axios = require('axios');
+const downloadJobStore = require('./downloadJobStore');
+const ProgressPoller = require('./progressPoller');
+const UsenetClient = require('./usenetClient');
+const { getTorrentInfo } = require('../utils/bencode');
+const { parseTags, requestTag } = require('../utils/torrentTags');
+
+// States once every piece is on disk.
+const COMPLETED_STATES = new Set(['uploading', 'stalledUP', 'pausedUP', 'stoppedUP', 'queuedUP', 'forcedUP', 'checkingUP']);
+const STALLED_STATES = new Set(['stalledDL']);
+const METADATA_STATES = new Set(['metaDL', 'forcedMetaDL']);
+const ERROR_STATES = new Set(['error', 'missingFiles']);
+// qBittorrent reports this ETA (100 days) when it has no estimate.
+const UNKNOWN_ETA = 8640000;
+const MAX_TORRENT_REDIRECTS = 5;
+// Real .torrent files are well under this; anything bigger is not one.
+const MAX_TORRENT_FILE_BYTES = 5 * 1024 * 1024;
+
+// One level of torrent routing: any of save path, category and tags.
+const toRoute = (value = {}) => ({
+  savePath: String(value?.savePath || '').trim() || null,
+  category: String(value?.category || '').trim() || null,
+  tags: parseTags(value?.tags)
+});
+
+/**
+ * What Onyx needs from a torrent client. Adapters implement:
+ *
+ *   addMagnet(magnetLink, options)      -> { success, message, hash }
+ *   addTorrentFile(torrent, options)    -> { success, message, hash }
+ *   getTorrents({ hashes, tag })        -> torrents (throws when unreachable)
+ *   deleteTorrent(hash, deleteFiles)    -> { success, message }
+ *   setShareLimits(hash, limits)        -> { success, message }
+ *   testConnection()                    -> { success, message }
+ *
+ * `options` is { savePath, category, tags } from getAddOptions. Torrents are
+ * returned in the shape of qBittorrent's torrents/info (hash, name, state,
+ * progress 0-1, eta, dlspeed, category, tags, save_path, content_path,
+ * tracker, ratio, seeding_time), with states mapped onto qBittorrent's, so
+ * the progress poller and the import pipeline work the same for every
+ * client. `limits` is { ratioLimit, seedingTimeMinutes }; null leaves a limit
+ * to the client's global setting.
+ *
+ * Adding (including fetching .torrent download URLs), routing and the
+ * progress poller are shared and live here.
+ */
+class TorrentClient {
+  // `jobStore` defaults to the shared download job store; tests pass their own.
+  constructor({ label, jobStore = downloadJobStore }) {
+    this.label = label;
+    this.jobStore = jobStore;
+    this.completionGraceMs = Math.max(0, parseInt(process.env.QBIT_COMPLETION_GRACE_SECONDS || '60', 10) || 0) * 1000;
+    this.stallTimeoutMs = Math.max(5, parseInt(process.env.STALLED_DOWNLOAD_TIMEOUT_MINUTES || '60', 10) || 60) * 60 * 1000;
+    this.poller = new ProgressPoller({ logTag: 'TORRENT', label, jobStore });
+    this.routes = this.loadRoutes();
+  }
+
+  /**
+   * Where added torrents go. QBIT_SAVE_PATH, QBIT_CATEGORY and QBIT_TAGS
+   * apply to everything; QBIT_AUDIOBOOK_* and QBIT_EBOOK_* per format; and
+   * QBIT_TRACKER_ROUTES per tracker (indexer name), as JSON such as
+   * {"MyAnonamouse": {"category": "books-mam", "audiobook": {"savePath": "/downloads/mam/audiobooks"}}}.
+   * The names predate other clients; they apply to whichever is configured.
+   */
+  loadRoutes() {
+    const env = process.env;
+    const formatRoute = prefix => toRoute({
+      savePath: env[`${prefix}_SAVE_PATH`],
+      category: env[`${prefix}_CATEGORY`],
+      tags: env[`${prefix}_TAGS`]
+    });
+
+    let trackers = {};
+    try {
+      trackers = JSON.parse(env.QBIT_TRACKER_ROUTES || '{}') || {};
+    } catch (error) {
+      console.error('Ignoring QBIT_TRACKER_ROUTES, it is not valid JSON:', error.message);
+    }
+
+    return {
+      default: {
+        savePath: (env.QBIT_SAVE_PATH || '').trim() || '/downloads/books',
+        category: (env.QBIT_CATEGORY || '').trim() || 'books',
+        tags: parseTags(env.QBIT_TAGS)
+      },
+      audiobook: formatRoute('QBIT_AUDIOBOOK'),
+      ebook: formatRoute('QBIT_EBOOK'),
+      trackers: Object.fromEntries(Object.entries(trackers).map(([name, route]) => [
+        name.trim().toLowerCase(),
+        { ...toRoute(route), audiobook: toRoute(route?.audiobook), ebook: toRoute(route?.ebook) }
+      ]))
+    };
+  }
+
+  /**
+   * Save path, category and tags for a new torrent. Each level overrides the
+   * one before: defaults, the format, the tracker, the tracker's format.
+   * Tags from every level are combined, plus the request tag (with the
+   * format, so each format's torrent can be told apart).
+   */
+  getAddOptions({ format, tracker, requestId } = {}) {
+    const trackerRoute = this.routes.trackers[String(tracker || '').trim().toLowerCase()] || null;
+    const levels = [
+      this.routes.default,
+      ['audiobook', 'ebook'].includes(format) ? this.routes[format] : null,
+      trackerRoute,
+      trackerRoute?.[format] || null
+    ].filter(Boolean);
+    const pick = field => levels.reduce((value, level) => level[field] || value, null);
+
+    const tags = new Set(levels.flatMap(level => level.tags));
+    if (requestId) tags.add(requestTag(requestId, format));
+    return { savePath: pick('savePath'), category: pick('category'), tags: [...tags] };
+  }
+
+  // Options left out fall back to the defaults.
+  withDefaults(options = {}) {
+    const defaults = this.getAddOptions();
+    return {
+      savePath: options.savePath || defaults.savePath,
+      category: options.category || defaults.category,
+      tags: options.tags || defaults.tags
+    };
+  }
+
+  /**
+   * Add a release by magnet link or by .torrent download URL (e.g. a
+   * Prowlarr download link). Download URLs are fetched here so the infohash
+   * comes from the file itself rather than from matching torrent names.
+   * `options` ({ savePath, category, tags }) usually comes from getAddOptions.
+   */
+  async addTorrent(magnetLink, options = {}) {
+    if (/^https?:\/\//i.test(String(magnetLink || ''))) {
+      let torrent;
+      try {
+        torrent = await this.fetchTorrentFile(magnetLink);
+      } catch (error) {
+        console.error(`${this.label} torrent file fetch error:`, error.message);
+        return { success: false, message: 'Error fetching torrent file: ' + error.message };
+      }
+      return torrent.magnetLink
+        ? this.addMagnet(torrent.magnetLink, this.withDefaults(options))
+        : this.addTorrentFile(torrent, this.withDefaults(options));
+    }
+
+    return this.addMagnet(magnetLink, this.withDefaults(options));
+  }
+
+  /**
+   * Download a .torrent file (at most 5 MB, following only http(s)
+   * redirects). Returns { magnetLink } when the indexer redirects to a
+   * magnet link, otherwise { buffer, infoHash, name } with the infohash
+   * computed from the file's info dictionary.
+   */
+  async fetchTorrentFile(url, redirects = 0) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      maxRedirects: 0,
+      maxContentLength: MAX_TORRENT_FILE_BYTES,
+      maxBodyLength: MAX_TORRENT_FILE_BYTES,
+      validateStatus: status => status >= 200 && status < 400,
+      timeout: 30000
+    });
+
+    if (response.status >= 300) {
+      const location = response.headers.location;
+      if (!location) {
+        throw new Error(`Download URL redirected (${response.status}) without a location`);
+      }
+      if (location.startsWith('magnet:')) {
+        return { magnetLink: location };
+      }
+      if (redirects >= MAX_TORRENT_REDIRECTS) {
+        throw new Error('Too many redirects');
+      }
+      const next = new URL(location, url);
+      if (!['http:', 'https:'].includes(next.protocol)) {
+        throw new Error(`Download URL redirected to an unsupported ${next.protocol} URL`);
+      }
+      return this.fetchTorrentFile(next.toString(), redirects + 1);
+    }
+
+    const buffer = Buffer.from(response.data);
+    const { infoHash, name } = getTorrentInfo(buffer);
+    return { buffer, infoHash, name };
+  }
+
+  extractMagnetHash(magnetLink) {
+    if (!magnetLink || typeof magnetLink !== 'string') return null;
+    const match = magnetLink.match(/(?:\\?|&)xt=urn:btih:([A-Za-z0-9]+)/i);
+    if (!match || !match[1]) return null;
+    const hash = String(match[1]).trim();
+    // Torrent hashes are normally 40-char hex. Keep only that format for reliable matching.
+    if (/^[a-f0-9]{40}$/i.test(hash)) {
+      return hash.toLowerCase();
+    }
+    return null;
+  }
+
+  async getTorrentByHash(hash) {
+    const normalizedHash = String(hash || '').toLowerCase();
+    if (!normalizedHash) return null;
+
+    try {
+      const [torrent] = await this.getTorrentsByHashes([normalizedHash]);
+      return torrent || null;
+    } catch (error) {
+      console.error(`Error fetching torrent from ${this.label}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Torrents with the given hashes, in any category. Hashes the client does
+   * not know are left out of the result.
+   */
+  async getTorrentsByHashes(hashes) {
+    if (hashes.length === 0) return [];
+    return this.getTorrents({ hashes });
+  }
+
+  /**
+   * The torrent added for a request's format, found by its request tag.
+   * `excludeHashes` are earlier releases of the request (replaced, failed or
+   * stalled ones that may still be seeding) that must not be picked again.
+   */
+  async getTorrentForRequest(requestId, { format = null, excludeHashes = [] } = {}) {
+    const excluded = new Set(excludeHashes.map(hash => String(hash).toLowerCase()));
+    const torrents = await this.getTorrents({ tag: requestTag(requestId, format) });
+    return torrents.find(torrent => !excluded.has(String(torrent.hash || '').toLowerCase())) || null;
+  }
+
+  /**
+   * Job fields for a torrent's live state: progress, ETA (seconds, null when
+   * unknown), download speed (bytes/s), the raw client state, and whether it
+   * is stalled, still fetching metadata, errored or complete.
+   */
+  describeTorrent(torrent) {
+    const state = torrent.state || 'unknown';
+    const eta = Number(torrent.eta);
+    return {
+      progressPct: Math.round(Math.max(0, Math.min(1, Number(torrent.progress) || 0)) * 1000) / 10,
+      eta: Number.isFinite(eta) && eta >= 0 && eta < UNKNOWN_ETA ? eta : null,
+      downloadSpeed: Number(torrent.dlspeed) || 0,
+      qbitState: state,
+      stalled: STALLED_STATES.has(state),
+      fetchingMetadata: METADATA_STATES.has(state),
+      errored: ERROR_STATES.has(state),
+      completed: Number(torrent.progress) >= 1 || COMPLETED_STATES.has(state)
+    };
+  }
+
+  /**
+   * One pass of the progress poller: read every tracked job's torrent and
+   * write its live state to the job. A torrent still marked downloading
+   * `completionGraceMs` after the client finished it (the completion webhook
+   * never arrived) is handed to `onComplete(torrent, job)` for import; one
+   * stalled or stuck on metadata for `stallTimeoutMs` goes to
+   * `onStalled(torrent, job)`. `knownHashes(requestId)` lists a request's
+   * earlier releases, which the request tag lookup skips.
+   */
+  async pollProgress({ onComplete, onStalled, knownHashes } = {}) {
+    const isTorrentJob = job => !UsenetClient.isKey(job.torrentHash);
+    const tracked = this.poller.getTrackedJobs(isTorrentJob);
+
+    // Jobs whose hash was not known when the torrent was added pick it up
+    // from the torrent's request tag.
+    for (const job of tracked.filter(j => !j.torrentHash && j.requestId)) {
+      // Skip the request's earlier releases and its other formats' torrents.
+      const excludeHashes = [
+        ...(knownHashes ? await knownHashes(job.requestId) : []),
+        ...this.jobStore.getJobsForRequest(job.requestId).map(j => j.torrentHash).filter(Boolean)
+      ];
+      const torrent = await this.getTorrentForRequest(job.requestId, { format: job.format, excludeHashes });
+      if (!torrent?.hash) continue;
+      job.torrentHash = String(torrent.hash).toLowerCase();
+      this.jobStore.upsertJob(job.requestId, { format: job.format, torrentHash: job.torrentHash }, `Torrent found by request tag (hash ${job.torrentHash.slice(0, 8)}...)`);
+    }
+
+    const jobs = tracked.filter(job => job.torrentHash);
+    if (jobs.length === 0) return 0;
+
+    const torrents = await this.getTorrentsByHashes(jobs.map(job => job.torrentHash.toLowerCase()));
+    const byHash = new Map(torrents.map(torrent => [String(torrent.hash || '').toLowerCase(), torrent]));
+    const trackedNow = this.poller.getTrackedJobsByHash(isTorrentJob);
+    let updated = 0;
+
+    for (const polled of jobs) {
+      const job = trackedNow.get(polled.torrentHash.toLowerCase());
+      const torrent = byHash.get(polled.torrentHash.toLowerCase());
+      if (!job || !torrent) continue;
+
+      const live = this.describeTorrent(torrent);
+      const now = new Date().toISOString();
+      const patch = {
+        status: 'downloading',
+        stage: live.stalled ? 'stalled' : (live.fetchingMetadata ? 'fetching_metadata' : 'downloading'),
+        progressPct: live.progressPct,
+        eta: live.eta,
+        downloadSpeed: live.downloadSpeed,
+        qbitState: live.qbitState,
+        stalled: live.stalled,
+        stalledSince: live.stalled ? (job.stalledSince || now) : null,
+        metadataSince: live.fetchingMetadata ? (job.metadataSince || now) : null
+      };
+
+      let message = null;
+      if (live.completed) {
+        Object.assign(patch, { stage: 'downloaded', progressPct: 100, eta: 0, downloadSpeed: 0, qbitCompletedAt: job.qbitCompletedAt || now });
+        if (!job.qbitCompletedAt) message = `Download finished in ${this.label}`;
+      } else if (live.stalled && !job.stalled) {
+        message = `Download stalled in ${this.label} (no peers sending data)`;
+      } else if (!live.stalled && job.stalled) {
+        message = 'Download resumed';
+      } else if (live.errored && job.qbitState !== live.qbitState) {
+        message = `${this.label} reports ${live.qbitState}`;
+      }
+
+      const current = this.jobStore.updateByHash(job.torrentHash, patch, message) || { ...job, ...patch };
+      updated += 1;
+
+      if (live.completed && onComplete && Date.now() - Date.parse(patch.qbitCompletedAt) >= this.completionGraceMs) {
+        onComplete(torrent, current);
+      }
+      const stuckSince = patch.stalledSince || patch.metadataSince;
+      if (!live.completed && stuckSince && onStalled && Date.now() - Date.parse(stuckSince) >= this.stallTimeoutMs) {
+        onStalled(torrent, current);
+      }
+    }
+
+    return updated;
+  }
+
+  // Poll tracked torrents every `intervalMs` (see ProgressPoller).
+  startProgressPoller({ intervalMs = 5000, onComplete, onStalled, knownHashes } = {}) {
+    return this.poller.start(intervalMs, () => this.pollProgress({ onComplete, onStalled, knownHashes }));
+  }
+
+  stopProgressPoller() {
+    this.poller.stop();
+  }
+
+  /**
+   * Hash of the torrent added for a request, by its request tag (see
+   * getTorrentForRequest for `format` and `excludeHashes`). Retries for a few
+   * seconds because a new torrent is listed only once it has been added (for
+   * magnets, sometimes after a delay).
+   */
+  async findTorrentHashForRequest(requestId, options = {}) {
+    const {
+      format = null,
+      excludeHashes = [],
+      retries = 5,
+      delayMs = 1500
+    } = options;
+
+    if (!requestId) return null;
+
+    for (let attempt = 0; attempt < retries; attempt += 1) {
+      try {
+        const torrent = await this.getTorrentForRequest(requestId, { format, excludeHashes });
+        if (torrent?.hash) {
+          return String(torrent.hash).toLowerCase();
+        }
+      } catch (error) {
+        console.error(`Error looking up torrent for request ${requestId}:`, error.message);
+      }
+
+      if (attempt < retries - 1) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = TorrentClient;
@@ -0,0 +1,22 @@
+// The torrent client Onyx sends downloads to, chosen by TORRENT_CLIENT
+// (qbittorrent, transmission or deluge; qbittorrent if unset). Adapters are
+// only loaded when selected.
+const CLIENTS = {
+  qbittorrent: () => require('./qbittorrent'),
+  transmission: () => require('./transmission'),
+  deluge: () => require('./deluge')
+};
+
+const createTorrentClient = (name) => {
+  const key = String(name || 'qbittorrent').trim().toLowerCase();
+  if (!CLIENTS[key]) {
+    throw new Error(`Unknown TORRENT_CLIENT "${name}" (expected ${Object.keys(CLIENTS).join(', ')})`);
+  }
+  const Client = CLIENTS[key]();
+  return new Client();
+};
+
+const torrentClient = createTorrentClient(process.env.TORRENT_CLIENT);
+torrentClient.createTorrentClient = createTorrentClient;
+
+module.exports = torrentClient;
@@ -0,0 +1,168 @@
+const axios = require('axios');
+const TorrentClient = require('./torrentClient');
+
+const TORRENT_FIELDS = [
+  'hashString', 'name', 'status', 'percentDone', 'metadataPercentComplete', 'eta', 'rateDownload',
+  'peersSendingToUs', 'downloadDir', 'labels', 'error', 'trackers', 'uploadRatio', 'secondsSeeding'
+];
+
+// Transmission torrent status codes.
+const STATUS = { STOPPED: 0, CHECK_WAIT: 1, CHECK: 2, DOWNLOAD_WAIT: 3, DOWNLOAD: 4, SEED_WAIT: 5, SEED: 6 };
+
+/**
+ * Transmission RPC adapter (TRANSMISSION_URL, TRANSMISSION_USER,
+ * TRANSMISSION_PASS). Transmission has no categories, so the category and
+ * tags are all stored as labels (Transmission 3.0+), category first. It has
+ * no seeding-time limit either; setShareLimits only applies the ratio.
+ */
+class TransmissionService extends TorrentClient {
+  constructor({ jobStore } = {}) {
+    super({ label: 'Transmission', jobStore });
+    this.rpcURL = process.env.TRANSMISSION_URL || 'http://transmission:9091/transmission/rpc';
+    this.username = (process.env.TRANSMISSION_USER || '').trim() || null;
+    this.password = (process.env.TRANSMISSION_PASS || '').trim() || null;
+    this.sessionId = null;
+  }
+
+  /**
+   * Call an RPC method. Transmission answers 409 with a fresh session id
+   * until the request carries it, so that is retried once.
+   */
+  async rpc(method, args = {}, retried = false) {
+    try {
+      const response = await axios.post(this.rpcURL, { method, arguments: args }, {
+        headers: this.sessionId ? { 'X-Transmission-Session-Id': this.sessionId } : {},
+        auth: this.username ? { username: this.username, password: this.password || '' } : undefined,
+        timeout: 15000
+      });
+      if (response.data?.result !== 'success') {
+        throw new Error(`Transmission ${method} failed: ${response.data?.result || 'no result'}`);
+      }
+      return response.data.arguments || {};
+    } catch (error) {
+      const sessionId = error.response?.headers?.['x-transmission-session-id'];
+      if (!retried && error.response?.status === 409 && sessionId) {
+        this.sessionId = sessionId;
+        return this.rpc(method, args, true);
+      }
+      throw error;
+    }
+  }
+
+  async add(args, { savePath, category, tags }) {
+    try {
+      const result = await this.rpc('torrent-add', { ...args, 'download-dir': savePath });
+      const torrent = result['torrent-added'] || result['torrent-duplicate'];
+      if (!torrent?.hashString) {
+        return { success: false, message: 'Transmission did not return the added torrent' };
+      }
+
+      const labels = [...new Set([category, ...tags].filter(Boolean))];
+      if (labels.length > 0) {
+        await this.rpc('torrent-set', { ids: [torrent.hashString], labels }).catch((error) => {
+          console.error(`Could not label torrent ${torrent.hashString} in Transmission:`, error.message);
+        });
+      }
+
+      console.log(`Torrent added to Transmission: ${torrent.name || torrent.hashString}`);
+      return { success: true, message: 'Torrent added successfully', hash: String(torrent.hashString).toLowerCase() };
+    } catch (error) {
+      console.error('Transmission add torrent error:', error.message);
+      return { success: false, message: 'Error adding torrent: ' + error.message };
+    }
+  }
+
+  async addMagnet(magnetLink, options) {
+    return this.add({ filename: magnetLink }, options);
+  }
+
+  async addTorrentFile({ buffer }, options) {
+    return this.add({ metainfo: Buffer.from(buffer).toString('base64') }, options);
+  }
+
+  // Transmission status codes mapped onto qBittorrent's states.
+  toState(torrent) {
+    if (torrent.error) return 'error';
+    const done = Number(torrent.percentDone) >= 1;
+    switch (torrent.status) {
+      case STATUS.STOPPED: return done ? 'stoppedUP' : 'stoppedDL';
+      case STATUS.CHECK_WAIT:
+      case STATUS.CHECK: return done ? 'checkingUP' : 'checkingDL';
+      case STATUS.DOWNLOAD_WAIT: return 'queuedDL';
+      case STATUS.SEED_WAIT: return 'queuedUP';
+      case STATUS.SEED: return 'uploading';
+      default:
+        if (done) return 'uploading';
+        if (Number(torrent.metadataPercentComplete) < 1) return 'metaDL';
+        return Number(torrent.peersSendingToUs) > 0 ? 'downloading' : 'stalledDL';
+    }
+  }
+
+  toTorrent(torrent) {
+    const labels = Array.isArray(torrent.labels) ? torrent.labels : [];
+    return {
+      hash: String(torrent.hashString || '').toLowerCase(),
+      name: torrent.name,
+      state: this.toState(torrent),
+      progress: Number(torrent.percentDone) || 0,
+      eta: Number(torrent.eta),
+      dlspeed: Number(torrent.rateDownload) || 0,
+      category: labels[0] || '',
+      tags: labels.join(','),
+      save_path: torrent.downloadDir,
+      content_path: [torrent.downloadDir, torrent.name].filter(Boolean).join('/'),
+      tracker: torrent.trackers?.[0]?.announce || '',
+      ratio: Number(torrent.uploadRatio) || 0,
+      seeding_time: Number(torrent.secondsSeeding) || 0
+    };
+  }
+
+  async getTorrents({ hashes, tag } = {}) {
+    const result = await this.rpc('torrent-get', {
+      fields: TORRENT_FIELDS,
+      ...(hashes ? { ids: hashes } : {})
+    });
+    const torrents = (result.torrents || []).map(torrent => this.toTorrent(torrent));
+    return tag ? torrents.filter(torrent => torrent.tags.split(',').includes(tag)) : torrents;
+  }
+
+  async deleteTorrent(hash, deleteFiles = true) {
+    if (!hash) {
+      return { success: false, message: 'Missing torrent hash' };
+    }
+    try {
+      await this.rpc('torrent-remove', { ids: [hash], 'delete-local-data': deleteFiles });
+      console.log(`Removed torrent ${hash} from Transmission`);
+      return { success: true, message: 'Torrent removed' };
+    } catch (error) {
+      console.error('Transmission delete torrent error:', error.message);
+      return { success: false, message: 'Error removing torrent: ' + error.message };
+    }
+  }
+
+  async setShareLimits(hash, { ratioLimit = null } = {}) {
+    if (!hash) {
+      return { success: false, message: 'Missing torrent hash' };
+    }
+    try {
+      // seedRatioMode 0 follows the global setting, 1 uses this torrent's limit.
+      await this.rpc('torrent-set', ratioLimit === null
+        ? { ids: [hash], seedRatioMode: 0 }
+        : { ids: [hash], seedRatioMode: 1, seedRatioLimit: ratioLimit });
+      return { success: true, message: 'Share limits set' };
+    } catch (error) {
+      return { success: false, message: 'Error setting share limits: ' + error.message };
+    }
+  }
+
+  async testConnection() {
+    try {
+      const session = await this.rpc('session-get', { fields: ['version'] });
+      return { success: true, message: `Connected to Transmission ${session.version || ''}`.trim() };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+module.exports = TransmissionService;
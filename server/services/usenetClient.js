@@ -0,0 +1,162 @@
+const downloadJobStore = require('./downloadJobStore');
+const ProgressPoller = require('./progressPoller');
+
+const KEY_PREFIX = 'usenet-';
+// Job stage for each download status while it is still in the client.
+const STAGES = {
+  queued: 'queued',
+  paused: 'paused',
+  downloading: 'downloading',
+  processing: 'unpacking'
+};
+
+/**
+ * What Onyx needs from a Usenet client. Adapters implement:
+ *
+ *   addNzb(url, { name, category })     -> { success, message, id }
+ *   getDownloads(ids)                   -> downloads (throws when unreachable)
+ *   deleteDownload(id, deleteFiles)     -> { success, message }
+ *   testConnection()                    -> { success, message }
+ *
+ * Downloads are { id, name, status, progressPct, eta, downloadSpeed, path,
+ * error }, where status is queued, paused, downloading, processing (verify,
+ * repair, unpack), completed or failed, and path is the finished download's
+ * folder. Ids the client does not know are left out of the result.
+ *
+ * Usenet downloads have no infohash. Their jobs and fulfillment entries are
+ * keyed by usenet-<client>-<id> instead, in the field torrents keep their
+ * hash in, so the job store, the import pipeline and the request lifecycle
+ * treat them like torrents.
+ */
+class UsenetClient {
+  constructor({ name, label }) {
+    this.name = name;
+    this.label = label;
+    this.poller = new ProgressPoller({ logTag: 'USENET', label });
+  }
+
+  static isKey(key) {
+    return String(key || '').startsWith(KEY_PREFIX);
+  }
+
+  toKey(id) {
+    return `${KEY_PREFIX}${this.name}-${id}`;
+  }
+
+  // The client's id for a key of this client, or null.
+  idFromKey(key) {
+    const prefix = `${KEY_PREFIX}${this.name}-`;
+    return String(key || '').startsWith(prefix) ? String(key).slice(prefix.length) : null;
+  }
+
+  // USENET_CATEGORY for everything, USENET_AUDIOBOOK_CATEGORY and
+  // USENET_EBOOK_CATEGORY per format.
+  getCategory(format) {
+    const env = process.env;
+    const byFormat = { audiobook: env.USENET_AUDIOBOOK_CATEGORY, ebook: env.USENET_EBOOK_CATEGORY }[format];
+    return String(byFormat || '').trim() || String(env.USENET_CATEGORY || '').trim() || 'books';
+  }
+
+  /**
+   * Send an NZB download URL (e.g. a Prowlarr download link) to the client.
+   * `hash` in the result is the download's job key.
+   */
+  async addDownload(url, { name, format } = {}) {
+    const result = await this.addNzb(url, { name, category: this.getCategory(format) });
+    if (!result.success) return result;
+    return { success: true, message: result.message, hash: this.toKey(result.id) };
+  }
+
+  async getDownload(key) {
+    const id = this.idFromKey(key);
+    if (!id) return null;
+
+    try {
+      const [download] = await this.getDownloads([id]);
+      return download || null;
+    } catch (error) {
+      console.error(`Error fetching download from ${this.label}:`, error.message);
+      return null;
+    }
+  }
+
+  async removeDownload(key, deleteFiles = true) {
+    const id = this.idFromKey(key);
+    if (!id) {
+      return { success: false, message: `${key} is not a ${this.label} download` };
+    }
+    return this.deleteDownload(id, deleteFiles);
+  }
+
+  /**
+   * One pass of the progress poller: read every tracked job's download and
+   * write its live state to the job. Usenet clients have no completion
+   * webhook, so a finished download goes straight to
+   * `onComplete(download, job)` for import, and a failed one (missing
+   * articles, failed repair or unpack) to `onFailed(download, job)`.
+   */
+  async pollProgress({ onComplete, onFailed } = {}) {
+    const isOwnJob = job => Boolean(this.idFromKey(job.torrentHash));
+    const jobs = this.poller.getTrackedJobs(isOwnJob);
+    if (jobs.length === 0) return 0;
+
+    const downloads = await this.getDownloads(jobs.map(job => this.idFromKey(job.torrentHash)));
+    const byId = new Map(downloads.map(download => [String(download.id), download]));
+    const trackedNow = this.poller.getTrackedJobsByHash(isOwnJob);
+    let updated = 0;
+
+    for (const polled of jobs) {
+      const job = trackedNow.get(polled.torrentHash);
+      const download = byId.get(this.idFromKey(polled.torrentHash));
+      if (!job || !download) continue;
+
+      if (download.status === 'completed') {
+        const current = downloadJobStore.updateByHash(job.torrentHash, {
+          status: 'downloading',
+          stage: 'downloaded',
+          progressPct: 100,
+          eta: 0,
+          downloadSpeed: 0
+        }, `Download finished in ${this.label}`) || job;
+        updated += 1;
+        if (onComplete) onComplete(download, current);
+        continue;
+      }
+
+      if (download.status === 'failed') {
+        const current = downloadJobStore.updateByHash(job.torrentHash, {
+          status: 'failed',
+          stage: 'failed',
+          downloadSpeed: 0,
+          error: download.error || `${this.label} download failed`
+        }, `${this.label} download failed: ${download.error || 'unknown error'}`) || job;
+        updated += 1;
+        if (onFailed) onFailed(download, current);
+        continue;
+      }
+
+      const stage = STAGES[download.status] || 'downloading';
+      downloadJobStore.updateByHash(job.torrentHash, {
+        status: stage === 'queued' ? 'queued' : 'downloading',
+        stage,
+        progressPct: download.progressPct,
+        eta: download.eta,
+        downloadSpeed: download.downloadSpeed
+      }, job.stage !== stage ? `${this.label}: ${download.status}` : null);
+      updated += 1;
+    }
+
+    return updated;
+  }
+
+  // Poll tracked downloads every `intervalMs` (see ProgressPoller).
+  startProgressPoller({ intervalMs = 10000, onComplete, onFailed } = {}) {
+    return this.poller.start(intervalMs, () => this.pollProgress({ onComplete, onFailed }));
+  }
+
+  stopProgressPoller() {
+    this.poller.stop();
+  }
+}
+
+module.exports = UsenetClient;
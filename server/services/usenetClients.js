@@ -0,0 +1,24 @@
+const UsenetClient = require('./usenetClient');
+
+// The Usenet client NZB releases go to, chosen by USENET_CLIENT (sabnzbd or
+// nzbget). Unset means Usenet is disabled and `usenetClient` is null.
+const CLIENTS = {
+  sabnzbd: () => require('./sabnzbd'),
+  nzbget: () => require('./nzbget')
+};
+
+const createUsenetClient = (name) => {
+  const key = String(name || '').trim().toLowerCase();
+  if (!key) return null;
+  if (!CLIENTS[key]) {
+    throw new Error(`Unknown USENET_CLIENT "${name}" (expected ${Object.keys(CLIENTS).join(', ')})`);
+  }
+  const Client = CLIENTS[key]();
+  return new Client();
+};
+
+module.exports = {
+  usenetClient: createUsenetClient(process.env.USENET_CLIENT),
+  createUsenetClient,
+  isUsenetKey: UsenetClient.isKey
+};
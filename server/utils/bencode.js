@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+/**
+ * Minimal bencode decoding for .torrent files. Byte strings are returned as
+ * Buffers (piece hashes are binary); dictionaries as plain objects keyed by
+ * their latin1-decoded keys. Each dictionary also records where its raw
+ * bytes start and end, so the info dict can be hashed exactly as encoded.
+ */
+const decode = (buffer) => {
+  const input = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  let pos = 0;
+
+  const fail = (message) => {
+    const error = new Error(`Invalid torrent file: ${message} at byte ${pos}`);
+    error.code = 'INVALID_TORRENT';
+    throw error;
+  };
+
+  const readUntil = (terminator) => {
+    const end = input.indexOf(terminator, pos);
+    if (end === -1) fail(`missing "${String.fromCharCode(terminator)}"`);
+    const text = input.toString('latin1', pos, end);
+    pos = end + 1;
+    return text;
+  };
+
+  const readValue = () => {
+    const char = input[pos];
+    if (char === undefined) fail('unexpected end of data');
+
+    if (char === 0x69) { // i<number>e
+      pos += 1;
+      const text = readUntil(0x65);
+      if (!/^-?\d+$/.test(text)) fail(`bad integer "${text}"`);
+      return Number(text);
+    }
+
+    if (char === 0x6c) { // l<values>e
+      pos += 1;
+      const list = [];
+      while (input[pos] !== 0x65) list.push(readValue());
+      pos += 1;
+      return list;
+    }
+
+    if (char === 0x64) { // d<key><value>...e
+      const start = pos;
+      pos += 1;
+      const dict = {};
+      while (input[pos] !== 0x65) {
+        const key = readValue();
+        if (!Buffer.isBuffer(key)) fail('dictionary key is not a string');
+        dict[key.toString('latin1')] = readValue();
+      }
+      pos += 1;
+      Object.defineProperty(dict, 'rawRange', { value: [start, pos] });
+      return dict;
+    }
+
+    if (char >= 0x30 && char <= 0x39) { // <length>:<bytes>
+      const length = Number(readUntil(0x3a));
+      if (pos + length > input.length) fail('string runs past end of data');
+      const value = input.subarray(pos, pos + length);
+      pos += length;
+      return value;
+    }
+
+    return fail(`unexpected byte 0x${char.toString(16)}`);
+  };
+
+  const value = readValue();
+  return { value, input };
+};
+
+/**
+ * The infohash qBittorrent uses for a .torrent file, as 40 lowercase hex
+ * characters: SHA-1 of the bencoded info dict, or for v2-only torrents the
+ * SHA-256 truncated to 40 characters. Also returns the torrent's name.
+ */
+const getTorrentInfo = (buffer) => {
+  const { value, input } = decode(buffer);
+  const info = value?.info;
+  if (!info || !info.rawRange) {
+    const error = new Error('Invalid torrent file: no info dictionary');
+    error.code = 'INVALID_TORRENT';
+    throw error;
+  }
+
+  const raw = input.subarray(info.rawRange[0], info.rawRange[1]);
+  const v2Only = info['meta version'] === 2 && !info.pieces;
+  const infoHash = v2Only
+    ? crypto.createHash('sha256').update(raw).digest('hex').slice(0, 40)
+    : crypto.createHash('sha1').update(raw).digest('hex');
+
+  const name = info['name.utf-8'] || info.name;
+  return {
+    infoHash,
+    name: Buffer.isBuffer(name) ? name.toString('utf8') : null
+  };
+};
+
+module.exports = { decode, getTorrentInfo };
@@ -260,4 +260,4 @@ function validateCoverUrl(url) {
   return fetch(url, MAX_REDIRECTS);
 }
 
-module.exports = { validateBook, isValidBook: validateBook, validateCoverUrl };
+module.exports = { validateBook, isValidBook: validateBook, validateCoverUrl, COLLECTION_PATTERNS };
@@ -0,0 +1,61 @@
+/**
+ * Minimal RFC 4180 CSV parsing for uploaded library exports: quoted fields,
+ * doubled quotes inside them, and line breaks inside quotes. Returns an
+ * array of rows, each an array of strings.
+ */
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^﻿/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV with a header row into objects keyed by header name.
+ */
+const parseCsvObjects = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(key => key.trim());
+  return rows.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] || '').trim()])));
+};
+
+module.exports = { parseCsv, parseCsvObjects };
@@ -0,0 +1,68 @@
+/**
+ * Title / author normalisation shared by the catalogue dedupe in
+ * /api/books/:category and request merging in the data store.
+ */
+
+/**
+ * Aggressive title normalisation.
+ * With `maxWords` set (the catalogue uses 3) foreign/alternate editions collapse
+ * ("Inferno - ein neuer Fall" → "inferno"); leave it unset when distinct books
+ * of one series must stay apart. `keepSubtitle` keeps subtitles and "Book N" /
+ * "Vol N" / "#N" markers, so "Dune: Part Two" and "Dune" stay different works.
+ */
+const normTitle = (t, { maxWords = null, keepSubtitle = false } = {}) => {
+  let s = (t || '').toLowerCase();
+  s = s.replace(/\s+by\s+\S.*$/, '');                          // strip " by Author"
+  if (!keepSubtitle) s = s.replace(/\s*-\s+.+$/, '');          // strip " - subtitle" (foreign editions etc.)
+  s = s.replace(/\s*\([^)]*\)\s*/g, ' ');                      // strip (…)
+  s = s.replace(/\s*\[[^\]]*\]\s*/g, ' ');                     // strip […]
+  if (!keepSubtitle) {
+    s = s.replace(/\s*:.*$/, '');                               // strip subtitle after ":"
+    s = s.replace(/\s+#\d+\S*/g, ' ');                         // strip "#N" series marker
+    s = s.replace(/\s+(?:book|vol\.?|volume)\s+\d+\S*/gi, ' '); // strip "Book N" / "Vol N"
+  }
+  s = s.replace(/^(?:the|a|an)\s+/, '');                       // strip leading article
+  s = s.replace(/[^\w\s]/g, ' ').replace(/\s+/g, ' ').trim();
+  const words = s.split(/\s+/).filter(Boolean);
+  return (maxWords ? words.slice(0, maxWords) : words).join(' ');
+};
+
+/**
+ * Reduce an author string to the surname of the first credited author,
+ * so "J.R.R. Tolkien", "Tolkien, J. R. R." and "J. R. R. Tolkien & Christopher Tolkien"
+ * all compare equal. Unknown authors normalise to ''.
+ */
+const normAuthor = (a) => {
+  let s = (a || '').toLowerCase().trim();
+  if (!s || s === 'unknown author' || s === 'unknown') return '';
+  s = s.split(/\s*(?:&|;|\band\b|\bwith\b)\s*/)[0];            // first credited author only
+  if (s.includes(',')) {
+    s = s.split(',')[0];                                        // "Surname, Given"
+  } else {
+    const words = s.replace(/[^\w\s]/g, ' ').trim().split(/\s+/);
+    s = words[words.length - 1] || '';
+  }
+  return s.replace(/[^\w]/g, '');
+};
+
+/**
+ * Whether two { title, author, isbn } records describe the same work.
+ * ISBNs decide when both sides have one; otherwise the titles, subtitle and
+ * volume number included, must normalise equal and both sides must name the
+ * same author.
+ */
+const isSameWork = (a, b) => {
+  if (!a || !b) return false;
+
+  const isbnA = String(a.isbn13 || a.isbn || '').replace(/[^0-9X]/gi, '');
+  const isbnB = String(b.isbn13 || b.isbn || '').replace(/[^0-9X]/gi, '');
+  if (isbnA && isbnB) return isbnA === isbnB;
+
+  const titleA = normTitle(a.title, { keepSubtitle: true });
+  if (!titleA || titleA !== normTitle(b.title, { keepSubtitle: true })) return false;
+
+  const authorA = normAuthor(a.author);
+  return Boolean(authorA) && authorA === normAuthor(b.author);
+};
+
+module.exports = { normTitle, normAuthor, isSameWork };
@@ -0,0 +1,28 @@
+// Every torrent Onyx adds is tagged with the request (and format) it was
+// added for, e.g. onyx-request-1712345678901-audiobook, so the completion
+// script and the progress poller can find the request from the torrent alone.
+const REQUEST_TAG_PREFIX = 'onyx-request-';
+const FORMAT_SUFFIX = /-(audiobook|ebook)$/;
+
+const requestTag = (requestId, format = null) => (
+  `${REQUEST_TAG_PREFIX}${requestId}${['audiobook', 'ebook'].includes(format) ? `-${format}` : ''}`
+);
+
+// qBittorrent passes tags as one comma-separated string ("%G", torrent.tags).
+const parseTags = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(tag => String(tag).trim())
+  .filter(Boolean);
+
+// Torrents added before tags carried the format have no suffix.
+const requestIdFromTags = (value) => {
+  const tag = parseTags(value).find(t => t.startsWith(REQUEST_TAG_PREFIX));
+  return tag ? tag.slice(REQUEST_TAG_PREFIX.length).replace(FORMAT_SUFFIX, '') || null : null;
+};
+
+// The format from a request tag, or null for tags without one.
+const formatFromTags = (value) => {
+  const tag = parseTags(value).find(t => t.startsWith(REQUEST_TAG_PREFIX));
+  return tag?.match(FORMAT_SUFFIX)?.[1] || null;
+};
+
+module.exports = { REQUEST_TAG_PREFIX, requestTag, parseTags, requestIdFromTags, formatFromTags };
@@ -0,0 +1,343 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const TransmissionService = require('../server/services/transmission');
+const DelugeService = require('../server/services/deluge');
+
+const HASH = 'c'.repeat(40);
+const MAGNET = `magnet:?xt=urn:btih:${HASH.toUpperCase()}&dn=Book`;
+
+/**
+ * In-memory stand-in for the download job store, so the adapters never
+ * open the database. Records every updateByHash call in `updates`.
+ */
+function createJobStore(jobs = []) {
+  const updates = [];
+  return {
+    updates,
+    getRecentJobs: () => jobs,
+    getJobsForRequest: (requestId) => jobs.filter((job) => job.requestId === requestId),
+    upsertJob: (requestId, patch) => ({ requestId, ...patch }),
+    updateByHash: (hash, patch, message) => {
+      updates.push({ hash, patch, message });
+      const job = jobs.find((j) => j.torrentHash === hash);
+      return job ? { ...job, ...patch } : null;
+    }
+  };
+}
+
+/**
+ * A local JSON-RPC server. `handle(body, req)` returns { status, headers,
+ * body } (status 200 by default); every request is recorded in `calls`.
+ */
+async function startFakeServer(handle) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      calls.push({ headers: req.headers, body });
+      const reply = handle(body, req) || {};
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...(reply.headers || {}) });
+      res.end(JSON.stringify(reply.body ?? {}));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return { url, calls, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+describe('Transmission', () => {
+  let fake;
+  let transmission;
+
+  before(async () => {
+    fake = await startFakeServer((body, req) => {
+      if (req.headers['x-transmission-session-id'] !== 'session-1') {
+        return { status: 409, headers: { 'X-Transmission-Session-Id': 'session-1' } };
+      }
+      if (body.method === 'session-get') {
+        return { body: { result: 'success', arguments: { version: '4.0.5' } } };
+      }
+      if (body.method === 'torrent-get') {
+        const torrents = [
+          { hashString: 'AAA', name: 'Book One', status: 4, percentDone: 0.5, metadataPercentComplete: 1, peersSendingToUs: 3, labels: ['books', 'onyx-request-1-ebook'] },
+          { hashString: 'BBB', name: 'Book Two', status: 6, percentDone: 1, labels: ['books'] }
+        ];
+        const ids = body.arguments.ids;
+        return {
+          body: {
+            result: 'success',
+            arguments: { torrents: ids ? torrents.filter((torrent) => ids.includes(torrent.hashString.toLowerCase())) : torrents }
+          }
+        };
+      }
+      if (body.method === 'torrent-add') {
+        // Anything named "dup" is already in the client.
+        const key = /dup/.test(body.arguments.filename || '') ? 'torrent-duplicate' : 'torrent-added';
+        return { body: { result: 'success', arguments: { [key]: { hashString: HASH.toUpperCase(), name: 'Book' } } } };
+      }
+      if (['torrent-set', 'torrent-remove'].includes(body.method)) {
+        return { body: { result: 'success', arguments: {} } };
+      }
+      return { body: { result: `unknown method ${body.method}` } };
+    });
+    process.env.TRANSMISSION_URL = `${fake.url}/transmission/rpc`;
+    transmission = new TransmissionService({ jobStore: createJobStore() });
+  });
+
+  // Calls made since `from`, as { method, arguments }.
+  const callsSince = (from) => fake.calls.slice(from).map((call) => ({ method: call.body.method, arguments: call.body.arguments }));
+
+  after(() => fake.close());
+
+  test('retries with the session id from a 409 and keeps using it', async () => {
+    const result = await transmission.testConnection();
+    assert.deepEqual(result, { success: true, message: 'Connected to Transmission 4.0.5' });
+    assert.equal(fake.calls.length, 2);
+    assert.equal(fake.calls[0].headers['x-transmission-session-id'], undefined);
+    assert.equal(fake.calls[1].headers['x-transmission-session-id'], 'session-1');
+
+    await transmission.testConnection();
+    assert.equal(fake.calls.length, 3);
+  });
+
+  test('finds torrents by request tag among their labels', async () => {
+    const torrents = await transmission.getTorrents({ tag: 'onyx-request-1-ebook' });
+    assert.equal(torrents.length, 1);
+    assert.equal(torrents[0].hash, 'aaa');
+    assert.equal(torrents[0].category, 'books');
+    assert.equal(torrents[0].state, 'downloading');
+  });
+
+  test('adds a torrent and stores its category and tags as labels', async () => {
+    const from = fake.calls.length;
+    const result = await transmission.addMagnet(MAGNET, { savePath: '/books/ebooks', category: 'books', tags: ['onyx', 'onyx-request-1-ebook'] });
+    assert.deepEqual(result, { success: true, message: 'Torrent added successfully', hash: HASH });
+    assert.deepEqual(callsSince(from), [
+      { method: 'torrent-add', arguments: { filename: MAGNET, 'download-dir': '/books/ebooks' } },
+      { method: 'torrent-set', arguments: { ids: [HASH.toUpperCase()], labels: ['books', 'onyx', 'onyx-request-1-ebook'] } }
+    ]);
+  });
+
+  test('treats a torrent it already has as added', async () => {
+    const result = await transmission.addMagnet(`${MAGNET}&dn=dup`, { savePath: null, category: null, tags: [] });
+    assert.deepEqual(result, { success: true, message: 'Torrent added successfully', hash: HASH });
+    assert.equal(fake.calls[fake.calls.length - 1].body.method, 'torrent-add');
+  });
+
+  test('removes a torrent with or without its data', async () => {
+    const from = fake.calls.length;
+    assert.deepEqual(await transmission.deleteTorrent('aaa'), { success: true, message: 'Torrent removed' });
+    await transmission.deleteTorrent('aaa', false);
+    assert.deepEqual(callsSince(from), [
+      { method: 'torrent-remove', arguments: { ids: ['aaa'], 'delete-local-data': true } },
+      { method: 'torrent-remove', arguments: { ids: ['aaa'], 'delete-local-data': false } }
+    ]);
+    assert.equal((await transmission.deleteTorrent(null)).success, false);
+  });
+
+  test('sets a ratio limit, or hands it back to the global setting', async () => {
+    const from = fake.calls.length;
+    assert.equal((await transmission.setShareLimits('aaa', { ratioLimit: 2 })).success, true);
+    assert.equal((await transmission.setShareLimits('aaa', { ratioLimit: null })).success, true);
+    assert.deepEqual(callsSince(from), [
+      { method: 'torrent-set', arguments: { ids: ['aaa'], seedRatioMode: 1, seedRatioLimit: 2 } },
+      { method: 'torrent-set', arguments: { ids: ['aaa'], seedRatioMode: 0 } }
+    ]);
+  });
+
+  test('asks only for the requested hashes', async () => {
+    const from = fake.calls.length;
+    const torrents = await transmission.getTorrents({ hashes: ['bbb'] });
+    assert.deepEqual(torrents.map((torrent) => [torrent.hash, torrent.state]), [['bbb', 'uploading']]);
+    assert.deepEqual(fake.calls[from].body.arguments.ids, ['bbb']);
+  });
+
+  test('writes polled progress to the injected job store', async () => {
+    const jobStore = createJobStore([{ id: '1:ebook', requestId: '1', format: 'ebook', status: 'downloading', torrentHash: 'aaa' }]);
+    const client = new TransmissionService({ jobStore });
+    client.sessionId = 'session-1';
+    assert.equal(await client.pollProgress(), 1);
+    assert.equal(jobStore.updates.length, 1);
+    assert.equal(jobStore.updates[0].hash, 'aaa');
+    assert.equal(jobStore.updates[0].patch.stage, 'downloading');
+    assert.equal(jobStore.updates[0].patch.progressPct, 50);
+  });
+
+  test('maps Transmission statuses onto qBittorrent states', () => {
+    const cases = [
+      [{ status: 0, percentDone: 0.2 }, 'stoppedDL'],
+      [{ status: 0, percentDone: 1 }, 'stoppedUP'],
+      [{ status: 1, percentDone: 0.2 }, 'checkingDL'],
+      [{ status: 2, percentDone: 1 }, 'checkingUP'],
+      [{ status: 3, percentDone: 0 }, 'queuedDL'],
+      [{ status: 5, percentDone: 1 }, 'queuedUP'],
+      [{ status: 6, percentDone: 1 }, 'uploading'],
+      [{ status: 4, percentDone: 0, metadataPercentComplete: 0.5 }, 'metaDL'],
+      [{ status: 4, percentDone: 0.3, metadataPercentComplete: 1, peersSendingToUs: 2 }, 'downloading'],
+      [{ status: 4, percentDone: 0.3, metadataPercentComplete: 1, peersSendingToUs: 0 }, 'stalledDL'],
+      [{ status: 4, percentDone: 1 }, 'uploading'],
+      [{ status: 4, percentDone: 0.3, error: 3 }, 'error']
+    ];
+    for (const [torrent, state] of cases) {
+      assert.equal(transmission.toState(torrent), state, JSON.stringify(torrent));
+    }
+  });
+});
+
+describe('Deluge', () => {
+  let fake;
+  let deluge;
+  let sessionValid = true;
+
+  before(async () => {
+    fake = await startFakeServer((body, req) => {
+      const reply = (result) => ({ body: { id: body.id, result, error: null } });
+      if (body.method === 'auth.login') {
+        sessionValid = true;
+        return body.params[0] === 'secret'
+          ? { ...reply(true), headers: { 'Set-Cookie': '_session_id=session-1; Path=/' } }
+          : reply(false);
+      }
+      if (req.headers.cookie !== '_session_id=session-1' || !sessionValid) {
+        return { body: { id: body.id, result: null, error: { message: 'Not authenticated', code: 1 } } };
+      }
+      switch (body.method) {
+        case 'web.connected': return reply(false);
+        case 'web.get_hosts': return reply([['host-1', '127.0.0.1', 58846, 'Online']]);
+        case 'web.connect': return reply([]);
+        case 'daemon.info': return reply('2.1.1');
+        case 'core.add_torrent_magnet':
+          return body.params[0].includes('dn=dup')
+            ? { body: { id: body.id, result: null, error: { message: `Torrent already in session (${HASH}).`, code: 3 } } }
+            : reply(HASH.toUpperCase());
+        case 'core.add_torrent_file':
+          return { body: { id: body.id, result: null, error: { message: 'Invalid torrent file', code: 3 } } };
+        case 'label.get_labels': return reply(['audiobooks']);
+        case 'label.add':
+        case 'label.set_torrent':
+        case 'core.remove_torrent':
+        case 'core.set_torrent_options': return reply(null);
+        case 'core.get_torrents_status': {
+          const torrents = {
+            aaa: { name: 'Book One', state: 'Downloading', progress: 40, total_wanted: 1000, download_payload_rate: 512, label: 'books' },
+            bbb: { name: 'Book Two', state: 'Seeding', progress: 100, label: 'books' }
+          };
+          const ids = body.params[0].id;
+          return reply(Object.fromEntries(Object.entries(torrents).filter(([hash]) => !ids || ids.includes(hash))));
+        }
+        default: return { body: { id: body.id, result: null, error: { message: `Unknown method ${body.method}`, code: 2 } } };
+      }
+    });
+    process.env.DELUGE_URL = `${fake.url}/json`;
+    process.env.DELUGE_PASS = 'secret';
+    deluge = new DelugeService({ jobStore: createJobStore() });
+  });
+
+  // Calls made since `from`, as [method, params].
+  const callsSince = (from) => fake.calls.slice(from).map((call) => [call.body.method, call.body.params]);
+
+  after(() => fake.close());
+
+  test('logs in and connects the web UI to its daemon before the first call', async () => {
+    const result = await deluge.testConnection();
+    assert.deepEqual(result, { success: true, message: 'Connected to Deluge 2.1.1' });
+    assert.deepEqual(fake.calls.map((call) => call.body.method), [
+      'auth.login', 'web.connected', 'web.get_hosts', 'web.connect', 'daemon.info'
+    ]);
+    assert.deepEqual(fake.calls[3].body.params, ['host-1']);
+    assert.equal(fake.calls[4].headers.cookie, '_session_id=session-1');
+  });
+
+  test('logs in again when the session has expired', async () => {
+    fake.calls.length = 0;
+    sessionValid = false;
+    const result = await deluge.testConnection();
+    assert.equal(result.success, true);
+    assert.deepEqual(fake.calls.map((call) => call.body.method), [
+      'daemon.info', 'auth.login', 'web.connected', 'web.get_hosts', 'web.connect', 'daemon.info'
+    ]);
+  });
+
+  test('reports a wrong password', async () => {
+    process.env.DELUGE_PASS = 'wrong';
+    const result = await new DelugeService({ jobStore: createJobStore() }).testConnection();
+    process.env.DELUGE_PASS = 'secret';
+    assert.deepEqual(result, { success: false, message: 'Failed to authenticate with Deluge' });
+  });
+
+  test('adds a torrent and labels it with its category', async () => {
+    const from = fake.calls.length;
+    const result = await deluge.addMagnet(MAGNET, { savePath: '/books/ebooks', category: 'Books', tags: ['onyx-request-1-ebook'] });
+    assert.deepEqual(result, { success: true, message: 'Torrent added successfully', hash: HASH });
+    assert.deepEqual(callsSince(from), [
+      ['core.add_torrent_magnet', [MAGNET, { download_location: '/books/ebooks' }]],
+      ['label.get_labels', []],
+      ['label.add', ['books']],
+      ['label.set_torrent', [HASH, 'books']]
+    ]);
+  });
+
+  test('treats "already in session" as added, using the magnet hash', async () => {
+    const result = await deluge.addMagnet(`${MAGNET}&dn=dup`, { savePath: null, category: null });
+    assert.deepEqual(result, { success: true, message: 'Torrent added successfully', hash: HASH });
+  });
+
+  test('reports other add errors', async () => {
+    const result = await deluge.addTorrentFile({ buffer: Buffer.from('x'), infoHash: HASH }, { savePath: null, category: null });
+    assert.deepEqual(result, { success: false, message: 'Error adding torrent: Invalid torrent file' });
+  });
+
+  test('removes a torrent with or without its data', async () => {
+    const from = fake.calls.length;
+    assert.deepEqual(await deluge.deleteTorrent('aaa'), { success: true, message: 'Torrent removed' });
+    await deluge.deleteTorrent('aaa', false);
+    assert.deepEqual(callsSince(from), [
+      ['core.remove_torrent', ['aaa', true]],
+      ['core.remove_torrent', ['aaa', false]]
+    ]);
+    assert.equal((await deluge.deleteTorrent(null)).success, false);
+  });
+
+  test('sets a ratio limit, and leaves the global setting alone without one', async () => {
+    const from = fake.calls.length;
+    assert.equal((await deluge.setShareLimits('aaa', { ratioLimit: 1.5 })).success, true);
+    assert.deepEqual(await deluge.setShareLimits('aaa', { ratioLimit: null }), { success: true, message: 'Using Deluge global share limits' });
+    assert.deepEqual(callsSince(from), [
+      ['core.set_torrent_options', [['aaa'], { stop_at_ratio: true, stop_ratio: 1.5 }]]
+    ]);
+  });
+
+  test('asks only for the requested hashes, and finds nothing by tag', async () => {
+    const from = fake.calls.length;
+    const torrents = await deluge.getTorrents({ hashes: ['bbb'] });
+    assert.deepEqual(torrents.map((torrent) => [torrent.hash, torrent.state, torrent.category]), [['bbb', 'uploading', 'books']]);
+    assert.deepEqual(fake.calls[from].body.params[0], { id: ['bbb'] });
+
+    assert.deepEqual(await deluge.getTorrents({ tag: 'onyx-request-1-ebook' }), []);
+    assert.equal(fake.calls.length, from + 1);
+  });
+
+  test('maps Deluge states onto qBittorrent states', () => {
+    const cases = [
+      [{ state: 'Error', progress: 40 }, 'error'],
+      [{ state: 'Seeding', progress: 100 }, 'uploading'],
+      [{ state: 'Paused', progress: 40 }, 'pausedDL'],
+      [{ state: 'Paused', progress: 100 }, 'pausedUP'],
+      [{ state: 'Queued', progress: 0 }, 'queuedDL'],
+      [{ state: 'Queued', progress: 100 }, 'queuedUP'],
+      [{ state: 'Checking', progress: 40 }, 'checkingDL'],
+      [{ state: 'Checking', progress: 100 }, 'checkingUP'],
+      [{ state: 'Downloading', progress: 0, total_wanted: 0 }, 'metaDL'],
+      [{ state: 'Downloading', progress: 40, total_wanted: 1000, download_payload_rate: 512 }, 'downloading'],
+      [{ state: 'Downloading', progress: 40, total_wanted: 1000, download_payload_rate: 0, num_seeds: 0 }, 'stalledDL'],
+      [{ state: 'Downloading', progress: 100 }, 'uploading']
+    ];
+    for (const [torrent, state] of cases) {
+      assert.equal(deluge.toState(torrent), state, JSON.stringify(torrent));
+    }
+  });
+});